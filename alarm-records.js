@@ -0,0 +1,155 @@
+/**
+ * Alarm Records
+ * The alarm history record rules shared by the UI's IndexedDB historian and
+ * the gateway's file-backed historian (server/alarm-history.js): stable IDs,
+ * ISA-18.2 states, the operator action log and merging a gateway record into
+ * a local one
+ *
+ * Records have epoch-millisecond timestamps (null while not set):
+ *   { id, moduleId, type, severity, activatedAt, clearedAt, acknowledgedAt,
+ *     acknowledgedBy, shelvedUntil, actions }
+ * getAlarmState and isInSummary also take the UI's alarms with Date
+ * timestamps.
+ *
+ * In the browser it is window.STATCOM.alarmRecords; under Node it is the
+ * module's exports (see test/alarm-records.test.js).
+ */
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.STATCOM = root.STATCOM || {};
+        root.STATCOM.alarmRecords = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const ALARM_ACTIONS = ['acknowledge', 'shelve', 'unshelve'];
+
+    const toTime = value => (value ? new Date(value).getTime() : null);
+
+    /**
+     * Stable alarm ID, "<moduleId>:<type>:<activatedAt ms>"
+     * @param {string} moduleId
+     * @param {string} type - Status type or rule ID
+     * @param {Date|number} activatedAt
+     */
+    function getAlarmId(moduleId, type, activatedAt) {
+        return `${moduleId}:${type}:${new Date(activatedAt).getTime()}`;
+    }
+
+    /**
+     * ISA-18.2 alarm state
+     *   UNACK     - active, not acknowledged
+     *   ACKED     - active, acknowledged
+     *   RTN_UNACK - returned to normal, not acknowledged
+     *   SHELVED   - suppressed by an operator until shelvedUntil
+     *   NORMAL    - returned to normal and acknowledged (history only)
+     * Alarms that clear while shelved need no acknowledgement.
+     * @param {Object} alarm - Record or alarm, with epoch-ms or Date timestamps
+     * @param {number} now - Epoch ms, defaults to the current time
+     */
+    function getAlarmState(alarm, now = Date.now()) {
+        const clearedAt = toTime(alarm.clearedAt);
+        const shelvedUntil = toTime(alarm.shelvedUntil);
+
+        if (shelvedUntil && shelvedUntil > now) return 'SHELVED';
+        if (!clearedAt) return alarm.acknowledgedAt ? 'ACKED' : 'UNACK';
+        if (alarm.acknowledgedAt || (shelvedUntil && shelvedUntil >= clearedAt)) return 'NORMAL';
+        return 'RTN_UNACK';
+    }
+
+    /**
+     * Whether an alarm belongs in the alarm summary (any state but NORMAL)
+     */
+    function isInSummary(alarm, now = Date.now()) {
+        return getAlarmState(alarm, now) !== 'NORMAL';
+    }
+
+    /**
+     * Whether an operator action applies to a record: acknowledging needs an
+     * unacknowledged alarm, shelving an active one and unshelving a shelved one
+     * @param {Object} record - Record with epoch-ms timestamps
+     * @param {string} action - 'acknowledge' | 'shelve' | 'unshelve'
+     * @param {number} at - Epoch ms of the action
+     */
+    function canApplyAction(record, action, at) {
+        if (action === 'acknowledge') return !record.acknowledgedAt;
+        if (action === 'shelve') return record.clearedAt === null;
+        if (action === 'unshelve') return record.shelvedUntil > at;
+        return false;
+    }
+
+    /**
+     * Derive acknowledgement and shelving fields from the action log
+     * Acknowledgement is the first 'acknowledge'; shelving follows the latest 'shelve' or 'unshelve'.
+     * @returns {Object} The same record
+     */
+    function replayActions(record) {
+        if (!record.actions || record.actions.length === 0) return record;
+
+        record.actions.sort((a, b) => a.at - b.at);
+        const acknowledgement = record.actions.find(entry => entry.action === 'acknowledge');
+        const shelving = record.actions.filter(entry => entry.action === 'shelve' || entry.action === 'unshelve').pop();
+
+        record.acknowledgedAt = acknowledgement ? acknowledgement.at : null;
+        record.acknowledgedBy = acknowledgement ? acknowledgement.by : null;
+        record.shelvedUntil = shelving && shelving.action === 'shelve' ? shelving.until : null;
+        return record;
+    }
+
+    /**
+     * Merge a gateway record into a local one
+     * Clear times set on either side are kept and the action logs are combined.
+     * @param {Object|undefined} local - Stored record, if any
+     * @param {Object} remote - Gateway record
+     * @returns {Object} Merged record
+     */
+    function mergeRecords(local, remote) {
+        if (!local) return remote;
+
+        const actions = [...(local.actions || [])];
+        (remote.actions || []).forEach(entry => {
+            if (!actions.some(existing => existing.action === entry.action && existing.at === entry.at)) {
+                actions.push(entry);
+            }
+        });
+
+        return replayActions({
+            ...local,
+            ...remote,
+            clearedAt: remote.clearedAt !== null ? remote.clearedAt : local.clearedAt,
+            acknowledgedAt: remote.acknowledgedAt !== null ? remote.acknowledgedAt : local.acknowledgedAt,
+            message: remote.message || local.message || null,
+            actions: actions
+        });
+    }
+
+    /**
+     * Local active records that the gateway already recorded under an earlier activation
+     * (the browser saw the condition late, e.g. in the first snapshot after connecting)
+     * @param {Array<Object>} localActive - Local records in the alarm summary
+     * @param {Array<Object>} remoteRecords - Gateway records
+     * @returns {Array<Object>} Local records to drop in favour of the gateway's
+     */
+    function findLateDuplicates(localActive, remoteRecords) {
+        return localActive.filter(local => local.clearedAt === null && remoteRecords.some(remote =>
+            remote.id !== local.id &&
+            remote.moduleId === local.moduleId &&
+            remote.type === local.type &&
+            remote.activatedAt <= local.activatedAt &&
+            (remote.clearedAt === null || remote.clearedAt >= local.activatedAt)
+        ));
+    }
+
+    return {
+        ALARM_ACTIONS: ALARM_ACTIONS,
+        getAlarmId: getAlarmId,
+        getAlarmState: getAlarmState,
+        isInSummary: isInSummary,
+        canApplyAction: canApplyAction,
+        replayActions: replayActions,
+        mergeRecords: mergeRecords,
+        findLateDuplicates: findLateDuplicates
+    };
+});
@@ -0,0 +1,409 @@
+/**
+ * Alarm Rules Engine
+ * Turns module statuses and metric samples into alarm conditions using
+ * configurable JSON rules
+ *
+ * The engine is pure: it reads only the arguments it is given, including the
+ * current time, the metric units and the module topology, and keeps its
+ * timers in the closure returned by createEngine. The same rules and inputs
+ * always give the same conditions, so rules can be tested by feeding an engine
+ * a sequence of inputs. In the browser it is window.STATCOM.alarmRulesEngine;
+ * under Node it is the module's exports (see test/alarm-rules.test.js).
+ *
+ * Rule format (JSON):
+ *   id          Unique, lower-case letters, digits and dashes
+ *   name        Shown in the rule editor
+ *   enabled     false to keep a rule without evaluating it
+ *   kind        'status' | 'threshold' | 'rateOfChange' | 'group'
+ *   severity    'CRITICAL' | 'WARNING' | 'DEGRADED', or 'status' (status rules
+ *               only) to follow the indicator
+ *   message     Text with {moduleId}, {statusType}, {status}, {metric}, {value},
+ *               {unit}, {group} and {count} placeholders
+ *   modules     Optional list of module IDs the rule applies to (default all)
+ *   onDelaySec  Condition must hold this long before the alarm is raised
+ *   offDelaySec Condition must be gone this long before the alarm clears
+ *
+ *   status:       statusTypes (['*'] for all), levels (default all non-OK),
+ *                 messages ({ statusType: text } overriding message)
+ *   threshold:    metric, operator ('>' | '<'), value, deadband
+ *   rateOfChange: metric, direction ('rise' | 'fall' | 'both'), perMinute,
+ *                 windowSec, deadband
+ *   group:        statusTypes, levels, groupBy ('phase' | 'cluster' |
+ *                 'cabinet' | 'row' | 'column' | 'all'), minCount
+ *
+ * The deadband is a parameter of threshold and rate-of-change rules rather
+ * than a kind of its own: it never raises an alarm by itself, it only moves
+ * the limit an active alarm has to fall back past before it clears, so it
+ * belongs with the limit it moves.
+ *
+ * Status rules raise alarms typed by the indicator ("Overtemp"), so they keep
+ * the same IDs as the gateway's alarm history. Other rules use the rule ID as
+ * the alarm type; group rules report against a topology group ("Cabinet B2"),
+ * an overview grid row or column ("Row 3") or "All modules".
+ */
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.STATCOM = root.STATCOM || {};
+        root.STATCOM.alarmRulesEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
+
+    const KINDS = ['status', 'threshold', 'rateOfChange', 'group'];
+    const SEVERITIES = ['CRITICAL', 'WARNING', 'DEGRADED'];
+    const DEFAULT_WINDOW_SEC = 60;
+    const GROUP_BY = ['phase', 'cluster', 'cabinet', 'row', 'column', 'all'];
+
+    // ============================================================================
+    // VALIDATION
+    // ============================================================================
+
+    /**
+     * Check a rule list
+     * @param {Array<Object>} rules - Parsed rules
+     * @param {Array<string>} metrics - Metric names threshold and rate-of-change rules may use
+     * @returns {Array<string>} Problems found, empty when the rules are valid
+     */
+    function validateRules(rules, metrics) {
+        if (!Array.isArray(rules)) return ['Rules must be a JSON array'];
+
+        const errors = [];
+        const ids = new Set();
+
+        rules.forEach((rule, index) => {
+            const label = rule && rule.id ? `Rule "${rule.id}"` : `Rule ${index + 1}`;
+            const fail = message => errors.push(`${label}: ${message}`);
+
+            if (!rule || typeof rule !== 'object') {
+                fail('must be an object');
+                return;
+            }
+            if (typeof rule.id !== 'string' || !/^[a-z0-9-]+$/.test(rule.id)) {
+                fail('id must use lower-case letters, digits and dashes');
+            } else if (ids.has(rule.id)) {
+                fail('id is used more than once');
+            }
+            ids.add(rule.id);
+
+            if (!KINDS.includes(rule.kind)) fail(`kind must be one of ${KINDS.join(', ')}`);
+            if (!SEVERITIES.includes(rule.severity) && !(rule.kind === 'status' && rule.severity === 'status')) {
+                fail(`severity must be one of ${SEVERITIES.join(', ')}${rule.kind === 'status' ? ' or "status"' : ''}`);
+            }
+            if (rule.message !== undefined && typeof rule.message !== 'string') fail('message must be text');
+            if (rule.modules !== undefined && !(Array.isArray(rule.modules) && rule.modules.every(id => typeof id === 'string'))) {
+                fail('modules must be a list of module IDs');
+            }
+            ['onDelaySec', 'offDelaySec', 'deadband'].forEach(field => {
+                if (rule[field] !== undefined && !(typeof rule[field] === 'number' && rule[field] >= 0)) {
+                    fail(`${field} must be a number of 0 or more`);
+                }
+            });
+
+            if (rule.kind === 'status' || rule.kind === 'group') {
+                if (!Array.isArray(rule.statusTypes) || rule.statusTypes.length === 0) fail('statusTypes must list at least one indicator');
+                if (rule.levels !== undefined && !(Array.isArray(rule.levels) && rule.levels.every(level => SEVERITIES.includes(level)))) {
+                    fail(`levels must be a list of ${SEVERITIES.join(', ')}`);
+                }
+            }
+            if (rule.kind === 'group') {
+                if (!GROUP_BY.includes(rule.groupBy)) fail(`groupBy must be one of ${GROUP_BY.join(', ')}`);
+                if (!(Number.isInteger(rule.minCount) && rule.minCount >= 1)) fail('minCount must be a whole number of 1 or more');
+            }
+            if (rule.kind === 'threshold' || rule.kind === 'rateOfChange') {
+                if (!metrics.includes(rule.metric)) fail(`metric must be one of ${metrics.join(', ')}`);
+            }
+            if (rule.kind === 'threshold') {
+                if (!['>', '<'].includes(rule.operator)) fail('operator must be ">" or "<"');
+                if (typeof rule.value !== 'number') fail('value must be a number');
+            }
+            if (rule.kind === 'rateOfChange') {
+                if (!['rise', 'fall', 'both'].includes(rule.direction)) fail('direction must be rise, fall or both');
+                if (!(typeof rule.perMinute === 'number' && rule.perMinute > 0)) {
+                    fail('perMinute must be a positive number');
+                } else if (typeof rule.deadband === 'number' && rule.deadband >= rule.perMinute) {
+                    // The alarm holds while the rate stays above perMinute - deadband, so that limit must stay positive
+                    fail('deadband must be less than perMinute');
+                }
+                if (rule.windowSec !== undefined && !(typeof rule.windowSec === 'number' && rule.windowSec > 0)) {
+                    fail('windowSec must be a positive number');
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    // ============================================================================
+    // CONDITIONS
+    // ============================================================================
+
+    /**
+     * Name of the group a module belongs to, e.g. "Cabinet B2" or "Row 3"
+     * Rows and columns follow the Module Overview grid; modules outside the
+     * topology, or in a cluster without cabinets, fall under "All modules"
+     * @param {Object|null} module - Topology module ({ index, phaseName, clusterName, cabinetName })
+     * @param {number} gridColumns - Columns in the Module Overview grid
+     */
+    function getGroupName(module, groupBy, gridColumns) {
+        if (!module || groupBy === 'all') return 'All modules';
+        if (groupBy === 'row') return `Row ${Math.floor(module.index / gridColumns) + 1}`;
+        if (groupBy === 'column') return `Column ${module.index % gridColumns + 1}`;
+        return module[`${groupBy}Name`] || 'All modules';
+    }
+
+    function formatMessage(template, fields) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => (fields[name] !== undefined ? String(fields[name]) : match));
+    }
+
+    function appliesTo(rule, moduleId) {
+        return !rule.modules || rule.modules.includes(moduleId);
+    }
+
+    function matchesStatus(rule, statusType, status) {
+        if (!status || status === 'OK') return false;
+        if (!rule.statusTypes.includes('*') && !rule.statusTypes.includes(statusType)) return false;
+        return !rule.levels || rule.levels.includes(status);
+    }
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Groups with at least minCount modules matching a group rule
+     * @param {Object} rule - Group rule
+     * @param {Object} modules - { [moduleId]: { statuses } }
+     * @param {Object} topology - { getModule(moduleId), getGridColumns() }
+     * @returns {Array<Object>} [{ moduleId: group name, type, severity, message, value: count }]
+     */
+    function evaluateGroupRule(rule, modules, topology) {
+        const counts = new Map(); // group name -> module IDs
+        const columns = topology.getGridColumns();
+
+        Object.entries(modules).forEach(([moduleId, module]) => {
+            if (!appliesTo(rule, moduleId)) return;
+            const matched = Object.entries(module.statuses || {}).some(([statusType, status]) => matchesStatus(rule, statusType, status));
+            if (!matched) return;
+            const group = getGroupName(topology.getModule(moduleId), rule.groupBy, columns);
+            counts.set(group, (counts.get(group) || []).concat(moduleId));
+        });
+
+        return [...counts.entries()]
+            .filter(([group, moduleIds]) => moduleIds.length >= rule.minCount)
+            .map(([group, moduleIds]) => ({
+                moduleId: group,
+                type: rule.id,
+                severity: rule.severity,
+                message: formatMessage(rule.message || '{count} modules in {group}', {
+                    group, count: moduleIds.length, statusType: rule.statusTypes.join(', '), moduleId: moduleIds.join(', ')
+                }),
+                value: moduleIds.length
+            }));
+    }
+
+    /**
+     * Conditions a rule sees in one input, before delays
+     * `wasActive` tells threshold and rate-of-change rules to apply their deadband.
+     * @returns {Array<Object>} [{ moduleId, type, severity, message, value }]
+     */
+    function findRuleConditions(rule, input, history, wasActive, context) {
+        if (rule.kind === 'group') return evaluateGroupRule(rule, input.modules || {}, context.topology);
+
+        const modules = Object.entries(input.modules || {}).filter(([moduleId]) => appliesTo(rule, moduleId));
+        const severity = status => (rule.severity === 'status' ? status : rule.severity);
+
+        if (rule.kind === 'status') {
+            const conditions = [];
+            modules.forEach(([moduleId, module]) => {
+                Object.entries(module.statuses || {}).forEach(([statusType, status]) => {
+                    if (!matchesStatus(rule, statusType, status)) return;
+                    conditions.push({
+                        moduleId: moduleId,
+                        type: statusType,
+                        severity: severity(status),
+                        message: describeStatus(rule, moduleId, statusType, status)
+                    });
+                });
+            });
+            return conditions;
+        }
+
+        const unit = context.units[rule.metric] || '';
+        const conditions = [];
+        modules.forEach(([moduleId, module]) => {
+            const deadband = wasActive(moduleId) ? rule.deadband || 0 : 0;
+            let value = null;
+            let isBeyond = false;
+
+            if (rule.kind === 'threshold') {
+                value = module.metrics ? module.metrics[rule.metric] : undefined;
+                if (typeof value !== 'number') return;
+                isBeyond = rule.operator === '>' ? value > rule.value - deadband : value < rule.value + deadband;
+            } else {
+                const rate = getRatePerMinute(history.get(`${moduleId}|${rule.metric}`), input.now, (rule.windowSec || DEFAULT_WINDOW_SEC) * 1000);
+                if (rate === null) return;
+                value = round(rate);
+                const limit = rule.perMinute - deadband;
+                isBeyond = (rule.direction !== 'fall' && rate > limit) || (rule.direction !== 'rise' && rate < -limit);
+            }
+
+            if (isBeyond) {
+                conditions.push({
+                    moduleId: moduleId,
+                    type: rule.id,
+                    severity: rule.severity,
+                    message: formatMessage(rule.message || '{metric} {value} {unit}', { moduleId, metric: rule.metric, value, unit }),
+                    value: value
+                });
+            }
+        });
+        return conditions;
+    }
+
+    /**
+     * Change per minute between the oldest and newest sample in the window
+     * @returns {number|null} Null without two samples in the window
+     */
+    function getRatePerMinute(samples, now, windowMs) {
+        const recent = (samples || []).filter(sample => sample.t >= now - windowMs);
+        if (recent.length < 2) return null;
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        if (last.t === first.t) return null;
+        return (last.value - first.value) / (last.t - first.t) * 60000;
+    }
+
+    /**
+     * Alarm text for a status indicator under a status rule
+     */
+    function describeStatus(rule, moduleId, statusType, status) {
+        const template = (rule.messages && rule.messages[statusType]) || rule.message || '{statusType} {status}';
+        return formatMessage(template, { moduleId, statusType, status });
+    }
+
+    // ============================================================================
+    // ENGINE
+    // ============================================================================
+
+    /**
+     * Create an engine for a rule list
+     * @param {Array<Object>} rules - Validated rules
+     * @param {Object} context - { units: { [metric]: unit }, topology: { getModule(moduleId), getGridColumns() },
+     *   ignoreDelays: true to report conditions immediately (rule tests) }
+     * @returns {Object} { evaluate(input), hasPending(), getImmediateStatusRule(moduleId, statusType), rules }
+     */
+    function createEngine(rules, context) {
+        const enabledRules = rules.filter(rule => rule.enabled !== false);
+        const timers = new Map(); // "ruleId|moduleId|type" -> { since, active, clearSince, condition }
+        const history = new Map(); // "moduleId|metric" -> [{ t, value }]
+        const maxWindowMs = Math.max(DEFAULT_WINDOW_SEC, ...enabledRules.map(rule => rule.windowSec || 0)) * 1000;
+
+        /**
+         * Keep metric samples for rate-of-change rules
+         */
+        function recordHistory(input) {
+            Object.entries(input.modules || {}).forEach(([moduleId, module]) => {
+                if (!module.metrics || module.metricsAt === undefined) return;
+                Object.entries(module.metrics).forEach(([metric, value]) => {
+                    if (typeof value !== 'number') return;
+                    const key = `${moduleId}|${metric}`;
+                    const samples = history.get(key) || [];
+                    const last = samples[samples.length - 1];
+                    if (!last || module.metricsAt > last.t) samples.push({ t: module.metricsAt, value: value });
+                    history.set(key, samples.filter(sample => sample.t >= input.now - maxWindowMs));
+                });
+            });
+        }
+
+        /**
+         * Evaluate every enabled rule against one input
+         * @param {Object} input - { now: ms, modules: { [moduleId]: { statuses, metrics, metricsAt } } }
+         * @returns {Array<Object>} Active conditions [{ ruleId, moduleId, type, severity, message, value }];
+         *   one per module and type, the most severe when rules overlap
+         */
+        function evaluate(input) {
+            recordHistory(input);
+            const seen = new Set();
+            const active = new Map(); // "moduleId|type" -> condition
+
+            enabledRules.forEach(rule => {
+                const onDelayMs = context.ignoreDelays ? 0 : (rule.onDelaySec || 0) * 1000;
+                const offDelayMs = context.ignoreDelays ? 0 : (rule.offDelaySec || 0) * 1000;
+                const wasActive = moduleId => [...timers.entries()]
+                    .some(([key, timer]) => timer.active && key.startsWith(`${rule.id}|${moduleId}|`));
+
+                findRuleConditions(rule, input, history, wasActive, context).forEach(condition => {
+                    const key = `${rule.id}|${condition.moduleId}|${condition.type}`;
+                    const timer = timers.get(key) || { since: input.now, active: false };
+                    timer.clearSince = null;
+                    timer.condition = { ruleId: rule.id, ...condition };
+                    if (!timer.active && input.now - timer.since >= onDelayMs) timer.active = true;
+                    timers.set(key, timer);
+                    seen.add(key);
+                });
+
+                // Conditions that went away clear after the off-delay; pending ones are dropped
+                timers.forEach((timer, key) => {
+                    if (!key.startsWith(`${rule.id}|`) || seen.has(key)) return;
+                    if (!timer.active) {
+                        timers.delete(key);
+                        return;
+                    }
+                    if (timer.clearSince === null || timer.clearSince === undefined) timer.clearSince = input.now;
+                    if (input.now - timer.clearSince >= offDelayMs) timers.delete(key);
+                });
+            });
+
+            const rank = severity => SEVERITIES.length - SEVERITIES.indexOf(severity);
+            timers.forEach(timer => {
+                if (!timer.active) return;
+                const condition = timer.condition;
+                const key = `${condition.moduleId}|${condition.type}`;
+                const existing = active.get(key);
+                if (!existing || rank(condition.severity) > rank(existing.severity)) active.set(key, condition);
+            });
+            return [...active.values()];
+        }
+
+        /**
+         * Whether an on- or off-delay is running, so a later evaluation can change the result
+         */
+        function hasPending() {
+            return [...timers.values()].some(timer => !timer.active || (timer.clearSince !== null && timer.clearSince !== undefined));
+        }
+
+        /**
+         * The status rule that raises and clears an indicator's alarm without delay, if any
+         * Such alarms can be taken straight from the gateway's alarm messages.
+         */
+        function getImmediateStatusRule(moduleId, statusType) {
+            return enabledRules.find(rule => rule.kind === 'status' && appliesTo(rule, moduleId) &&
+                (rule.statusTypes.includes('*') || rule.statusTypes.includes(statusType)) &&
+                !rule.onDelaySec && !rule.offDelaySec) || null;
+        }
+
+        return { evaluate, hasPending, getImmediateStatusRule, rules: enabledRules };
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    return {
+        KINDS: KINDS,
+        SEVERITIES: SEVERITIES,
+        GROUP_BY: GROUP_BY,
+        DEFAULT_WINDOW_SEC: DEFAULT_WINDOW_SEC,
+        validateRules: validateRules,
+        createEngine: createEngine,
+        evaluateGroupRule: evaluateGroupRule,
+        getGroupName: getGroupName,
+        describeStatus: describeStatus
+    };
+});
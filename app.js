@@ -13,9 +13,15 @@
         '/diagnostics': 'view-diagnostics',
         '/trends': 'view-trends',
         '/alarms': 'view-alarms',
+        '/alarm-analytics': 'view-alarm-analytics',
         '/rag-chat': 'view-rag-chat'
     };
 
+    // Routes with a parameter; the view reads it from the hash (e.g. #/module/M023)
+    const patternRoutes = [
+        { pattern: /^\/module\/[^/]+$/, viewId: 'view-module-detail', navRoute: '/module-overview' }
+    ];
+
     const defaultRoute = '/config';
 
     /**
@@ -48,6 +54,9 @@
             route = '/' + route;
         }
 
+        // Views keep their own state in a query (e.g. #/alarms?severity=CRITICAL)
+        route = route.split('?')[0];
+
         // Navigate to the route
         navigateToRoute(route);
     }
@@ -59,6 +68,13 @@
     function navigateToRoute(route) {
         // Check if route exists
         let viewId = routes[route];
+        let navRoute = route;
+
+        const patternRoute = patternRoutes.find(candidate => candidate.pattern.test(route));
+        if (!viewId && patternRoute) {
+            viewId = patternRoute.viewId;
+            navRoute = patternRoute.navRoute;
+        }
 
         if (!viewId) {
             // If route doesn't exist, redirect to default (with safety check)
@@ -87,7 +103,7 @@
         }
 
         // Update active navigation item
-        updateActiveNavItem(route);
+        updateActiveNavItem(navRoute);
     }
 
     /**
@@ -134,1483 +150,9765 @@
 })();
 
 /**
- * Module Overview Implementation
- * Extensible, data-driven architecture for monitoring module statuses
+ * View Helpers
+ * Date and duration formatting, HTML escaping, summary tables and file
+ * downloads shared by the alarm, analytics, module detail, trends and
+ * device file views
  */
 (function() {
     'use strict';
 
-    // ============================================================================
-    // CONFIGURATION CONSTANTS - Easy to modify for future extensibility
-    // ============================================================================
+    const pad = value => String(value).padStart(2, '0');
 
     /**
-     * Grid size configuration
-     * Change this to create different grid sizes (e.g., 10 for 10x10 grid)
+     * Format a date as local time, e.g. 2025-01-31 14:05:09
+     * @param {Object} options - { seconds: false } to stop at minutes
      */
-    const GRID_SIZE = 8; // 8x8 = 64 modules
-    const TOTAL_MODULES = GRID_SIZE * GRID_SIZE;
+    function formatTimestamp(date, options = {}) {
+        const text = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        return options.seconds === false ? text : `${text}:${pad(date.getSeconds())}`;
+    }
 
     /**
-     * Status types - Easy to extend by adding more status types
-     * Each module will have all these status indicators
+     * Format a duration, e.g. 2d 4h, 3h 12m, 5m or 40s
      */
-    const STATUS_TYPES = [
-        'Gating OK',
-        'Overtemp',
-        'Comm Lost',
-        'Power Supply Error',
-        'Fan Fail',
-        'Vdc Fault',
-        'Sync Fault',
-        'Interlock',
-        'Voltage Level',
-        'Current Level',
-        'Thermal Status',
-        'Self Test'
-    ];
+    function formatDuration(milliseconds) {
+        const seconds = Math.floor(milliseconds / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+
+        if (days > 0) return `${days}d ${hours % 24}h`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        if (minutes > 0) return `${minutes}m`;
+        return `${seconds}s`;
+    }
 
     /**
-     * Status values and their display properties
-     * Priority: CRITICAL > WARNING > DEGRADED > OK
+     * Text safe for HTML content and attribute values; null and undefined become empty
      */
-    const STATUS_VALUES = {
-        OK: {
-            label: 'OK',
-            class: 'status-ok',
-            priority: 1,
-            color: '#2d5f4d'
-        },
-        DEGRADED: {
-            label: 'DEGRADED',
-            class: 'status-degraded',
-            priority: 2,
-            color: '#d4a850'
-        },
-        WARNING: {
-            label: 'WARNING',
-            class: 'status-warning',
-            priority: 3,
-            color: '#e67e50'
-        },
-        CRITICAL: {
-            label: 'CRITICAL',
-            class: 'status-critical',
-            priority: 4,
-            color: '#c84848'
-        }
-    };
+    function escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+    }
 
-    // ============================================================================
-    // DATA STRUCTURES
-    // ============================================================================
+    function createSeverityBadge(severity) {
+        const badge = document.createElement('span');
+        badge.className = `analytics-severity ${severity.toLowerCase()}`;
+        badge.textContent = severity;
+        return badge;
+    }
 
     /**
-     * Generate module list based on grid size
-     * Modules are named M001, M002, ..., M064 (or up to TOTAL_MODULES)
+     * Fill a table body; each row is a list of cells, text or elements
+     * @param {HTMLElement|string} tbody - The table body or its ID
      */
-    function generateModules() {
-        const modules = [];
-        for (let i = 1; i <= TOTAL_MODULES; i++) {
-            const moduleNumber = String(i).padStart(3, '0');
-            modules.push({
-                id: `M${moduleNumber}`,
-                name: `M${i}`,
-                displayName: `M${moduleNumber}`
-            });
+    function renderTable(tbody, rows, emptyText, columnCount) {
+        const element = typeof tbody === 'string' ? document.getElementById(tbody) : tbody;
+        if (!element) return;
+        element.innerHTML = '';
+
+        if (rows.length === 0) {
+            const cell = element.insertRow().insertCell();
+            cell.colSpan = columnCount;
+            cell.className = 'analytics-empty';
+            cell.textContent = emptyText;
+            return;
         }
-        return modules;
-    }
 
-    const modules = generateModules();
+        rows.forEach(cells => {
+            const row = element.insertRow();
+            cells.forEach(content => {
+                const cell = row.insertCell();
+                if (content instanceof window.Node) {
+                    cell.appendChild(content);
+                } else {
+                    cell.textContent = content;
+                }
+            });
+        });
+    }
 
     /**
-     * Generate realistic mock data for all modules
-     * Distribution: ~50-55 green (OK), ~4-6 red (CRITICAL), ~3-5 orange (WARNING), ~2-4 yellow (DEGRADED)
+     * Save a Blob through a temporary download link
      */
-    function generateModuleData() {
-        const moduleData = {};
-
-        // Define which modules should have errors/warnings for demonstration
-        // These specific modules will show different error states
-        const criticalModules = [7, 15, 23, 38, 47, 59]; // 6 modules with critical errors
-        const warningModules = [3, 12, 29, 41, 53]; // 5 modules with warnings
-        const degradedModules = [5, 19, 35]; // 3 modules with degraded status
-
-        modules.forEach((module, moduleIndex) => {
-            const statuses = {};
-            const moduleNum = moduleIndex + 1;
+    function saveBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
 
-            // Determine if this module has any issues
-            const hasCritical = criticalModules.includes(moduleNum);
-            const hasWarning = warningModules.includes(moduleNum);
-            const hasDegraded = degradedModules.includes(moduleNum);
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.viewHelpers = {
+        formatTimestamp: formatTimestamp,
+        formatDuration: formatDuration,
+        escapeHtml: escapeHtml,
+        createSeverityBadge: createSeverityBadge,
+        renderTable: renderTable,
+        saveBlob: saveBlob
+    };
 
-            STATUS_TYPES.forEach((statusType, statusIndex) => {
-                let status = 'OK'; // Default to OK
+})();
 
-                // Assign specific errors to specific modules for realistic demonstration
-                // Using modulo to distribute errors across different status types within a module
-                if (hasCritical) {
-                    // Give critical modules 1-2 critical statuses
-                    // The modulo operation ensures different status types fail for different modules
-                    if (statusIndex === (moduleNum % STATUS_TYPES.length) ||
-                        statusIndex === ((moduleNum + 1) % STATUS_TYPES.length)) {
-                        status = 'CRITICAL';
-                    }
-                } else if (hasWarning) {
-                    // Give warning modules 1 warning status
-                    // Using modulo ensures each warning module fails on a different status type
-                    if (statusIndex === (moduleNum % STATUS_TYPES.length)) {
-                        status = 'WARNING';
-                    }
-                } else if (hasDegraded) {
-                    // Give degraded modules 1 degraded status
-                    // Using modulo ensures each degraded module fails on a different status type
-                    if (statusIndex === (moduleNum % STATUS_TYPES.length)) {
-                        status = 'DEGRADED';
-                    }
-                }
+/**
+ * Data Source Layer
+ * Pluggable providers (mock, HTTP/JSON, replay) that feed module status data to every view
+ */
+(function() {
+    'use strict';
 
-                statuses[statusType] = status;
-            });
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
 
-            moduleData[module.id] = statuses;
-        });
+    const STORAGE_KEY_DATA_SOURCE = 'statcom_data_source';
+    const DEFAULT_PROVIDER = 'mock';
+    const DEFAULT_HTTP_POLL_INTERVAL_MS = 5000;
+    const DEFAULT_REPLAY_INTERVAL_MS = 5000;
+    const MIN_POLL_INTERVAL_MS = 1000;
 
-        return moduleData;
-    }
+    // ============================================================================
+    // STATE
+    // ============================================================================
 
     /**
-     * Calculate aggregate/overall module status based on worst individual status
-     *
-     * This function ensures data consistency between module tile colors and their detail panel statuses.
-     * The tile color MUST accurately reflect the worst status among all 12 status indicators.
-     *
-     * The 12 status indicators evaluated are:
-     *   1. Gating OK         2. Overtemp           3. Comm Lost          4. Power Supply Error
-     *   5. Fan Fail          6. Vdc Fault          7. Sync Fault         8. Interlock
-     *   9. Voltage Level    10. Current Level     11. Thermal Status    12. Self Test
-     *
-     * Priority hierarchy (worst to best):
-     *   CRITICAL (priority 4, red)    - Most severe, requires immediate attention
-     *   WARNING  (priority 3, orange) - Attention needed
-     *   DEGRADED (priority 2, yellow) - Performance degraded but operational
-     *   OK       (priority 1, green)  - Normal operation
-     *
-     * Algorithm:
-     *   1. Start with OK status (lowest priority)
-     *   2. Iterate through all 12 status indicators
-     *   3. Track the status with highest priority number
-     *   4. Return the worst status found
-     *
-     * This ensures the module tile color always reflects the worst-case scenario,
-     * maintaining consistency with the detail panel display.
+     * Registered provider factories, keyed by provider name
      *
-     * @param {Object} moduleStatuses - Object containing all 12 status types and their values
-     * @returns {string} The worst status value ('OK', 'DEGRADED', 'WARNING', or 'CRITICAL')
+     * A factory receives the provider options and returns a provider object:
+     *   load()        -> Promise resolving to module data ({ M001: { 'Gating OK': 'OK', ... }, ... })
+     *   start(emit)   -> optional, begin pushing updates by calling emit(moduleData)
+     *   stop()        -> optional, release timers and connections
      */
-    function getAggregateModuleStatus(moduleStatuses) {
-        let worstStatus = 'OK';
-        let highestPriority = 0;
+    const providerFactories = {};
+
+    let activeProvider = null;
+    let activeProviderName = null;
+    let activeOptions = {};
+    let snapshot = null;
+    let lastUpdated = null;
+    let lastError = null;
+    let lastErrorProvider = null;
+    let generation = 0;
+    let switchRequest = 0;
+    const listeners = new Set();
 
-        // Iterate through all status indicators to find the worst one
-        Object.values(moduleStatuses).forEach(status => {
-            const statusPriority = STATUS_VALUES[status].priority;
-            if (statusPriority > highestPriority) {
-                highestPriority = statusPriority;
-                worstStatus = status;
-            }
-        });
+    // ============================================================================
+    // PROVIDER REGISTRY
+    // ============================================================================
 
-        return worstStatus;
+    /**
+     * Register a data provider factory
+     * @param {string} name - Provider name used by use() and the Config view
+     * @param {Function} factory - (options) => provider
+     */
+    function registerProvider(name, factory) {
+        if (typeof factory !== 'function') {
+            throw new TypeError(`Provider factory for "${name}" must be a function`);
+        }
+        providerFactories[name] = factory;
     }
 
     /**
-     * Validate module data consistency
-     *
-     * Checks that each module's tile color correctly reflects its worst status indicator.
-     * Logs warnings to console if any inconsistencies are detected.
-     *
-     * @param {Object} moduleData - The complete module data object containing status for all modules
-     * @returns {Array} Array of inconsistency reports (empty if all consistent)
+     * Switch to a provider and load its first snapshot
+     * The current provider keeps running until the new one has loaded, so a
+     * bad configuration or an unreachable source leaves live updates in place.
+     * @param {string} name - Registered provider name
+     * @param {Object} options - Provider-specific options
+     * @returns {Promise<Object>} Resolves with the first module data snapshot
      */
-    function validateModuleConsistency(moduleData) {
-        const inconsistencies = [];
+    function use(name, options = {}) {
+        const factory = providerFactories[name];
+        if (!factory) {
+            return Promise.reject(new Error(`Unknown data provider: ${name}`));
+        }
 
-        // Iterate through all modules defined in the outer scope
-        // 'modules' is accessible from the parent closure (defined at line 224)
-        modules.forEach(module => {
-            const moduleStatuses = moduleData[module.id];
-            const calculatedStatus = getAggregateModuleStatus(moduleStatuses);
+        let provider;
+        try {
+            provider = factory(options);
+        } catch (error) {
+            reportError(error, name);
+            return Promise.reject(error);
+        }
 
-            // Count statuses by type for detailed reporting
-            const statusCounts = { OK: 0, DEGRADED: 0, WARNING: 0, CRITICAL: 0 };
-            Object.entries(moduleStatuses).forEach(([statusType, status]) => {
-                statusCounts[status]++;
-            });
+        // Only the latest switch takes over, however the loads finish
+        const request = ++switchRequest;
 
-            // Verify that the calculated aggregate matches what would be displayed
-            const tile = document.querySelector(`[data-module-id="${module.id}"]`);
-            if (tile) {
-                let displayedStatus = 'OK';
-                if (tile.classList.contains('status-critical')) displayedStatus = 'CRITICAL';
-                else if (tile.classList.contains('status-warning')) displayedStatus = 'WARNING';
-                else if (tile.classList.contains('status-degraded')) displayedStatus = 'DEGRADED';
+        return Promise.resolve()
+            .then(() => provider.load())
+            .then(moduleData => {
+                if (request !== switchRequest) {
+                    stopProvider(provider);
+                    return snapshot;
+                }
 
-                if (displayedStatus !== calculatedStatus) {
-                    const issue = {
-                        moduleId: module.id,
-                        expected: calculatedStatus,
-                        displayed: displayedStatus,
-                        statusCounts: statusCounts,
-                        message: `Module ${module.id}: Tile shows ${displayedStatus} but should show ${calculatedStatus}`
-                    };
-                    inconsistencies.push(issue);
-                    console.warn('⚠️ Data Inconsistency Detected:', issue);
+                stopProvider(activeProvider);
+                const providerGeneration = ++generation;
+                activeProvider = provider;
+                activeProviderName = name;
+                activeOptions = options;
+                lastError = null;
+
+                // Ignore data arriving from a provider that has since been replaced
+                const emit = (data) => {
+                    if (providerGeneration === generation) {
+                        publish(data);
+                    }
+                };
+
+                emit(moduleData);
+                if (typeof provider.start === 'function') {
+                    provider.start(emit, reportError);
                 }
-            }
-        });
+                return snapshot;
+            }, error => {
+                stopProvider(provider);
+                if (request === switchRequest) {
+                    reportError(error, name);
+                }
+                throw error;
+            });
+    }
 
-        if (inconsistencies.length === 0) {
-            console.log('✅ All modules validated: No data inconsistencies detected');
-        } else {
-            console.error(`❌ Found ${inconsistencies.length} data inconsistencies`);
+    /**
+     * Stop a provider, if it has anything to release
+     */
+    function stopProvider(provider) {
+        if (provider && typeof provider.stop === 'function') {
+            try {
+                provider.stop();
+            } catch (error) {
+                console.error('Error stopping data provider:', error);
+            }
         }
+    }
 
-        return inconsistencies;
+    /**
+     * Reload data from the active provider on demand
+     * @returns {Promise<Object>} Resolves with the refreshed snapshot
+     */
+    function refresh() {
+        if (!activeProvider) {
+            return Promise.reject(new Error('No data provider is active'));
+        }
+        const providerGeneration = generation;
+        return activeProvider.load()
+            .then(moduleData => {
+                if (providerGeneration === generation) {
+                    publish(moduleData);
+                }
+                return snapshot;
+            })
+            .catch(error => {
+                reportError(error);
+                throw error;
+            });
     }
 
     // ============================================================================
-    // STATE MANAGEMENT
-    // ============================================================================
-
-    let moduleData = {};
-    let selectedModuleId = null;
-
-    // ============================================================================
-    // INITIALIZATION
+    // SUBSCRIPTIONS
     // ============================================================================
 
     /**
-     * Initialize Module Overview
+     * Store a new snapshot and notify subscribers
+     * @param {Object} moduleData - Module status map keyed by module ID
      */
-    function initModuleOverview() {
-        // Generate module data
-        moduleData = generateModuleData();
+    function publish(moduleData) {
+        snapshot = normalizeModuleData(moduleData);
+        lastUpdated = new Date();
+        lastError = null;
+
+        const info = getInfo();
+        listeners.forEach(listener => {
+            try {
+                listener(snapshot, info);
+            } catch (error) {
+                console.error('Data source subscriber failed:', error);
+            }
+        });
+    }
 
-        // Render module grid
-        renderModuleGrid();
+    /**
+     * Merge partial module data (e.g. pushed by the live channel) into the snapshot
+     * @param {Object} partialModuleData - { M001: { 'Fan Fail': 'WARNING' } }
+     */
+    function merge(partialModuleData) {
+        const merged = { ...(snapshot || {}) };
+        Object.entries(normalizeModuleData(partialModuleData)).forEach(([moduleId, statuses]) => {
+            merged[moduleId] = { ...(merged[moduleId] || {}), ...statuses };
+        });
+        publish(merged);
+    }
 
-        // Render initial status legend
-        renderStatusLegend();
+    /**
+     * Record a provider error; the last good snapshot stays in place
+     */
+    function reportError(error, providerName = activeProviderName) {
+        lastError = error;
+        lastErrorProvider = providerName;
+        console.error(`Data provider "${providerName}" failed:`, error);
+        renderSourceStatus();
+    }
 
-        // Set up event delegation for module selection
-        const moduleGrid = document.getElementById('module-grid');
-        if (moduleGrid) {
-            moduleGrid.addEventListener('click', handleModuleClick);
+    /**
+     * Subscribe to module data updates
+     * The listener is called immediately when a snapshot is already available.
+     * @param {Function} listener - (moduleData, info) => void
+     * @returns {Function} Unsubscribe function
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        if (snapshot) {
+            listener(snapshot, getInfo());
         }
-
-        // Validate data consistency after initial render
-        // Use setTimeout to ensure DOM is fully rendered
-        setTimeout(() => {
-            console.log('🔍 Running module data consistency validation...');
-            validateModuleConsistency(moduleData);
-        }, 100);
+        return () => listeners.delete(listener);
     }
 
-    // ============================================================================
-    // RENDERING FUNCTIONS
-    // ============================================================================
-
     /**
-     * Render the module grid
-     * Creates a dynamic grid based on GRID_SIZE configuration
+     * Describe the active provider and freshness of the snapshot
      */
-    function renderModuleGrid() {
-        const moduleGrid = document.getElementById('module-grid');
-        if (!moduleGrid) return;
+    function getInfo() {
+        return {
+            provider: activeProviderName,
+            options: activeOptions,
+            updatedAt: lastUpdated,
+            error: lastError
+        };
+    }
 
-        // Set CSS Grid columns based on GRID_SIZE
-        moduleGrid.style.gridTemplateColumns = `repeat(${GRID_SIZE}, 1fr)`;
+    /**
+     * Accept either a bare module map or a { modules: {...} } envelope
+     * Status values are upper-cased so 'ok' and 'OK' are treated the same.
+     */
+    function normalizeModuleData(payload) {
+        const source = payload && payload.modules && typeof payload.modules === 'object' ? payload.modules : payload;
+        const moduleData = {};
 
-        moduleGrid.innerHTML = '';
+        Object.entries(source || {}).forEach(([moduleId, statuses]) => {
+            const normalizedStatuses = {};
+            Object.entries(statuses || {}).forEach(([statusType, value]) => {
+                normalizedStatuses[statusType] = String(value).toUpperCase();
+            });
+            moduleData[moduleId] = normalizedStatuses;
+        });
 
-        modules.forEach(module => {
-            const moduleStatuses = moduleData[module.id];
-            const aggregateStatus = getAggregateModuleStatus(moduleStatuses);
-            const statusInfo = STATUS_VALUES[aggregateStatus];
+        return moduleData;
+    }
 
-            const moduleTile = document.createElement('div');
-            moduleTile.className = `module-tile ${statusInfo.class}`;
-            moduleTile.dataset.moduleId = module.id;
+    // ============================================================================
+    // BUILT-IN PROVIDERS
+    // ============================================================================
 
-            moduleTile.innerHTML = `
-                <div class="module-name">${module.name}</div>
-            `;
+    /**
+     * HTTP/JSON provider
+     * Polls a URL returning the module status map (or { modules: {...} }).
+     * The gateway session token is sent along when a session is open.
+     * @param {Object} options - { url, pollIntervalMs, headers }
+     */
+    function createHttpProvider(options) {
+        const url = options.url;
+        const pollIntervalMs = Math.max(MIN_POLL_INTERVAL_MS, options.pollIntervalMs || DEFAULT_HTTP_POLL_INTERVAL_MS);
+        let pollTimer = null;
+
+        function load() {
+            if (!url) {
+                return Promise.reject(new Error('HTTP data source requires a URL'));
+            }
+            const sessionHeaders = window.STATCOM.session ? window.STATCOM.session.getAuthHeaders() : {};
+            return fetch(url, { headers: { ...sessionHeaders, ...(options.headers || {}) }, cache: 'no-store' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status} ${response.statusText} from ${url}`);
+                    }
+                    return response.json();
+                });
+        }
 
-            moduleGrid.appendChild(moduleTile);
-        });
+        return {
+            load: load,
+            start(emit, fail) {
+                pollTimer = setInterval(() => {
+                    load().then(emit).catch(fail);
+                }, pollIntervalMs);
+            },
+            stop() {
+                if (pollTimer) {
+                    clearInterval(pollTimer);
+                    pollTimer = null;
+                }
+            }
+        };
     }
 
     /**
-     * Render status legend in the detail panel
-     * Shown when no module is selected
+     * Replay provider
+     * Plays back recorded frames, either given inline or fetched from a URL.
+     * Frames are module maps or { timestamp, modules } records; when timestamps
+     * are present the original spacing is kept (scaled by `speed`).
+     * @param {Object} options - { frames, url, intervalMs, speed, loop }
      */
-    function renderStatusLegend() {
-        const detailPanel = document.getElementById('module-detail-panel');
-        if (!detailPanel) return;
+    function createReplayProvider(options) {
+        const intervalMs = options.intervalMs || DEFAULT_REPLAY_INTERVAL_MS;
+        const speed = options.speed || 1;
+        const loop = options.loop !== false;
+        let frames = Array.isArray(options.frames) ? options.frames : null;
+        let frameIndex = 0;
+        let replayTimer = null;
+
+        function loadFrames() {
+            if (frames) {
+                return Promise.resolve(frames);
+            }
+            if (!options.url) {
+                return Promise.reject(new Error('Replay data source requires frames or a URL'));
+            }
+            return fetch(options.url, { cache: 'no-store' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status} ${response.statusText} from ${options.url}`);
+                    }
+                    return response.json();
+                })
+                .then(recording => {
+                    frames = Array.isArray(recording) ? recording : recording.frames;
+                    if (!Array.isArray(frames)) {
+                        throw new Error('Replay recording must be an array of frames or { frames: [...] }');
+                    }
+                    return frames;
+                });
+        }
 
-        // Create example status mapping for legend demonstration
-        // Shows variety of statuses: OK, CRITICAL, DEGRADED, WARNING
-        const exampleStatuses = ['OK', 'CRITICAL', 'DEGRADED', 'OK', 'WARNING'];
+        function getFrameDelay(index) {
+            const current = frames[index];
+            const next = frames[index + 1];
+            if (current && next && current.timestamp && next.timestamp) {
+                const delta = new Date(next.timestamp) - new Date(current.timestamp);
+                if (delta > 0) return delta / speed;
+            }
+            return intervalMs;
+        }
 
-        let statusTypesHtml = '';
-        STATUS_TYPES.forEach((statusType, index) => {
-            // Cycle through example statuses to show variety in legend
-            const exampleStatus = exampleStatuses[index % exampleStatuses.length];
-            const statusInfo = STATUS_VALUES[exampleStatus];
+        return {
+            load() {
+                return loadFrames().then(loadedFrames => {
+                    if (loadedFrames.length === 0) {
+                        throw new Error('Replay recording contains no frames');
+                    }
+                    frameIndex = 0;
+                    return loadedFrames[0];
+                });
+            },
+            start(emit) {
+                const scheduleNext = () => {
+                    replayTimer = setTimeout(() => {
+                        frameIndex++;
+                        if (frameIndex >= frames.length) {
+                            if (!loop) return;
+                            frameIndex = 0;
+                        }
+                        emit(frames[frameIndex]);
+                        scheduleNext();
+                    }, getFrameDelay(frameIndex));
+                };
+                scheduleNext();
+            },
+            stop() {
+                if (replayTimer) {
+                    clearTimeout(replayTimer);
+                    replayTimer = null;
+                }
+            }
+        };
+    }
 
-            statusTypesHtml += `
-                <div class="legend-item">
-                    <span class="legend-status ${statusInfo.class}"></span>
-                    <span class="legend-name">${statusType}</span>
-                    <span class="legend-label">${statusInfo.label}</span>
-                </div>
-            `;
-        });
+    registerProvider('http', createHttpProvider);
+    registerProvider('replay', createReplayProvider);
 
-        detailPanel.innerHTML = `
-            <div class="detail-header">
-                <h3>Status Legend</h3>
-                <p>12 Status Indicators per Module</p>
-            </div>
-            <div class="legend-container">
-                ${statusTypesHtml}
-            </div>
-            <div class="legend-footer">
-                <h4>Color Meanings:</h4>
-                <div class="color-meanings">
-                    <div class="color-meaning">
-                        <span class="color-box status-ok"></span>
-                        <span>Green = OK/Normal</span>
-                    </div>
-                    <div class="color-meaning">
-                        <span class="color-box status-critical"></span>
-                        <span>Red = Critical Error</span>
-                    </div>
-                    <div class="color-meaning">
-                        <span class="color-box status-warning"></span>
-                        <span>Orange = Warning</span>
-                    </div>
-                    <div class="color-meaning">
-                        <span class="color-box status-degraded"></span>
-                        <span>Yellow = Degraded</span>
-                    </div>
-                </div>
-            </div>
-        `;
-    }
+    // ============================================================================
+    // CONFIG VIEW - DATA SOURCE CARD
+    // ============================================================================
 
     /**
-     * Render the detail panel for a selected module
-     * Shows all 12 status indicators as colored cards
+     * Load saved provider selection from localStorage
      */
-    function renderDetailPanel(moduleId) {
-        const detailPanel = document.getElementById('module-detail-panel');
-        if (!detailPanel) return;
-
-        const module = modules.find(m => m.id === moduleId);
-        if (!module) return;
-
-        const moduleStatuses = moduleData[moduleId];
+    function loadSavedConfig() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY_DATA_SOURCE));
+            if (saved && providerFactories[saved.provider]) {
+                return saved;
+            }
+        } catch (e) {
+            console.error('Error reading saved data source:', e);
+        }
+        return { provider: DEFAULT_PROVIDER, options: {} };
+    }
 
-        let statusIndicatorsHtml = '';
-        STATUS_TYPES.forEach(statusType => {
-            const status = moduleStatuses[statusType];
-            const statusInfo = STATUS_VALUES[status];
+    /**
+     * Save provider selection to localStorage
+     */
+    function saveConfig(provider, options) {
+        try {
+            localStorage.setItem(STORAGE_KEY_DATA_SOURCE, JSON.stringify({ provider, options }));
+        } catch (e) {
+            console.error('Error saving data source:', e);
+        }
+    }
 
-            statusIndicatorsHtml += `
-                <div class="status-card ${statusInfo.class}">
-                    <span class="status-card-name">${statusType}</span>
-                    <span class="status-card-badge">${statusInfo.label}</span>
-                </div>
-            `;
-        });
+    /**
+     * Set up the data source form in the Config view
+     */
+    function initDataSourceForm() {
+        const providerSelect = document.getElementById('data-source-select');
+        const applyBtn = document.getElementById('data-source-apply-btn');
+        if (!providerSelect || !applyBtn) return;
 
-        detailPanel.innerHTML = `
-            <div class="detail-header">
-                <h3>Module ${module.displayName}</h3>
-                <p>Status Indicators</p>
-            </div>
-            <div class="status-cards-container">
-                ${statusIndicatorsHtml}
-            </div>
-        `;
+        providerSelect.addEventListener('change', updateFormVisibility);
+        applyBtn.addEventListener('click', handleApply);
     }
 
-    // ============================================================================
-    // EVENT HANDLERS
-    // ============================================================================
+    /**
+     * Reflect the active provider in the form fields
+     */
+    function fillDataSourceForm(provider, options) {
+        const providerSelect = document.getElementById('data-source-select');
+        const urlInput = document.getElementById('data-source-url-input');
+        const intervalInput = document.getElementById('data-source-interval-input');
+        if (!providerSelect) return;
+
+        providerSelect.value = provider;
+        if (urlInput) urlInput.value = options.url || '';
+        if (intervalInput) {
+            const interval = options.pollIntervalMs || options.intervalMs;
+            intervalInput.value = interval ? Math.round(interval / 1000) : '';
+        }
+        updateFormVisibility();
+    }
 
     /**
-     * Handle module tile click
+     * Only show URL and interval fields for providers that use them
      */
-    function handleModuleClick(event) {
-        const moduleTile = event.target.closest('.module-tile');
-        if (!moduleTile) return;
+    function updateFormVisibility() {
+        const providerSelect = document.getElementById('data-source-select');
+        const remoteFields = document.getElementById('data-source-remote-fields');
+        if (!providerSelect || !remoteFields) return;
 
-        const moduleId = moduleTile.dataset.moduleId;
+        remoteFields.style.display = providerSelect.value === DEFAULT_PROVIDER ? 'none' : 'block';
+    }
 
-        // Update selected module
-        selectedModuleId = moduleId;
+    /**
+     * Apply the provider selected in the Config view
+     */
+    function handleApply() {
+        const provider = document.getElementById('data-source-select').value;
+        const url = document.getElementById('data-source-url-input').value.trim();
+        const intervalSeconds = parseInt(document.getElementById('data-source-interval-input').value, 10);
+        const errorEl = document.getElementById('data-source-error');
+
+        if (errorEl) errorEl.textContent = '';
+
+        const options = {};
+        if (provider !== DEFAULT_PROVIDER) {
+            if (!url) {
+                if (errorEl) errorEl.textContent = 'URL is required for this data source';
+                return;
+            }
+            options.url = url;
+            if (!isNaN(intervalSeconds) && intervalSeconds > 0) {
+                options[provider === 'replay' ? 'intervalMs' : 'pollIntervalMs'] = intervalSeconds * 1000;
+            }
+        }
 
-        // Update UI
-        updateSelectedModule(moduleId);
-        renderDetailPanel(moduleId);
+        use(provider, options)
+            .then(() => {
+                saveConfig(provider, options);
+                renderSourceStatus();
+            })
+            .catch(error => {
+                // use() leaves the current provider running
+                if (errorEl) {
+                    errorEl.textContent = activeProviderName
+                        ? `${error.message} (still using ${activeProviderName})`
+                        : error.message;
+                }
+                renderSourceStatus();
+            });
     }
 
     /**
-     * Update selected module visual state
+     * Show active provider and last update time in the Config view
      */
-    function updateSelectedModule(moduleId) {
-        const allTiles = document.querySelectorAll('.module-tile');
-        allTiles.forEach(tile => {
-            tile.classList.remove('selected');
-        });
-
-        const selectedTile = document.querySelector(`[data-module-id="${moduleId}"]`);
-        if (selectedTile) {
-            selectedTile.classList.add('selected');
+    function renderSourceStatus() {
+        const statusEl = document.getElementById('data-source-status');
+        if (!statusEl) return;
+
+        if (lastError) {
+            statusEl.textContent = `${lastErrorProvider}: ${lastError.message}`;
+            statusEl.classList.add('error');
+        } else if (lastUpdated) {
+            statusEl.textContent = `${activeProviderName}: updated ${lastUpdated.toLocaleTimeString()}`;
+            statusEl.classList.remove('error');
+        } else {
+            statusEl.textContent = 'No data loaded';
+            statusEl.classList.remove('error');
         }
     }
 
-    // ============================================================================
-    // INITIALIZATION
-    // ============================================================================
+    /**
+     * Start the saved provider, falling back to the mock provider on failure
+     */
+    function startSavedProvider() {
+        initDataSourceForm();
+        subscribe(renderSourceStatus);
+
+        const saved = loadSavedConfig();
+        fillDataSourceForm(saved.provider, saved.options || {});
+
+        use(saved.provider, saved.options || {}).catch(error => {
+            if (saved.provider !== DEFAULT_PROVIDER && providerFactories[DEFAULT_PROVIDER]) {
+                console.warn(`Falling back to ${DEFAULT_PROVIDER} data source:`, error.message);
+                use(DEFAULT_PROVIDER, {});
+            }
+        });
+    }
 
-    // Initialize when DOM is ready
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initModuleOverview);
+        document.addEventListener('DOMContentLoaded', startSavedProvider);
     } else {
-        initModuleOverview();
+        // Defer so providers registered further down in this file are available
+        setTimeout(startSavedProvider, 0);
     }
 
     // ============================================================================
-    // GLOBAL API - Expose validation for testing and debugging
+    // GLOBAL API
     // ============================================================================
 
-    // Make validation and inspection functions available globally for manual testing
     window.STATCOM = window.STATCOM || {};
-    window.STATCOM.validateModules = function() {
-        console.log('🔍 Running manual module validation...');
-        return validateModuleConsistency(moduleData);
-    };
-    window.STATCOM.getModuleData = function(moduleId) {
-        if (moduleId) {
-            return moduleData[moduleId];
-        }
-        return moduleData;
-    };
-    window.STATCOM.getModuleStatus = function(moduleId) {
-        if (!moduleData[moduleId]) {
-            console.error(`Module ${moduleId} not found`);
-            return null;
-        }
-        const statuses = moduleData[moduleId];
-        const aggregate = getAggregateModuleStatus(statuses);
-        return {
-            moduleId: moduleId,
-            aggregateStatus: aggregate,
-            individualStatuses: statuses
-        };
+    window.STATCOM.dataSource = {
+        registerProvider: registerProvider,
+        use: use,
+        refresh: refresh,
+        merge: merge,
+        subscribe: subscribe,
+        getSnapshot: () => snapshot,
+        getInfo: getInfo
     };
 
 })();
 
 /**
- * Trends Page Implementation
- * Interactive Chart.js visualizations for module data over time
+ * Module Topology
+ * The one definition of which modules exist and where they sit: phases,
+ * clusters of cascaded H-bridge cells, and the cabinets that hold them
+ *
+ * Every view builds its module lists from here. The definition is JSON,
+ * edited or imported in the Config view and saved in this browser; the
+ * built-in default is the 64-module system the demonstration data uses.
+ *
+ * Definition format (JSON):
+ *   name         System name
+ *   connection   'star' or 'delta' (phase legs between two lines)
+ *   gridColumns  Tiles per row in the Module Overview grid (default 8)
+ *   phases       [{ id, name, clusters }]
+ *   clusters     [{ id, name, cabinets }] or [{ id, name, modules }]
+ *   cabinets     [{ id, name, modules }]
+ *   modules      A count of modules numbered on from the previous ones
+ *                (M001, M002, ...), or a list of IDs or { id, name }
  */
 (function() {
     'use strict';
 
-    // Chart instances
-    let voltageChart = null;
-    let currentChart = null;
-    let temperatureChart = null;
-    let powerFactorChart = null;
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
 
-    // Current state
-    let selectedModuleId = null;
-    let currentTimeRange = '1h'; // '1h' or '24h'
+    const STORAGE_KEY = 'statcom_topology';
+    const CONNECTIONS = ['star', 'delta'];
+    const DEFAULT_GRID_COLUMNS = 8;
+    const MAX_MODULES = 999;
+    const MODULE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+    // Three star-connected phase legs of 22, 21 and 21 cells, two cabinets each
+    const DEFAULT_TOPOLOGY = {
+        name: 'STATCOM-001',
+        connection: 'star',
+        gridColumns: DEFAULT_GRID_COLUMNS,
+        phases: [
+            {
+                id: 'A',
+                name: 'Phase A',
+                clusters: [{ id: 'A', name: 'Cluster A', cabinets: [{ id: 'A1', name: 'Cabinet A1', modules: 11 }, { id: 'A2', name: 'Cabinet A2', modules: 11 }] }]
+            },
+            {
+                id: 'B',
+                name: 'Phase B',
+                clusters: [{ id: 'B', name: 'Cluster B', cabinets: [{ id: 'B1', name: 'Cabinet B1', modules: 11 }, { id: 'B2', name: 'Cabinet B2', modules: 10 }] }]
+            },
+            {
+                id: 'C',
+                name: 'Phase C',
+                clusters: [{ id: 'C', name: 'Cluster C', cabinets: [{ id: 'C1', name: 'Cabinet C1', modules: 11 }, { id: 'C2', name: 'Cabinet C2', modules: 10 }] }]
+            }
+        ]
+    };
+
+    // ============================================================================
+    // VALIDATION
+    // ============================================================================
+
+    function isNamed(item) {
+        return item && typeof item === 'object' && typeof item.id === 'string' && item.id !== '' &&
+            (item.name === undefined || typeof item.name === 'string');
+    }
 
     /**
-     * Initialize Trends page
+     * Check a topology definition
+     * @returns {Array<string>} Error messages, empty when valid
      */
-    function initTrends() {
-        // Populate module selector
-        populateModuleSelector();
+    function validateTopology(definition) {
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            return ['Topology must be a JSON object'];
+        }
 
-        // Set up event listeners
-        setupEventListeners();
+        const errors = [];
+        const moduleIds = new Set();
+        let moduleCount = 0;
 
-        // Initialize charts with default module (first module with issues)
-        const defaultModule = getDefaultModule();
-        if (defaultModule) {
-            selectedModuleId = defaultModule;
-            document.getElementById('module-selector').value = defaultModule;
-            initializeCharts();
+        if (definition.connection !== undefined && !CONNECTIONS.includes(definition.connection)) {
+            errors.push(`connection must be ${CONNECTIONS.join(' or ')}`);
+        }
+        if (definition.gridColumns !== undefined && !(Number.isInteger(definition.gridColumns) && definition.gridColumns >= 1)) {
+            errors.push('gridColumns must be a whole number of 1 or more');
+        }
+        if (!Array.isArray(definition.phases) || definition.phases.length === 0) {
+            errors.push('phases must list at least one phase');
+            return errors;
         }
-    }
 
-    /**
-     * Show error message when Chart.js fails to load
+        const checkModules = (modules, label) => {
+            if (Number.isInteger(modules) && modules >= 1) {
+                for (let i = 0; i < modules; i++) {
+                    const id = `M${String(moduleCount + 1).padStart(3, '0')}`;
+                    if (moduleIds.has(id)) errors.push(`${label}: module ${id} is listed more than once`);
+                    moduleIds.add(id);
+                    moduleCount++;
+                }
+                return;
+            }
+            if (!Array.isArray(modules) || modules.length === 0) {
+                errors.push(`${label}: modules must be a count or a list of modules`);
+                return;
+            }
+            modules.forEach(module => {
+                const id = typeof module === 'string' ? module : module && module.id;
+                if (typeof id !== 'string' || !MODULE_ID_PATTERN.test(id)) {
+                    errors.push(`${label}: module IDs use letters, digits, dashes and underscores`);
+                } else if (moduleIds.has(id)) {
+                    errors.push(`${label}: module ${id} is listed more than once`);
+                }
+                moduleIds.add(id);
+                moduleCount++;
+            });
+        };
+
+        definition.phases.forEach((phase, phaseIndex) => {
+            const phaseLabel = isNamed(phase) ? `Phase "${phase.id}"` : `Phase ${phaseIndex + 1}`;
+            if (!isNamed(phase)) errors.push(`${phaseLabel}: needs an id, and a name if given must be text`);
+            if (!phase || !Array.isArray(phase.clusters) || phase.clusters.length === 0) {
+                errors.push(`${phaseLabel}: clusters must list at least one cluster`);
+                return;
+            }
+
+            phase.clusters.forEach((cluster, clusterIndex) => {
+                const clusterLabel = isNamed(cluster) ? `Cluster "${cluster.id}"` : `${phaseLabel} cluster ${clusterIndex + 1}`;
+                if (!isNamed(cluster)) errors.push(`${clusterLabel}: needs an id, and a name if given must be text`);
+                if (!cluster) return;
+
+                if (cluster.cabinets !== undefined) {
+                    if (!Array.isArray(cluster.cabinets) || cluster.cabinets.length === 0) {
+                        errors.push(`${clusterLabel}: cabinets must list at least one cabinet`);
+                        return;
+                    }
+                    cluster.cabinets.forEach((cabinet, cabinetIndex) => {
+                        const cabinetLabel = isNamed(cabinet) ? `Cabinet "${cabinet.id}"` : `${clusterLabel} cabinet ${cabinetIndex + 1}`;
+                        if (!isNamed(cabinet)) errors.push(`${cabinetLabel}: needs an id, and a name if given must be text`);
+                        checkModules(cabinet && cabinet.modules, cabinetLabel);
+                    });
+                } else {
+                    checkModules(cluster.modules, clusterLabel);
+                }
+            });
+        });
+
+        if (moduleCount > MAX_MODULES) errors.push(`At most ${MAX_MODULES} modules are supported`);
+        return errors;
+    }
+
+    // ============================================================================
+    // TOPOLOGY MODEL
+    // ============================================================================
+
+    /**
+     * Flatten a valid definition into the module list the views use
+     * @returns {Object} { name, connection, gridColumns, phases, modules }
+     *   phases: [{ id, name, clusters: [{ id, name, cabinets: [{ id, name, moduleIds }] }] }]
+     *   modules: [{ id, name, displayName, index, phaseId, phaseName, clusterId, clusterName, cabinetId, cabinetName }]
+     */
+    function buildTopology(definition) {
+        const modules = [];
+
+        const addModules = (entries, location) => {
+            const list = Number.isInteger(entries)
+                ? Array.from({ length: entries }, (_, i) => `M${String(modules.length + i + 1).padStart(3, '0')}`)
+                : entries;
+            return list.map(entry => {
+                const id = typeof entry === 'string' ? entry : entry.id;
+                const customName = typeof entry === 'object' && entry.name ? entry.name : null;
+                const number = parseInt(id.replace(/^\D+/, ''), 10);
+                modules.push({
+                    id: id,
+                    // Tile label: "M7" for M007, or the custom name
+                    name: customName || (isNaN(number) ? id : `M${number}`),
+                    displayName: customName ? `${id} (${customName})` : id,
+                    index: modules.length,
+                    ...location
+                });
+                return id;
+            });
+        };
+
+        const phases = definition.phases.map(phase => {
+            const phaseName = phase.name || `Phase ${phase.id}`;
+            return {
+                id: phase.id,
+                name: phaseName,
+                clusters: phase.clusters.map(cluster => {
+                    const clusterName = cluster.name || `Cluster ${cluster.id}`;
+                    const location = { phaseId: phase.id, phaseName: phaseName, clusterId: cluster.id, clusterName: clusterName };
+                    const cabinets = cluster.cabinets
+                        ? cluster.cabinets.map(cabinet => {
+                            const cabinetName = cabinet.name || `Cabinet ${cabinet.id}`;
+                            return {
+                                id: cabinet.id,
+                                name: cabinetName,
+                                moduleIds: addModules(cabinet.modules, { ...location, cabinetId: cabinet.id, cabinetName: cabinetName })
+                            };
+                        })
+                        : [{ id: null, name: null, moduleIds: addModules(cluster.modules, { ...location, cabinetId: null, cabinetName: null }) }];
+                    return { id: cluster.id, name: clusterName, cabinets: cabinets };
+                })
+            };
+        });
+
+        return {
+            name: definition.name || 'STATCOM',
+            connection: definition.connection || 'star',
+            gridColumns: definition.gridColumns || DEFAULT_GRID_COLUMNS,
+            phases: phases,
+            modules: modules
+        };
+    }
+
+    function cloneDefault() {
+        return JSON.parse(JSON.stringify(DEFAULT_TOPOLOGY));
+    }
+
+    /**
+     * The saved definition, or the default when none is saved or it is invalid
+     */
+    function loadDefinition() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                const definition = JSON.parse(saved);
+                const errors = validateTopology(definition);
+                if (errors.length === 0) return definition;
+                console.warn('Saved module topology is invalid, using the default:', errors.join('; '));
+            }
+        } catch (error) {
+            console.warn('Could not read the saved module topology, using the default:', error.message);
+        }
+        return cloneDefault();
+    }
+
+    /**
+     * Parse and validate definition text
+     * @throws {Error} With every problem found
+     */
+    function parseDefinition(text) {
+        let definition;
+        try {
+            definition = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        const errors = validateTopology(definition);
+        if (errors.length > 0) throw new Error(errors.join('\n'));
+        return definition;
+    }
+
+    // Views build their module lists once, so a new topology applies after a reload
+    let definition = loadDefinition();
+    const topology = buildTopology(definition);
+    const modulesById = new Map(topology.modules.map(module => [module.id, module]));
+
+    /**
+     * Validate and save a definition, applied on the next page load
+     * @throws {Error} When the definition is invalid
+     */
+    function saveDefinition(newDefinition) {
+        const errors = validateTopology(newDefinition);
+        if (errors.length > 0) throw new Error(errors.join('\n'));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(newDefinition));
+        definition = newDefinition;
+    }
+
+    function resetDefinition() {
+        localStorage.removeItem(STORAGE_KEY);
+        definition = cloneDefault();
+        return definition;
+    }
+
+    /**
+     * Named module groups of one kind, in topology order
+     * @param {string} kind - 'phase' | 'cluster' | 'cabinet'
+     * @returns {Array<Object>} [{ id, name, moduleIds }]
+     */
+    function getGroups(kind) {
+        const groups = new Map();
+        topology.modules.forEach(module => {
+            const id = module[`${kind}Id`];
+            if (id === null || id === undefined) return;
+            if (!groups.has(id)) groups.set(id, { id: id, name: module[`${kind}Name`], moduleIds: [] });
+            groups.get(id).moduleIds.push(module.id);
+        });
+        return [...groups.values()];
+    }
+
+    // ============================================================================
+    // CONFIG VIEW - MODULE TOPOLOGY CARD
+    // ============================================================================
+
+    function describeTopology(model) {
+        const clusters = model.phases.reduce((sum, phase) => sum + phase.clusters.length, 0);
+        return `${model.modules.length} modules in ${model.phases.length} phase${model.phases.length === 1 ? '' : 's'} ` +
+            `and ${clusters} cluster${clusters === 1 ? '' : 's'}, ${model.connection} connected`;
+    }
+
+    function initTopologyForm() {
+        const input = document.getElementById('topology-input');
+        const saveBtn = document.getElementById('topology-save-btn');
+        const resetBtn = document.getElementById('topology-reset-btn');
+        const fileInput = document.getElementById('topology-file-input');
+        const errorEl = document.getElementById('topology-error');
+        const statusEl = document.getElementById('topology-status');
+        if (!input || !saveBtn) return;
+
+        const showStatus = message => {
+            errorEl.textContent = '';
+            statusEl.textContent = message;
+        };
+        const showError = error => {
+            errorEl.textContent = error.message;
+            statusEl.textContent = '';
+        };
+        const applyAfterReload = newDefinition => {
+            input.value = JSON.stringify(newDefinition, null, 2);
+            showStatus(`Saved: ${describeTopology(buildTopology(newDefinition))}`);
+            if (confirm('The module topology was saved. Reload the page now to apply it?')) {
+                window.location.reload();
+            }
+        };
+
+        input.value = JSON.stringify(definition, null, 2);
+        showStatus(`In use: ${describeTopology(topology)}`);
+
+        saveBtn.addEventListener('click', () => {
+            try {
+                const newDefinition = parseDefinition(input.value);
+                saveDefinition(newDefinition);
+                applyAfterReload(newDefinition);
+            } catch (error) {
+                showError(error);
+            }
+        });
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                if (!confirm('Replace the module topology with the default 64-module layout?')) return;
+                applyAfterReload(resetDefinition());
+            });
+        }
+
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = () => {
+                    input.value = reader.result;
+                    try {
+                        const model = buildTopology(parseDefinition(reader.result));
+                        showStatus(`Loaded ${file.name}: ${describeTopology(model)}. Save to use it.`);
+                    } catch (error) {
+                        showError(error);
+                    }
+                };
+                reader.onerror = () => showError(new Error(`Could not read ${file.name}`));
+                reader.readAsText(file);
+                fileInput.value = '';
+            });
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initTopologyForm);
+    } else {
+        initTopologyForm();
+    }
+
+    // ============================================================================
+    // GLOBAL API
+    // ============================================================================
+
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.topology = {
+        DEFAULT_TOPOLOGY: DEFAULT_TOPOLOGY,
+        validateTopology: validateTopology,
+        buildTopology: buildTopology,
+        saveDefinition: saveDefinition,
+        resetDefinition: resetDefinition,
+        getDefinition: () => JSON.parse(JSON.stringify(definition)),
+        getName: () => topology.name,
+        getConnection: () => topology.connection,
+        getGridColumns: () => topology.gridColumns,
+        getPhases: () => topology.phases,
+        getModules: () => topology.modules.slice(),
+        getModuleIds: () => topology.modules.map(module => module.id),
+        getModule: moduleId => modulesById.get(moduleId) || null,
+        getGroups: getGroups
+    };
+
+})();
+
+/**
+ * Module Overview Implementation
+ * Extensible, data-driven architecture for monitoring module statuses
+ */
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION CONSTANTS - Easy to modify for future extensibility
+    // ============================================================================
+
+    /**
+     * Grid layout comes from the module topology (gridColumns tiles per row)
+     */
+    const GRID_COLUMNS = window.STATCOM.topology.getGridColumns();
+
+    /**
+     * Layouts: a flat grid, or tiles grouped by phase, cluster and cabinet
+     * The chosen layout and collapsed groups are remembered in PREFERENCES_KEY
+     */
+    const LAYOUTS = ['grid', 'hierarchy'];
+    const COLOR_MODES = ['status', 'heatmap'];
+    const PREFERENCES_KEY = 'statcom_module_overview';
+    const DEFAULT_PREFERENCES = { layout: 'grid', collapsed: [], colorMode: 'status', heatmapMetric: 'temperature' };
+
+    /**
+     * Heatmap colour scale, cool to hot. Each metric runs from its cool value
+     * to the critical limit from the time-series store; power factor runs
+     * downwards because low values are the problem.
+     */
+    const HEATMAP_COLORS = [
+        [49, 54, 149], [69, 117, 180], [116, 173, 209], [171, 217, 233],
+        [254, 224, 144], [253, 174, 97], [244, 109, 67], [215, 48, 39], [165, 0, 38]
+    ];
+    const HEATMAP_COOL_VALUES = { voltage: 10.5, current: 100, temperature: 25, powerFactor: 1 };
+    const METRIC_NAMES = { voltage: 'Voltage', current: 'Current', temperature: 'Temperature', powerFactor: 'Power Factor' };
+
+    /**
+     * Shift-click comparison: at most this many modules side by side
+     */
+    const MAX_COMPARED_MODULES = 8;
+    const STATUS_ABBREVIATIONS = { OK: 'OK', DEGRADED: 'DEG', WARNING: 'WARN', CRITICAL: 'CRIT' };
+
+    /**
+     * Status shapes shown with the colours, so statuses read without colour
+     * vision; tiles also carry a CSS pattern per status
+     */
+    const STATUS_ICONS = { OK: '✓', DEGRADED: '◆', WARNING: '▲', CRITICAL: '✖' };
+
+    /**
+     * Status types - Easy to extend by adding more status types
+     * Each module will have all these status indicators
+     */
+    const STATUS_TYPES = [
+        'Gating OK',
+        'Overtemp',
+        'Comm Lost',
+        'Power Supply Error',
+        'Fan Fail',
+        'Vdc Fault',
+        'Sync Fault',
+        'Interlock',
+        'Voltage Level',
+        'Current Level',
+        'Thermal Status',
+        'Self Test'
+    ];
+
+    /**
+     * Status values and their display properties
+     * Priority: CRITICAL > WARNING > DEGRADED > OK
+     */
+    const STATUS_VALUES = {
+        OK: {
+            label: 'OK',
+            class: 'status-ok',
+            priority: 1,
+            color: '#2d5f4d'
+        },
+        DEGRADED: {
+            label: 'DEGRADED',
+            class: 'status-degraded',
+            priority: 2,
+            color: '#d4a850'
+        },
+        WARNING: {
+            label: 'WARNING',
+            class: 'status-warning',
+            priority: 3,
+            color: '#e67e50'
+        },
+        CRITICAL: {
+            label: 'CRITICAL',
+            class: 'status-critical',
+            priority: 4,
+            color: '#c84848'
+        }
+    };
+
+    // ============================================================================
+    // DATA STRUCTURES
+    // ============================================================================
+
+    /**
+     * Module list from the topology, in phase, cluster and cabinet order
+     * Each module has an id (M001), a tile name (M1) and a displayName (M001)
+     */
+    const modules = window.STATCOM.topology.getModules();
+
+    /**
+     * Generate realistic mock data for all modules
+     * Distribution: ~50-55 green (OK), ~4-6 red (CRITICAL), ~3-5 orange (WARNING), ~2-4 yellow (DEGRADED)
+     * Served to the views through the 'mock' data source provider registered below.
+     */
+    function generateModuleData() {
+        const moduleData = {};
+
+        // Define which modules should have errors/warnings for demonstration
+        // These specific modules will show different error states
+        const criticalModules = [7, 15, 23, 38, 47, 59]; // 6 modules with critical errors
+        const warningModules = [3, 12, 29, 41, 53]; // 5 modules with warnings
+        const degradedModules = [5, 19, 35]; // 3 modules with degraded status
+
+        modules.forEach((module, moduleIndex) => {
+            const statuses = {};
+            const moduleNum = moduleIndex + 1;
+
+            // Determine if this module has any issues
+            const hasCritical = criticalModules.includes(moduleNum);
+            const hasWarning = warningModules.includes(moduleNum);
+            const hasDegraded = degradedModules.includes(moduleNum);
+
+            STATUS_TYPES.forEach((statusType, statusIndex) => {
+                let status = 'OK'; // Default to OK
+
+                // Assign specific errors to specific modules for realistic demonstration
+                // Using modulo to distribute errors across different status types within a module
+                if (hasCritical) {
+                    // Give critical modules 1-2 critical statuses
+                    // The modulo operation ensures different status types fail for different modules
+                    if (statusIndex === (moduleNum % STATUS_TYPES.length) ||
+                        statusIndex === ((moduleNum + 1) % STATUS_TYPES.length)) {
+                        status = 'CRITICAL';
+                    }
+                } else if (hasWarning) {
+                    // Give warning modules 1 warning status
+                    // Using modulo ensures each warning module fails on a different status type
+                    if (statusIndex === (moduleNum % STATUS_TYPES.length)) {
+                        status = 'WARNING';
+                    }
+                } else if (hasDegraded) {
+                    // Give degraded modules 1 degraded status
+                    // Using modulo ensures each degraded module fails on a different status type
+                    if (statusIndex === (moduleNum % STATUS_TYPES.length)) {
+                        status = 'DEGRADED';
+                    }
+                }
+
+                statuses[statusType] = status;
+            });
+
+            moduleData[module.id] = statuses;
+        });
+
+        return moduleData;
+    }
+
+    /**
+     * Calculate aggregate/overall module status based on worst individual status
+     *
+     * This function ensures data consistency between module tile colors and their detail panel statuses.
+     * The tile color MUST accurately reflect the worst status among all 12 status indicators.
+     *
+     * The 12 status indicators evaluated are:
+     *   1. Gating OK         2. Overtemp           3. Comm Lost          4. Power Supply Error
+     *   5. Fan Fail          6. Vdc Fault          7. Sync Fault         8. Interlock
+     *   9. Voltage Level    10. Current Level     11. Thermal Status    12. Self Test
+     *
+     * Priority hierarchy (worst to best):
+     *   CRITICAL (priority 4, red)    - Most severe, requires immediate attention
+     *   WARNING  (priority 3, orange) - Attention needed
+     *   DEGRADED (priority 2, yellow) - Performance degraded but operational
+     *   OK       (priority 1, green)  - Normal operation
+     *
+     * Algorithm:
+     *   1. Start with OK status (lowest priority)
+     *   2. Iterate through all 12 status indicators
+     *   3. Track the status with highest priority number
+     *   4. Return the worst status found
+     *
+     * This ensures the module tile color always reflects the worst-case scenario,
+     * maintaining consistency with the detail panel display.
+     *
+     * @param {Object} moduleStatuses - Object containing all 12 status types and their values
+     * @returns {string} The worst status value ('OK', 'DEGRADED', 'WARNING', or 'CRITICAL')
+     */
+    function getAggregateModuleStatus(moduleStatuses) {
+        let worstStatus = 'OK';
+        let highestPriority = 0;
+
+        // Iterate through all status indicators to find the worst one
+        // Unknown values from external data sources are ignored
+        Object.values(moduleStatuses || {}).forEach(status => {
+            if (!STATUS_VALUES[status]) return;
+            const statusPriority = STATUS_VALUES[status].priority;
+            if (statusPriority > highestPriority) {
+                highestPriority = statusPriority;
+                worstStatus = status;
+            }
+        });
+
+        return worstStatus;
+    }
+
+    /**
+     * Validate module data consistency
+     *
+     * Checks that each module's tile color correctly reflects its worst status indicator.
+     * Logs warnings to console if any inconsistencies are detected.
+     *
+     * @param {Object} moduleData - The complete module data object containing status for all modules
+     * @returns {Array} Array of inconsistency reports (empty if all consistent)
+     */
+    function validateModuleConsistency(moduleData) {
+        const inconsistencies = [];
+
+        // Iterate through all modules defined in the outer scope
+        // 'modules' is accessible from the parent closure (defined at line 224)
+        modules.forEach(module => {
+            const moduleStatuses = moduleData[module.id] || {};
+            const calculatedStatus = getTileStatus(moduleStatuses);
+
+            // Count statuses by type for detailed reporting
+            const statusCounts = { OK: 0, DEGRADED: 0, WARNING: 0, CRITICAL: 0 };
+            Object.entries(moduleStatuses).forEach(([statusType, status]) => {
+                if (status in statusCounts) statusCounts[status]++;
+            });
+
+            // Verify that the calculated aggregate matches what would be displayed
+            const tile = document.querySelector(`[data-module-id="${module.id}"]`);
+            if (tile) {
+                let displayedStatus = 'OK';
+                if (tile.classList.contains('status-critical')) displayedStatus = 'CRITICAL';
+                else if (tile.classList.contains('status-warning')) displayedStatus = 'WARNING';
+                else if (tile.classList.contains('status-degraded')) displayedStatus = 'DEGRADED';
+
+                if (displayedStatus !== calculatedStatus) {
+                    const issue = {
+                        moduleId: module.id,
+                        expected: calculatedStatus,
+                        displayed: displayedStatus,
+                        statusCounts: statusCounts,
+                        message: `Module ${module.id}: Tile shows ${displayedStatus} but should show ${calculatedStatus}`
+                    };
+                    inconsistencies.push(issue);
+                    console.warn('⚠️ Data Inconsistency Detected:', issue);
+                }
+            }
+        });
+
+        if (inconsistencies.length === 0) {
+            console.log('✅ All modules validated: No data inconsistencies detected');
+        } else {
+            console.error(`❌ Found ${inconsistencies.length} data inconsistencies`);
+        }
+
+        return inconsistencies;
+    }
+
+    // ============================================================================
+    // STATE MANAGEMENT
+    // ============================================================================
+
+    let moduleData = {};
+    let selectedModuleId = null;
+    let hasValidated = false;
+    let preferences = loadPreferences();
+    const collapsedGroups = new Set(preferences.collapsed);
+    let unsubscribeSamples = null;
+
+    // Filters last for the session: focused indicators (empty for all), non-OK only, ID search
+    let focusedStatusTypes = [];
+    let showOnlyFaulty = false;
+    let searchText = '';
+    let comparedModuleIds = [];
+
+    // Tile holding the grid's single tab stop, kept across re-renders
+    let focusedModuleId = null;
+
+    function loadPreferences() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || '{}');
+            const loaded = { ...DEFAULT_PREFERENCES, ...saved };
+            if (!LAYOUTS.includes(loaded.layout)) loaded.layout = DEFAULT_PREFERENCES.layout;
+            if (!Array.isArray(loaded.collapsed)) loaded.collapsed = [];
+            if (!COLOR_MODES.includes(loaded.colorMode)) loaded.colorMode = DEFAULT_PREFERENCES.colorMode;
+            if (!(loaded.heatmapMetric in HEATMAP_COOL_VALUES)) loaded.heatmapMetric = DEFAULT_PREFERENCES.heatmapMetric;
+            return loaded;
+        } catch (error) {
+            console.warn('Module overview preferences unreadable, using defaults:', error);
+            return { ...DEFAULT_PREFERENCES };
+        }
+    }
+
+    function savePreferences(changes) {
+        preferences = { ...preferences, ...changes };
+        try {
+            localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+        } catch (error) {
+            console.warn('Could not save module overview preferences:', error);
+        }
+    }
+
+    // ============================================================================
+    // INITIALIZATION
+    // ============================================================================
+
+    /**
+     * Initialize Module Overview
+     */
+    function initModuleOverview() {
+        const subtitle = document.getElementById('module-overview-subtitle');
+        if (subtitle) {
+            subtitle.textContent = `${modules.length} modules in ${GRID_COLUMNS} columns - Click any module to view detailed status, shift-click to compare, double-click to open its page`;
+        }
+
+        // Render initial status legend
+        renderStatusLegend();
+
+        // Set up event delegation for module selection and group headers
+        const moduleGrid = document.getElementById('module-grid');
+        if (moduleGrid) {
+            moduleGrid.addEventListener('click', handleModuleClick);
+            moduleGrid.addEventListener('click', handleGroupClick);
+            moduleGrid.addEventListener('dblclick', handleModuleDoubleClick);
+            moduleGrid.addEventListener('keydown', handleGridKeydown);
+            moduleGrid.addEventListener('focusin', handleGridFocus);
+        }
+
+        document.querySelectorAll('[data-overview-layout]').forEach(button => {
+            button.addEventListener('click', () => setLayout(button.dataset.overviewLayout));
+        });
+        document.querySelectorAll('[data-overview-color]').forEach(button => {
+            button.addEventListener('click', () => setColorMode(button.dataset.overviewColor));
+        });
+        const metricSelect = document.getElementById('module-heatmap-metric');
+        if (metricSelect) {
+            Object.keys(HEATMAP_COOL_VALUES).forEach(metric => {
+                const option = document.createElement('option');
+                option.value = metric;
+                option.textContent = METRIC_NAMES[metric];
+                metricSelect.appendChild(option);
+            });
+            metricSelect.value = preferences.heatmapMetric;
+            metricSelect.addEventListener('change', () => {
+                savePreferences({ heatmapMetric: metricSelect.value });
+                updateLayoutControls();
+                refreshGrid();
+            });
+        }
+        initFilters();
+
+        const expandBtn = document.getElementById('module-groups-expand-btn');
+        if (expandBtn) expandBtn.addEventListener('click', () => setAllGroupsCollapsed(false));
+        const collapseBtn = document.getElementById('module-groups-collapse-btn');
+        if (collapseBtn) collapseBtn.addEventListener('click', () => setAllGroupsCollapsed(true));
+        updateLayoutControls();
+
+        // Render the grid whenever the data source publishes new module data
+        window.STATCOM.dataSource.subscribe(handleModuleDataUpdate);
+    }
+
+    /**
+     * Handle new module data from the data source
+     * @param {Object} newModuleData - Module status map keyed by module ID
+     */
+    function handleModuleDataUpdate(newModuleData) {
+        moduleData = newModuleData;
+
+        renderModuleGrid();
+
+        // Keep the selected module's detail panel in sync
+        if (selectedModuleId) {
+            renderSelection();
+        }
+
+        // Validate data consistency after the first render
+        // Use setTimeout to ensure DOM is fully rendered
+        if (!hasValidated) {
+            hasValidated = true;
+            setTimeout(() => {
+                console.log('🔍 Running module data consistency validation...');
+                validateModuleConsistency(moduleData);
+            }, 100);
+        }
+    }
+
+    // ============================================================================
+    // RENDERING FUNCTIONS
+    // ============================================================================
+
+    const { escapeHtml } = window.STATCOM.viewHelpers;
+
+    /**
+     * Render the module grid
+     * Creates a dynamic grid with the topology's gridColumns tiles per row,
+     * or the phase/cluster/cabinet hierarchy
+     */
+    function renderModuleGrid() {
+        const moduleGrid = document.getElementById('module-grid');
+        if (!moduleGrid) return;
+
+        if (preferences.colorMode === 'heatmap') subscribeToSamples();
+        renderHeatmapLegend();
+
+        // Re-rendering replaces the focused tile, so focus moves to its replacement
+        const hadFocus = Boolean(document.activeElement && document.activeElement.classList.contains('module-tile') &&
+            moduleGrid.contains(document.activeElement));
+
+        moduleGrid.innerHTML = '';
+        moduleGrid.classList.toggle('hierarchy', preferences.layout === 'hierarchy');
+
+        const visibleModules = modules.filter(isModuleVisible);
+        updateFilterCount(visibleModules.length);
+
+        if (preferences.layout === 'hierarchy') {
+            // Each cabinet's tiles form their own grid
+            ['role', 'aria-label', 'aria-multiselectable'].forEach(name => moduleGrid.removeAttribute(name));
+            moduleGrid.style.gridTemplateColumns = '';
+            renderHierarchy(moduleGrid);
+        } else {
+            moduleGrid.setAttribute('role', 'grid');
+            moduleGrid.setAttribute('aria-label', 'Modules');
+            moduleGrid.setAttribute('aria-multiselectable', 'true');
+            // Set CSS Grid columns based on the topology
+            moduleGrid.style.gridTemplateColumns = `repeat(${GRID_COLUMNS}, 1fr)`;
+            appendTileRows(moduleGrid, visibleModules.map(createModuleTile));
+        }
+
+        if (visibleModules.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'module-grid-empty';
+            empty.textContent = 'No modules match the filters';
+            moduleGrid.appendChild(empty);
+        }
+
+        const tabStop = updateTabStop();
+        if (hadFocus && tabStop) tabStop.focus({ preventScroll: true });
+    }
+
+    /**
+     * Wrap tiles in ARIA rows of gridColumns; rows use display: contents so
+     * the tiles stay items of the CSS grid
+     */
+    function appendTileRows(container, tiles) {
+        for (let i = 0; i < tiles.length; i += GRID_COLUMNS) {
+            const row = document.createElement('div');
+            row.className = 'module-grid-row';
+            row.setAttribute('role', 'row');
+            tiles.slice(i, i + GRID_COLUMNS).forEach(tile => row.appendChild(tile));
+            container.appendChild(row);
+        }
+    }
+
+    /**
+     * Screen reader label, e.g. "M003, Cabinet A1, WARNING: Fan Fail"
+     */
+    function describeTile(module, status) {
+        const moduleStatuses = moduleData[module.id] || {};
+        const types = focusedStatusTypes.length > 0 ? focusedStatusTypes : STATUS_TYPES;
+        const faults = types.filter(statusType => moduleStatuses[statusType] && moduleStatuses[statusType] !== 'OK');
+        const location = module.cabinetName || module.clusterName;
+        const label = `${module.displayName}${location ? `, ${location}` : ''}, ${STATUS_VALUES[status].label}`;
+        return faults.length > 0 ? `${label}: ${faults.join(', ')}` : label;
+    }
+
+    function createModuleTile(module) {
+        const moduleStatuses = moduleData[module.id] || {};
+        const aggregateStatus = getTileStatus(moduleStatuses);
+        const statusInfo = STATUS_VALUES[aggregateStatus];
+
+        const moduleTile = document.createElement('div');
+        moduleTile.className = `module-tile ${statusInfo.class}`;
+        moduleTile.dataset.moduleId = module.id;
+        moduleTile.setAttribute('role', 'gridcell');
+        moduleTile.setAttribute('aria-label', describeTile(module, aggregateStatus));
+        moduleTile.setAttribute('aria-selected', 'false');
+        moduleTile.tabIndex = -1;
+
+        moduleTile.innerHTML = `
+            ${aggregateStatus !== 'OK' ? `<span class="module-status-icon" aria-hidden="true">${STATUS_ICONS[aggregateStatus]}</span>` : ''}
+            <div class="module-name">${escapeHtml(module.name)}</div>
+        `;
+
+        if (preferences.colorMode === 'heatmap') applyHeatmap(moduleTile, module.id);
+
+        return moduleTile;
+    }
+
+    // ============================================================================
+    // FILTERS AND STATUS-TYPE FOCUS
+    // ============================================================================
+
+    /**
+     * Tile status: the worst of the focused indicators, or of all twelve
+     */
+    function getTileStatus(moduleStatuses) {
+        if (focusedStatusTypes.length === 0) return getAggregateModuleStatus(moduleStatuses);
+
+        const focused = {};
+        focusedStatusTypes.forEach(statusType => {
+            if (moduleStatuses && statusType in moduleStatuses) focused[statusType] = moduleStatuses[statusType];
+        });
+        return getAggregateModuleStatus(focused);
+    }
+
+    function isModuleVisible(module) {
+        if (showOnlyFaulty && getTileStatus(moduleData[module.id]) === 'OK') return false;
+        if (!searchText) return true;
+        return [module.id, module.name, module.displayName].some(text => text.toLowerCase().includes(searchText));
+    }
+
+    function updateFilterCount(visibleCount) {
+        const countEl = document.getElementById('module-filter-count');
+        if (!countEl) return;
+        const filtered = showOnlyFaulty || searchText;
+        countEl.textContent = filtered ? `Showing ${visibleCount} of ${modules.length} modules` : '';
+    }
+
+    function updateFocusSummary() {
+        const summary = document.getElementById('module-focus-summary');
+        if (!summary) return;
+        if (focusedStatusTypes.length === 0) summary.textContent = 'Indicators: All';
+        else if (focusedStatusTypes.length === 1) summary.textContent = `Indicators: ${focusedStatusTypes[0]}`;
+        else summary.textContent = `Indicators: ${focusedStatusTypes.length} selected`;
+        summary.parentElement.classList.toggle('active', focusedStatusTypes.length > 0);
+    }
+
+    /**
+     * Recolour by the focused indicators and refresh the open panel to match
+     */
+    function applyFilters() {
+        updateFocusSummary();
+        refreshGrid();
+        if (selectedModuleId) renderSelection();
+    }
+
+    function initFilters() {
+        const optionsEl = document.getElementById('module-focus-options');
+        if (optionsEl) {
+            optionsEl.innerHTML = STATUS_TYPES.map(statusType => `
+                <label class="module-focus-option">
+                    <input type="checkbox" value="${statusType}">
+                    ${statusType}
+                </label>
+            `).join('');
+            optionsEl.addEventListener('change', () => {
+                focusedStatusTypes = Array.from(optionsEl.querySelectorAll('input:checked')).map(input => input.value);
+                applyFilters();
+            });
+        }
+
+        const clearFocusBtn = document.getElementById('module-focus-clear-btn');
+        if (clearFocusBtn && optionsEl) {
+            clearFocusBtn.addEventListener('click', () => {
+                optionsEl.querySelectorAll('input').forEach(input => { input.checked = false; });
+                focusedStatusTypes = [];
+                applyFilters();
+            });
+        }
+
+        const faultyToggle = document.getElementById('module-faulty-only');
+        if (faultyToggle) {
+            faultyToggle.addEventListener('change', () => {
+                showOnlyFaulty = faultyToggle.checked;
+                applyFilters();
+            });
+        }
+
+        const searchInput = document.getElementById('module-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                searchText = searchInput.value.trim().toLowerCase();
+                applyFilters();
+            });
+        }
+
+        updateFocusSummary();
+    }
+
+    // ============================================================================
+    // HEATMAP
+    // ============================================================================
+
+    function getMetricValue(moduleId, metric) {
+        const latest = window.STATCOM.timeSeries ? window.STATCOM.timeSeries.getLatest(moduleId) : null;
+        const value = latest && latest.values[metric];
+        return typeof value === 'number' ? value : null;
+    }
+
+    function getHeatmapRange(metric) {
+        return { cool: HEATMAP_COOL_VALUES[metric], hot: window.STATCOM.timeSeries.LIMITS[metric].critical };
+    }
+
+    function formatMetricValue(value, metric) {
+        const unit = window.STATCOM.timeSeries.LIMITS[metric].unit;
+        const text = metric === 'powerFactor' ? value.toFixed(2) : value.toFixed(1);
+        return unit ? `${text} ${unit}` : text;
+    }
+
+    /**
+     * Colour for a value, clamped to the metric's cool to hot range
+     * @returns {Array<number>} [r, g, b]
+     */
+    function getHeatmapColor(value, metric) {
+        const range = getHeatmapRange(metric);
+        const position = Math.min(1, Math.max(0, (value - range.cool) / (range.hot - range.cool)));
+        const scaled = position * (HEATMAP_COLORS.length - 1);
+        const index = Math.min(HEATMAP_COLORS.length - 2, Math.floor(scaled));
+        const fraction = scaled - index;
+        return HEATMAP_COLORS[index].map((channel, i) => Math.round(channel + (HEATMAP_COLORS[index + 1][i] - channel) * fraction));
+    }
+
+    /**
+     * Colour a tile by the latest sample of the heatmap metric
+     * The status class stays on the tile so the consistency check still holds
+     */
+    function applyHeatmap(tile, moduleId) {
+        const metric = preferences.heatmapMetric;
+        const value = getMetricValue(moduleId, metric);
+        tile.classList.add('heatmap');
+
+        const valueEl = document.createElement('div');
+        valueEl.className = 'module-value';
+        tile.appendChild(valueEl);
+
+        if (value === null) {
+            tile.classList.add('no-data');
+            valueEl.textContent = '—';
+            tile.title = `${moduleId}: no ${METRIC_NAMES[metric].toLowerCase()} sample yet`;
+            return;
+        }
+
+        const [r, g, b] = getHeatmapColor(value, metric);
+        tile.style.background = `rgb(${r}, ${g}, ${b})`;
+        tile.style.borderColor = `rgb(${r}, ${g}, ${b})`;
+        // Dark text on the light middle of the scale
+        tile.classList.toggle('light', 0.299 * r + 0.587 * g + 0.114 * b > 150);
+        valueEl.textContent = formatMetricValue(value, metric);
+        tile.title = `${moduleId}: ${METRIC_NAMES[metric]} ${formatMetricValue(value, metric)}`;
+        tile.setAttribute('aria-label', `${tile.getAttribute('aria-label')}, ${METRIC_NAMES[metric]} ${formatMetricValue(value, metric)}`);
+    }
+
+    /**
+     * Hottest value in a group, e.g. "max 62.4 °C", for hierarchy headers
+     */
+    function describeGroupHotSpot(moduleIds) {
+        const metric = preferences.heatmapMetric;
+        const values = moduleIds.map(moduleId => getMetricValue(moduleId, metric)).filter(value => value !== null);
+        if (values.length === 0) return null;
+        return metric === 'powerFactor'
+            ? `min ${formatMetricValue(Math.min(...values), metric)}`
+            : `max ${formatMetricValue(Math.max(...values), metric)}`;
+    }
+
+    function renderHeatmapLegend() {
+        const legend = document.getElementById('module-heatmap-legend');
+        if (!legend) return;
+
+        legend.hidden = preferences.colorMode !== 'heatmap';
+        if (legend.hidden || !window.STATCOM.timeSeries) return;
+
+        const metric = preferences.heatmapMetric;
+        const range = getHeatmapRange(metric);
+        const warning = window.STATCOM.timeSeries.LIMITS[metric].warning;
+        const warningPosition = (warning - range.cool) / (range.hot - range.cool) * 100;
+        const stops = HEATMAP_COLORS.map((color, index) => `rgb(${color.join(', ')}) ${(index / (HEATMAP_COLORS.length - 1) * 100).toFixed(1)}%`);
+
+        legend.innerHTML = `
+            <span class="heatmap-legend-title">${METRIC_NAMES[metric]}</span>
+            <div class="heatmap-legend-scale">
+                <div class="heatmap-legend-bar" style="background: linear-gradient(to right, ${stops.join(', ')});">
+                    <span class="heatmap-legend-marker" style="left: ${warningPosition.toFixed(1)}%;" title="Warning limit"></span>
+                </div>
+                <div class="heatmap-legend-labels">
+                    <span>${formatMetricValue(range.cool, metric)}</span>
+                    <span>Critical ${formatMetricValue(range.hot, metric)}</span>
+                </div>
+            </div>
+            <span class="heatmap-legend-warning"><span class="heatmap-legend-marker-key"></span>Warning ${formatMetricValue(warning, metric)}</span>
+            <span class="heatmap-legend-no-data"><span class="color-box no-data"></span>No sample</span>
+        `;
+    }
+
+    /**
+     * Redraw the heatmap as new samples arrive; the store loads after this
+     * section, so the subscription starts on the first heatmap render
+     */
+    function subscribeToSamples() {
+        if (unsubscribeSamples || !window.STATCOM.timeSeries) return;
+        unsubscribeSamples = window.STATCOM.timeSeries.subscribe(() => {
+            if (preferences.colorMode === 'heatmap') refreshGrid();
+        });
+    }
+
+    function setColorMode(colorMode) {
+        if (!COLOR_MODES.includes(colorMode) || colorMode === preferences.colorMode) return;
+        savePreferences({ colorMode: colorMode });
+        updateLayoutControls();
+        refreshGrid();
+    }
+
+    // ============================================================================
+    // HIERARCHY LAYOUT
+    // ============================================================================
+
+    /**
+     * Worst aggregate status and faulty (non-OK) module count of a group
+     */
+    function summarizeGroup(moduleIds) {
+        let worstStatus = 'OK';
+        let faulty = 0;
+        moduleIds.forEach(moduleId => {
+            const status = getTileStatus(moduleData[moduleId]);
+            if (status !== 'OK') faulty++;
+            if (STATUS_VALUES[status].priority > STATUS_VALUES[worstStatus].priority) worstStatus = status;
+        });
+        return { status: worstStatus, faulty: faulty, total: moduleIds.length };
+    }
+
+    /**
+     * Line terminals a phase leg connects, as indexes into L1, L2, ...; -1 is
+     * the neutral point. Star legs run from a line to neutral; delta legs run
+     * between neighbouring lines, closing the loop when there are three or more.
+     */
+    function getLegEnds(connection, phaseCount, phaseIndex) {
+        if (connection !== 'delta') return [phaseIndex, -1];
+        const terminals = phaseCount >= 3 ? phaseCount : phaseCount + 1;
+        return [phaseIndex, (phaseIndex + 1) % terminals];
+    }
+
+    function getTerminalName(index) {
+        return index < 0 ? 'N' : `L${index + 1}`;
+    }
+
+    function describeLeg(connection, phaseCount, phaseIndex) {
+        const [from, to] = getLegEnds(connection, phaseCount, phaseIndex);
+        return to < 0
+            ? `${getTerminalName(from)} to neutral`
+            : `${getTerminalName(from)} to ${getTerminalName(to)}`;
+    }
+
+    /**
+     * Star or delta schematic with each phase leg coloured by its worst status
+     */
+    function createConnectionDiagram(connection, phases, summaries) {
+        const center = { x: 70, y: 66 };
+        const radius = 46;
+        const terminalCount = connection === 'delta' && phases.length < 3 ? phases.length + 1 : phases.length;
+        const point = (index, scale = 1) => {
+            if (index < 0) return center;
+            const angle = (-90 + index * 360 / terminalCount) * Math.PI / 180;
+            return { x: center.x + Math.cos(angle) * radius * scale, y: center.y + Math.sin(angle) * radius * scale };
+        };
+
+        const legs = phases.map((phase, index) => {
+            const [from, to] = getLegEnds(connection, phases.length, index).map(end => point(end));
+            const summary = summaries[index];
+            const statusInfo = STATUS_VALUES[summary.status];
+            return `
+                <line class="topology-leg ${statusInfo.class}" data-phase-key="${escapeHtml(summary.key)}"
+                    x1="${from.x.toFixed(1)}" y1="${from.y.toFixed(1)}" x2="${to.x.toFixed(1)}" y2="${to.y.toFixed(1)}">
+                    <title>${escapeHtml(phase.name)}: ${statusInfo.label}, ${summary.faulty} faulty of ${summary.total}</title>
+                </line>`;
+        }).join('');
+
+        let labels = '';
+        for (let index = 0; index < terminalCount; index++) {
+            const position = point(index, 1.22);
+            labels += `<text class="topology-terminal" x="${position.x.toFixed(1)}" y="${(position.y + 4).toFixed(1)}">${getTerminalName(index)}</text>`;
+        }
+        if (connection !== 'delta') {
+            labels += `<circle class="topology-neutral" cx="${center.x}" cy="${center.y}" r="4"></circle>` +
+                `<text class="topology-terminal" x="${center.x + 12}" y="${center.y + 14}">N</text>`;
+        }
+
+        return `<svg class="topology-diagram" viewBox="0 0 140 135" role="img" aria-label="${connection === 'delta' ? 'Delta' : 'Star'} connection diagram">${legs}${labels}</svg>`;
+    }
+
+    /**
+     * Collapsible section with the group's worst status and faulty count
+     * @param {string} level - 'phase' | 'cluster' | 'cabinet'
+     * @param {string} key - Path of group IDs, remembered while collapsed
+     */
+    function createGroupSection(level, key, title, detail, moduleIds, children) {
+        const summary = summarizeGroup(moduleIds);
+        const statusInfo = STATUS_VALUES[summary.status];
+        const collapsed = collapsedGroups.has(key);
+
+        const section = document.createElement('section');
+        section.className = `module-group module-group-${level}${collapsed ? ' collapsed' : ''}`;
+        section.dataset.groupKey = key;
+
+        const hotSpot = preferences.colorMode === 'heatmap' ? describeGroupHotSpot(moduleIds) : null;
+
+        const header = document.createElement('button');
+        header.type = 'button';
+        header.className = 'module-group-header';
+        header.setAttribute('aria-expanded', String(!collapsed));
+        header.innerHTML = `
+            <span class="module-group-chevron" aria-hidden="true">▾</span>
+            <span class="module-group-name">${escapeHtml(title)}</span>
+            ${detail ? `<span class="module-group-detail">${escapeHtml(detail)}</span>` : ''}
+            ${hotSpot ? `<span class="module-group-hot-spot">${hotSpot}</span>` : ''}
+            <span class="module-group-faults${summary.faulty > 0 ? ' has-faults' : ''}">${summary.faulty} faulty of ${summary.total}</span>
+            <span class="module-group-status ${statusInfo.class}"><span aria-hidden="true">${STATUS_ICONS[summary.status]}</span> ${statusInfo.label}</span>
+        `;
+
+        const body = document.createElement('div');
+        body.className = 'module-group-body';
+        children.forEach(child => body.appendChild(child));
+
+        section.appendChild(header);
+        section.appendChild(body);
+        return section;
+    }
+
+    /**
+     * Tiles of a group's visible modules, or null when the filters hide them all
+     */
+    function createTileGrid(moduleIds, label) {
+        const visible = moduleIds.map(moduleId => window.STATCOM.topology.getModule(moduleId))
+            .filter(module => module && isModuleVisible(module));
+        if (visible.length === 0) return null;
+
+        const tiles = document.createElement('div');
+        tiles.className = 'module-group-tiles';
+        tiles.setAttribute('role', 'grid');
+        tiles.setAttribute('aria-label', `${label} modules`);
+        tiles.setAttribute('aria-multiselectable', 'true');
+        tiles.style.gridTemplateColumns = `repeat(${GRID_COLUMNS}, 1fr)`;
+        appendTileRows(tiles, visible.map(createModuleTile));
+        return tiles;
+    }
+
+    /**
+     * Render phases, clusters and cabinets as nested collapsible sections
+     * Clusters without cabinets hold their tiles directly; groups the
+     * filters leave empty are left out
+     */
+    function renderHierarchy(container) {
+        const topology = window.STATCOM.topology;
+        const connection = topology.getConnection();
+        const phases = topology.getPhases();
+        const summaries = [];
+
+        const sections = phases.map((phase, phaseIndex) => {
+            const phaseKey = `phase:${phase.id}`;
+            const phaseModuleIds = [];
+
+            const clusterSections = phase.clusters.map(cluster => {
+                const clusterKey = `${phaseKey}/cluster:${cluster.id}`;
+                const clusterModuleIds = [].concat(...cluster.cabinets.map(cabinet => cabinet.moduleIds));
+                phaseModuleIds.push(...clusterModuleIds);
+
+                const children = cluster.cabinets.length === 1 && cluster.cabinets[0].id === null
+                    ? [createTileGrid(clusterModuleIds, cluster.name)]
+                    : cluster.cabinets.map(cabinet => {
+                        const tiles = createTileGrid(cabinet.moduleIds, cabinet.name);
+                        return tiles && createGroupSection(
+                            'cabinet', `${clusterKey}/cabinet:${cabinet.id}`, cabinet.name, null,
+                            cabinet.moduleIds, [tiles]
+                        );
+                    });
+                const visibleChildren = children.filter(Boolean);
+                return visibleChildren.length > 0
+                    ? createGroupSection('cluster', clusterKey, cluster.name, null, clusterModuleIds, visibleChildren)
+                    : null;
+            }).filter(Boolean);
+
+            summaries.push({ key: phaseKey, ...summarizeGroup(phaseModuleIds) });
+            return clusterSections.length > 0
+                ? createGroupSection(
+                    'phase', phaseKey, phase.name, describeLeg(connection, phases.length, phaseIndex),
+                    phaseModuleIds, clusterSections
+                )
+                : null;
+        }).filter(Boolean);
+
+        const overall = summarizeGroup(modules.map(module => module.id));
+        const summary = document.createElement('div');
+        summary.className = 'topology-summary';
+        summary.innerHTML = `
+            ${createConnectionDiagram(connection, phases, summaries)}
+            <div class="topology-summary-text">
+                <strong>${escapeHtml(topology.getName())}</strong>
+                <span>${connection === 'delta' ? 'Delta' : 'Star (wye)'} connection · ${phases.length} phase leg${phases.length === 1 ? '' : 's'} · ${modules.length} modules</span>
+                <span class="module-group-faults${overall.faulty > 0 ? ' has-faults' : ''}">${overall.faulty} faulty of ${overall.total}</span>
+            </div>
+        `;
+
+        container.appendChild(summary);
+        sections.forEach(section => container.appendChild(section));
+    }
+
+    function setGroupCollapsed(section, collapsed) {
+        const key = section.dataset.groupKey;
+        section.classList.toggle('collapsed', collapsed);
+        section.querySelector(':scope > .module-group-header').setAttribute('aria-expanded', String(!collapsed));
+        if (collapsed) collapsedGroups.add(key);
+        else collapsedGroups.delete(key);
+        updateTabStop();
+    }
+
+    function setAllGroupsCollapsed(collapsed) {
+        document.querySelectorAll('#module-grid .module-group').forEach(section => setGroupCollapsed(section, collapsed));
+        savePreferences({ collapsed: [...collapsedGroups] });
+    }
+
+    function setLayout(layout) {
+        if (!LAYOUTS.includes(layout) || layout === preferences.layout) return;
+        savePreferences({ layout: layout });
+        updateLayoutControls();
+        refreshGrid();
+    }
+
+    function updateLayoutControls() {
+        document.querySelectorAll('[data-overview-layout]').forEach(button => {
+            button.classList.toggle('active', button.dataset.overviewLayout === preferences.layout);
+        });
+        document.querySelectorAll('[data-overview-color]').forEach(button => {
+            button.classList.toggle('active', button.dataset.overviewColor === preferences.colorMode);
+        });
+        const groupActions = document.getElementById('module-group-actions');
+        if (groupActions) groupActions.hidden = preferences.layout !== 'hierarchy';
+        const metricSelect = document.getElementById('module-heatmap-metric');
+        if (metricSelect) metricSelect.hidden = preferences.colorMode !== 'heatmap';
+    }
+
+    /**
+     * Re-render the tiles and keep the selection
+     */
+    function refreshGrid() {
+        renderModuleGrid();
+        if (selectedModuleId) updateSelectedModule(selectedModuleId);
+    }
+
+    /**
+     * Render status legend in the detail panel
+     * Shown when no module is selected
+     */
+    function renderStatusLegend() {
+        const detailPanel = document.getElementById('module-detail-panel');
+        if (!detailPanel) return;
+
+        // Create example status mapping for legend demonstration
+        // Shows variety of statuses: OK, CRITICAL, DEGRADED, WARNING
+        const exampleStatuses = ['OK', 'CRITICAL', 'DEGRADED', 'OK', 'WARNING'];
+
+        let statusTypesHtml = '';
+        STATUS_TYPES.forEach((statusType, index) => {
+            // Cycle through example statuses to show variety in legend
+            const exampleStatus = exampleStatuses[index % exampleStatuses.length];
+            const statusInfo = STATUS_VALUES[exampleStatus];
+
+            statusTypesHtml += `
+                <div class="legend-item">
+                    <span class="legend-status status-pattern ${statusInfo.class}" aria-hidden="true">${STATUS_ICONS[exampleStatus]}</span>
+                    <span class="legend-name">${statusType}</span>
+                    <span class="legend-label">${statusInfo.label}</span>
+                </div>
+            `;
+        });
+
+        detailPanel.innerHTML = `
+            <div class="detail-header">
+                <h3>Status Legend</h3>
+                <p>12 Status Indicators per Module</p>
+            </div>
+            <div class="legend-container">
+                ${statusTypesHtml}
+            </div>
+            <div class="legend-footer">
+                <h4>Color Meanings:</h4>
+                <div class="color-meanings">
+                    <div class="color-meaning">
+                        <span class="color-box status-pattern status-ok" aria-hidden="true">${STATUS_ICONS.OK}</span>
+                        <span>Green, plain = OK/Normal</span>
+                    </div>
+                    <div class="color-meaning">
+                        <span class="color-box status-pattern status-critical" aria-hidden="true">${STATUS_ICONS.CRITICAL}</span>
+                        <span>Red, cross and hatching = Critical Error</span>
+                    </div>
+                    <div class="color-meaning">
+                        <span class="color-box status-pattern status-warning" aria-hidden="true">${STATUS_ICONS.WARNING}</span>
+                        <span>Orange, triangle and dots = Warning</span>
+                    </div>
+                    <div class="color-meaning">
+                        <span class="color-box status-pattern status-degraded" aria-hidden="true">${STATUS_ICONS.DEGRADED}</span>
+                        <span>Yellow, diamond and stripes = Degraded</span>
+                    </div>
+                </div>
+                <p class="legend-keys">Keyboard: arrow keys move between modules, Enter shows details,
+                    Shift+Enter adds to a comparison, Escape clears the selection.</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the detail panel for a selected module
+     * Shows all 12 status indicators as colored cards
+     */
+    function renderDetailPanel(moduleId) {
+        const detailPanel = document.getElementById('module-detail-panel');
+        if (!detailPanel) return;
+
+        const module = modules.find(m => m.id === moduleId);
+        if (!module) return;
+
+        const moduleStatuses = moduleData[moduleId] || {};
+
+        let statusIndicatorsHtml = '';
+        STATUS_TYPES.forEach(statusType => {
+            const status = moduleStatuses[statusType];
+            const statusInfo = STATUS_VALUES[status] || STATUS_VALUES.OK;
+
+            statusIndicatorsHtml += `
+                <div class="status-card ${statusInfo.class}${focusedStatusTypes.includes(statusType) ? ' focused' : ''}">
+                    <span class="status-card-name">${statusType}</span>
+                    <span class="status-card-badge"><span aria-hidden="true">${STATUS_ICONS[status] || STATUS_ICONS.OK}</span> ${statusInfo.label}</span>
+                </div>
+            `;
+        });
+
+        detailPanel.innerHTML = `
+            <div class="detail-header">
+                <h3>Module ${escapeHtml(module.displayName)}</h3>
+                <p>Status Indicators</p>
+                <a class="detail-page-link" href="#/module/${module.id}">Open module page →</a>
+            </div>
+            <div class="status-cards-container">
+                ${statusIndicatorsHtml}
+            </div>
+        `;
+    }
+
+    /**
+     * Side-by-side indicators, and latest metrics when sampled, for shift-clicked modules
+     */
+    function renderComparisonPanel(moduleIds) {
+        const detailPanel = document.getElementById('module-detail-panel');
+        if (!detailPanel) return;
+
+        const compared = moduleIds.map(moduleId => window.STATCOM.topology.getModule(moduleId)).filter(Boolean);
+        const cell = status => {
+            const statusInfo = STATUS_VALUES[status] || STATUS_VALUES.OK;
+            const key = STATUS_VALUES[status] ? status : 'OK';
+            return `<td><span class="comparison-cell ${statusInfo.class}" title="${statusInfo.label}"><span aria-hidden="true">${STATUS_ICONS[key]}</span> ${STATUS_ABBREVIATIONS[key]}</span></td>`;
+        };
+        const row = (label, cells, className = '') => `<tr${className ? ` class="${className}"` : ''}><th scope="row">${label}</th>${cells.join('')}</tr>`;
+
+        const rows = [
+            row('Overall', compared.map(module => cell(getAggregateModuleStatus(moduleData[module.id]))), 'comparison-overall'),
+            ...STATUS_TYPES.map(statusType => row(
+                statusType,
+                compared.map(module => cell((moduleData[module.id] || {})[statusType])),
+                focusedStatusTypes.includes(statusType) ? 'focused' : ''
+            ))
+        ];
+
+        if (window.STATCOM.timeSeries) {
+            Object.keys(METRIC_NAMES).forEach(metric => {
+                const values = compared.map(module => getMetricValue(module.id, metric));
+                if (values.every(value => value === null)) return;
+                rows.push(row(METRIC_NAMES[metric], values.map(value => `<td class="comparison-value">${value === null ? '—' : formatMetricValue(value, metric)}</td>`), 'comparison-metric'));
+            });
+        }
+
+        const locations = compared.map(module => `<td class="comparison-value">${escapeHtml(module.cabinetName || module.clusterName)}</td>`);
+        rows.push(row('Location', locations, 'comparison-metric'));
+
+        detailPanel.innerHTML = `
+            <div class="detail-header">
+                <h3>Comparing ${compared.length} Modules</h3>
+                <p>Shift-click tiles to add or remove modules (up to ${MAX_COMPARED_MODULES})</p>
+                <button class="filter-btn clear-btn" id="module-compare-clear-btn">Clear Selection</button>
+            </div>
+            <div class="comparison-table-wrapper">
+                <table class="module-comparison-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Indicator</th>
+                            ${compared.map(module => `<th scope="col"><a href="#/module/${encodeURIComponent(module.id)}" title="Open module page">${escapeHtml(module.name)}</a></th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        document.getElementById('module-compare-clear-btn').addEventListener('click', clearSelection);
+    }
+
+    /**
+     * Highlight the selected tiles and show the matching detail panel
+     */
+    function renderSelection() {
+        updateSelectedModule(selectedModuleId);
+        if (comparedModuleIds.length > 1) renderComparisonPanel(comparedModuleIds);
+        else if (selectedModuleId) renderDetailPanel(selectedModuleId);
+        else renderStatusLegend();
+    }
+
+    function clearSelection() {
+        selectedModuleId = null;
+        comparedModuleIds = [];
+        renderSelection();
+        announce('Selection cleared');
+    }
+
+    function selectModule(moduleId) {
+        selectedModuleId = moduleId;
+        comparedModuleIds = [];
+        renderSelection();
+    }
+
+    /**
+     * Read a selection change out through the polite live region
+     */
+    function announce(message) {
+        const announcer = document.getElementById('module-grid-announcer');
+        if (announcer) announcer.textContent = message;
+    }
+
+    /**
+     * Add or remove a module from the comparison, starting from the current selection
+     */
+    function toggleComparedModule(moduleId) {
+        if (comparedModuleIds.length === 0 && selectedModuleId) comparedModuleIds = [selectedModuleId];
+
+        if (comparedModuleIds.includes(moduleId)) {
+            comparedModuleIds = comparedModuleIds.filter(id => id !== moduleId);
+        } else if (comparedModuleIds.length < MAX_COMPARED_MODULES) {
+            comparedModuleIds.push(moduleId);
+        }
+
+        selectedModuleId = comparedModuleIds[comparedModuleIds.length - 1] || null;
+        if (comparedModuleIds.length < 2) comparedModuleIds = [];
+        renderSelection();
+        if (comparedModuleIds.length > 1) announce(`Comparing ${comparedModuleIds.length} modules`);
+        else announce(selectedModuleId ? `${selectedModuleId} selected` : 'Selection cleared');
+    }
+
+    // ============================================================================
+    // EVENT HANDLERS
+    // ============================================================================
+
+    /**
+     * Handle module tile click
+     */
+    function handleModuleClick(event) {
+        const moduleTile = event.target.closest('.module-tile');
+        if (!moduleTile) return;
+
+        const moduleId = moduleTile.dataset.moduleId;
+
+        // Shift-click builds a comparison of several modules
+        if (event.shiftKey) {
+            toggleComparedModule(moduleId);
+            return;
+        }
+
+        // Update selected module and UI
+        selectModule(moduleId);
+    }
+
+    /**
+     * Toggle a group on its header; a leg in the connection diagram opens and
+     * scrolls to its phase
+     */
+    function handleGroupClick(event) {
+        const header = event.target.closest('.module-group-header');
+        if (header) {
+            const section = header.parentElement;
+            setGroupCollapsed(section, !section.classList.contains('collapsed'));
+            savePreferences({ collapsed: [...collapsedGroups] });
+            return;
+        }
+
+        const leg = event.target.closest('.topology-leg');
+        if (!leg) return;
+        const section = Array.from(document.querySelectorAll('#module-grid .module-group-phase'))
+            .find(candidate => candidate.dataset.groupKey === leg.dataset.phaseKey);
+        if (!section) return;
+        setGroupCollapsed(section, false);
+        savePreferences({ collapsed: [...collapsedGroups] });
+        if (section.scrollIntoView) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Open the module's detail page on double click
+     */
+    function handleModuleDoubleClick(event) {
+        const moduleTile = event.target.closest('.module-tile');
+        if (moduleTile) {
+            window.location.hash = `#/module/${moduleTile.dataset.moduleId}`;
+        }
+    }
+
+    /**
+     * Update selected module visual state
+     */
+    function updateSelectedModule(moduleId) {
+        const selectedIds = comparedModuleIds.length > 0 ? comparedModuleIds : [moduleId];
+        const allTiles = document.querySelectorAll('.module-tile');
+        allTiles.forEach(tile => {
+            const selected = selectedIds.includes(tile.dataset.moduleId);
+            tile.classList.toggle('selected', selected);
+            tile.setAttribute('aria-selected', String(selected));
+        });
+    }
+
+    // ============================================================================
+    // KEYBOARD NAVIGATION
+    // ============================================================================
+
+    /**
+     * Tiles the keyboard can reach, in reading order (collapsed groups skipped)
+     */
+    function getNavigableTiles() {
+        return Array.from(document.querySelectorAll('#module-grid .module-tile'))
+            .filter(tile => !tile.closest('.module-group.collapsed'));
+    }
+
+    /**
+     * Give one tile tabindex 0 (the focused, selected or first tile) and the rest -1
+     * @returns {HTMLElement|null} The tab stop
+     */
+    function updateTabStop() {
+        const tiles = getNavigableTiles();
+        const tabStop = tiles.find(tile => tile.dataset.moduleId === focusedModuleId) ||
+            tiles.find(tile => tile.dataset.moduleId === selectedModuleId) ||
+            tiles[0] || null;
+        document.querySelectorAll('#module-grid .module-tile').forEach(tile => { tile.tabIndex = -1; });
+        if (tabStop) tabStop.tabIndex = 0;
+        return tabStop;
+    }
+
+    function focusTile(tile) {
+        focusedModuleId = tile.dataset.moduleId;
+        updateTabStop();
+        tile.focus();
+    }
+
+    /**
+     * Columns the CSS grid actually shows, which media queries may narrow
+     */
+    function getColumnCount(container) {
+        const template = window.getComputedStyle(container).gridTemplateColumns || '';
+        const repeat = template.match(/^repeat\((\d+)/);
+        if (repeat) return parseInt(repeat[1], 10);
+        const tracks = template.split(' ').filter(Boolean).length;
+        return template !== 'none' && tracks > 0 ? tracks : GRID_COLUMNS;
+    }
+
+    /**
+     * Tile an arrow, Home or End key moves to. Left and right run on through
+     * the whole layout; up and down move by rows and cross into the
+     * neighbouring cabinet at the edge of one.
+     */
+    function getNeighbourTile(tile, key, wholeLayout) {
+        const tiles = getNavigableTiles();
+        const index = tiles.indexOf(tile);
+        if (key === 'ArrowLeft') return tiles[index - 1] || null;
+        if (key === 'ArrowRight') return tiles[index + 1] || null;
+        if (wholeLayout && key === 'Home') return tiles[0];
+        if (wholeLayout && key === 'End') return tiles[tiles.length - 1];
+
+        const containerOf = candidate => candidate.closest('.module-group-tiles, .module-grid');
+        const containers = [...new Set(tiles.map(containerOf))];
+        const container = containerOf(tile);
+        const tilesIn = candidate => tiles.filter(other => containerOf(other) === candidate);
+
+        const containerTiles = tilesIn(container);
+        const columns = getColumnCount(container);
+        const position = containerTiles.indexOf(tile);
+        const column = position % columns;
+        const lastRow = Math.floor((containerTiles.length - 1) / columns);
+
+        if (key === 'Home') return containerTiles[position - column];
+        if (key === 'End') return containerTiles[Math.min(position - column + columns - 1, containerTiles.length - 1)];
+
+        if (key === 'ArrowUp') {
+            if (position >= columns) return containerTiles[position - columns];
+            const previous = containers[containers.indexOf(container) - 1];
+            if (!previous) return null;
+            const previousTiles = tilesIn(previous);
+            const previousColumns = getColumnCount(previous);
+            const lastRowStart = Math.floor((previousTiles.length - 1) / previousColumns) * previousColumns;
+            return previousTiles[Math.min(lastRowStart + column, previousTiles.length - 1)];
+        }
+
+        // ArrowDown
+        if (position + columns < containerTiles.length) return containerTiles[position + columns];
+        if (Math.floor(position / columns) < lastRow) return containerTiles[containerTiles.length - 1];
+        const next = containers[containers.indexOf(container) + 1];
+        if (!next) return null;
+        const nextTiles = tilesIn(next);
+        return nextTiles[Math.min(column, nextTiles.length - 1)];
+    }
+
+    /**
+     * Arrows, Home and End move focus; Enter or Space selects (Shift adds
+     * to the comparison); Escape clears the selection
+     */
+    function handleGridKeydown(event) {
+        const tile = event.target.closest('.module-tile');
+        if (!tile) return;
+        const moduleId = tile.dataset.moduleId;
+
+        switch (event.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'ArrowUp':
+            case 'ArrowDown':
+            case 'Home':
+            case 'End': {
+                event.preventDefault();
+                const target = getNeighbourTile(tile, event.key, event.ctrlKey);
+                if (target) focusTile(target);
+                break;
+            }
+            case 'Enter':
+            case ' ':
+                event.preventDefault();
+                if (event.shiftKey) {
+                    toggleComparedModule(moduleId);
+                } else {
+                    selectModule(moduleId);
+                    announce(`${moduleId} selected, details shown`);
+                }
+                break;
+            case 'Escape':
+                if (selectedModuleId || comparedModuleIds.length > 0) {
+                    event.preventDefault();
+                    clearSelection();
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Keep the tab stop on whichever tile was focused last, by mouse or keyboard
+     */
+    function handleGridFocus(event) {
+        const tile = event.target.closest('.module-tile');
+        if (!tile || tile.dataset.moduleId === focusedModuleId) return;
+        focusedModuleId = tile.dataset.moduleId;
+        updateTabStop();
+    }
+
+    // ============================================================================
+    // INITIALIZATION
+    // ============================================================================
+
+    // Today's demonstration data is the default 'mock' data source provider
+    window.STATCOM.dataSource.registerProvider('mock', function() {
+        return {
+            load: () => Promise.resolve(generateModuleData())
+        };
+    });
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initModuleOverview);
+    } else {
+        initModuleOverview();
+    }
+
+    // ============================================================================
+    // GLOBAL API - Expose validation for testing and debugging
+    // ============================================================================
+
+    // Make validation and inspection functions available globally for manual testing
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.validateModules = function() {
+        console.log('🔍 Running manual module validation...');
+        return validateModuleConsistency(moduleData);
+    };
+    window.STATCOM.getModuleData = function(moduleId) {
+        if (moduleId) {
+            return moduleData[moduleId];
+        }
+        return moduleData;
+    };
+    window.STATCOM.moduleOverview = {
+        STATUS_TYPES: STATUS_TYPES,
+        STATUS_VALUES: STATUS_VALUES,
+        getModules: () => modules.slice(),
+        getAggregateModuleStatus: getAggregateModuleStatus
+    };
+    window.STATCOM.getModuleStatus = function(moduleId) {
+        if (!moduleData[moduleId]) {
+            console.error(`Module ${moduleId} not found`);
+            return null;
+        }
+        const statuses = moduleData[moduleId];
+        const aggregate = getAggregateModuleStatus(statuses);
+        return {
+            moduleId: moduleId,
+            aggregateStatus: aggregate,
+            individualStatuses: statuses
+        };
+    };
+
+})();
+
+/**
+ * Time-Series Store
+ * Records voltage, current, temperature and power factor per module in
+ * IndexedDB at raw, 1 minute and 1 hour resolution, and answers range
+ * queries for the Trends charts
+ *
+ * Samples come from the live channel's metric messages. With the mock data
+ * provider, modules without live samples are sampled from a status-driven
+ * model so the charts still have data to show. Real providers get no modelled
+ * samples: a gap in the chart is better than made-up data being stored and
+ * checked against the alarm rules.
+ */
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
+
+    const DB_NAME = 'statcom_trends';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'samples';
+    const METRICS = ['voltage', 'current', 'temperature', 'powerFactor'];
+    const MINUTE_MS = 60 * 1000;
+    const HOUR_MS = 60 * MINUTE_MS;
+    const DAY_MS = 24 * HOUR_MS;
+
+    // Rollup tiers, finest first: bucket width (0 keeps every sample) and retention
+    const TIERS = {
+        'raw': { bucketMs: 0, retentionMs: 2 * HOUR_MS },
+        '1m': { bucketMs: MINUTE_MS, retentionMs: 2 * DAY_MS },
+        '1h': { bucketMs: HOUR_MS, retentionMs: 90 * DAY_MS }
+    };
+
+    const SAMPLE_INTERVAL_MS = 10000;
+    const LIVE_SAMPLE_TIMEOUT_MS = 30000;
+    const FLUSH_INTERVAL_MS = 10000;
+    const PRUNE_INTERVAL_MS = HOUR_MS;
+    const MAX_AUTO_POINTS = 1500;
+
+    // Alarm limits per metric and the status indicators they raise; 'low' limits
+    // are crossed when the value falls below them
+    const METRIC_LIMITS = {
+        voltage: { unit: 'kV', direction: 'high', warning: 11.4, critical: 11.5, statusTypes: ['Voltage Level'] },
+        current: { unit: 'A', direction: 'high', warning: 170, critical: 180, statusTypes: ['Current Level'] },
+        temperature: { unit: '°C', direction: 'high', warning: 65, critical: 70, statusTypes: ['Thermal Status'] },
+        powerFactor: { unit: '', direction: 'low', warning: 0.85, critical: 0.80, statusTypes: ['Voltage Level', 'Current Level'] }
+    };
+
+    // Status-driven model: OK sits at the base value, faults move towards the critical limit
+    const METRIC_MODEL = {
+        voltage: { base: 11.0, variance: 0.1 },
+        current: { base: 150, variance: 5 },
+        temperature: { base: 45, variance: 2 },
+        powerFactor: { base: 0.95, variance: 0.02 }
+    };
+    const STATUS_LEVEL = { 'OK': 0, 'DEGRADED': 0.6, 'WARNING': 0.85, 'CRITICAL': 1.1 };
+    const MODEL_SMOOTHING = 0.2;
+
+    let storePromise = null;
+    const pending = new Map(); // "tier|moduleId|t" -> record not yet written
+    const lastLiveSampleAt = new Map(); // moduleId -> ms
+    const latestSamples = new Map(); // moduleId -> { time, values } newest value of each metric
+    const modelValues = new Map(); // moduleId -> last modelled values
+    const listeners = new Set();
+
+    // ============================================================================
+    // AGGREGATES
+    // ============================================================================
+
+    /**
+     * Combine two { min, max, sum, count } aggregates
+     */
+    function combineAggregates(a, b) {
+        if (!a) return { ...b };
+        if (!b) return { ...a };
+        return {
+            min: Math.min(a.min, b.min),
+            max: Math.max(a.max, b.max),
+            sum: a.sum + b.sum,
+            count: a.count + b.count
+        };
+    }
+
+    /**
+     * Combine two records for the same tier, module and bucket
+     */
+    function combineRecords(existing, addition) {
+        if (!existing) return addition;
+        const metrics = { ...existing.metrics };
+        Object.entries(addition.metrics).forEach(([metric, aggregate]) => {
+            metrics[metric] = combineAggregates(metrics[metric], aggregate);
+        });
+        return { ...existing, metrics: metrics };
+    }
+
+    function getBucketStart(tier, time) {
+        const bucketMs = TIERS[tier].bucketMs;
+        return bucketMs ? Math.floor(time / bucketMs) * bucketMs : time;
+    }
+
+    // ============================================================================
+    // STORAGE BACKENDS
+    // ============================================================================
+
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open the IndexedDB store
+     * Records are keyed [tier, moduleId, t]; the 'tierTime' index serves pruning
+     * and fleet-wide reads.
+     * @returns {Promise<Object>} Store with addAll, getRange, getTierRange, deleteBefore
+     */
+    function openIndexedDbStore() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: ['tier', 'moduleId', 't'] });
+                store.createIndex('tierTime', ['tier', 't']);
+            };
+            request.onsuccess = () => resolve(createIndexedDbStore(request.result));
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Trend database is blocked by another tab'));
+        });
+    }
+
+    function createIndexedDbStore(db) {
+        function transaction(mode, work) {
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE_NAME, mode);
+                let result;
+                // A failed request aborts the whole transaction, so a batch is written completely or not at all
+                Promise.resolve(work(tx.objectStore(STORE_NAME))).then(value => { result = value; }, error => {
+                    reject(error);
+                    try {
+                        tx.abort();
+                    } catch (abortError) {
+                        // Already finished
+                    }
+                });
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('Trend transaction aborted'));
+            });
+        }
+
+        return {
+            addAll(records) {
+                return transaction('readwrite', store => Promise.all(records.map(record =>
+                    promisifyRequest(store.get([record.tier, record.moduleId, record.t]))
+                        .then(existing => promisifyRequest(store.put(combineRecords(existing, record))))
+                )));
+            },
+            getRange(tier, moduleId, from, to) {
+                const range = IDBKeyRange.bound([tier, moduleId, from], [tier, moduleId, to]);
+                return transaction('readonly', store => promisifyRequest(store.getAll(range)));
+            },
+            getTierRange(tier, from, to) {
+                const range = IDBKeyRange.bound([tier, from], [tier, to]);
+                return transaction('readonly', store => promisifyRequest(store.index('tierTime').getAll(range)));
+            },
+            deleteBefore(tier, cutoff) {
+                return transaction('readwrite', store => new Promise((resolve, reject) => {
+                    let removed = 0;
+                    const range = IDBKeyRange.bound([tier, -Infinity], [tier, cutoff], false, true);
+                    const request = store.index('tierTime').openCursor(range);
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) {
+                            resolve(removed);
+                            return;
+                        }
+                        cursor.delete();
+                        removed++;
+                        cursor.continue();
+                    };
+                    request.onerror = () => reject(request.error);
+                }));
+            }
+        };
+    }
+
+    /**
+     * In-memory store used when IndexedDB is unavailable (trends then last for the page only)
+     */
+    function createMemoryStore() {
+        const records = new Map();
+        const keyOf = record => `${record.tier}|${record.moduleId}|${record.t}`;
+
+        return {
+            addAll(newRecords) {
+                newRecords.forEach(record => {
+                    records.set(keyOf(record), combineRecords(records.get(keyOf(record)), record));
+                });
+                return Promise.resolve();
+            },
+            getRange(tier, moduleId, from, to) {
+                return Promise.resolve([...records.values()]
+                    .filter(record => record.tier === tier && record.moduleId === moduleId && record.t >= from && record.t <= to)
+                    .sort((a, b) => a.t - b.t));
+            },
+            getTierRange(tier, from, to) {
+                return Promise.resolve([...records.values()]
+                    .filter(record => record.tier === tier && record.t >= from && record.t <= to)
+                    .sort((a, b) => a.t - b.t));
+            },
+            deleteBefore(tier, cutoff) {
+                let removed = 0;
+                records.forEach((record, key) => {
+                    if (record.tier === tier && record.t < cutoff) {
+                        records.delete(key);
+                        removed++;
+                    }
+                });
+                return Promise.resolve(removed);
+            }
+        };
+    }
+
+    /**
+     * Open the store once; falls back to memory if IndexedDB cannot be used
+     */
+    function getStore() {
+        if (!storePromise) {
+            const opened = typeof indexedDB === 'undefined'
+                ? Promise.reject(new Error('IndexedDB is not supported'))
+                : openIndexedDbStore();
+
+            storePromise = opened.catch(error => {
+                console.warn('Trend history is not persistent:', error.message);
+                return createMemoryStore();
+            });
+        }
+        return storePromise;
+    }
+
+    // ============================================================================
+    // RECORDING
+    // ============================================================================
+
+    /**
+     * Record a metric sample for a module into every tier
+     * Samples are buffered and written on the next flush.
+     * @param {string} moduleId - Module ID
+     * @param {Object} values - { voltage, current, temperature, powerFactor }; missing metrics are skipped
+     * @param {Date|number|string} timestamp - Sample time, defaults to now
+     */
+    function record(moduleId, values, timestamp = Date.now()) {
+        const time = new Date(timestamp).getTime();
+        const metrics = {};
+        METRICS.forEach(metric => {
+            const value = values[metric];
+            if (typeof value === 'number' && isFinite(value)) {
+                metrics[metric] = { min: value, max: value, sum: value, count: 1 };
+            }
+        });
+        if (isNaN(time) || Object.keys(metrics).length === 0) return;
+
+        const latest = latestSamples.get(moduleId);
+        if (!latest || time >= latest.time) {
+            const latestValues = latest ? { ...latest.values } : {};
+            Object.keys(metrics).forEach(metric => { latestValues[metric] = values[metric]; });
+            latestSamples.set(moduleId, { time: time, values: latestValues });
+        }
+
+        Object.keys(TIERS).forEach(tier => {
+            const t = getBucketStart(tier, time);
+            const key = `${tier}|${moduleId}|${t}`;
+            pending.set(key, combineRecords(pending.get(key), { tier, moduleId, t, metrics: { ...metrics } }));
+        });
+    }
+
+    /**
+     * Write buffered samples and notify subscribers
+     * The batch leaves the buffer when it is taken, and goes back into it if
+     * the write fails (an aborted transaction writes nothing), so the next
+     * flush retries it together with newer samples.
+     * @returns {Promise<void>}
+     */
+    function flush() {
+        if (pending.size === 0) return Promise.resolve();
+
+        const records = [...pending.values()];
+        pending.clear();
+
+        return getStore()
+            .then(store => store.addAll(records))
+            .catch(error => {
+                records.forEach(record => {
+                    const key = `${record.tier}|${record.moduleId}|${record.t}`;
+                    pending.set(key, combineRecords(pending.get(key), record));
+                });
+                throw error;
+            })
+            .then(() => {
+                const moduleIds = [...new Set(records.map(r => r.moduleId))];
+                listeners.forEach(listener => {
+                    try {
+                        listener(moduleIds);
+                    } catch (error) {
+                        console.error('Trend subscriber failed:', error);
+                    }
+                });
+            });
+    }
+
+    /**
+     * Record a metric sample pushed by the live channel
+     * @param {Object} message - { source, timestamp, values }; 'system' samples belong to Diagnostics
+     */
+    function handleLiveMetric(message) {
+        if (!message.source || message.source === 'system' || !message.values) return;
+        lastLiveSampleAt.set(message.source, Date.now());
+        record(message.source, message.values, message.timestamp || Date.now());
+    }
+
+    /**
+     * Next modelled sample for a module, eased towards the level its statuses imply
+     */
+    function sampleModel(moduleId, statuses) {
+        const previous = modelValues.get(moduleId) || {};
+        const values = {};
+
+        Object.entries(METRIC_MODEL).forEach(([metric, model]) => {
+            const limits = METRIC_LIMITS[metric];
+            const level = Math.max(...limits.statusTypes.map(type => STATUS_LEVEL[statuses[type]] || 0));
+            const target = model.base + (limits.critical - model.base) * level;
+            const last = typeof previous[metric] === 'number' ? previous[metric] : target;
+            const value = last + (target - last) * MODEL_SMOOTHING + (Math.random() - 0.5) * model.variance;
+            values[metric] = metric === 'powerFactor' ? Math.round(value * 100) / 100 : Math.round(value * 10) / 10;
+        });
+
+        modelValues.set(moduleId, values);
+        return values;
+    }
+
+    /**
+     * Sample every module that has no recent live samples, in mock mode only
+     */
+    function sampleModules() {
+        if (window.STATCOM.dataSource.getInfo().provider !== 'mock') {
+            modelValues.clear();
+            return;
+        }
+
+        const moduleData = window.STATCOM.dataSource.getSnapshot();
+        if (!moduleData) return;
+
+        const now = Date.now();
+        Object.entries(moduleData).forEach(([moduleId, statuses]) => {
+            if (now - (lastLiveSampleAt.get(moduleId) || 0) < LIVE_SAMPLE_TIMEOUT_MS) return;
+            record(moduleId, sampleModel(moduleId, statuses), now);
+        });
+    }
+
+    // ============================================================================
+    // QUERIES
+    // ============================================================================
+
+    /**
+     * Finest tier that still holds the start of the range and stays under MAX_AUTO_POINTS
+     */
+    function chooseResolution(from, to) {
+        const age = Date.now() - from;
+        const span = to - from;
+        const tier = Object.keys(TIERS).find(name => {
+            const config = TIERS[name];
+            const points = span / (config.bucketMs || SAMPLE_INTERVAL_MS);
+            return age <= config.retentionMs && points <= MAX_AUTO_POINTS;
+        });
+        return tier || '1h';
+    }
+
+    /**
+     * Validate query options and resolve the time range and tier
+     * @returns {Object} { from, to, resolution } in epoch ms
+     */
+    function resolveQuery(options) {
+        if (!METRICS.includes(options.metric)) {
+            throw new Error(`Unknown metric: ${options.metric}`);
+        }
+
+        const to = options.to ? new Date(options.to).getTime() : Date.now();
+        const from = options.from ? new Date(options.from).getTime() : to - HOUR_MS;
+        if (isNaN(from) || isNaN(to) || from > to) {
+            throw new RangeError('Invalid time range');
+        }
+        const resolution = !options.resolution || options.resolution === 'auto'
+            ? chooseResolution(from, to)
+            : options.resolution;
+        if (!TIERS[resolution]) {
+            throw new Error(`Unknown resolution: ${resolution}`);
+        }
+        return { from, to, resolution };
+    }
+
+    /**
+     * Turn records into points for one metric, merging records that fall in the same alignMs slot
+     * @param {number} alignMs - Slot width; 0 keeps each record's own time
+     */
+    function toPoints(records, metric, alignMs) {
+        const slots = new Map(); // t -> aggregate
+        records.forEach(record => {
+            const aggregate = record.metrics[metric];
+            if (!aggregate) return;
+            const t = alignMs ? Math.floor(record.t / alignMs) * alignMs : record.t;
+            slots.set(t, combineAggregates(slots.get(t), aggregate));
+        });
+
+        return [...slots.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([t, aggregate]) => ({
+                time: new Date(t),
+                min: aggregate.min,
+                max: aggregate.max,
+                avg: aggregate.sum / aggregate.count,
+                count: aggregate.count
+            }));
+    }
+
+    /**
+     * Query one metric of one module
+     * @param {Object} options - { moduleId, metric, from: Date, to: Date, resolution: 'auto' | 'raw' | '1m' | '1h' }
+     * @returns {Promise<Object>} { resolution, points: [{ time: Date, min, max, avg, count }] }
+     */
+    function query(options) {
+        let range;
+        try {
+            range = resolveQuery(options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return flush()
+            .then(getStore)
+            .then(store => store.getRange(range.resolution, options.moduleId, getBucketStart(range.resolution, range.from), range.to))
+            .then(records => ({
+                resolution: range.resolution,
+                points: toPoints(records, options.metric, 0)
+            }));
+    }
+
+    /**
+     * Query one metric of several modules, optionally with fleet statistics
+     * Raw samples are aligned to the sampling interval so every series shares
+     * the same times. The fleet band is the min, max and mean of the module
+     * averages in each slot, across all modules with data.
+     * @param {Object} options - { moduleIds: Array<string>, metric, from, to, resolution, fleet: boolean }
+     * @returns {Promise<Object>} { resolution, series: [{ moduleId, points }], fleet: [{ time, min, max, mean, modules }] | null }
+     */
+    function queryModules(options) {
+        let range;
+        try {
+            range = resolveQuery(options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const moduleIds = options.moduleIds || [];
+        const alignMs = TIERS[range.resolution].bucketMs || SAMPLE_INTERVAL_MS;
+        const from = Math.floor(range.from / alignMs) * alignMs;
+
+        return flush()
+            .then(getStore)
+            .then(store => {
+                if (options.fleet) {
+                    return store.getTierRange(range.resolution, from, range.to);
+                }
+                return Promise.all(moduleIds.map(moduleId => store.getRange(range.resolution, moduleId, from, range.to)))
+                    .then(lists => [].concat(...lists));
+            })
+            .then(records => {
+                const byModule = new Map(); // moduleId -> records
+                records.forEach(record => {
+                    if (!byModule.has(record.moduleId)) byModule.set(record.moduleId, []);
+                    byModule.get(record.moduleId).push(record);
+                });
+                const pointsOf = new Map([...byModule.entries()]
+                    .map(([moduleId, moduleRecords]) => [moduleId, toPoints(moduleRecords, options.metric, alignMs)]));
+
+                return {
+                    resolution: range.resolution,
+                    series: moduleIds.map(moduleId => ({ moduleId: moduleId, points: pointsOf.get(moduleId) || [] })),
+                    fleet: options.fleet ? getFleetStatistics(pointsOf) : null
+                };
+            });
+    }
+
+    /**
+     * Min, max and mean of module averages per time slot
+     * @param {Map} pointsOf - moduleId -> points
+     */
+    function getFleetStatistics(pointsOf) {
+        const slots = new Map(); // t -> { min, max, sum, count }
+        pointsOf.forEach(points => {
+            points.forEach(point => {
+                const t = point.time.getTime();
+                slots.set(t, combineAggregates(slots.get(t), { min: point.avg, max: point.avg, sum: point.avg, count: 1 }));
+            });
+        });
+
+        return [...slots.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([t, aggregate]) => ({
+                time: new Date(t),
+                min: aggregate.min,
+                max: aggregate.max,
+                mean: aggregate.sum / aggregate.count,
+                modules: aggregate.count
+            }));
+    }
+
+    /**
+     * Newest sample of each metric for a module, before it is written
+     * @returns {Object|null} { time: ms, values: { voltage, current, temperature, powerFactor } }
+     */
+    function getLatest(moduleId) {
+        return latestSamples.get(moduleId) || null;
+    }
+
+    /**
+     * Subscribe to new samples
+     * @param {Function} listener - (moduleIds) => void, called after each write with the modules that got samples
+     * @returns {Function} Unsubscribe function
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Drop records older than each tier's retention
+     * @returns {Promise<number>} Number of records removed
+     */
+    function prune() {
+        const now = Date.now();
+        return getStore().then(store => Promise.all(Object.entries(TIERS)
+            .map(([tier, config]) => store.deleteBefore(tier, now - config.retentionMs))))
+            .then(counts => counts.reduce((total, count) => total + count, 0));
+    }
+
+    /**
+     * Start sampling, flushing and pruning
+     */
+    function start() {
+        window.STATCOM.live.on('metric', handleLiveMetric);
+
+        // Sample as soon as module data arrives, then on a fixed interval
+        let sampled = false;
+        window.STATCOM.dataSource.subscribe(() => {
+            if (!sampled) {
+                sampled = true;
+                sampleModules();
+            }
+        });
+        setInterval(sampleModules, SAMPLE_INTERVAL_MS);
+
+        setInterval(() => {
+            flush().catch(error => console.error('Trend write failed:', error));
+        }, FLUSH_INTERVAL_MS);
+
+        prune().catch(error => console.error('Trend prune failed:', error));
+        setInterval(() => {
+            prune().catch(error => console.error('Trend prune failed:', error));
+        }, PRUNE_INTERVAL_MS);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+
+    // ============================================================================
+    // GLOBAL API
+    // ============================================================================
+
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.timeSeries = {
+        METRICS: METRICS,
+        LIMITS: METRIC_LIMITS,
+        RESOLUTIONS: Object.keys(TIERS),
+        record: record,
+        flush: flush,
+        query: query,
+        queryModules: queryModules,
+        getLatest: getLatest,
+        subscribe: subscribe,
+        prune: prune
+    };
+
+})();
+
+/**
+ * Trends Page Implementation
+ * Interactive Chart.js visualizations for module data over time, read from the time-series store
+ */
+(function() {
+    'use strict';
+
+    const TIME_RANGE_MS = {
+        '1h': 60 * 60 * 1000,
+        '24h': 24 * 60 * 60 * 1000,
+        '7d': 7 * 24 * 60 * 60 * 1000,
+        '30d': 30 * 24 * 60 * 60 * 1000
+    };
+    const MIN_VIEW_SPAN_MS = 60 * 1000;
+    const MAX_VIEW_SPAN_MS = 90 * 24 * 60 * 60 * 1000;
+    const WHEEL_ZOOM_FACTOR = 0.8;
+    const MIN_DRAG_PX = 5;
+    const PAN_UPDATE_INTERVAL_MS = 100;
+    const MAX_OVERLAY_MODULES = 16;
+    const GROUP_KINDS = [
+        { kind: 'row', label: 'Grid rows' },
+        { kind: 'column', label: 'Grid columns' },
+        { kind: 'phase', label: 'Phases' },
+        { kind: 'cluster', label: 'Clusters' },
+        { kind: 'cabinet', label: 'Cabinets' }
+    ];
+    const OVERLAY_COLORS = [
+        '#4a9eff', '#e67e50', '#5cc98a', '#d4a850', '#b07aff', '#ff6f91', '#4fd1c5', '#c0c060',
+        '#8fb4ff', '#ff9f43', '#9be15d', '#f368e0', '#00b8d4', '#e0e0e0', '#a0785a', '#ff5252'
+    ];
+    const STATUS_COLORS = {
+        'OK': '#2d5f4d',
+        'DEGRADED': '#d4a850',
+        'WARNING': '#e67e50',
+        'CRITICAL': '#c84848'
+    };
+    const STATUS_PRIORITY = { 'OK': 0, 'DEGRADED': 1, 'WARNING': 2, 'CRITICAL': 3 };
+    const LIMIT_STYLES = {
+        warning: { line: STATUS_COLORS.WARNING, band: 'rgba(230, 126, 80, 0.08)' },
+        critical: { line: STATUS_COLORS.CRITICAL, band: 'rgba(200, 72, 72, 0.12)' }
+    };
+    const VALUE_DECIMALS = { voltage: 2, current: 1, temperature: 1, powerFactor: 2 };
+    const MARKER_RADIUS_PX = 5;
+    const MARKER_HIT_PX = 8;
+    const MAX_LISTED_CROSSINGS = 10;
+    const METRIC_NAMES = { voltage: 'Voltage', current: 'Current', temperature: 'Temperature', powerFactor: 'Power Factor' };
+    const IMAGE_HEADER_PX = 48;
+    const IMAGE_BACKGROUND = '#151c28';
+
+    // Chart instances
+    let voltageChart = null;
+    let currentChart = null;
+    let temperatureChart = null;
+    let powerFactorChart = null;
+
+    // Current state
+    let selectedModuleIds = []; // in module order, at most MAX_OVERLAY_MODULES
+    let showFleetStats = false;
+    let currentTimeRange = '1h'; // '1h', '24h', '7d', '30d' or 'custom'
+    let customRange = null; // { from: Date, to: Date } for 'custom'
+    let zoomRange = null; // { from: Date, to: Date } while zoomed or panned
+    let moduleData = {};
+    let chartGeneration = 0;
+    const pointTimes = {}; // metric -> Date of each plotted point, for mapping pixels to time
+    let displayedResolution = null; // store tier behind the plotted points
+
+    /**
+     * Initialize Trends page
+     */
+    function initTrends() {
+        // Populate module selector
+        populateModuleSelector();
+
+        // Set up event listeners
+        setupEventListeners();
+
+        // Initialize charts with default module (first module with issues)
+        const defaultModule = getDefaultModule();
+        if (defaultModule) {
+            setSelectedModules([defaultModule]);
+            initializeCharts();
+        }
+    }
+
+    /**
+     * Show error message when Chart.js fails to load
+     */
+    function showChartLoadError() {
+        const chartWrappers = document.querySelectorAll('.chart-wrapper');
+        chartWrappers.forEach(wrapper => {
+            wrapper.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #888; text-align: center; padding: 20px;">Chart.js library failed to load. Please check your internet connection.</div>';
+        });
+    }
+
+    /**
+     * Get default module to display (first module with issues, or M001)
+     */
+    function getDefaultModule() {
+        const moduleIds = window.STATCOM.topology.getModuleIds();
+
+        // Find first module with non-OK status
+        for (const moduleId of moduleIds) {
+            const statuses = moduleData[moduleId];
+            if (statuses) {
+                const hasIssue = Object.values(statuses).some(status => status !== 'OK');
+                if (hasIssue) {
+                    return moduleId;
+                }
+            }
+        }
+        return moduleIds[0]; // Default to first module
+    }
+
+    /**
+     * Populate module selector and the row/column/phase/cluster/cabinet quick pick
+     */
+    function populateModuleSelector() {
+        const selector = document.getElementById('module-selector');
+        if (!selector) return;
+
+        selector.innerHTML = '';
+
+        window.STATCOM.topology.getModules().forEach(module => {
+            const option = document.createElement('option');
+            option.value = module.id;
+            option.textContent = module.displayName;
+            selector.appendChild(option);
+        });
+
+        const groupSelector = document.getElementById('module-group-selector');
+        if (!groupSelector) return;
+
+        groupSelector.innerHTML = '<option value="">Row, column or group…</option>';
+        GROUP_KINDS.forEach(({ kind, label }) => {
+            const groups = getGroups(kind);
+            if (groups.length === 0) return;
+
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            groups.forEach(group => {
+                const option = document.createElement('option');
+                option.value = `${kind}:${group.id}`;
+                option.textContent = `${group.name} (${group.moduleIds.length})`;
+                optgroup.appendChild(option);
+            });
+            groupSelector.appendChild(optgroup);
+        });
+    }
+
+    /**
+     * Quick-pick groups of one kind: rows and columns of the Module Overview
+     * grid, or the topology's phases, clusters and cabinets
+     * @returns {Array<Object>} [{ id, name, moduleIds }]
+     */
+    function getGroups(kind) {
+        const topology = window.STATCOM.topology;
+        if (kind !== 'row' && kind !== 'column') return topology.getGroups(kind);
+
+        const columns = topology.getGridColumns();
+        const groups = [];
+        topology.getModules().forEach(module => {
+            const number = kind === 'row' ? Math.floor(module.index / columns) + 1 : module.index % columns + 1;
+            if (!groups[number - 1]) {
+                groups[number - 1] = { id: String(number), name: `${kind === 'row' ? 'Row' : 'Column'} ${number}`, moduleIds: [] };
+            }
+            groups[number - 1].moduleIds.push(module.id);
+        });
+        return groups.filter(Boolean);
+    }
+
+    /**
+     * Module IDs in a quick-pick group, e.g. 'row:2', 'phase:A' or 'cabinet:B2'
+     */
+    function getGroupModules(group) {
+        const separator = group.indexOf(':');
+        const kind = group.slice(0, separator);
+        const id = group.slice(separator + 1);
+        const match = getGroups(kind).find(item => item.id === id);
+        return match ? match.moduleIds : [];
+    }
+
+    /**
+     * Set the compared modules in topology order, capped at MAX_OVERLAY_MODULES, and mirror them in the selector
+     */
+    function setSelectedModules(moduleIds) {
+        const topology = window.STATCOM.topology;
+        const position = id => {
+            const module = topology.getModule(id);
+            return module ? module.index : Infinity;
+        };
+        const sorted = [...new Set(moduleIds)].sort((a, b) => position(a) - position(b) || a.localeCompare(b));
+        selectedModuleIds = sorted.slice(0, MAX_OVERLAY_MODULES);
+
+        const selector = document.getElementById('module-selector');
+        if (selector) {
+            Array.from(selector.options).forEach(option => {
+                option.selected = selectedModuleIds.includes(option.value);
+            });
+        }
+
+        const note = document.getElementById('trends-selection-note');
+        if (note) {
+            note.textContent = sorted.length > MAX_OVERLAY_MODULES
+                ? `Showing the first ${MAX_OVERLAY_MODULES} of ${sorted.length} selected modules`
+                : '';
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        // Module selector change
+        const selector = document.getElementById('module-selector');
+        if (selector) {
+            selector.addEventListener('change', function() {
+                const moduleIds = Array.from(this.selectedOptions).map(option => option.value);
+                if (moduleIds.length === 0) return;
+                setSelectedModules(moduleIds);
+                updateCharts();
+            });
+        }
+
+        // Whole grid row or column, phase, cluster or cabinet
+        const groupSelector = document.getElementById('module-group-selector');
+        if (groupSelector) {
+            groupSelector.addEventListener('change', function() {
+                if (!this.value) return;
+                setSelectedModules(getGroupModules(this.value));
+                this.value = '';
+                updateCharts();
+            });
+        }
+
+        const fleetToggle = document.getElementById('trends-fleet-stats-toggle');
+        if (fleetToggle) {
+            fleetToggle.addEventListener('change', function() {
+                showFleetStats = this.checked;
+                updateCharts();
+            });
+        }
+
+        // Time range buttons
+        const timeRangeButtons = document.querySelectorAll('.time-range-btn[data-range]');
+        timeRangeButtons.forEach(btn => {
+            btn.addEventListener('click', function() {
+                // Update active state
+                timeRangeButtons.forEach(b => b.classList.remove('active'));
+                this.classList.add('active');
+
+                // The custom range applies once its inputs are filled in
+                const isCustom = this.dataset.range === 'custom';
+                document.getElementById('trends-custom-range').style.display = isCustom ? '' : 'none';
+                if (isCustom) {
+                    prefillCustomRange();
+                    return;
+                }
+
+                // Update time range and charts
+                currentTimeRange = this.dataset.range;
+                zoomRange = null;
+                updateCharts();
+            });
+        });
+
+        const applyRangeBtn = document.getElementById('trends-range-apply-btn');
+        if (applyRangeBtn) {
+            applyRangeBtn.addEventListener('click', applyCustomRange);
+        }
+
+        const resetZoomBtn = document.getElementById('trends-reset-zoom-btn');
+        if (resetZoomBtn) {
+            resetZoomBtn.addEventListener('click', resetZoom);
+        }
+
+        // Per-chart and whole-page export
+        document.querySelectorAll('.chart-card[data-metric] .chart-export-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                const metric = this.closest('.chart-card').dataset.metric;
+                if (this.dataset.format === 'csv') {
+                    exportCsv([metric]);
+                } else {
+                    exportPng([metric]);
+                }
+            });
+        });
+
+        const exportButtons = {
+            'trends-export-csv-btn': () => exportCsv(window.STATCOM.timeSeries.METRICS),
+            'trends-export-png-btn': () => exportPng(window.STATCOM.timeSeries.METRICS),
+            'trends-export-report-btn': exportReport
+        };
+        Object.entries(exportButtons).forEach(([id, handler]) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', handler);
+        });
+    }
+
+    // ============================================================================
+    // TIME RANGE, ZOOM AND PAN
+    // ============================================================================
+
+    /**
+     * Format a Date for a datetime-local input (local time, minute precision)
+     */
+    function toDateTimeLocal(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Start the custom range inputs from the range currently shown
+     */
+    function prefillCustomRange() {
+        const range = getViewRange();
+        document.getElementById('trends-from-input').value = toDateTimeLocal(range.from);
+        document.getElementById('trends-to-input').value = toDateTimeLocal(range.to);
+        document.getElementById('trends-range-error').textContent = '';
+    }
+
+    /**
+     * Validate and apply the From/To inputs
+     */
+    function applyCustomRange() {
+        const fromValue = document.getElementById('trends-from-input').value;
+        const toValue = document.getElementById('trends-to-input').value;
+        const errorEl = document.getElementById('trends-range-error');
+        const from = new Date(fromValue);
+        const to = new Date(toValue);
+
+        if (!fromValue || !toValue || isNaN(from.getTime()) || isNaN(to.getTime())) {
+            errorEl.textContent = 'Enter both a start and an end time';
+            return;
+        }
+        if (to.getTime() - from.getTime() < MIN_VIEW_SPAN_MS) {
+            errorEl.textContent = 'The end must be at least a minute after the start';
+            return;
+        }
+        if (to.getTime() - from.getTime() > MAX_VIEW_SPAN_MS) {
+            errorEl.textContent = 'Ranges are limited to 90 days';
+            return;
+        }
+
+        errorEl.textContent = '';
+        currentTimeRange = 'custom';
+        customRange = { from, to };
+        zoomRange = null;
+        updateCharts();
+    }
+
+    /**
+     * Range selected by the preset buttons or the custom inputs; presets end now
+     */
+    function getBaseRange() {
+        if (currentTimeRange === 'custom' && customRange) {
+            return customRange;
+        }
+        const to = new Date();
+        const span = TIME_RANGE_MS[currentTimeRange] || TIME_RANGE_MS['1h'];
+        return { from: new Date(to.getTime() - span), to: to };
+    }
+
+    /**
+     * Range shown by all four charts
+     */
+    function getViewRange() {
+        return zoomRange || getBaseRange();
+    }
+
+    /**
+     * Whether the charts follow new samples (a preset range that is not zoomed)
+     */
+    function isFollowingNow() {
+        return !zoomRange && currentTimeRange !== 'custom';
+    }
+
+    /**
+     * Zoom or pan every chart to a range, keeping the span within limits
+     */
+    function setZoomRange(fromMs, toMs) {
+        let from = Math.min(fromMs, toMs);
+        let to = Math.max(fromMs, toMs);
+        const span = Math.min(Math.max(to - from, MIN_VIEW_SPAN_MS), MAX_VIEW_SPAN_MS);
+        const centre = (from + to) / 2;
+        from = centre - span / 2;
+        to = centre + span / 2;
+
+        zoomRange = { from: new Date(from), to: new Date(to) };
+        updateCharts();
+    }
+
+    function resetZoom() {
+        if (!zoomRange) return;
+        zoomRange = null;
+        updateCharts();
+    }
+
+    /**
+     * Show the visible range and enable Reset Zoom while zoomed
+     */
+    function updateZoomControls() {
+        const range = getViewRange();
+        const rangeEl = document.getElementById('trends-view-range');
+        if (rangeEl) {
+            rangeEl.textContent = `${toDateTimeLocal(range.from).replace('T', ' ')} – ${toDateTimeLocal(range.to).replace('T', ' ')}`;
+        }
+        const resetZoomBtn = document.getElementById('trends-reset-zoom-btn');
+        if (resetZoomBtn) {
+            resetZoomBtn.disabled = !zoomRange;
+        }
+    }
+
+    /**
+     * Time under a horizontal pixel of a chart
+     * Uses the plotted point under the cursor, or the range proportionally when there are no points.
+     */
+    function getTimeAtPixel(chart, metric, x) {
+        const times = pointTimes[metric] || [];
+        if (times.length > 1 && chart.scales && chart.scales.x && typeof chart.scales.x.getValueForPixel === 'function') {
+            const index = Math.round(chart.scales.x.getValueForPixel(x));
+            return times[Math.max(0, Math.min(times.length - 1, index))].getTime();
+        }
+
+        const range = getViewRange();
+        const area = chart.chartArea;
+        const fraction = area && area.right > area.left ? (x - area.left) / (area.right - area.left) : 0.5;
+        return range.from.getTime() + Math.max(0, Math.min(1, fraction)) * (range.to.getTime() - range.from.getTime());
+    }
+
+    /**
+     * Wheel zoom, drag-to-zoom, Shift+drag pan and double-click reset on one chart
+     * Every interaction sets the shared range, so all charts stay synchronised.
+     * @param {HTMLCanvasElement} canvas - Chart canvas
+     * @param {string} metric - Metric shown by the chart
+     * @param {Function} getChart - Returns the Chart instance
+     */
+    function attachZoomHandlers(canvas, metric, getChart) {
+        const selection = document.createElement('div');
+        selection.className = 'chart-zoom-selection';
+        canvas.parentElement.appendChild(selection);
+        canvas.classList.add('zoomable');
+
+        let drag = null; // { mode: 'select' | 'pan', startX, range, lastUpdate }
+
+        const offsetX = e => e.clientX - canvas.getBoundingClientRect().left;
+
+        canvas.addEventListener('wheel', (e) => {
+            const chart = getChart();
+            if (!chart) return;
+            e.preventDefault();
+
+            const range = getViewRange();
+            const centre = getTimeAtPixel(chart, metric, offsetX(e));
+            const factor = e.deltaY < 0 ? WHEEL_ZOOM_FACTOR : 1 / WHEEL_ZOOM_FACTOR;
+            setZoomRange(
+                centre - (centre - range.from.getTime()) * factor,
+                centre + (range.to.getTime() - centre) * factor
+            );
+        }, { passive: false });
+
+        canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || !getChart()) return;
+            e.preventDefault();
+            drag = { mode: e.shiftKey ? 'pan' : 'select', startX: offsetX(e), range: getViewRange(), lastUpdate: 0 };
+            if (drag.mode === 'pan') canvas.classList.add('panning');
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (!drag) return;
+            const chart = getChart();
+            const x = offsetX(e);
+
+            if (drag.mode === 'select') {
+                const area = chart.chartArea || { top: 0, bottom: canvas.clientHeight };
+                selection.style.display = 'block';
+                selection.style.left = `${Math.min(drag.startX, x)}px`;
+                selection.style.width = `${Math.abs(x - drag.startX)}px`;
+                selection.style.top = `${area.top}px`;
+                selection.style.height = `${area.bottom - area.top}px`;
+                return;
+            }
+
+            // Pan: shift the range by the dragged distance, a few times a second
+            const now = Date.now();
+            if (now - drag.lastUpdate < PAN_UPDATE_INTERVAL_MS) return;
+            drag.lastUpdate = now;
+            const area = chart.chartArea || { left: 0, right: canvas.clientWidth };
+            const width = area.right - area.left;
+            if (!(width > 0)) return;
+            const span = drag.range.to.getTime() - drag.range.from.getTime();
+            const shift = (x - drag.startX) / width * span;
+            setZoomRange(drag.range.from.getTime() - shift, drag.range.to.getTime() - shift);
+        });
+
+        window.addEventListener('mouseup', (e) => {
+            if (!drag) return;
+            const finished = drag;
+            drag = null;
+            selection.style.display = 'none';
+            canvas.classList.remove('panning');
+
+            const x = offsetX(e);
+            if (finished.mode === 'select' && Math.abs(x - finished.startX) >= MIN_DRAG_PX) {
+                const chart = getChart();
+                setZoomRange(getTimeAtPixel(chart, metric, finished.startX), getTimeAtPixel(chart, metric, x));
+            }
+        });
+
+        canvas.addEventListener('dblclick', resetZoom);
+    }
+
+    // ============================================================================
+    // LIMIT LINES AND CROSSINGS
+    // ============================================================================
+
+    /**
+     * Value formatted with the metric's precision and unit
+     */
+    function formatMetricValue(metric, value) {
+        const limits = window.STATCOM.timeSeries.LIMITS[metric];
+        const text = value.toFixed(VALUE_DECIMALS[metric]);
+        return limits.unit ? `${text} ${limits.unit}` : text;
+    }
+
+    /**
+     * Chart.js plugin that shades the warning and critical zones, draws the
+     * limit lines under the data and marks crossings on top of it
+     * Reads chart.trendLimits = { metric, crossings }.
+     */
+    const limitsPlugin = {
+        id: 'trendLimits',
+
+        beforeDatasetsDraw(chart) {
+            const info = chart.trendLimits;
+            if (!info || !chart.chartArea) return;
+
+            const limits = window.STATCOM.timeSeries.LIMITS[info.metric];
+            const { ctx, chartArea: area } = chart;
+            const yOf = value => Math.min(Math.max(chart.scales.y.getPixelForValue(value), area.top), area.bottom);
+            const edge = limits.direction === 'low' ? area.bottom : area.top;
+            const bands = [
+                ['warning', yOf(limits.warning), yOf(limits.critical)],
+                ['critical', yOf(limits.critical), edge]
+            ];
+
+            ctx.save();
+            bands.forEach(([level, y1, y2]) => {
+                ctx.fillStyle = LIMIT_STYLES[level].band;
+                ctx.fillRect(area.left, Math.min(y1, y2), area.right - area.left, Math.abs(y2 - y1));
+            });
+
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            ctx.font = '11px sans-serif';
+            ctx.textAlign = 'right';
+            ['warning', 'critical'].forEach(level => {
+                const y = yOf(limits[level]);
+                ctx.strokeStyle = LIMIT_STYLES[level].line;
+                ctx.fillStyle = LIMIT_STYLES[level].line;
+                ctx.beginPath();
+                ctx.moveTo(area.left, y);
+                ctx.lineTo(area.right, y);
+                ctx.stroke();
+
+                const label = `${level === 'critical' ? 'Critical' : 'Warning'} ${formatMetricValue(info.metric, limits[level])}`;
+                ctx.fillText(label, area.right - 4, limits.direction === 'low' ? y + 12 : y - 4);
+            });
+            ctx.restore();
+        },
+
+        afterDatasetsDraw(chart) {
+            const info = chart.trendLimits;
+            if (!info || !chart.chartArea) return;
+
+            const limits = window.STATCOM.timeSeries.LIMITS[info.metric];
+            const { ctx, chartArea: area } = chart;
+
+            ctx.save();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#0f1419';
+            info.crossings.forEach(crossing => {
+                const x = chart.scales.x.getPixelForValue(crossing.index);
+                const y = Math.min(Math.max(chart.scales.y.getPixelForValue(limits[crossing.level]), area.top), area.bottom);
+                crossing.pixel = { x, y };
+
+                // Triangle pointing the way the value crossed
+                const tip = limits.direction === 'low' ? MARKER_RADIUS_PX : -MARKER_RADIUS_PX;
+                ctx.fillStyle = LIMIT_STYLES[crossing.level].line;
+                ctx.beginPath();
+                ctx.moveTo(x, y + tip);
+                ctx.lineTo(x - MARKER_RADIUS_PX, y - tip);
+                ctx.lineTo(x + MARKER_RADIUS_PX, y - tip);
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+            });
+            ctx.restore();
+        }
+    };
+
+    /**
+     * Limit zone of a point: 2 beyond critical, 1 beyond warning, otherwise 0
+     * Uses the bucket's extreme, so short excursions inside a rollup still count.
+     */
+    function getLimitLevel(point, limits) {
+        const value = limits.direction === 'low' ? point.min : point.max;
+        const isBeyond = limit => (limits.direction === 'low' ? value < limit : value > limit);
+        if (isBeyond(limits.critical)) return 2;
+        if (isBeyond(limits.warning)) return 1;
+        return 0;
+    }
+
+    /**
+     * Points where a module's series enters the warning or critical zone
+     * @param {Array<Date>} times - Times behind the chart labels, to place each crossing
+     * @returns {Array<Object>} [{ moduleId, time, index, value, level: 'warning' | 'critical', alarmId }]
+     */
+    function findCrossings(metric, result, times) {
+        const limits = window.STATCOM.timeSeries.LIMITS[metric];
+        const indexOf = new Map(times.map((time, index) => [time.getTime(), index]));
+        const crossings = [];
+
+        result.series.forEach(series => {
+            let previousLevel = 0;
+            series.points.forEach(point => {
+                const level = getLimitLevel(point, limits);
+                if (level > previousLevel) {
+                    crossings.push({
+                        moduleId: series.moduleId,
+                        time: point.time,
+                        index: indexOf.get(point.time.getTime()),
+                        value: limits.direction === 'low' ? point.min : point.max,
+                        level: level === 2 ? 'critical' : 'warning',
+                        alarmId: null
+                    });
+                }
+                previousLevel = level;
+            });
+        });
+
+        return crossings.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Find the alarm behind each crossing: same module, an indicator the metric
+     * drives, and active at the crossing time give or take one bucket
+     * The history is queried once for every chart, then matched in memory.
+     * Sets alarmId on the crossings it matches.
+     * @param {Array<Object>} charts - [{ metric, crossings, resolution }]
+     * @returns {Promise<void>}
+     */
+    function matchCrossingAlarms(charts) {
+        const toleranceOf = resolution => ({ 'raw': 30 * 1000, '1m': 60 * 1000, '1h': 60 * 60 * 1000 }[resolution] || 60 * 1000);
+        const withCrossings = charts.filter(entry => entry.crossings.length > 0);
+        if (withCrossings.length === 0) return Promise.resolve();
+
+        const earliest = new Date(Math.min(...withCrossings.map(entry =>
+            entry.crossings[0].time.getTime() - toleranceOf(entry.resolution))));
+        const moduleIds = [...new Set([].concat(...withCrossings.map(entry => entry.crossings.map(crossing => crossing.moduleId))))];
+        const moduleId = moduleIds.length === 1 ? moduleIds[0] : undefined;
+        const history = window.STATCOM.alarmHistory;
+
+        return Promise.all([
+            history.query({ state: 'active', moduleId: moduleId }),
+            history.query({ state: 'cleared', moduleId: moduleId, from: earliest })
+        ])
+            .then(([active, cleared]) => {
+                const alarms = active.concat(cleared).filter(alarm => moduleIds.includes(alarm.moduleId));
+
+                withCrossings.forEach(({ metric, crossings, resolution }) => {
+                    const statusTypes = window.STATCOM.timeSeries.LIMITS[metric].statusTypes;
+                    const toleranceMs = toleranceOf(resolution);
+
+                    crossings.forEach(crossing => {
+                        const time = crossing.time.getTime();
+                        const candidates = alarms.filter(alarm => alarm.moduleId === crossing.moduleId &&
+                            statusTypes.includes(alarm.type) &&
+                            alarm.activatedAt.getTime() <= time + toleranceMs &&
+                            (!alarm.clearedAt || alarm.clearedAt.getTime() >= time - toleranceMs));
+                        candidates.sort((a, b) => Math.abs(a.activatedAt - time) - Math.abs(b.activatedAt - time));
+                        crossing.alarmId = candidates.length > 0 ? candidates[0].id : null;
+                    });
+                });
+            })
+            .catch(error => console.error('Failed to match limit crossings to alarms:', error));
+    }
+
+    /**
+     * List a chart's latest crossings under it, each linking to its alarm
+     */
+    function renderCrossingList(chart, crossings, resolution) {
+        const card = chart.canvas.closest('.chart-card');
+        if (!card) return;
+
+        let list = card.querySelector('.chart-crossings');
+        if (!list) {
+            list = document.createElement('ul');
+            list.className = 'chart-crossings';
+            card.appendChild(list);
+        }
+        list.innerHTML = '';
+
+        const metric = chart.trendLimits.metric;
+        const limits = window.STATCOM.timeSeries.LIMITS[metric];
+        const listed = crossings.slice(-MAX_LISTED_CROSSINGS).reverse();
+
+        listed.forEach(crossing => {
+            const item = document.createElement('li');
+            item.className = `chart-crossing ${crossing.level}`;
+
+            const text = document.createElement('span');
+            text.textContent = `${formatPointLabel(crossing.time, resolution)} ${crossing.moduleId} ` +
+                `${formatMetricValue(metric, crossing.value)} crossed the ${crossing.level} limit ` +
+                `(${formatMetricValue(metric, limits[crossing.level])})`;
+            item.appendChild(text);
+
+            if (crossing.alarmId) {
+                const link = document.createElement('a');
+                link.href = '#/alarms';
+                link.className = 'chart-crossing-link';
+                link.textContent = 'View alarm';
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    window.STATCOM.alarms.showAlarm(crossing.alarmId);
+                });
+                item.appendChild(link);
+            } else {
+                const none = document.createElement('span');
+                none.className = 'chart-crossing-none';
+                none.textContent = 'No alarm recorded';
+                item.appendChild(none);
+            }
+
+            list.appendChild(item);
+        });
+
+        if (crossings.length > listed.length) {
+            const more = document.createElement('li');
+            more.className = 'chart-crossing-more';
+            more.textContent = `${crossings.length - listed.length} earlier crossings in this range`;
+            list.appendChild(more);
+        }
+    }
+
+    /**
+     * Clicking a crossing marker opens its alarm
+     */
+    function attachCrossingHandlers(canvas, getChart) {
+        const findMarker = e => {
+            const chart = getChart();
+            if (!chart || !chart.trendLimits) return null;
+            const rect = canvas.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+            return chart.trendLimits.crossings.find(crossing => crossing.pixel && crossing.alarmId &&
+                Math.abs(crossing.pixel.x - x) <= MARKER_HIT_PX && Math.abs(crossing.pixel.y - y) <= MARKER_HIT_PX) || null;
+        };
+
+        canvas.addEventListener('click', (e) => {
+            const crossing = findMarker(e);
+            if (crossing) window.STATCOM.alarms.showAlarm(crossing.alarmId);
+        });
+
+        canvas.addEventListener('mousemove', (e) => {
+            canvas.classList.toggle('over-crossing', Boolean(findMarker(e)));
+        });
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    function getChart(metric) {
+        return { voltage: voltageChart, current: currentChart, temperature: temperatureChart, powerFactor: powerFactorChart }[metric];
+    }
+
+    /**
+     * Column heading for a plotted series, e.g. "M005 Voltage (kV)"
+     */
+    function getColumnName(metric, dataset) {
+        const unit = window.STATCOM.timeSeries.LIMITS[metric].unit;
+        return `${dataset.seriesName} ${METRIC_NAMES[metric]}${unit ? ` (${unit})` : ''}`;
+    }
+
+    /**
+     * The plotted series of the given charts as CSV, one row per time
+     * Timestamps are ISO 8601 (UTC); empty cells mean no sample at that time.
+     */
+    function buildCsv(metrics) {
+        const columns = [];
+        metrics.forEach(metric => {
+            const chart = getChart(metric);
+            const times = pointTimes[metric] || [];
+            if (!chart) return;
+
+            chart.data.datasets.forEach(dataset => {
+                const values = new Map();
+                dataset.data.forEach((value, index) => {
+                    if (value !== null && times[index]) values.set(times[index].getTime(), value);
+                });
+                columns.push({ name: getColumnName(metric, dataset), values: values });
+            });
+        });
+
+        const timeSet = new Set();
+        columns.forEach(column => column.values.forEach((value, time) => timeSet.add(time)));
+        const times = [...timeSet].sort((a, b) => a - b);
+
+        const lines = [['Timestamp', ...columns.map(column => column.name)].map(escapeCSV).join(',')];
+        times.forEach(time => {
+            const cells = columns.map(column => (column.values.has(time) ? column.values.get(time) : ''));
+            lines.push([new Date(time).toISOString(), ...cells].map(escapeCSV).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    function escapeCSV(field) {
+        if (field === null || field === undefined) return '';
+        const str = String(field);
+        if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+            return '"' + str.replace(/"/g, '""') + '"';
+        }
+        return str;
+    }
+
+    const { escapeHtml, saveBlob } = window.STATCOM.viewHelpers;
+
+    /**
+     * Describe what is plotted, e.g. "M005" or "3 modules + fleet band"
+     */
+    function describeSelection() {
+        const modules = selectedModuleIds.length === 1 ? selectedModuleIds[0] : `${selectedModuleIds.length} modules`;
+        return showFleetStats ? `${modules} + fleet band` : modules;
+    }
+
+    /**
+     * File name for an export, e.g. STATCOM_Trends_M005_Voltage_2025-01-01_12-00-00.csv
+     */
+    function getExportFileName(kind, metrics, extension) {
+        const timestamp = new Date().toISOString().replace('T', '_').replace(/[:.]/g, '-').slice(0, -5);
+        const modules = selectedModuleIds.length === 1 ? selectedModuleIds[0] : `${selectedModuleIds.length}-modules`;
+        const what = metrics.length === 1 ? `_${METRIC_NAMES[metrics[0]].replace(' ', '')}` : '';
+        return `STATCOM_${kind}_${modules}${what}_${timestamp}.${extension}`;
+    }
+
+    function exportCsv(metrics) {
+        if (!getChart(metrics[0])) return;
+        // The byte order mark lets spreadsheet programs read the unit symbols as UTF-8
+        const blob = new Blob(['\uFEFF', buildCsv(metrics)], { type: 'text/csv;charset=utf-8;' });
+        saveBlob(blob, getExportFileName('Trends', metrics, 'csv'));
+    }
+
+    /**
+     * Copy a chart onto a canvas with a solid background and a title, since the
+     * chart canvas itself is transparent
+     * @returns {HTMLCanvasElement|null} Null when the browser cannot draw on canvases
+     */
+    function renderChartImage(metric) {
+        const chart = getChart(metric);
+        if (!chart) return null;
+
+        const source = chart.canvas;
+        const scale = source.clientWidth ? source.width / source.clientWidth : 1;
+        const header = IMAGE_HEADER_PX * scale;
+        const image = document.createElement('canvas');
+        image.width = source.width;
+        image.height = source.height + header;
+
+        const ctx = image.getContext('2d');
+        if (!ctx) return null;
+
+        const range = getViewRange();
+        const title = source.closest('.chart-card').querySelector('h3').textContent;
+        ctx.fillStyle = IMAGE_BACKGROUND;
+        ctx.fillRect(0, 0, image.width, image.height);
+        ctx.fillStyle = '#4a9eff';
+        ctx.font = `bold ${16 * scale}px sans-serif`;
+        ctx.fillText(`${title} - ${describeSelection()}`, 10 * scale, 20 * scale);
+        ctx.fillStyle = '#b0b0b0';
+        ctx.font = `${12 * scale}px sans-serif`;
+        ctx.fillText(`${range.from.toISOString()} to ${range.to.toISOString()}`, 10 * scale, 38 * scale);
+        ctx.drawImage(source, 0, header);
+        return image;
+    }
+
+    /**
+     * One chart, or all four in a 2 x 2 grid, as a single canvas
+     */
+    function renderImage(metrics) {
+        const images = metrics.map(renderChartImage).filter(Boolean);
+        if (images.length <= 1) return images[0] || null;
+
+        const cellWidth = Math.max(...images.map(image => image.width));
+        const cellHeight = Math.max(...images.map(image => image.height));
+        const page = document.createElement('canvas');
+        page.width = cellWidth * 2;
+        page.height = cellHeight * Math.ceil(images.length / 2);
+
+        const ctx = page.getContext('2d');
+        ctx.fillStyle = IMAGE_BACKGROUND;
+        ctx.fillRect(0, 0, page.width, page.height);
+        images.forEach((image, index) => {
+            ctx.drawImage(image, (index % 2) * cellWidth, Math.floor(index / 2) * cellHeight);
+        });
+        return page;
+    }
+
+    function exportPng(metrics) {
+        const image = renderImage(metrics);
+        if (!image) {
+            console.warn('Chart images cannot be exported in this browser');
+            return;
+        }
+        image.toBlob(blob => {
+            if (blob) saveBlob(blob, getExportFileName('Trends', metrics, 'png'));
+        }, 'image/png');
+    }
+
+    /**
+     * Min, max and mean of each plotted series of a chart
+     */
+    function getSeriesStatistics(metric) {
+        const chart = getChart(metric);
+        if (!chart) return [];
+
+        return chart.data.datasets.map(dataset => {
+            const values = dataset.data.filter(value => value !== null);
+            return {
+                name: dataset.seriesName,
+                count: values.length,
+                min: values.length ? Math.min(...values) : null,
+                max: values.length ? Math.max(...values) : null,
+                mean: values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+            };
+        });
+    }
+
+    /**
+     * One self-contained HTML file with all four charts, per-series statistics,
+     * limit crossings and the data as CSV, for incident reports
+     */
+    function buildReport() {
+        const metrics = window.STATCOM.timeSeries.METRICS;
+        const range = getViewRange();
+        const format = (metric, value) => (value === null ? '-' : escapeHtml(formatMetricValue(metric, value)));
+
+        const sections = metrics.filter(getChart).map(metric => {
+            const title = escapeHtml(getChart(metric).canvas.closest('.chart-card').querySelector('h3').textContent);
+            const image = renderChartImage(metric);
+            const statistics = getSeriesStatistics(metric).map(series => `
+                <tr><td>${escapeHtml(series.name)}</td><td>${format(metric, series.min)}</td><td>${format(metric, series.max)}</td>` +
+                `<td>${format(metric, series.mean)}</td><td>${series.count}</td></tr>`).join('');
+            const crossings = (getChart(metric).trendLimits || { crossings: [] }).crossings.map(crossing => `
+                <li>${escapeHtml(crossing.time.toISOString())} ${escapeHtml(crossing.moduleId)} ${format(metric, crossing.value)} ` +
+                `crossed the ${crossing.level} limit${crossing.alarmId ? ` (alarm ${escapeHtml(crossing.alarmId)})` : ''}</li>`).join('');
+
+            return `
+            <h2>${title}</h2>
+            ${image ? `<img src="${image.toDataURL('image/png')}" alt="${title}">` : ''}
+            <table>
+                <tr><th>Series</th><th>Min</th><th>Max</th><th>Mean</th><th>Points</th></tr>${statistics}
+            </table>
+            <h3>Limit crossings</h3>
+            ${crossings ? `<ul>${crossings}</ul>` : '<p>None in this range.</p>'}`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>STATCOM Trend Report</title>
+<style>
+    body { font-family: sans-serif; margin: 24px; color: #222; }
+    table { border-collapse: collapse; margin: 8px 0 16px; }
+    th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: left; font-size: 13px; }
+    img { max-width: 100%; border: 1px solid #ccc; }
+    pre { font-size: 11px; background: #f4f4f4; padding: 8px; overflow: auto; }
+</style>
+</head>
+<body>
+<h1>STATCOM Trend Report</h1>
+<table>
+    <tr><th>Modules</th><td>${escapeHtml(selectedModuleIds.join(', '))}${showFleetStats ? ' (with fleet min / max / mean)' : ''}</td></tr>
+    <tr><th>From</th><td>${escapeHtml(range.from.toISOString())}</td></tr>
+    <tr><th>To</th><td>${escapeHtml(range.to.toISOString())}</td></tr>
+    <tr><th>Resolution</th><td>${escapeHtml(displayedResolution || '-')}</td></tr>
+    <tr><th>Generated</th><td>${escapeHtml(new Date().toISOString())}</td></tr>
+</table>
+${sections}
+<h2>Data (CSV)</h2>
+<pre>${escapeHtml(buildCsv(metrics))}</pre>
+</body>
+</html>
+`;
+    }
+
+    function exportReport() {
+        if (!voltageChart) return;
+        const blob = new Blob([buildReport()], { type: 'text/html;charset=utf-8;' });
+        saveBlob(blob, getExportFileName('Trend_Report', window.STATCOM.timeSeries.METRICS, 'html'));
+    }
+
+    // ============================================================================
+    // CHARTS
+    // ============================================================================
+
+    /**
+     * Initialize all charts
+     */
+    function initializeCharts() {
+        // Check if Chart.js is loaded
+        if (typeof Chart === 'undefined') {
+            console.error('Chart.js is not loaded. Charts will not be displayed.');
+            showChartLoadError();
+            return;
+        }
+
+        // Voltage Chart
+        const voltageCtx = document.getElementById('voltage-chart');
+        if (voltageCtx) {
+            voltageChart = new Chart(voltageCtx, {
+                ...getChartConfig('voltage'),
+                data: { labels: [], datasets: [] }
+            });
+        }
+
+        // Current Chart
+        const currentCtx = document.getElementById('current-chart');
+        if (currentCtx) {
+            currentChart = new Chart(currentCtx, {
+                ...getChartConfig('current'),
+                data: { labels: [], datasets: [] }
+            });
+        }
+
+        // Temperature Chart
+        const temperatureCtx = document.getElementById('temperature-chart');
+        if (temperatureCtx) {
+            temperatureChart = new Chart(temperatureCtx, {
+                ...getChartConfig('temperature'),
+                data: { labels: [], datasets: [] }
+            });
+        }
+
+        // Power Factor Chart
+        const powerFactorCtx = document.getElementById('power-factor-chart');
+        if (powerFactorCtx) {
+            powerFactorChart = new Chart(powerFactorCtx, {
+                ...getChartConfig('powerFactor'),
+                data: { labels: [], datasets: [] }
+            });
+        }
+
+        // Zoom and pan on any chart applies to all four
+        const zoomTargets = [
+            [voltageCtx, 'voltage', () => voltageChart],
+            [currentCtx, 'current', () => currentChart],
+            [temperatureCtx, 'temperature', () => temperatureChart],
+            [powerFactorCtx, 'powerFactor', () => powerFactorChart]
+        ];
+        zoomTargets.forEach(([canvas, metric, getChart]) => {
+            if (canvas) {
+                attachZoomHandlers(canvas, metric, getChart);
+                attachCrossingHandlers(canvas, getChart);
+            }
+        });
+
+        updateCharts();
+    }
+
+    /**
+     * Update all charts from the time-series store
+     * A newer update supersedes one still waiting for its query.
+     * @returns {Promise<void>}
+     */
+    function updateCharts() {
+        const generation = ++chartGeneration;
+        const { from, to } = getViewRange();
+        updateZoomControls();
+
+        const chartsByMetric = {
+            voltage: voltageChart,
+            current: currentChart,
+            temperature: temperatureChart,
+            powerFactor: powerFactorChart
+        };
+
+        return Promise.all(Object.entries(chartsByMetric).map(([metric, chart]) => {
+            if (!chart) return null;
+            return queryTrend(metric, from, to)
+                .then(result => {
+                    if (generation !== chartGeneration) return null;
+                    const data = buildChartData(metric, result);
+                    const crossings = findCrossings(metric, result, data.times);
+                    pointTimes[metric] = data.times;
+                    displayedResolution = result.resolution;
+                    chart.data = { labels: data.labels, datasets: data.datasets };
+                    chart.trendLimits = { metric: metric, crossings: crossings };
+                    chart.update('none');
+                    return { chart, metric, crossings, resolution: result.resolution };
+                });
+        }))
+            .then(updated => {
+                const charts = updated.filter(Boolean);
+                if (generation !== chartGeneration || charts.length === 0) return null;
+
+                // The lists link each crossing to its alarm once the history has been searched
+                return matchCrossingAlarms(charts).then(() => {
+                    if (generation !== chartGeneration) return;
+                    charts.forEach(({ chart, crossings, resolution }) => renderCrossingList(chart, crossings, resolution));
+                });
+            })
+            .catch(error => console.error('Failed to load trend data:', error));
+    }
+
+    /**
+     * Query the selected modules (and the fleet band when enabled) for one metric
+     * A single module is read at full raw resolution; overlays share aligned times.
+     * @returns {Promise<Object>} { resolution, series: [{ moduleId, points }], fleet }
+     */
+    function queryTrend(metric, from, to) {
+        const timeSeries = window.STATCOM.timeSeries;
+
+        if (selectedModuleIds.length === 1 && !showFleetStats) {
+            const moduleId = selectedModuleIds[0];
+            return timeSeries.query({ moduleId, metric, from, to })
+                .then(result => ({ resolution: result.resolution, series: [{ moduleId, points: result.points }], fleet: null }));
+        }
+        return timeSeries.queryModules({ moduleIds: selectedModuleIds, metric, from, to, fleet: showFleetStats });
+    }
+
+    /**
+     * Get chart configuration for a metric
+     */
+    function getChartConfig(metric) {
+        const limits = window.STATCOM.timeSeries.LIMITS[metric];
+
+        return {
+            type: 'line',
+            plugins: [limitsPlugin],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            color: '#e0e0e0',
+                            font: {
+                                size: 12
+                            }
+                        }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        backgroundColor: 'rgba(26, 35, 50, 0.95)',
+                        titleColor: '#4a9eff',
+                        bodyColor: '#e0e0e0',
+                        borderColor: '#2a3f5f',
+                        borderWidth: 1
+                    }
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        grid: {
+                            color: '#2a3f5f',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#888',
+                            font: {
+                                size: 11
+                            }
+                        }
+                    },
+                    y: {
+                        display: true,
+                        grid: {
+                            color: '#2a3f5f',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#888',
+                            font: {
+                                size: 11
+                            }
+                        },
+                        // Auto-zoom: Automatically adjust Y-axis range based on data
+                        beginAtZero: false,
+                        grace: 0.05,  // Add 5% padding above and below data range
+                        // Always reach the critical limit so the limit lines stay in view
+                        suggestedMin: limits.direction === 'low' ? limits.critical : undefined,
+                        suggestedMax: limits.direction === 'high' ? limits.critical : undefined
+                    }
+                },
+                interaction: {
+                    mode: 'nearest',
+                    axis: 'x',
+                    intersect: false
+                }
+            }
+        };
+    }
+
+    /**
+     * Worst status of the indicators behind a metric; power factor follows voltage and current
+     */
+    function getMetricStatus(dataType, moduleId) {
+        const statuses = moduleData[moduleId] || {};
+
+        return window.STATCOM.timeSeries.LIMITS[dataType].statusTypes
+            .map(type => statuses[type] || 'OK')
+            .reduce((worst, status) => STATUS_PRIORITY[status] > STATUS_PRIORITY[worst] ? status : worst, 'OK');
+    }
+
+    /**
+     * Format a point time for the x axis at the query's resolution
+     */
+    function formatPointLabel(time, resolution) {
+        if (resolution === 'raw') {
+            return time.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        }
+        if (resolution === '1m') {
+            return time.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+        }
+        return time.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit' });
+    }
+
+    /**
+     * Build Chart.js data from a query result (bucket averages)
+     * One module is drawn in its status colour; several are overlaid in
+     * distinct colours. The fleet band fills between fleet max and min.
+     * @returns {Object} { labels, datasets, times } where times are the Dates behind the labels
+     */
+    function buildChartData(dataType, result) {
+        const precision = dataType === 'powerFactor' ? 100 : 10;
+        const round = value => Math.round(value * precision) / precision;
+        const metricName = dataType.charAt(0).toUpperCase() + dataType.slice(1);
+        const isSingle = result.series.length === 1;
+
+        // Every series and the fleet band share one time axis
+        const timeSet = new Set();
+        result.series.forEach(series => series.points.forEach(point => timeSet.add(point.time.getTime())));
+        (result.fleet || []).forEach(point => timeSet.add(point.time.getTime()));
+        const times = [...timeSet].sort((a, b) => a - b);
+        const alignTo = valuesByTime => times.map(t => valuesByTime.has(t) ? round(valuesByTime.get(t)) : null);
+
+        const datasets = result.series.map((series, index) => {
+            const color = isSingle
+                ? STATUS_COLORS[getMetricStatus(dataType, series.moduleId)]
+                : OVERLAY_COLORS[index % OVERLAY_COLORS.length];
+            const emptyNote = series.points.length === 0 ? ' (no samples recorded in this range yet)' : '';
+
+            return {
+                label: isSingle ? `${series.moduleId} - ${metricName}${emptyNote}` : `${series.moduleId}${emptyNote ? ' (no samples)' : ''}`,
+                seriesName: series.moduleId,
+                data: alignTo(new Map(series.points.map(point => [point.time.getTime(), point.avg]))),
+                borderColor: color,
+                backgroundColor: color + '20',
+                borderWidth: isSingle ? 2 : 1.5,
+                fill: isSingle && !result.fleet,
+                tension: 0.4,
+                spanGaps: true,
+                pointRadius: isSingle && times.length <= 60 ? 3 : 0,
+                pointHoverRadius: 5
+            };
+        });
+
+        if (result.fleet) {
+            const fleetBy = key => alignTo(new Map(result.fleet.map(point => [point.time.getTime(), point[key]])));
+            const bandStyle = {
+                borderColor: 'rgba(176, 176, 176, 0.5)',
+                borderWidth: 1,
+                tension: 0.4,
+                spanGaps: true,
+                pointRadius: 0,
+                pointHoverRadius: 3
+            };
+
+            // 'Fleet max' fills down to the next dataset, 'Fleet min'
+            datasets.push(
+                { ...bandStyle, label: 'Fleet max', seriesName: 'Fleet max', data: fleetBy('max'), backgroundColor: 'rgba(176, 176, 176, 0.12)', fill: '+1' },
+                { ...bandStyle, label: 'Fleet min', seriesName: 'Fleet min', data: fleetBy('min'), backgroundColor: 'transparent', fill: false },
+                { ...bandStyle, label: 'Fleet mean', seriesName: 'Fleet mean', data: fleetBy('mean'), borderColor: '#b0b0b0', borderDash: [6, 4], backgroundColor: 'transparent', fill: false }
+            );
+        }
+
+        return {
+            labels: times.map(t => formatPointLabel(new Date(t), result.resolution)),
+            datasets: datasets,
+            times: times.map(t => new Date(t))
+        };
+    }
+
+    /**
+     * Handle new module data from the data source
+     * Charts are only redrawn when a single selected module's statuses change (they set its colour)
+     */
+    function handleModuleDataUpdate(newModuleData) {
+        const statusKey = () => selectedModuleIds.length === 1 ? JSON.stringify(moduleData[selectedModuleIds[0]] || {}) : '';
+        const previousStatuses = statusKey();
+        moduleData = newModuleData;
+
+        if (voltageChart && statusKey() !== previousStatuses) {
+            updateCharts();
+        }
+    }
+
+    /**
+     * Redraw when a plotted module gets new samples while the Trends view is open
+     */
+    function handleNewSamples(moduleIds) {
+        const trendsView = document.getElementById('view-trends');
+        if (!voltageChart || !trendsView.classList.contains('active') || !isFollowingNow()) return;
+        if (showFleetStats || moduleIds.some(moduleId => selectedModuleIds.includes(moduleId))) {
+            updateCharts();
+        }
+    }
+
+    // Initialize when DOM is ready and when navigating to trends page
+    function setupTrendsInitialization() {
+        const trendsView = document.getElementById('view-trends');
+        if (!trendsView) return;
+
+        window.STATCOM.dataSource.subscribe(handleModuleDataUpdate);
+        window.STATCOM.timeSeries.subscribe(handleNewSamples);
+
+        // Check if trends view is currently active
+        if (trendsView.classList.contains('active')) {
+            if (!voltageChart) {
+                initTrends();
+            }
+        }
+
+        // Set up observer for future navigation to trends
+        const observer = new MutationObserver(function(mutations) {
+            mutations.forEach(function(mutation) {
+                if (trendsView.classList.contains('active')) {
+                    if (!voltageChart) {
+                        initTrends();
+                    }
+                }
+            });
+        });
+
+        observer.observe(trendsView, { attributes: true, attributeFilter: ['class'] });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', setupTrendsInitialization);
+    } else {
+        setupTrendsInitialization();
+    }
+
+})();
+
+/**
+ * Alarm Historian
+ * Persistent alarm history in IndexedDB, optionally merged with the
+ * gateway's own alarm history (GET /api/alarms)
+ *
+ * Alarms keep a stable ID of "<moduleId>:<type>:<activatedAt ms>", the same
+ * ID the gateway uses, so an alarm seen by both is stored once. Acknowledge
+ * and shelve actions are kept in each record's action log with who, when and
+ * the operator's comment. The record rules shared with the gateway live in
+ * alarm-records.js.
+ */
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
+
+    const DB_NAME = 'statcom_alarm_history';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'alarms';
+    const STORAGE_KEY_RETENTION = 'statcom_alarm_retention_days';
+    const STORAGE_KEY_BACKEND = 'statcom_alarm_history_backend';
+    const ALARMS_PATH = '/api/alarms';
+    const ACTIONS_PATH = '/api/alarms/actions';
+    const DEFAULT_RETENTION_DAYS = 90;
+    const MAX_RETENTION_DAYS = 3650;
+    const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    let storePromise = null;
+
+    const {
+        ALARM_ACTIONS,
+        getAlarmId,
+        getAlarmState,
+        isInSummary,
+        canApplyAction,
+        replayActions,
+        findLateDuplicates
+    } = window.STATCOM.alarmRecords;
+
+    // ============================================================================
+    // RECORD CONVERSION
+    // ============================================================================
+
+    const toTime = value => (value ? new Date(value).getTime() : null);
+    const toDate = value => (value !== null && value !== undefined ? new Date(value) : null);
+
+    /**
+     * Convert an alarm (Date timestamps) to a stored record (epoch ms)
+     * Records in the alarm summary carry `active: 1` so they can be read through the 'active' index.
+     */
+    function toRecord(alarm) {
+        const record = {
+            id: alarm.id || getAlarmId(alarm.moduleId, alarm.type, alarm.activatedAt),
+            moduleId: alarm.moduleId,
+            type: alarm.type,
+            severity: alarm.severity,
+            activatedAt: new Date(alarm.activatedAt).getTime(),
+            clearedAt: toTime(alarm.clearedAt),
+            acknowledgedAt: toTime(alarm.acknowledgedAt),
+            acknowledgedBy: alarm.acknowledgedBy || null,
+            shelvedUntil: toTime(alarm.shelvedUntil),
+            actions: (alarm.actions || []).map(entry => ({ ...entry, at: toTime(entry.at), until: toTime(entry.until) })),
+            message: alarm.message || null
+        };
+        if (isInSummary(alarm)) {
+            record.active = 1;
+        }
+        return record;
+    }
+
+    /**
+     * Convert a stored or gateway record back to an alarm
+     */
+    function fromRecord(record) {
+        return {
+            id: record.id,
+            moduleId: record.moduleId,
+            type: record.type,
+            severity: record.severity,
+            activatedAt: new Date(record.activatedAt),
+            clearedAt: toDate(record.clearedAt),
+            acknowledgedAt: toDate(record.acknowledgedAt),
+            acknowledgedBy: record.acknowledgedBy || null,
+            shelvedUntil: toDate(record.shelvedUntil),
+            actions: (record.actions || []).map(entry => ({ ...entry, at: toDate(entry.at), until: toDate(entry.until) })),
+            message: record.message || null
+        };
+    }
+
+    /**
+     * Merge a gateway record into a local one, keeping the 'active' index flag current
+     */
+    function mergeRecords(local, remote) {
+        return local ? toRecord(fromRecord(window.STATCOM.alarmRecords.mergeRecords(local, remote))) : remote;
+    }
+
+    // ============================================================================
+    // STORAGE BACKENDS
+    // ============================================================================
+
+    /**
+     * Wrap an IDBRequest in a Promise
+     */
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open the IndexedDB store
+     * @returns {Promise<Object>} Store with putAll, deleteAll, get, getActive, getCleared, deleteClearedBefore, count
+     */
+    function openIndexedDbStore() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('clearedAt', 'clearedAt'); // null (active) is not indexed
+                store.createIndex('active', 'active');
+            };
+            request.onsuccess = () => resolve(createIndexedDbStore(request.result));
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Alarm history database is blocked by another tab'));
+        });
+    }
+
+    function createIndexedDbStore(db) {
+        function transaction(mode, work) {
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE_NAME, mode);
+                let result;
+                Promise.resolve(work(tx.objectStore(STORE_NAME))).then(value => { result = value; }, reject);
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('Alarm history transaction aborted'));
+            });
+        }
+
+        return {
+            putAll(records, merge) {
+                return transaction('readwrite', store => Promise.all(records.map(record => {
+                    if (!merge) return promisifyRequest(store.put(record));
+                    return promisifyRequest(store.get(record.id))
+                        .then(existing => promisifyRequest(store.put(mergeRecords(existing, record))));
+                })));
+            },
+            deleteAll(ids) {
+                return transaction('readwrite', store => Promise.all(ids.map(id => promisifyRequest(store.delete(id)))));
+            },
+            get(id) {
+                return transaction('readonly', store => promisifyRequest(store.get(id)));
+            },
+            getActive() {
+                return transaction('readonly', store => promisifyRequest(store.index('active').getAll(1)));
+            },
+            getCleared(from, to) {
+                const range = IDBKeyRange.bound(from, to);
+                return transaction('readonly', store => promisifyRequest(store.index('clearedAt').getAll(range)));
+            },
+            deleteClearedBefore(cutoff) {
+                return transaction('readwrite', store => new Promise((resolve, reject) => {
+                    let removed = 0;
+                    const request = store.index('clearedAt').openCursor(IDBKeyRange.upperBound(cutoff, true));
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) {
+                            resolve(removed);
+                            return;
+                        }
+                        cursor.delete();
+                        removed++;
+                        cursor.continue();
+                    };
+                    request.onerror = () => reject(request.error);
+                }));
+            },
+            count() {
+                return transaction('readonly', store => promisifyRequest(store.count()));
+            }
+        };
+    }
+
+    /**
+     * In-memory store used when IndexedDB is unavailable (history then lasts for the page only)
+     */
+    function createMemoryStore() {
+        const records = new Map();
+
+        return {
+            putAll(newRecords, merge) {
+                newRecords.forEach(record => {
+                    records.set(record.id, merge ? mergeRecords(records.get(record.id), record) : record);
+                });
+                return Promise.resolve();
+            },
+            deleteAll(ids) {
+                ids.forEach(id => records.delete(id));
+                return Promise.resolve();
+            },
+            get(id) {
+                return Promise.resolve(records.get(id));
+            },
+            getActive() {
+                return Promise.resolve([...records.values()].filter(record => record.active === 1));
+            },
+            getCleared(from, to) {
+                return Promise.resolve([...records.values()]
+                    .filter(record => record.clearedAt !== null && record.clearedAt >= from && record.clearedAt <= to));
+            },
+            deleteClearedBefore(cutoff) {
+                let removed = 0;
+                records.forEach((record, id) => {
+                    if (record.clearedAt !== null && record.clearedAt < cutoff) {
+                        records.delete(id);
+                        removed++;
+                    }
+                });
+                return Promise.resolve(removed);
+            },
+            count() {
+                return Promise.resolve(records.size);
+            }
+        };
+    }
+
+    /**
+     * Open the store once; falls back to memory if IndexedDB cannot be used
+     */
+    function getStore() {
+        if (!storePromise) {
+            const opened = typeof indexedDB === 'undefined'
+                ? Promise.reject(new Error('IndexedDB is not supported'))
+                : openIndexedDbStore();
+
+            storePromise = opened.catch(error => {
+                console.warn('Alarm history is not persistent:', error.message);
+                return createMemoryStore();
+            });
+        }
+        return storePromise;
+    }
+
+    // ============================================================================
+    // SETTINGS
+    // ============================================================================
+
+    function getRetentionDays() {
+        const days = parseInt(localStorage.getItem(STORAGE_KEY_RETENTION), 10);
+        return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+    }
+
+    /**
+     * Set the retention period and prune immediately
+     */
+    function setRetentionDays(days) {
+        const value = parseInt(days, 10);
+        if (!(value >= 1 && value <= MAX_RETENTION_DAYS)) {
+            throw new RangeError(`Retention must be between 1 and ${MAX_RETENTION_DAYS} days`);
+        }
+        localStorage.setItem(STORAGE_KEY_RETENTION, String(value));
+        return prune();
+    }
+
+    function isBackendEnabled() {
+        return localStorage.getItem(STORAGE_KEY_BACKEND) === 'true';
+    }
+
+    function setBackendEnabled(enabled) {
+        localStorage.setItem(STORAGE_KEY_BACKEND, enabled ? 'true' : 'false');
+    }
+
+    // ============================================================================
+    // PUBLIC OPERATIONS
+    // ============================================================================
+
+    /**
+     * Store or update alarms
+     * @param {Object|Array<Object>} alarms - Alarm objects with Date timestamps
+     * @returns {Promise<void>}
+     */
+    function put(alarms) {
+        const records = (Array.isArray(alarms) ? alarms : [alarms]).map(toRecord);
+        return getStore().then(store => store.putAll(records, true));
+    }
+
+    /**
+     * Read the alarms in the alarm summary: active, returned to normal but unacknowledged, or shelved
+     * @returns {Promise<Array<Object>>}
+     */
+    function getActive() {
+        return query({ state: 'active' });
+    }
+
+    /**
+     * Pull matching records from the gateway into the local store
+     * Failures are logged and the local history is used on its own.
+     */
+    function syncFromBackend(filter) {
+        const session = window.STATCOM.session;
+        if (!isBackendEnabled() || !session || session.getState().status !== 'connected') {
+            return Promise.resolve();
+        }
+
+        const params = new URLSearchParams({ state: filter.state || 'all' });
+        if (filter.from) params.set('from', String(filter.from.getTime()));
+        if (filter.to) params.set('to', String(filter.to.getTime()));
+        if (filter.moduleId) params.set('moduleId', filter.moduleId);
+        if (filter.severity) params.set('severity', filter.severity);
+
+        return session.request(`${ALARMS_PATH}?${params}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Gateway returned ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(body => {
+                const records = (body.alarms || []).map(record => toRecord(fromRecord(record)));
+                return getStore().then(store => store.getActive()
+                    .then(localActive => store.deleteAll(findLateDuplicates(localActive, records).map(record => record.id)))
+                    .then(() => store.putAll(records, true)));
+            })
+            .catch(error => console.warn('Gateway alarm history unavailable:', error.message));
+    }
+
+    /**
+     * Query alarm history
+     * Active alarms match on activation time, cleared alarms on clear time.
+     * @param {Object} filter - { state: 'active' | 'cleared', from: Date, to: Date, moduleId, severity }
+     * @returns {Promise<Array<Object>>} Matching alarms
+     */
+    function query(filter = {}) {
+        const from = filter.from ? filter.from.getTime() : 0;
+        const to = filter.to ? filter.to.getTime() : Date.now() + DAY_MS;
+
+        return syncFromBackend(filter)
+            .then(getStore)
+            .then(store => (filter.state === 'active' ? store.getActive() : store.getCleared(from, to)))
+            .then(records => records
+                .filter(record => {
+                    if (filter.moduleId && record.moduleId !== filter.moduleId) return false;
+                    if (filter.severity && record.severity !== filter.severity) return false;
+                    if (filter.state === 'active') return record.activatedAt >= from && record.activatedAt <= to;
+                    return true;
+                })
+                .map(fromRecord)
+                .filter(alarm => filter.state !== 'active' || isInSummary(alarm)));
+    }
+
+    /**
+     * Send an operator action to the gateway when it keeps the alarm history
+     * Failures are logged; the action is already stored locally.
+     */
+    function sendActionToBackend(ids, entry) {
+        const session = window.STATCOM.session;
+        if (ids.length === 0 || !isBackendEnabled() || !session || session.getState().status !== 'connected') {
+            return Promise.resolve();
+        }
+
+        return session.request(ACTIONS_PATH, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids, ...entry })
+        })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Gateway returned ${response.status}`);
+                }
+            })
+            .catch(error => console.warn('Alarm action not sent to gateway:', error.message));
+    }
+
+    /**
+     * Acknowledge, shelve or unshelve alarms
+     * Alarms the action does not apply to are skipped: already acknowledged alarms,
+     * cleared alarms for shelving, and unshelved alarms for unshelving.
+     * @param {Array<string>} ids - Alarm IDs
+     * @param {string} action - 'acknowledge' | 'shelve' | 'unshelve'
+     * @param {Object} details - { by, comment, until: Date (shelve only) }
+     * @returns {Promise<Array<Object>>} The updated alarms
+     */
+    function applyAction(ids, action, details = {}) {
+        if (!ALARM_ACTIONS.includes(action)) {
+            return Promise.reject(new Error(`Unknown alarm action: ${action}`));
+        }
+        const now = Date.now();
+        const until = details.until ? new Date(details.until).getTime() : NaN;
+        if (action === 'shelve' && !(until > now)) {
+            return Promise.reject(new Error('Shelving needs an end time in the future'));
+        }
+
+        const entry = { action: action, at: now, by: details.by || null, comment: details.comment || '' };
+        if (action === 'shelve') entry.until = until;
+
+        return getStore()
+            .then(store => Promise.all(ids.map(id => store.get(id)))
+                .then(records => {
+                    const updated = records
+                        .filter(record => record && canApplyAction(record, action, now))
+                        .map(record => toRecord(fromRecord(replayActions({
+                            ...record,
+                            actions: [...(record.actions || []), entry]
+                        }))));
+                    return store.putAll(updated, false).then(() => updated);
+                }))
+            .then(updated => {
+                sendActionToBackend(updated.map(record => record.id), entry);
+                return updated.map(fromRecord);
+            });
+    }
+
+    /**
+     * Delete cleared alarms older than the retention period
+     * @returns {Promise<number>} Number of records removed
+     */
+    function prune() {
+        const cutoff = Date.now() - getRetentionDays() * DAY_MS;
+        return getStore().then(store => store.deleteClearedBefore(cutoff));
+    }
+
+    // ============================================================================
+    // CONFIG VIEW - ALARM HISTORY CARD
+    // ============================================================================
+
+    /**
+     * Show the number of stored records in the Config view
+     */
+    function renderHistoryStatus(message) {
+        const statusEl = document.getElementById('alarm-history-status');
+        if (!statusEl) return;
+
+        if (message) {
+            statusEl.textContent = message;
+            return;
+        }
+        getStore()
+            .then(store => store.count())
+            .then(count => {
+                statusEl.textContent = `${count} alarm record${count === 1 ? '' : 's'} stored`;
+            });
+    }
+
+    /**
+     * Set up the alarm history form in the Config view
+     */
+    function initHistoryForm() {
+        const retentionInput = document.getElementById('alarm-retention-input');
+        const backendToggle = document.getElementById('alarm-history-backend-toggle');
+        const saveBtn = document.getElementById('alarm-history-save-btn');
+        const errorEl = document.getElementById('alarm-history-error');
+        if (!retentionInput || !saveBtn) return;
+
+        retentionInput.value = getRetentionDays();
+        if (backendToggle) backendToggle.checked = isBackendEnabled();
+
+        saveBtn.addEventListener('click', () => {
+            if (errorEl) errorEl.textContent = '';
+            try {
+                if (backendToggle) setBackendEnabled(backendToggle.checked);
+                setRetentionDays(retentionInput.value)
+                    .then(removed => renderHistoryStatus(removed > 0 ? `Saved, ${removed} expired record${removed === 1 ? '' : 's'} removed` : null))
+                    .catch(error => console.error('Alarm history prune failed:', error));
+            } catch (error) {
+                if (errorEl) errorEl.textContent = error.message;
+            }
+        });
+
+        renderHistoryStatus();
+    }
+
+    /**
+     * Prune on startup and periodically
+     */
+    function startRetention() {
+        initHistoryForm();
+        prune().catch(error => console.error('Alarm history prune failed:', error));
+        setInterval(() => {
+            prune().catch(error => console.error('Alarm history prune failed:', error));
+        }, PRUNE_INTERVAL_MS);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', startRetention);
+    } else {
+        startRetention();
+    }
+
+    // ============================================================================
+    // GLOBAL API
+    // ============================================================================
+
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.alarmHistory = {
+        getAlarmId: getAlarmId,
+        getAlarmState: getAlarmState,
+        isInSummary: isInSummary,
+        put: put,
+        getActive: getActive,
+        query: query,
+        applyAction: applyAction,
+        prune: prune,
+        getRetentionDays: getRetentionDays,
+        setRetentionDays: setRetentionDays,
+        isBackendEnabled: isBackendEnabled,
+        setBackendEnabled: setBackendEnabled
+    };
+
+})();
+
+/**
+ * Alarm Rules
+ * Keeps the configurable JSON alarm rules and their editor in the Config view
+ *
+ * The rule format and the engine that evaluates rules live in alarm-rules.js;
+ * this section binds them to the time-series store's metrics and the module
+ * topology.
+ */
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
+
+    const STORAGE_KEY = 'statcom_alarm_rules';
+    const rulesEngine = window.STATCOM.alarmRulesEngine;
+
+    const DEFAULT_STATUS_MESSAGES = {
+        'Overtemp': 'Overtemp threshold exceeded',
+        'Comm Lost': 'Communication timeout',
+        'Voltage Level': 'Voltage out of range',
+        'Fan Fail': 'Fan failure detected',
+        'Power Supply Error': 'Power supply error',
+        'Vdc Fault': 'DC voltage fault',
+        'Current Level': 'Current level abnormal',
+        'Thermal Status': 'Thermal status warning',
+        'Gating OK': 'Gating signal error',
+        'Sync Fault': 'Synchronization fault',
+        'Interlock': 'Interlock triggered',
+        'Self Test': 'Self test failure'
+    };
+
+    // The first rule raises one alarm per non-OK indicator, as before rules were
+    // configurable; the others are examples to enable in the rule editor
+    const DEFAULT_RULES = [
+        {
+            id: 'module-status',
+            name: 'Module status indicators',
+            enabled: true,
+            kind: 'status',
+            statusTypes: ['*'],
+            severity: 'status',
+            message: '{statusType} {status}',
+            messages: DEFAULT_STATUS_MESSAGES
+        },
+        {
+            id: 'row-overtemp',
+            name: '3 or more modules in a row with Overtemp',
+            enabled: false,
+            kind: 'group',
+            statusTypes: ['Overtemp'],
+            groupBy: 'row',
+            minCount: 3,
+            severity: 'CRITICAL',
+            message: '{count} modules in {group} report Overtemp',
+            onDelaySec: 10
+        },
+        {
+            id: 'temperature-rise',
+            name: 'Fast temperature rise',
+            enabled: false,
+            kind: 'rateOfChange',
+            metric: 'temperature',
+            direction: 'rise',
+            perMinute: 5,
+            windowSec: 120,
+            deadband: 1,
+            severity: 'WARNING',
+            message: 'Temperature rising {value} {unit}/min'
+        }
+    ];
+
+    // ============================================================================
+    // ENGINE
+    // ============================================================================
+
+    /**
+     * Check a rule list against the time-series store's metrics
+     * @returns {Array<string>} Problems found, empty when the rules are valid
+     */
+    function validateRules(rules) {
+        return rulesEngine.validateRules(rules, window.STATCOM.timeSeries.METRICS);
+    }
+
+    /**
+     * Create an engine for a rule list, grouping modules by the current topology
+     * @param {Object} options - { ignoreDelays: true } to report conditions immediately (rule tests)
+     */
+    function createEngine(rules, options = {}) {
+        const limits = window.STATCOM.timeSeries.LIMITS;
+        const units = {};
+        Object.keys(limits).forEach(metric => {
+            units[metric] = limits[metric].unit;
+        });
+        return rulesEngine.createEngine(rules, { ...options, units: units, topology: window.STATCOM.topology });
+    }
+
+    /**
+     * Alarm text from the rule that raised it
+     * Records from before rules carried messages, or from the gateway, fall back
+     * to the default text for their status type.
+     */
+    function getAlarmMessage(alarm) {
+        return alarm.message || DEFAULT_STATUS_MESSAGES[alarm.type] || alarm.type;
+    }
+
+    // ============================================================================
+    // STORAGE
+    // ============================================================================
+
+    /**
+     * Saved rules, or the defaults when none are saved or the saved ones are invalid
+     */
+    function loadRules() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                const rules = JSON.parse(saved);
+                const errors = validateRules(rules);
+                if (errors.length === 0) return rules;
+                console.warn('Saved alarm rules are invalid, using the defaults:', errors.join('; '));
+            }
+        } catch (error) {
+            console.warn('Could not read saved alarm rules, using the defaults:', error.message);
+        }
+        return JSON.parse(JSON.stringify(DEFAULT_RULES));
+    }
+
+    /**
+     * Validate and save rules
+     * @throws {Error} When the rules are invalid
+     */
+    function saveRules(rules) {
+        const errors = validateRules(rules);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+        notifyListeners(rules);
+    }
+
+    function resetRules() {
+        localStorage.removeItem(STORAGE_KEY);
+        const rules = loadRules();
+        notifyListeners(rules);
+        return rules;
+    }
+
+    const listeners = new Set();
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function notifyListeners(rules) {
+        listeners.forEach(listener => {
+            try {
+                listener(rules);
+            } catch (error) {
+                console.error('Alarm rules listener error:', error);
+            }
+        });
+    }
+
+    // ============================================================================
+    // CONFIG VIEW - ALARM RULES CARD
+    // ============================================================================
+
+    /**
+     * Parse and validate the rule editor's text
+     * @throws {Error} When the text is not valid JSON or the rules are invalid
+     */
+    function parseRules(text) {
+        let rules;
+        try {
+            rules = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        const errors = validateRules(rules);
+        if (errors.length > 0) throw new Error(errors.join('\n'));
+        return rules;
+    }
+
+    /**
+     * Engine inputs for the last window of stored samples, oldest first
+     * Only needed when rate-of-change rules are enabled.
+     * @returns {Promise<Array<Object>>}
+     */
+    function getReplayInputs(rules, moduleIds, now) {
+        const rateRules = rules.filter(rule => rule.enabled !== false && rule.kind === 'rateOfChange');
+        if (rateRules.length === 0 || moduleIds.length === 0) return Promise.resolve([]);
+
+        const metrics = [...new Set(rateRules.map(rule => rule.metric))];
+        const windowMs = Math.max(...rateRules.map(rule => rule.windowSec || rulesEngine.DEFAULT_WINDOW_SEC)) * 1000;
+
+        return Promise.all(metrics.map(metric => window.STATCOM.timeSeries.queryModules({
+            moduleIds: moduleIds,
+            metric: metric,
+            from: now - windowMs,
+            to: now,
+            resolution: 'raw'
+        }).then(result => ({ metric, series: result.series })))).then(results => {
+            const steps = new Map(); // t -> { [moduleId]: metrics }
+            results.forEach(({ metric, series }) => {
+                series.forEach(({ moduleId, points }) => {
+                    points.forEach(point => {
+                        const t = point.time.getTime();
+                        const step = steps.get(t) || {};
+                        step[moduleId] = step[moduleId] || {};
+                        step[moduleId][metric] = point.avg;
+                        steps.set(t, step);
+                    });
+                });
+            });
+
+            return [...steps.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .map(([t, step]) => {
+                    const modules = {};
+                    Object.entries(step).forEach(([moduleId, values]) => {
+                        modules[moduleId] = { statuses: {}, metrics: values, metricsAt: t };
+                    });
+                    return { now: t, modules: modules };
+                });
+        });
+    }
+
+    /**
+     * Alarms the rules would raise for the current data, ignoring delays
+     * @returns {Promise<Array<Object>>} Conditions
+     */
+    function testRules(rules) {
+        const now = Date.now();
+        const snapshot = window.STATCOM.dataSource.getSnapshot() || {};
+        const moduleIds = Object.keys(snapshot);
+        const engine = createEngine(rules, { ignoreDelays: true });
+
+        return getReplayInputs(rules, moduleIds, now).then(inputs => {
+            inputs.forEach(input => engine.evaluate(input));
+
+            const modules = {};
+            moduleIds.forEach(moduleId => {
+                const latest = window.STATCOM.timeSeries.getLatest(moduleId);
+                modules[moduleId] = {
+                    statuses: snapshot[moduleId],
+                    metrics: latest ? latest.values : null,
+                    metricsAt: latest ? latest.time : undefined
+                };
+            });
+            return engine.evaluate({ now: now, modules: modules });
+        });
+    }
+
+    /**
+     * Set up the rule editor in the Config view
+     */
+    function initRulesForm() {
+        const input = document.getElementById('alarm-rules-input');
+        const saveBtn = document.getElementById('alarm-rules-save-btn');
+        const resetBtn = document.getElementById('alarm-rules-reset-btn');
+        const testBtn = document.getElementById('alarm-rules-test-btn');
+        const errorEl = document.getElementById('alarm-rules-error');
+        const statusEl = document.getElementById('alarm-rules-status');
+        const resultsEl = document.getElementById('alarm-rules-test-results');
+        if (!input || !saveBtn) return;
+
+        const showRules = rules => {
+            input.value = JSON.stringify(rules, null, 2);
+        };
+        const showStatus = message => {
+            if (errorEl) errorEl.textContent = '';
+            if (statusEl) statusEl.textContent = message;
+        };
+        const showError = error => {
+            if (errorEl) errorEl.textContent = error.message;
+            if (statusEl) statusEl.textContent = '';
+        };
+        const clearResults = () => {
+            if (resultsEl) resultsEl.innerHTML = '';
+        };
+
+        showRules(loadRules());
+
+        saveBtn.addEventListener('click', () => {
+            clearResults();
+            try {
+                const rules = parseRules(input.value);
+                saveRules(rules);
+                showRules(rules);
+                showStatus(`Saved ${rules.length} rule${rules.length === 1 ? '' : 's'}`);
+            } catch (error) {
+                showError(error);
+            }
+        });
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                if (!confirm('Replace the alarm rules with the defaults?')) return;
+                clearResults();
+                showRules(resetRules());
+                showStatus('Default rules restored');
+            });
+        }
+
+        if (testBtn && resultsEl) {
+            testBtn.addEventListener('click', () => {
+                clearResults();
+                let rules;
+                try {
+                    rules = parseRules(input.value);
+                } catch (error) {
+                    showError(error);
+                    return;
+                }
+
+                showStatus('Testing...');
+                testRules(rules)
+                    .then(conditions => {
+                        clearResults();
+                        conditions
+                            .sort((a, b) => String(a.moduleId).localeCompare(String(b.moduleId), undefined, { numeric: true }))
+                            .forEach(condition => {
+                                const item = document.createElement('li');
+                                item.textContent = `${condition.moduleId} ${condition.type} ${condition.severity} \u2013 ${condition.message}`;
+                                resultsEl.appendChild(item);
+                            });
+                        showStatus(conditions.length === 0
+                            ? 'No alarms would be raised'
+                            : `${conditions.length} alarm${conditions.length === 1 ? '' : 's'} would be raised (delays ignored)`);
+                    })
+                    .catch(error => {
+                        console.error('Alarm rule test failed:', error);
+                        showError(error);
+                    });
+            });
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initRulesForm);
+    } else {
+        initRulesForm();
+    }
+
+    // ============================================================================
+    // GLOBAL API
+    // ============================================================================
+
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.alarmRules = {
+        DEFAULT_RULES: DEFAULT_RULES,
+        DEFAULT_STATUS_MESSAGES: DEFAULT_STATUS_MESSAGES,
+        validateRules: validateRules,
+        createEngine: createEngine,
+        describeStatus: rulesEngine.describeStatus,
+        getAlarmMessage: getAlarmMessage,
+        loadRules: loadRules,
+        saveRules: saveRules,
+        resetRules: resetRules,
+        subscribe: subscribe
+    };
+
+})();
+
+/**
+ * Alarm Flood Management
+ * Finds alarm floods and their first-out alarm, chattering alarms and
+ * consequential alarms, and groups related alarms for the alarm summary
+ *
+ * Definitions follow ISA-18.2: a flood is 10 or more alarms within 10 minutes,
+ * and an alarm chatters when it is raised 3 or more times within a minute.
+ * Functions take alarm lists ({ id, moduleId, type, severity, activatedAt,
+ * clearedAt }) and keep no state.
+ */
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
+
+    const FLOOD_MIN_ALARMS = 10;
+    const FLOOD_WINDOW_MS = 10 * 60 * 1000;
+    const CHATTER_MIN_COUNT = 3;
+    const CHATTER_WINDOW_MS = 60 * 1000;
+    const GROUP_WINDOW_MS = 60 * 1000; // Same-type alarms raised this close to a group's first alarm join the group
+    const SEVERITY_RANK = { 'CRITICAL': 3, 'WARNING': 2, 'DEGRADED': 1 };
+
+    // Status types that make others on the same module expected: while the
+    // cause is active, its consequences are suppressed from the summary
+    const CONSEQUENTIAL_ALARMS = {
+        'Power Supply Error': ['Fan Fail', 'Vdc Fault', 'Gating OK', 'Self Test'],
+        'Comm Lost': ['Sync Fault', 'Self Test'],
+        'Sync Fault': ['Gating OK'],
+        'Overtemp': ['Thermal Status']
+    };
+
+    function getTime(date) {
+        return date instanceof Date ? date.getTime() : new Date(date).getTime();
+    }
+
+    function byActivation(a, b) {
+        return getTime(a.activatedAt) - getTime(b.activatedAt) || String(a.moduleId).localeCompare(String(b.moduleId), undefined, { numeric: true });
+    }
+
+    // ============================================================================
+    // CONSEQUENTIAL ALARMS
+    // ============================================================================
+
+    /**
+     * Alarms suppressed by an active cause on the same module
+     * Chains are followed to the root, so with Comm Lost, Sync Fault and
+     * Gating OK active, both of the latter are suppressed by Comm Lost.
+     * @param {Array<Object>} alarms - The alarm summary
+     * @returns {Map<string, Object>} Suppressed alarm ID -> root cause alarm
+     */
+    function findSuppressed(alarms) {
+        const openByModule = new Map(); // moduleId -> { type: alarm }
+        alarms.forEach(alarm => {
+            if (alarm.clearedAt) return;
+            const types = openByModule.get(alarm.moduleId) || {};
+            types[alarm.type] = alarm;
+            openByModule.set(alarm.moduleId, types);
+        });
+
+        const findCause = (alarm, visited) => {
+            const open = openByModule.get(alarm.moduleId) || {};
+            const causeType = Object.keys(CONSEQUENTIAL_ALARMS)
+                .find(type => open[type] && type !== alarm.type && !visited.has(type) && CONSEQUENTIAL_ALARMS[type].includes(alarm.type));
+            if (!causeType) return null;
+            visited.add(alarm.type);
+            return findCause(open[causeType], visited) || open[causeType];
+        };
+
+        const suppressed = new Map();
+        alarms.forEach(alarm => {
+            const cause = findCause(alarm, new Set());
+            if (cause) suppressed.set(alarm.id, cause);
+        });
+        return suppressed;
+    }
+
+    // ============================================================================
+    // FLOODS AND CHATTERING
+    // ============================================================================
+
+    /**
+     * Alarm floods, oldest first
+     * A flood spans every alarm that falls in some 10-minute window holding at
+     * least 10 alarms; its first alarm is the first-out.
+     * @returns {Array<Object>} [{ start: Date, end: Date, alarms, firstOut }]
+     */
+    function findFloods(alarms) {
+        const sorted = alarms.slice().sort(byActivation);
+        const inFlood = new Array(sorted.length).fill(false);
+
+        let last = 0;
+        sorted.forEach((alarm, first) => {
+            const windowEnd = getTime(alarm.activatedAt) + FLOOD_WINDOW_MS;
+            if (last < first) last = first;
+            while (last + 1 < sorted.length && getTime(sorted[last + 1].activatedAt) <= windowEnd) last++;
+            if (last - first + 1 >= FLOOD_MIN_ALARMS) {
+                for (let i = first; i <= last; i++) inFlood[i] = true;
+            }
+        });
+
+        const floods = [];
+        let current = null;
+        sorted.forEach((alarm, index) => {
+            if (!inFlood[index]) {
+                current = null;
+                return;
+            }
+            if (!current) {
+                current = { alarms: [] };
+                floods.push(current);
+            }
+            current.alarms.push(alarm);
+        });
+
+        return floods.map(flood => ({
+            start: new Date(getTime(flood.alarms[0].activatedAt)),
+            end: new Date(getTime(flood.alarms[flood.alarms.length - 1].activatedAt)),
+            alarms: flood.alarms,
+            firstOut: flood.alarms[0]
+        }));
+    }
+
+    /**
+     * Module and type pairs raised 3 or more times in the last minute
+     * @param {Array<Object>} activations - Recent raises [{ moduleId, type, activatedAt }]
+     * @param {number} now - Current time in ms
+     * @returns {Map<string, number>} "moduleId|type" -> raises in the window
+     */
+    function findChattering(activations, now) {
+        const counts = new Map();
+        activations.forEach(activation => {
+            if (getTime(activation.activatedAt) < now - CHATTER_WINDOW_MS) return;
+            const key = `${activation.moduleId}|${activation.type}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        counts.forEach((count, key) => {
+            if (count < CHATTER_MIN_COUNT) counts.delete(key);
+        });
+        return counts;
+    }
+
+    // ============================================================================
+    // GROUPING
+    // ============================================================================
+
+    /**
+     * Group alarms by root cause, status type and time window
+     * Alarms of one type raised within a minute of the group's first alarm form
+     * a group; suppressed alarms join the group of their root cause. A
+     * suppressed alarm whose root cause is not in the list (filtered out) gets
+     * a group of its own, so it is still shown.
+     * @param {Array<Object>} alarms - Alarms in display order
+     * @param {Map<string, Object>} suppressedBy - From findSuppressed, possibly over more alarms than the list
+     * @returns {Array<Object>} Groups in display order:
+     *   [{ id, type, alarms, consequential, firstOut, severity }]
+     */
+    function groupAlarms(alarms, suppressedBy) {
+        const groups = [];
+        const groupOf = new Map(); // alarm ID -> group
+        const openGroups = new Map(); // type -> latest group
+        const listedIds = new Set(alarms.map(alarm => alarm.id));
+        const isOrphan = alarm => suppressedBy.has(alarm.id) && !listedIds.has(suppressedBy.get(alarm.id).id);
+
+        alarms.filter(isOrphan).forEach(alarm => {
+            groups.push({ id: alarm.id, type: alarm.type, alarms: [alarm], consequential: [], firstOut: alarm, severity: alarm.severity });
+        });
+
+        alarms.filter(alarm => !suppressedBy.has(alarm.id)).sort(byActivation).forEach(alarm => {
+            let group = openGroups.get(alarm.type);
+            if (!group || getTime(alarm.activatedAt) - getTime(group.firstOut.activatedAt) > GROUP_WINDOW_MS) {
+                group = {
+                    id: `${alarm.type}:${getTime(alarm.activatedAt)}`,
+                    type: alarm.type,
+                    alarms: [],
+                    consequential: [],
+                    firstOut: alarm,
+                    severity: alarm.severity
+                };
+                openGroups.set(alarm.type, group);
+                groups.push(group);
+            }
+            group.alarms.push(alarm);
+            groupOf.set(alarm.id, group);
+        });
+
+        alarms.forEach(alarm => {
+            const cause = suppressedBy.get(alarm.id);
+            const group = cause && groupOf.get(cause.id);
+            if (group) group.consequential.push(alarm);
+        });
+
+        // Keep the display order inside and between groups
+        const position = new Map(alarms.map((alarm, index) => [alarm.id, index]));
+        const first = group => position.get(group.alarms[0].id);
+        groups.forEach(group => {
+            group.alarms.sort((a, b) => position.get(a.id) - position.get(b.id));
+            group.severity = group.alarms.reduce((worst, alarm) =>
+                (SEVERITY_RANK[alarm.severity] > SEVERITY_RANK[worst] ? alarm.severity : worst), group.alarms[0].severity);
+        });
+        return groups.sort((a, b) => first(a) - first(b));
+    }
+
+    // ============================================================================
+    // GLOBAL API
+    // ============================================================================
+
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.alarmFlood = {
+        CONSEQUENTIAL_ALARMS: CONSEQUENTIAL_ALARMS,
+        CHATTER_WINDOW_MS: CHATTER_WINDOW_MS,
+        findSuppressed: findSuppressed,
+        findFloods: findFloods,
+        findChattering: findChattering,
+        groupAlarms: groupAlarms
+    };
+
+})();
+
+/**
+ * Alarms Page Implementation
+ * Display active and cleared alarms with filtering and CSV export, and the
+ * ISA-18.2 acknowledge / shelve workflow for the alarm summary
+ */
+(function() {
+    'use strict';
+
+    // Constants
+    const STORAGE_KEY_OPERATOR = 'statcom_operator_name';
+    const STORAGE_KEY_GROUPING = 'statcom_alarm_grouping';
+    const STATE_REFRESH_INTERVAL_MS = 30000;
+    const RULE_TICK_INTERVAL_MS = 1000;
+    const NOTIFICATION_DURATION_MS = 3000;
+    const NOTIFICATION_FADEOUT_MS = 300;
+    const HIGHLIGHT_DURATION_MS = 4000;
+    const CLEARED_PAGE_SIZES = [15, 50, 100];
+    const SEARCH_DEBOUNCE_MS = 250;
+    const ALARMS_ROUTE = '#/alarms';
+    const DEFAULT_TIME_RANGE_HOURS = 24;
+    const TIME_RANGE_HOURS = {
+        '1h': 1,
+        '6h': 6,
+        '24h': DEFAULT_TIME_RANGE_HOURS,
+        '7d': 168,
+        '30d': 720,
+        '90d': 2160
+    };
+
+    const SEVERITY_PRIORITY = { 'CRITICAL': 3, 'WARNING': 2, 'DEGRADED': 1 };
+
+    // Sortable columns, compared in ascending order; "priority" keeps the summary order
+    const SORT_VALUES = {
+        severity: alarm => SEVERITY_PRIORITY[alarm.severity] || 0,
+        module: alarm => alarm.moduleId,
+        type: alarm => alarm.type,
+        activatedAt: alarm => alarm.activatedAt.getTime(),
+        clearedAt: alarm => (alarm.clearedAt ? alarm.clearedAt.getTime() : Infinity),
+        duration: alarm => (alarm.clearedAt ? alarm.clearedAt.getTime() : Date.now()) - alarm.activatedAt.getTime()
+    };
+    const DEFAULT_SORT = { active: 'priority:desc', cleared: 'clearedAt:desc' };
+
+    // The alarm summary (active, returned-to-normal unacknowledged and shelved alarms)
+    // is kept in memory; cleared alarms are read from the historian
+    let activeAlarms = [];
+    let filteredAlarmsData = { active: [], cleared: [] };
+    let clearedResults = []; // Cleared alarms from the historian, before search and sorting
+    const selectedIds = new Set();
+    const countListeners = new Set();
+    const raiseListeners = new Set();
+    const operatorListeners = new Set();
+    let pendingPrompt = null; // { resolve, action } while the action modal is open
+    let highlightedAlarm = null; // { id, until } for an alarm opened from another view
+    let suppressedBy = new Map(); // alarm ID -> root cause alarm, see alarmFlood.findSuppressed
+    let recentActivations = []; // Raises within the chattering window
+    const expandedGroups = new Set();
+    let isGroupingEnabled = localStorage.getItem(STORAGE_KEY_GROUPING) !== 'off';
+    let showSuppressed = false;
+    let ruleEngine = null;
+    let moduleData = {};
+    let initPromise = null;
+    let isInitialized = false;
+    let filterGeneration = 0;
+    let latestRefresh = null;
+    let currentFilters = getDefaultFilters();
+    const sortOrder = { ...DEFAULT_SORT }; // "<column>:<asc|desc>" per list
+    let clearedPage = 1;
+    let clearedPageSize = CLEARED_PAGE_SIZES[0];
+    let searchTimer = null;
+
+    // ISA-18.2 state labels shown in the summary and exports
+    const STATE_LABELS = {
+        'UNACK': 'Unacknowledged',
+        'ACKED': 'Acknowledged',
+        'RTN_UNACK': 'Returned, Unacknowledged',
+        'SHELVED': 'Shelved',
+        'NORMAL': 'Normal'
+    };
+
+    const ACTION_LABELS = {
+        'acknowledge': 'Acknowledge',
+        'shelve': 'Shelve',
+        'unshelve': 'Unshelve'
+    };
+
+    /**
+     * Initialize Alarms page
+     * Alarms still active from the previous visit are restored from the historian,
+     * then reconciled with the current module data.
+     */
+    function initAlarms() {
+        // Populate module filter dropdown
+        populateModuleFilter();
+
+        // Set up event listeners
+        setupEventListeners();
+
+        // A bookmarked or shared link brings its filters
+        if (isAlarmsRoute() && window.location.hash.includes('?')) {
+            readFiltersFromHash();
+        }
+
+        initPromise = window.STATCOM.alarmHistory.getActive()
+            .catch(error => {
+                console.error('Failed to load alarm history:', error);
+                return [];
+            })
+            .then(storedAlarms => {
+                activeAlarms = storedAlarms;
+                storedAlarms.forEach(recordActivation);
+                isInitialized = true;
+                evaluateRules();
+            });
+        return initPromise;
+    }
+
+    /**
+     * Re-read active alarms from the historian and reconcile them with module data
+     */
+    function reloadActiveAlarms() {
+        return window.STATCOM.alarmHistory.getActive()
+            .then(storedAlarms => {
+                activeAlarms = storedAlarms;
+                return evaluateRules();
+            })
+            .catch(error => console.error('Failed to reload active alarms:', error));
+    }
+
+    /**
+     * Populate module filter dropdown
+     */
+    function populateModuleFilter() {
+        const moduleFilter = document.getElementById('module-filter');
+        if (!moduleFilter) return;
+
+        // Keep "All Modules" option
+        moduleFilter.innerHTML = '<option value="ALL">All Modules</option>';
+
+        // Add individual modules
+        window.STATCOM.topology.getModules().forEach(module => {
+            const option = document.createElement('option');
+            option.value = module.id;
+            option.textContent = module.displayName;
+            moduleFilter.appendChild(option);
+        });
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        // An operator entered in another tab
+        window.addEventListener('storage', event => {
+            if (event.key === STORAGE_KEY_OPERATOR) notifyOperatorListeners(getOperator());
+        });
+
+        // Apply filters button
+        const applyBtn = document.getElementById('apply-filters-btn');
+        if (applyBtn) {
+            applyBtn.addEventListener('click', function() {
+                currentFilters.severity = document.getElementById('severity-filter').value;
+                currentFilters.timeRange = document.getElementById('time-range-filter').value;
+                currentFilters.module = document.getElementById('module-filter').value;
+                currentFilters.from = parseDateValue(document.getElementById('alarm-from-input').value, false);
+                currentFilters.to = parseDateValue(document.getElementById('alarm-to-input').value, true);
+                currentFilters.search = document.getElementById('alarm-search-input').value.trim();
+                clearedPage = 1;
+                updateFilterHash();
+                refreshAlarms();
+            });
+        }
+
+        // Search filters as you type, without querying the historian again
+        const searchInput = document.getElementById('alarm-search-input');
+        if (searchInput) {
+            searchInput.addEventListener('input', function() {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => {
+                    currentFilters.search = searchInput.value.trim();
+                    clearedPage = 1;
+                    applySearchAndSort();
+                }, SEARCH_DEBOUNCE_MS);
+            });
+        }
+
+        // Column sorting, one order per list
+        document.querySelectorAll('#view-alarms .alarm-sort-btn').forEach(button => {
+            button.addEventListener('click', function() {
+                const list = button.closest('.alarm-sort-bar').dataset.list;
+                const [key, dir] = sortOrder[list].split(':');
+                const column = button.dataset.sort;
+                if (column === key && column !== 'priority') {
+                    sortOrder[list] = `${column}:${dir === 'asc' ? 'desc' : 'asc'}`;
+                } else {
+                    // Text columns start A-Z, the others with the highest or latest first
+                    sortOrder[list] = `${column}:${column === 'module' || column === 'type' ? 'asc' : 'desc'}`;
+                }
+                if (list === 'cleared') clearedPage = 1;
+                applySearchAndSort();
+            });
+        });
+
+        // Cleared alarm pages
+        const pageSizeSelect = document.getElementById('cleared-page-size');
+        if (pageSizeSelect) {
+            pageSizeSelect.addEventListener('change', function() {
+                clearedPageSize = Number(pageSizeSelect.value);
+                clearedPage = 1;
+                updateFilterHash();
+                renderClearedAlarms();
+            });
+        }
+
+        const prevPageBtn = document.getElementById('cleared-prev-btn');
+        if (prevPageBtn) {
+            prevPageBtn.addEventListener('click', () => showClearedPage(clearedPage - 1));
+        }
+
+        const nextPageBtn = document.getElementById('cleared-next-btn');
+        if (nextPageBtn) {
+            nextPageBtn.addEventListener('click', () => showClearedPage(clearedPage + 1));
+        }
+
+        renderSortButtons();
+
+        // Filters in the address bar: a bare #/alarms keeps the current filters
+        window.addEventListener('hashchange', function() {
+            if (!isAlarmsRoute() || window.location.hash === getFilterHash()) return;
+            if (!window.location.hash.includes('?')) {
+                updateFilterHash();
+                return;
+            }
+            readFiltersFromHash();
+            if (isInitialized) refreshAlarms();
+        });
+
+        // Custom range inputs are only shown for the "Custom range" option
+        const timeRangeSelect = document.getElementById('time-range-filter');
+        if (timeRangeSelect) {
+            timeRangeSelect.addEventListener('change', updateCustomRangeVisibility);
+        }
+
+        // Clear filters button
+        const clearBtn = document.getElementById('clear-filters-btn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', function() {
+                // Reset filter values; sorting and page size are kept
+                currentFilters = getDefaultFilters();
+                clearedPage = 1;
+                syncFilterControls();
+                updateFilterHash();
+                refreshAlarms();
+            });
+        }
+
+        // Export CSV button
+        const exportBtn = document.getElementById('export-csv-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', exportToCSV);
+        }
+
+        // Bulk acknowledge / shelve
+        const selectAll = document.getElementById('alarm-select-all');
+        if (selectAll) {
+            selectAll.addEventListener('change', function() {
+                selectedIds.clear();
+                if (selectAll.checked) {
+                    getListedAlarms().forEach(alarm => selectedIds.add(alarm.id));
+                }
+                renderActiveAlarms();
+            });
+        }
+
+        const bulkAckBtn = document.getElementById('alarm-bulk-ack-btn');
+        if (bulkAckBtn) {
+            bulkAckBtn.addEventListener('click', () => requestAlarmAction([...selectedIds], 'acknowledge'));
+        }
+
+        const bulkShelveBtn = document.getElementById('alarm-bulk-shelve-btn');
+        if (bulkShelveBtn) {
+            bulkShelveBtn.addEventListener('click', () => requestAlarmAction([...selectedIds], 'shelve'));
+        }
+
+        // Alarm grouping and suppressed alarms
+        const groupingToggle = document.getElementById('alarm-grouping-toggle');
+        if (groupingToggle) {
+            groupingToggle.checked = isGroupingEnabled;
+            groupingToggle.addEventListener('change', function() {
+                isGroupingEnabled = groupingToggle.checked;
+                localStorage.setItem(STORAGE_KEY_GROUPING, isGroupingEnabled ? 'on' : 'off');
+                renderActiveAlarms();
+            });
+        }
+
+        const suppressedToggle = document.getElementById('alarm-show-suppressed-toggle');
+        if (suppressedToggle) {
+            suppressedToggle.addEventListener('change', function() {
+                showSuppressed = suppressedToggle.checked;
+                renderActiveAlarms();
+            });
+        }
+
+        const firstOutBtn = document.getElementById('alarm-flood-first-out-btn');
+        if (firstOutBtn) {
+            firstOutBtn.addEventListener('click', function() {
+                if (firstOutBtn.dataset.alarmId) showFirstOut(firstOutBtn.dataset.alarmId);
+            });
+        }
+
+        setupActionModal();
+    }
+
+    /**
+     * Show the From/To date inputs for the custom time range
+     */
+    function updateCustomRangeVisibility() {
+        const isCustom = document.getElementById('time-range-filter').value === 'custom';
+        document.querySelectorAll('.custom-range-group').forEach(group => {
+            group.style.display = isCustom ? '' : 'none';
+        });
+    }
+
+    /**
+     * Read a date input value (YYYY-MM-DD) as the start or end of that day
+     */
+    function parseDateValue(value, endOfDay) {
+        if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+        const date = new Date(`${value}T00:00:00`);
+        if (isNaN(date.getTime())) return null;
+        if (endOfDay) date.setHours(23, 59, 59, 999);
+        return date;
+    }
+
+    function formatDateValue(date) {
+        if (!date) return '';
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    function getDefaultFilters() {
+        return {
+            severity: 'ALL',
+            timeRange: '24h',
+            module: 'ALL',
+            from: null,
+            to: null,
+            search: ''
+        };
+    }
+
+    /**
+     * Show the current filters, sorting and page size in the controls
+     */
+    function syncFilterControls() {
+        document.getElementById('severity-filter').value = currentFilters.severity;
+        document.getElementById('time-range-filter').value = currentFilters.timeRange;
+        document.getElementById('module-filter').value = currentFilters.module;
+        document.getElementById('alarm-from-input').value = formatDateValue(currentFilters.from);
+        document.getElementById('alarm-to-input').value = formatDateValue(currentFilters.to);
+        document.getElementById('alarm-search-input').value = currentFilters.search;
+        document.getElementById('cleared-page-size').value = String(clearedPageSize);
+        updateCustomRangeVisibility();
+        renderSortButtons();
+    }
+
+    // ============================================================================
+    // FILTERS IN THE URL
+    // ============================================================================
+
+    function isAlarmsRoute() {
+        return window.location.hash.split('?')[0] === ALARMS_ROUTE;
+    }
+
+    /**
+     * Hash for the current filters, e.g. #/alarms?severity=CRITICAL&q=fan
+     * Only settings that differ from the defaults are included.
+     */
+    function getFilterHash() {
+        const params = new URLSearchParams();
+        if (currentFilters.severity !== 'ALL') params.set('severity', currentFilters.severity);
+        if (currentFilters.timeRange !== '24h') params.set('range', currentFilters.timeRange);
+        if (currentFilters.module !== 'ALL') params.set('module', currentFilters.module);
+        if (currentFilters.timeRange === 'custom') {
+            if (currentFilters.from) params.set('from', formatDateValue(currentFilters.from));
+            if (currentFilters.to) params.set('to', formatDateValue(currentFilters.to));
+        }
+        if (currentFilters.search) params.set('q', currentFilters.search);
+        if (sortOrder.active !== DEFAULT_SORT.active) params.set('asort', sortOrder.active);
+        if (sortOrder.cleared !== DEFAULT_SORT.cleared) params.set('csort', sortOrder.cleared);
+        if (clearedPageSize !== CLEARED_PAGE_SIZES[0]) params.set('size', clearedPageSize);
+        if (clearedPage > 1) params.set('page', clearedPage);
+
+        const query = params.toString().replace(/%3A/g, ':'); // Keep sort orders readable
+        return query ? `${ALARMS_ROUTE}?${query}` : ALARMS_ROUTE;
+    }
+
+    /**
+     * Put the current filters in the address bar without adding a history entry
+     */
+    function updateFilterHash() {
+        if (!isAlarmsRoute()) return;
+        const hash = getFilterHash();
+        if (window.location.hash !== hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    /**
+     * Take filters, sorting and page from the hash; unknown values fall back to the defaults
+     */
+    function readFiltersFromHash() {
+        const params = new URLSearchParams(window.location.hash.split('?')[1] || '');
+        const severity = params.get('severity');
+        const timeRange = params.get('range');
+        const moduleId = params.get('module');
+        const moduleFilter = document.getElementById('module-filter');
+        const isModule = moduleFilter && Array.from(moduleFilter.options).some(option => option.value === moduleId);
+
+        currentFilters = {
+            severity: Object.prototype.hasOwnProperty.call(SEVERITY_PRIORITY, severity) ? severity : 'ALL',
+            timeRange: TIME_RANGE_HOURS[timeRange] || timeRange === 'all' || timeRange === 'custom' ? timeRange : '24h',
+            module: isModule ? moduleId : 'ALL',
+            from: parseDateValue(params.get('from'), false),
+            to: parseDateValue(params.get('to'), true),
+            search: (params.get('q') || '').trim()
+        };
+        sortOrder.active = isValidSort(params.get('asort'), 'active') ? params.get('asort') : DEFAULT_SORT.active;
+        sortOrder.cleared = isValidSort(params.get('csort'), 'cleared') ? params.get('csort') : DEFAULT_SORT.cleared;
+        clearedPageSize = CLEARED_PAGE_SIZES.includes(Number(params.get('size'))) ? Number(params.get('size')) : CLEARED_PAGE_SIZES[0];
+        clearedPage = Math.max(1, parseInt(params.get('page'), 10) || 1);
+
+        syncFilterControls();
+    }
+
+    function isValidSort(sort, list) {
+        const match = /^(\w+):(asc|desc)$/.exec(sort || '');
+        if (!match) return false;
+        return Boolean(document.querySelector(`#view-alarms .alarm-sort-bar[data-list="${list}"] .alarm-sort-btn[data-sort="${match[1]}"]`));
+    }
+
+    /**
+     * Time range selected in the filters
+     * @returns {Object} { from: Date|null, to: Date|null }
+     */
+    function getTimeRange() {
+        if (currentFilters.timeRange === 'all') {
+            return { from: null, to: null };
+        }
+        if (currentFilters.timeRange === 'custom') {
+            return { from: currentFilters.from, to: currentFilters.to };
+        }
+        const hoursAgo = TIME_RANGE_HOURS[currentFilters.timeRange] || DEFAULT_TIME_RANGE_HOURS;
+        return { from: new Date(Date.now() - hoursAgo * 60 * 60 * 1000), to: null };
+    }
+
+    /**
+     * Whether an alarm's module, type or message contains every word of the search
+     */
+    function matchesSearch(alarm) {
+        if (!currentFilters.search) return true;
+        const text = `${alarm.moduleId} ${alarm.type} ${getAlarmMessage(alarm)}`.toLowerCase();
+        return currentFilters.search.toLowerCase().split(/\s+/).every(word => text.includes(word));
+    }
+
+    /**
+     * Sorted copy of an alarm list; ties are broken by the latest activation
+     * @param {string} sort - "<column>:<asc|desc>", see SORT_VALUES
+     */
+    function sortAlarms(alarms, sort) {
+        const [key, dir] = sort.split(':');
+        const getValue = SORT_VALUES[key];
+        if (!getValue) return alarms.slice();
+
+        const sign = dir === 'asc' ? 1 : -1;
+        return alarms.slice().sort((a, b) => {
+            const valueA = getValue(a);
+            const valueB = getValue(b);
+            const diff = typeof valueA === 'string'
+                ? valueA.localeCompare(valueB, undefined, { numeric: true })
+                : (valueA > valueB) - (valueA < valueB);
+            return sign * diff || b.activatedAt - a.activatedAt;
+        });
+    }
+
+    /**
+     * Filter the alarm summary in memory (by activation time)
+     */
+    function filterActiveAlarms() {
+        const range = getTimeRange();
+        const severity = currentFilters.severity !== 'ALL' ? currentFilters.severity : null;
+        const moduleId = currentFilters.module !== 'ALL' ? currentFilters.module : null;
+
+        filteredAlarmsData.active = sortAlarms(activeAlarms.filter(alarm => {
+            if (severity && alarm.severity !== severity) return false;
+            if (moduleId && alarm.moduleId !== moduleId) return false;
+            if (range.from && alarm.activatedAt < range.from) return false;
+            if (range.to && alarm.activatedAt > range.to) return false;
+            return matchesSearch(alarm);
+        }), sortOrder.active);
+        // Causes are looked for in the whole summary, so filters do not unsuppress alarms
+        suppressedBy = window.STATCOM.alarmFlood.findSuppressed(activeAlarms);
+    }
+
+    function filterClearedAlarms() {
+        filteredAlarmsData.cleared = sortAlarms(clearedResults.filter(matchesSearch), sortOrder.cleared);
+    }
+
+    /**
+     * Re-apply the search and sorting to the last historian results and render
+     */
+    function applySearchAndSort() {
+        filterActiveAlarms();
+        filterClearedAlarms();
+        updateFilterHash();
+        renderSortButtons();
+        renderAlarms();
+    }
+
+    /**
+     * Apply current filters
+     * Active alarms are filtered in memory (by activation time); cleared alarms
+     * are queried from the historian (by cleared time), so any range can be used.
+     * @returns {Promise<boolean>} False if a newer filter run superseded this one
+     */
+    function applyFilters() {
+        const generation = ++filterGeneration;
+        const range = getTimeRange();
+        const severity = currentFilters.severity !== 'ALL' ? currentFilters.severity : null;
+        const moduleId = currentFilters.module !== 'ALL' ? currentFilters.module : null;
+
+        filterActiveAlarms();
+
+        return window.STATCOM.alarmHistory.query({
+            state: 'cleared',
+            from: range.from,
+            to: range.to,
+            severity: severity,
+            moduleId: moduleId
+        })
+            .catch(error => {
+                console.error('Alarm history query failed:', error);
+                return [];
+            })
+            .then(clearedAlarms => {
+                if (generation !== filterGeneration) return false;
+                clearedResults = clearedAlarms;
+                filterClearedAlarms();
+                return true;
+            });
+    }
+
+    /**
+     * Re-run the filters and render the result
+     * A run superseded by a newer one settles when the newer one has rendered.
+     */
+    function refreshAlarms() {
+        notifyCountListeners();
+        const refresh = applyFilters().then(isCurrent => {
+            if (!isCurrent) return latestRefresh;
+            renderAlarms();
+        });
+        latestRefresh = refresh;
+        return refresh;
+    }
+
+    /**
+     * Open the Alarms view filtered to an alarm's module and highlight the alarm
+     * Used by links from other views, such as limit crossings on the Trends charts.
+     * @param {string} alarmId - Alarm ID ("<moduleId>:<type>:<activatedAt>")
+     * @returns {Promise<boolean>} False if the alarm is not listed
+     */
+    function showAlarm(alarmId) {
+        const moduleId = alarmId.split(':')[0];
+
+        currentFilters = { ...getDefaultFilters(), timeRange: 'all', module: moduleId };
+        clearedPage = 1;
+        syncFilterControls();
+
+        window.location.hash = getFilterHash();
+        highlightedAlarm = { id: alarmId, until: Date.now() + HIGHLIGHT_DURATION_MS };
+
+        return (initPromise || Promise.resolve())
+            .then(refreshAlarms)
+            .then(() => {
+                // Cleared alarms may be on a later page
+                const clearedIndex = filteredAlarmsData.cleared.findIndex(alarm => alarm.id === alarmId);
+                if (clearedIndex >= clearedPageSize) showClearedPage(Math.floor(clearedIndex / clearedPageSize) + 1);
+
+                const row = findAlarmRow(alarmId);
+                if (!row) {
+                    highlightedAlarm = null;
+                    showNotification('That alarm is no longer in the alarm history');
+                    return false;
+                }
+
+                if (row.scrollIntoView) row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+                setTimeout(() => {
+                    const current = findAlarmRow(alarmId);
+                    if (current) current.classList.remove('alarm-highlight');
+                }, HIGHLIGHT_DURATION_MS);
+                return true;
+            });
+    }
+
+    /**
+     * Highlight an alarm in the current list, expanding its group
+     * Used by the flood banner to jump to the first-out alarm.
+     */
+    function showFirstOut(alarmId) {
+        if (suppressedBy.has(alarmId) && !showSuppressed) {
+            showSuppressed = true;
+            const suppressedToggle = document.getElementById('alarm-show-suppressed-toggle');
+            if (suppressedToggle) suppressedToggle.checked = true;
+        }
+        highlightedAlarm = { id: alarmId, until: Date.now() + HIGHLIGHT_DURATION_MS };
+        renderActiveAlarms();
+
+        const row = findAlarmRow(alarmId);
+        if (row && row.scrollIntoView) row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+
+    /**
+     * Whether a row should carry the highlight from showAlarm (it survives re-renders)
+     */
+    function isHighlighted(alarmId) {
+        return Boolean(highlightedAlarm) && highlightedAlarm.id === alarmId && Date.now() < highlightedAlarm.until;
+    }
+
+    function findAlarmRow(alarmId) {
+        return Array.from(document.querySelectorAll('#view-alarms .alarm-row'))
+            .find(element => element.dataset.alarmId === alarmId) || null;
+    }
+
+    /**
+     * Write alarm records to the historian
+     */
+    function persistAlarms(alarms) {
+        if (alarms.length === 0) return Promise.resolve();
+        return window.STATCOM.alarmHistory.put(alarms)
+            .catch(error => console.error('Failed to store alarms:', error));
+    }
+
+    /**
+     * Export alarms to CSV
+     */
+    function exportToCSV() {
+        // Combine active and cleared alarms; returned-to-normal alarms still in the summary are listed once
+        const activeIds = new Set(filteredAlarmsData.active.map(a => a.id));
+        const allAlarms = [
+            ...filteredAlarmsData.active.map(a => ({ ...a, status: a.clearedAt ? 'Cleared' : 'Active' })),
+            ...filteredAlarmsData.cleared.filter(a => !activeIds.has(a.id)).map(a => ({ ...a, status: 'Cleared' }))
+        ];
+
+        if (allAlarms.length === 0) {
+            showNotification('No alarms to export with current filters');
+            return;
+        }
+
+        // CSV header
+        let csv = 'Severity,Module,Status,Triggered Time,Cleared Time,Duration,Message,State,Acknowledged Time,Acknowledged By,Shelved Until,Comments\n';
+
+        // CSV rows
+        allAlarms.forEach(alarm => {
+            const severity = escapeCSV(alarm.severity);
+            const module = escapeCSV(alarm.moduleId);
+            const status = escapeCSV(alarm.status);
+            const triggeredTime = escapeCSV(formatTimestamp(alarm.activatedAt));
+            const clearedTime = alarm.clearedAt ? escapeCSV(formatTimestamp(alarm.clearedAt)) : '';
+
+            // Calculate duration for CSV export
+            let duration = '';
+            if (alarm.clearedAt) {
+                duration = escapeCSV(getClearedDuration(alarm));
+            } else if (alarm.status === 'Active') {
+                duration = escapeCSV(getActiveDuration(alarm.activatedAt));
+            }
+
+            const message = escapeCSV(getAlarmMessage(alarm));
+            const state = escapeCSV(STATE_LABELS[window.STATCOM.alarmHistory.getAlarmState(alarm)]);
+            const acknowledgedTime = alarm.acknowledgedAt ? escapeCSV(formatTimestamp(alarm.acknowledgedAt)) : '';
+            const acknowledgedBy = escapeCSV(alarm.acknowledgedBy);
+            const shelvedUntil = alarm.shelvedUntil && alarm.shelvedUntil > new Date() ? escapeCSV(formatTimestamp(alarm.shelvedUntil)) : '';
+            const comments = escapeCSV(formatActionLog(alarm));
+
+            csv += `${severity},${module},${status},${triggeredTime},${clearedTime},${duration},${message},` +
+                `${state},${acknowledgedTime},${acknowledgedBy},${shelvedUntil},${comments}\n`;
+        });
+
+        // Create and download file
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+
+        // Generate timestamp for filename (format: YYYY-MM-DD_HH-MM-SS)
+        // Removes milliseconds and 'Z' suffix by slicing off last 5 characters
+        const timestamp = new Date().toISOString().replace('T', '_').replace(/[:.]/g, '-').slice(0, -5);
+        const filename = `STATCOM_Alarms_${timestamp}.csv`;
+
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        // Show success notification
+        showNotification('CSV exported successfully!');
+    }
+
+    /**
+     * Operator actions as one line each: "<time> <Action> by <name>: <comment>"
+     */
+    function formatActionLog(alarm) {
+        return (alarm.actions || []).map(entry => {
+            const by = entry.by ? ` by ${entry.by}` : '';
+            const comment = entry.comment ? `: ${entry.comment}` : '';
+            return `${formatTimestamp(entry.at)} ${ACTION_LABELS[entry.action] || entry.action}${by}${comment}`;
+        }).join('\n');
+    }
+
+    /**
+     * Escape CSV field
+     */
+    function escapeCSV(field) {
+        if (field === null || field === undefined) return '';
+        const str = String(field);
+        if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+            return '"' + str.replace(/"/g, '""') + '"';
+        }
+        return str;
+    }
+
+    /**
+     * Show notification message
+     */
+    function showNotification(message) {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: #4a9eff;
+            color: white;
+            padding: 15px 25px;
+            border-radius: 6px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+            z-index: 10000;
+            font-size: 14px;
+            font-weight: 600;
+            animation: slideIn 0.3s ease-out;
+        `;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.style.animation = 'slideOut 0.3s ease-out';
+            setTimeout(() => {
+                try {
+                    if (document.body.contains(notification)) {
+                        notification.remove();
+                    }
+                } catch (error) {
+                    // Notification may have been removed externally, safe to ignore
+                    console.debug('Notification removal error (safe to ignore):', error);
+                }
+            }, NOTIFICATION_FADEOUT_MS);
+        }, NOTIFICATION_DURATION_MS);
+    }
+
+    const { getAlarmMessage } = window.STATCOM.alarmRules;
+
+    /**
+     * Create an active alarm with its stable historian ID
+     */
+    function createAlarm(moduleId, type, severity, activatedAt, message) {
+        return {
+            id: window.STATCOM.alarmHistory.getAlarmId(moduleId, type, activatedAt),
+            moduleId: moduleId,
+            type: type,
+            severity: severity,
+            message: message || null,
+            activatedAt: activatedAt,
+            clearedAt: null,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            shelvedUntil: null,
+            actions: []
+        };
+    }
+
+    /**
+     * Remember when an alarm was raised, for chattering detection
+     */
+    function recordActivation(alarm) {
+        const since = Date.now() - window.STATCOM.alarmFlood.CHATTER_WINDOW_MS;
+        recentActivations = recentActivations.filter(activation => activation.activatedAt.getTime() >= since);
+        if (alarm.activatedAt.getTime() >= since) {
+            recentActivations.push({ moduleId: alarm.moduleId, type: alarm.type, activatedAt: alarm.activatedAt });
+        }
+    }
+
+    /**
+     * Whether the alarm condition is still present
+     */
+    function isOpen(alarm) {
+        return !alarm.clearedAt;
+    }
+
+    function isInSummary(alarm) {
+        return window.STATCOM.alarmHistory.isInSummary(alarm);
+    }
+
+    /**
+     * Sort active alarms in place: shelved alarms last, then by severity (CRITICAL > WARNING > DEGRADED), then by time
+     */
+    function sortActiveAlarms(alarms) {
+        const now = Date.now();
+        const isShelved = alarm => window.STATCOM.alarmHistory.getAlarmState(alarm, now) === 'SHELVED';
+        alarms.sort((a, b) => {
+            const shelvedDiff = isShelved(a) - isShelved(b);
+            if (shelvedDiff !== 0) return shelvedDiff;
+            const severityDiff = SEVERITY_PRIORITY[b.severity] - SEVERITY_PRIORITY[a.severity];
+            if (severityDiff !== 0) return severityDiff;
+            return b.activatedAt - a.activatedAt;
+        });
+    }
+
+    /**
+     * Apply an alarm transition pushed by the live channel
+     * Uses the device timestamp, so it runs before the matching status change is synced.
+     * @param {Object} message - { timestamp, moduleId, statusType, severity, state: 'raised' | 'cleared' }
+     */
+    function handleLiveAlarm(message) {
+        if (!isInitialized) return;
+
+        // Only indicators whose status rule has no delays; the rest wait for the rule evaluation
+        const rule = ruleEngine.getImmediateStatusRule(message.moduleId, message.statusType);
+        if (!rule || (rule.levels && message.state === 'raised' && !rule.levels.includes(message.severity))) return;
+
+        const timestamp = new Date(message.timestamp || Date.now());
+        const index = activeAlarms.findIndex(a => isOpen(a) && a.moduleId === message.moduleId && a.type === message.statusType);
+        const severity = rule.severity === 'status' ? message.severity : rule.severity;
+        let changed = null;
+        const raised = [];
+
+        if (message.state === 'raised') {
+            if (index === -1) {
+                const text = window.STATCOM.alarmRules.describeStatus(rule, message.moduleId, message.statusType, message.severity);
+                changed = createAlarm(message.moduleId, message.statusType, severity, timestamp, text);
+                activeAlarms.push(changed);
+                recordActivation(changed);
+                raised.push(changed);
+            } else {
+                changed = activeAlarms[index];
+                changed.severity = severity;
+            }
+        } else if (message.state === 'cleared' && index !== -1) {
+            changed = activeAlarms[index];
+            changed.clearedAt = timestamp;
+        }
+
+        if (!changed) return;
+        activeAlarms = activeAlarms.filter(isInSummary);
+        sortActiveAlarms(activeAlarms);
+        persistAlarms([changed]).then(refreshAlarms).then(() => notifyRaiseListeners(raised));
+    }
+
+    /**
+     * Evaluate the alarm rules against the module data and the latest metric samples
+     * @returns {Promise<void>}
+     */
+    function evaluateRules() {
+        const modules = {};
+        Object.entries(moduleData).forEach(([moduleId, statuses]) => {
+            const latest = window.STATCOM.timeSeries.getLatest(moduleId);
+            modules[moduleId] = {
+                statuses: statuses,
+                metrics: latest ? latest.values : null,
+                metricsAt: latest ? latest.time : undefined
+            };
+        });
+
+        return syncAlarmsWithConditions(ruleEngine.evaluate({ now: Date.now(), modules: modules }));
+    }
+
+    /**
+     * Reconcile alarms with the conditions the rules report
+     * New conditions raise alarms, conditions that went away clear them, and
+     * severity changes update the existing active alarm. Cleared alarms stay
+     * in the summary until acknowledged.
+     * @param {Array<Object>} conditions - [{ moduleId, type, severity, message }]
+     */
+    function syncAlarmsWithConditions(conditions) {
+        const now = new Date();
+        const stillActive = [];
+        const changed = [];
+        const raised = [];
+        const pending = new Map(conditions.map(condition => [`${condition.moduleId}|${condition.type}`, condition]));
+
+        activeAlarms.forEach(alarm => {
+            if (!isOpen(alarm)) {
+                stillActive.push(alarm);
+                return;
+            }
+
+            const key = `${alarm.moduleId}|${alarm.type}`;
+            const condition = pending.get(key);
+            pending.delete(key);
+
+            if (condition) {
+                if (alarm.severity !== condition.severity) {
+                    alarm.severity = condition.severity;
+                    changed.push(alarm);
+                }
+            } else {
+                alarm.clearedAt = now;
+                changed.push(alarm);
+            }
+            stillActive.push(alarm);
+        });
+
+        pending.forEach(condition => {
+            const alarm = createAlarm(condition.moduleId, condition.type, condition.severity, now, condition.message);
+            recordActivation(alarm);
+            stillActive.push(alarm);
+            changed.push(alarm);
+            raised.push(alarm);
+        });
+
+        activeAlarms = stillActive.filter(isInSummary);
+        sortActiveAlarms(activeAlarms);
+        return persistAlarms(changed).then(refreshAlarms).then(() => notifyRaiseListeners(raised));
+    }
+
+    /**
+     * Start evaluating a new rule list
+     */
+    function setRules(rules) {
+        ruleEngine = window.STATCOM.alarmRules.createEngine(rules);
+        if (isInitialized) evaluateRules();
+    }
+
+    /**
+     * Whether any enabled rule reads metric samples
+     */
+    function usesMetrics() {
+        return ruleEngine.rules.some(rule => rule.kind === 'threshold' || rule.kind === 'rateOfChange');
+    }
+
+    /**
+     * Re-evaluate alarm states as shelving expires
+     * Alarms that cleared while shelved leave the summary; their records are
+     * rewritten so they are not read back as part of it.
+     */
+    function refreshAlarmStates() {
+        if (!isInitialized) return;
+        const resolved = activeAlarms.filter(alarm => !isInSummary(alarm));
+        activeAlarms = activeAlarms.filter(isInSummary);
+        sortActiveAlarms(activeAlarms);
+        persistAlarms(resolved).then(refreshAlarms);
+    }
+
+    // ============================================================================
+    // ACKNOWLEDGE / SHELVE
+    // ============================================================================
+
+    /**
+     * Acknowledge, shelve or unshelve alarms and update the summary
+     * @param {Array<string>} ids - Alarm IDs
+     * @param {string} action - 'acknowledge' | 'shelve' | 'unshelve'
+     * @param {Object} details - { by, comment, until }
+     * @returns {Promise<Array<Object>>} The alarms that changed
+     */
+    function applyAlarmAction(ids, action, details) {
+        return window.STATCOM.alarmHistory.applyAction(ids, action, details).then(updated => {
+            updated.forEach(alarm => {
+                const current = activeAlarms.find(a => a.id === alarm.id);
+                if (current) {
+                    current.acknowledgedAt = alarm.acknowledgedAt;
+                    current.acknowledgedBy = alarm.acknowledgedBy;
+                    current.shelvedUntil = alarm.shelvedUntil;
+                    current.actions = alarm.actions;
+                }
+                selectedIds.delete(alarm.id);
+            });
+            activeAlarms = activeAlarms.filter(isInSummary);
+            sortActiveAlarms(activeAlarms);
+            return refreshAlarms().then(() => updated);
+        });
+    }
+
+    /**
+     * Prompt for the operator details, then apply the action
+     */
+    function requestAlarmAction(ids, action) {
+        if (ids.length === 0) return Promise.resolve([]);
+
+        const title = ids.length === 1
+            ? `${ACTION_LABELS[action]} Alarm`
+            : `${ACTION_LABELS[action]} ${ids.length} Alarms`;
+
+        return promptAction({ action, title })
+            .then(details => (details ? applyAlarmAction(ids, action, details) : []))
+            .then(updated => {
+                if (updated.length > 0) {
+                    const verb = { acknowledge: 'acknowledged', shelve: 'shelved', unshelve: 'unshelved' }[action];
+                    showNotification(`${updated.length} alarm${updated.length === 1 ? '' : 's'} ${verb}`);
+                }
+                return updated;
+            })
+            .catch(error => {
+                console.error(`Alarm ${action} failed:`, error);
+                showNotification(`Could not ${action} alarms: ${error.message}`);
+                return [];
+            });
+    }
+
+    /**
+     * Ask the operator for their name, a comment and, when shelving, how long for
+     * A comment is required to shelve. The name is remembered for the next action.
+     * @param {Object} options - { action: 'acknowledge' | 'shelve' | 'unshelve', title }
+     * @returns {Promise<Object|null>} { by, comment, until } or null if cancelled
+     */
+    function promptAction(options) {
+        const modal = document.getElementById('alarm-action-modal');
+        if (!modal) return Promise.resolve(null);
+        if (pendingPrompt) pendingPrompt.resolve(null);
+
+        const isShelve = options.action === 'shelve';
+        document.getElementById('alarm-action-title').textContent = options.title || `${ACTION_LABELS[options.action]} Alarm`;
+        document.getElementById('alarm-action-confirm-btn').textContent = ACTION_LABELS[options.action];
+        document.getElementById('alarm-action-duration-group').style.display = isShelve ? '' : 'none';
+        document.getElementById('alarm-action-comment-label').textContent = isShelve ? 'Reason (required):' : 'Comment:';
+        document.getElementById('alarm-action-operator').value = getOperator();
+        document.getElementById('alarm-action-comment').value = '';
+        document.getElementById('alarm-action-error').textContent = '';
+
+        modal.classList.add('active');
+        const operatorInput = document.getElementById('alarm-action-operator');
+        (operatorInput.value ? document.getElementById('alarm-action-comment') : operatorInput).focus();
+
+        return new Promise(resolve => {
+            pendingPrompt = { resolve, action: options.action };
+        });
+    }
+
+    /**
+     * Close the action modal and settle the pending prompt
+     */
+    function closeActionModal(result) {
+        document.getElementById('alarm-action-modal').classList.remove('active');
+        if (pendingPrompt) {
+            const { resolve } = pendingPrompt;
+            pendingPrompt = null;
+            resolve(result);
+        }
+    }
+
+    /**
+     * Validate the action modal and resolve the prompt with its values
+     */
+    function confirmActionModal() {
+        if (!pendingPrompt) return;
+
+        const by = document.getElementById('alarm-action-operator').value.trim();
+        const comment = document.getElementById('alarm-action-comment').value.trim();
+        const errorEl = document.getElementById('alarm-action-error');
+
+        if (!by) {
+            errorEl.textContent = 'Enter the operator name';
+            return;
+        }
+        if (pendingPrompt.action === 'shelve' && !comment) {
+            errorEl.textContent = 'Enter a reason for shelving';
+            return;
+        }
+
+        setOperator(by);
+        const details = { by, comment };
+        if (pendingPrompt.action === 'shelve') {
+            const minutes = parseInt(document.getElementById('alarm-action-duration').value, 10);
+            details.until = new Date(Date.now() + minutes * 60 * 1000);
+        }
+        closeActionModal(details);
+    }
+
+    function setupActionModal() {
+        const modal = document.getElementById('alarm-action-modal');
+        if (!modal) return;
+
+        document.getElementById('alarm-action-confirm-btn').addEventListener('click', confirmActionModal);
+        document.getElementById('alarm-action-cancel-btn').addEventListener('click', () => closeActionModal(null));
+        document.getElementById('alarm-action-close').addEventListener('click', () => closeActionModal(null));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeActionModal(null);
+        });
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeActionModal(null);
+        });
+    }
+
+    /**
+     * Number of alarms waiting for acknowledgement (active or returned to normal, not suppressed)
+     */
+    function getUnacknowledgedCount() {
+        const now = Date.now();
+        const suppressed = window.STATCOM.alarmFlood.findSuppressed(activeAlarms);
+        return activeAlarms.filter(alarm => {
+            if (suppressed.has(alarm.id)) return false;
+            const state = window.STATCOM.alarmHistory.getAlarmState(alarm, now);
+            return state === 'UNACK' || state === 'RTN_UNACK';
+        }).length;
+    }
+
+    /**
+     * Alarm counts for the sidebar badge
+     * Shelved and suppressed alarms are left out; returned-to-normal alarms count until acknowledged.
+     * @returns {Object} { total, unacknowledged, bySeverity: { CRITICAL, WARNING, DEGRADED }, worstSeverity }
+     */
+    function getAlarmCounts() {
+        const now = Date.now();
+        const bySeverity = { 'CRITICAL': 0, 'WARNING': 0, 'DEGRADED': 0 };
+        let total = 0;
+        let unacknowledged = 0;
+        const suppressed = window.STATCOM.alarmFlood.findSuppressed(activeAlarms);
+
+        activeAlarms.forEach(alarm => {
+            const state = window.STATCOM.alarmHistory.getAlarmState(alarm, now);
+            if (state === 'SHELVED' || suppressed.has(alarm.id)) return;
+            bySeverity[alarm.severity] = (bySeverity[alarm.severity] || 0) + 1;
+            total++;
+            if (state === 'UNACK' || state === 'RTN_UNACK') unacknowledged++;
+        });
+
+        const worstSeverity = ['CRITICAL', 'WARNING', 'DEGRADED'].find(severity => bySeverity[severity] > 0) || null;
+        return { total, unacknowledged, bySeverity, worstSeverity };
+    }
+
+    /**
+     * Subscribe to alarm count changes (called immediately with the current counts)
+     * @param {Function} listener - (counts) => void, see getAlarmCounts
+     * @returns {Function} Unsubscribe function
+     */
+    function subscribeCounts(listener) {
+        countListeners.add(listener);
+        listener(getAlarmCounts());
+        return () => countListeners.delete(listener);
+    }
+
+    /**
+     * Subscribe to newly raised alarms, called once the alarm lists include them
+     * @param {Function} listener - (alarms) => void
+     * @returns {Function} Unsubscribe function
+     */
+    function subscribeRaised(listener) {
+        raiseListeners.add(listener);
+        return () => raiseListeners.delete(listener);
+    }
+
+    /**
+     * Operator name last entered for an alarm action or a shift report, saved in this browser
+     */
+    function getOperator() {
+        return localStorage.getItem(STORAGE_KEY_OPERATOR) || '';
+    }
+
+    function setOperator(name) {
+        if (name === getOperator()) return;
+        localStorage.setItem(STORAGE_KEY_OPERATOR, name);
+        notifyOperatorListeners(name);
+    }
+
+    /**
+     * Subscribe to operator changes, including those made in other tabs
+     * @param {Function} listener - (name) => void
+     * @returns {Function} Unsubscribe function
+     */
+    function subscribeOperator(listener) {
+        operatorListeners.add(listener);
+        return () => operatorListeners.delete(listener);
+    }
+
+    function notifyOperatorListeners(name) {
+        operatorListeners.forEach(listener => {
+            try {
+                listener(name);
+            } catch (error) {
+                console.error('Operator subscriber failed:', error);
+            }
+        });
+    }
+
+    function notifyRaiseListeners(alarms) {
+        if (alarms.length === 0) return;
+        raiseListeners.forEach(listener => {
+            try {
+                listener(alarms.slice());
+            } catch (error) {
+                console.error('Alarm raise subscriber failed:', error);
+            }
+        });
+    }
+
+    function notifyCountListeners() {
+        const counts = getAlarmCounts();
+        countListeners.forEach(listener => {
+            try {
+                listener(counts);
+            } catch (error) {
+                console.error('Alarm count subscriber failed:', error);
+            }
+        });
+    }
+
+    const { formatTimestamp, formatDuration } = window.STATCOM.viewHelpers;
+
+    /**
+     * Get the duration of a cleared alarm
+     */
+    function getClearedDuration(alarm) {
+        return formatDuration(alarm.clearedAt.getTime() - alarm.activatedAt.getTime());
+    }
+
+    /**
+     * Get active duration for an active alarm
+     */
+    function getActiveDuration(activatedAt) {
+        const now = new Date();
+        const duration = now.getTime() - activatedAt.getTime();
+        return 'Active for ' + formatDuration(duration);
+    }
+
+    /**
+     * Render alarms to the page
+     */
+    function renderAlarms() {
+        renderActiveAlarms();
+        renderClearedAlarms();
+    }
+
+    /**
+     * Active alarms shown in the list: the filtered summary, without suppressed
+     * alarms unless they are asked for
+     */
+    function getListedAlarms() {
+        return filteredAlarmsData.active.filter(alarm => showSuppressed || !suppressedBy.has(alarm.id));
+    }
+
+    /**
+     * Render active alarms
+     * Related alarms are grouped, and rows are flagged as first-out, chattering
+     * or suppressed.
+     */
+    function renderActiveAlarms() {
+        const container = document.getElementById('active-alarms-list');
+        const countElement = document.getElementById('active-alarm-count');
+
+        if (!container) return;
+
+        const listedAlarms = getListedAlarms();
+
+        // Update count
+        if (countElement) {
+            countElement.textContent = listedAlarms.length;
+        }
+
+        // Clear container
+        container.innerHTML = '';
+
+        // Drop selections that are no longer listed
+        const listedIds = new Set(listedAlarms.map(alarm => alarm.id));
+        selectedIds.forEach(id => {
+            if (!listedIds.has(id)) selectedIds.delete(id);
+        });
+        updateBulkActions();
+
+        const floods = window.STATCOM.alarmFlood.findFloods(filteredAlarmsData.active);
+        renderFloodBanner(floods);
+        renderSuppressedCount();
+
+        if (listedAlarms.length === 0) {
+            container.innerHTML = '<div class="no-alarms-message">No active alarms matching filters</div>';
+            return;
+        }
+
+        // Get current time once for all alarms
+        const now = Date.now();
+        const groups = window.STATCOM.alarmFlood.groupAlarms(listedAlarms, suppressedBy);
+        const context = {
+            now: now,
+            chattering: window.STATCOM.alarmFlood.findChattering(recentActivations, now),
+            firstOutIds: new Set(floods.map(flood => flood.firstOut.id)
+                .concat(groups.filter(group => group.alarms.length > 1).map(group => group.firstOut.id))),
+            consequences: new Map() // cause alarm ID -> suppressed types not listed
+        };
+        if (!showSuppressed) {
+            filteredAlarmsData.active.forEach(alarm => {
+                const cause = suppressedBy.get(alarm.id);
+                if (cause) context.consequences.set(cause.id, (context.consequences.get(cause.id) || []).concat(alarm.type));
+            });
+        }
+
+        if (!isGroupingEnabled) {
+            listedAlarms.forEach(alarm => container.appendChild(createAlarmRow(alarm, context)));
+            return;
+        }
+
+        groups.forEach(group => {
+            if (group.alarms.length === 1) {
+                group.alarms.concat(group.consequential).forEach(alarm => container.appendChild(createAlarmRow(alarm, context)));
+            } else {
+                container.appendChild(createAlarmGroup(group, context));
+            }
+        });
+    }
+
+    /**
+     * Row for one alarm in the summary
+     * @param {Object} context - { now, chattering, firstOutIds, consequences } from renderActiveAlarms
+     */
+    function createAlarmRow(alarm, context) {
+        const state = window.STATCOM.alarmHistory.getAlarmState(alarm, context.now);
+        const cause = suppressedBy.get(alarm.id);
+        const alarmRow = document.createElement('div');
+        alarmRow.className = `alarm-row alarm-summary-row severity-${alarm.severity.toLowerCase()} state-${state.toLowerCase()}`;
+        alarmRow.dataset.alarmId = alarm.id;
+        alarmRow.classList.toggle('alarm-highlight', isHighlighted(alarm.id));
+        alarmRow.classList.toggle('alarm-suppressed', Boolean(cause));
+
+        const alarmMessage = getAlarmMessage(alarm);
+        const timestampsHtml = alarm.clearedAt ? `
+                <div class="alarm-timestamp">Triggered: ${formatTimestamp(alarm.activatedAt)}</div>
+                <div class="alarm-timestamp">Cleared: ${formatTimestamp(alarm.clearedAt)}</div>
+                <div class="alarm-duration">Duration: ${getClearedDuration(alarm)}</div>` : `
+                <div class="alarm-timestamp active-time">${formatTimestamp(alarm.activatedAt)}</div>
+                <div class="alarm-duration">${getActiveDuration(alarm.activatedAt)}</div>`;
+
+        alarmRow.innerHTML = `
+            <input type="checkbox" class="alarm-select" aria-label="Select ${alarm.moduleId} ${alarm.type}">
+            <div class="alarm-severity-badge ${alarm.severity.toLowerCase()}">${getSeverityLabel(alarm.severity)}</div>
+            <div class="alarm-info">
+                <div class="alarm-module">${alarm.moduleId}</div>
+                <div class="alarm-type"></div>
+                <div class="alarm-state-line">
+                    <span class="alarm-state-badge state-${state.toLowerCase()}">${STATE_LABELS[state]}</span>
+                    <span class="alarm-state-detail"></span>
+                </div>
+            </div>
+            <div class="alarm-timestamps">${timestampsHtml}
+            </div>
+            <div class="alarm-actions"></div>
+        `;
+
+        // Operator names, comments and rule messages are free text
+        alarmRow.querySelector('.alarm-type').textContent = alarmMessage;
+        alarmRow.querySelector('.alarm-state-detail').textContent = getStateDetail(alarm, state);
+
+        const stateLine = alarmRow.querySelector('.alarm-state-line');
+        const chatterCount = context.chattering.get(`${alarm.moduleId}|${alarm.type}`);
+        if (context.firstOutIds.has(alarm.id)) {
+            stateLine.appendChild(createAlarmFlag('first-out', 'First out'));
+        }
+        if (chatterCount) {
+            stateLine.appendChild(createAlarmFlag('chattering', `Chattering: raised ${chatterCount}× in the last minute`));
+        }
+        if (cause) {
+            stateLine.appendChild(createAlarmFlag('suppressed', `Suppressed by ${cause.type}`));
+        }
+        if (context.consequences.has(alarm.id)) {
+            stateLine.appendChild(createAlarmFlag('suppressing', `Suppressing ${context.consequences.get(alarm.id).join(', ')}`));
+        }
+
+        const checkbox = alarmRow.querySelector('.alarm-select');
+        checkbox.checked = selectedIds.has(alarm.id);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectedIds.add(alarm.id);
+            } else {
+                selectedIds.delete(alarm.id);
+            }
+            updateBulkActions();
+            updateGroupSelection(alarmRow.closest('.alarm-group'));
+        });
+
+        const actionsEl = alarmRow.querySelector('.alarm-actions');
+        if (state === 'UNACK' || state === 'RTN_UNACK') {
+            actionsEl.appendChild(createActionButton(alarm, 'acknowledge', 'apply-btn'));
+        }
+        if (state === 'SHELVED') {
+            actionsEl.appendChild(createActionButton(alarm, 'unshelve', 'clear-btn'));
+        } else if (isOpen(alarm)) {
+            actionsEl.appendChild(createActionButton(alarm, 'shelve', 'clear-btn'));
+        }
+
+        return alarmRow;
+    }
+
+    function getSeverityLabel(severity) {
+        return `${severity === 'CRITICAL' ? '🔴' : severity === 'WARNING' ? '⚠️' : 'ℹ️'} ${severity}`;
+    }
+
+    function createAlarmFlag(kind, text) {
+        const flag = document.createElement('span');
+        flag.className = `alarm-flag ${kind}`;
+        flag.textContent = text;
+        return flag;
+    }
+
+    /**
+     * Collapsible group of related alarms, with its consequential alarms
+     * Groups open by themselves when one of their alarms is highlighted.
+     */
+    function createAlarmGroup(group, context) {
+        const members = group.alarms.concat(group.consequential);
+        const isExpanded = expandedGroups.has(group.id) || members.some(alarm => isHighlighted(alarm.id));
+        const moduleCount = new Set(group.alarms.map(alarm => alarm.moduleId)).size;
+        const unacknowledged = members.filter(alarm => {
+            const state = window.STATCOM.alarmHistory.getAlarmState(alarm, context.now);
+            return state === 'UNACK' || state === 'RTN_UNACK';
+        });
+
+        const element = document.createElement('div');
+        element.className = 'alarm-group';
+        element.dataset.groupId = group.id;
+
+        const header = document.createElement('div');
+        header.className = `alarm-row alarm-summary-row alarm-group-header severity-${group.severity.toLowerCase()}`;
+        header.innerHTML = `
+            <input type="checkbox" class="alarm-select alarm-group-select" aria-label="Select group">
+            <div class="alarm-severity-badge ${group.severity.toLowerCase()}">${getSeverityLabel(group.severity)}</div>
+            <div class="alarm-info">
+                <button type="button" class="alarm-group-toggle" aria-expanded="${isExpanded}">
+                    <span class="alarm-group-caret">${isExpanded ? '▾' : '▸'}</span>
+                    <span class="alarm-group-title"></span>
+                </button>
+                <div class="alarm-group-summary"></div>
+            </div>
+            <div class="alarm-timestamps">
+                <div class="alarm-timestamp active-time">${formatTimestamp(group.firstOut.activatedAt)}</div>
+                <div class="alarm-duration">First out ${group.firstOut.moduleId}</div>
+            </div>
+            <div class="alarm-actions"></div>
+        `;
+
+        header.querySelector('.alarm-group-title').textContent = `${group.type} \u2013 ${group.alarms.length} alarms`;
+        const summary = [`${moduleCount} module${moduleCount === 1 ? '' : 's'}`, `${unacknowledged.length} unacknowledged`];
+        if (group.consequential.length > 0) summary.push(`${group.consequential.length} consequential`);
+        header.querySelector('.alarm-group-summary').textContent = summary.join(' · ');
+
+        const memberList = document.createElement('div');
+        memberList.className = 'alarm-group-members';
+        memberList.hidden = !isExpanded;
+        members.forEach(alarm => memberList.appendChild(createAlarmRow(alarm, context)));
+
+        header.querySelector('.alarm-group-toggle').addEventListener('click', () => {
+            if (expandedGroups.has(group.id)) {
+                expandedGroups.delete(group.id);
+            } else {
+                expandedGroups.add(group.id);
+            }
+            renderActiveAlarms();
+        });
+
+        const groupCheckbox = header.querySelector('.alarm-group-select');
+        groupCheckbox.addEventListener('change', () => {
+            members.forEach(alarm => {
+                if (groupCheckbox.checked) {
+                    selectedIds.add(alarm.id);
+                } else {
+                    selectedIds.delete(alarm.id);
+                }
+            });
+            renderActiveAlarms();
+        });
+
+        if (unacknowledged.length > 0) {
+            const ackButton = document.createElement('button');
+            ackButton.className = 'filter-btn apply-btn alarm-action-btn';
+            ackButton.textContent = 'Acknowledge All';
+            ackButton.addEventListener('click', () => requestAlarmAction(unacknowledged.map(alarm => alarm.id), 'acknowledge'));
+            header.querySelector('.alarm-actions').appendChild(ackButton);
+        }
+
+        element.appendChild(header);
+        element.appendChild(memberList);
+        updateGroupSelection(element);
+        return element;
+    }
+
+    /**
+     * Tick a group's checkbox when all its alarms are selected
+     */
+    function updateGroupSelection(groupElement) {
+        if (!groupElement) return;
+        const checkboxes = Array.from(groupElement.querySelectorAll('.alarm-group-members .alarm-select'));
+        const checked = checkboxes.filter(checkbox => checkbox.checked).length;
+        const groupCheckbox = groupElement.querySelector('.alarm-group-select');
+        groupCheckbox.checked = checked > 0 && checked === checkboxes.length;
+        groupCheckbox.indeterminate = checked > 0 && checked < checkboxes.length;
+    }
+
+    /**
+     * Banner for the latest alarm flood in the list
+     */
+    function renderFloodBanner(floods) {
+        const banner = document.getElementById('alarm-flood-banner');
+        if (!banner) return;
+
+        const flood = floods[floods.length - 1];
+        banner.hidden = !flood;
+        if (!flood) return;
+
+        const duration = formatDuration(flood.end.getTime() - flood.start.getTime());
+        document.getElementById('alarm-flood-text').textContent =
+            `Alarm flood: ${flood.alarms.length} alarms in ${duration} from ${formatTimestamp(flood.start)}. ` +
+            `First out: ${flood.firstOut.moduleId} ${getAlarmMessage(flood.firstOut)}`;
+        document.getElementById('alarm-flood-first-out-btn').dataset.alarmId = flood.firstOut.id;
+    }
+
+    function renderSuppressedCount() {
+        const countEl = document.getElementById('alarm-suppressed-count');
+        if (!countEl) return;
+        const count = filteredAlarmsData.active.filter(alarm => suppressedBy.has(alarm.id)).length;
+        countEl.textContent = count > 0 ? `${count} consequential alarm${count === 1 ? '' : 's'} suppressed` : '';
+    }
+
+    /**
+     * Button for a single-alarm action
+     */
+    function createActionButton(alarm, action, styleClass) {
+        const button = document.createElement('button');
+        button.className = `filter-btn ${styleClass} alarm-action-btn`;
+        button.textContent = ACTION_LABELS[action];
+        button.addEventListener('click', () => requestAlarmAction([alarm.id], action));
+        return button;
+    }
+
+    /**
+     * Who acknowledged or shelved the alarm, and why
+     */
+    function getStateDetail(alarm, state) {
+        if (state === 'SHELVED') {
+            const shelving = (alarm.actions || []).filter(entry => entry.action === 'shelve').pop();
+            const by = shelving && shelving.by ? ` by ${shelving.by}` : '';
+            const comment = shelving && shelving.comment ? `: ${shelving.comment}` : '';
+            return `until ${formatTimestamp(alarm.shelvedUntil)}${by}${comment}`;
+        }
+        if (alarm.acknowledgedAt) {
+            const acknowledgement = (alarm.actions || []).find(entry => entry.action === 'acknowledge');
+            const by = alarm.acknowledgedBy ? ` by ${alarm.acknowledgedBy}` : '';
+            const comment = acknowledgement && acknowledgement.comment ? `: ${acknowledgement.comment}` : '';
+            return `${formatTimestamp(alarm.acknowledgedAt)}${by}${comment}`;
+        }
+        return '';
+    }
+
+    /**
+     * Enable the bulk buttons for the current selection
+     */
+    function updateBulkActions() {
+        const listedAlarms = getListedAlarms();
+        const selected = listedAlarms.filter(alarm => selectedIds.has(alarm.id));
+        const now = Date.now();
+        const states = selected.map(alarm => window.STATCOM.alarmHistory.getAlarmState(alarm, now));
+
+        const countEl = document.getElementById('alarm-selected-count');
+        if (countEl) countEl.textContent = `${selected.length} selected`;
+
+        const selectAll = document.getElementById('alarm-select-all');
+        if (selectAll) {
+            selectAll.checked = selected.length > 0 && selected.length === listedAlarms.length;
+        }
+
+        const bulkAckBtn = document.getElementById('alarm-bulk-ack-btn');
+        if (bulkAckBtn) {
+            bulkAckBtn.disabled = !states.some(state => state === 'UNACK' || state === 'RTN_UNACK');
+        }
+
+        const bulkShelveBtn = document.getElementById('alarm-bulk-shelve-btn');
+        if (bulkShelveBtn) {
+            bulkShelveBtn.disabled = !selected.some((alarm, i) => isOpen(alarm) && states[i] !== 'SHELVED');
+        }
+    }
+
+    /**
+     * Render one page of cleared alarms
+     */
+    function renderClearedAlarms() {
+        const container = document.getElementById('cleared-alarms-list');
+        const countElement = document.getElementById('cleared-alarm-count');
+
+        if (!container) return;
+
+        // Update count
+        if (countElement) {
+            countElement.textContent = filteredAlarmsData.cleared.length;
+        }
+
+        // Clear container
+        container.innerHTML = '';
+
+        const pageCount = Math.max(1, Math.ceil(filteredAlarmsData.cleared.length / clearedPageSize));
+        clearedPage = Math.min(clearedPage, pageCount);
+        renderClearedPager(pageCount);
+
+        if (filteredAlarmsData.cleared.length === 0) {
+            container.innerHTML = '<div class="no-alarms-message">No cleared alarms matching filters</div>';
+            return;
+        }
+
+        const firstIndex = (clearedPage - 1) * clearedPageSize;
+        const displayedAlarms = filteredAlarmsData.cleared.slice(firstIndex, firstIndex + clearedPageSize);
+
+        // Render each alarm
+        displayedAlarms.forEach(alarm => {
+            const alarmRow = document.createElement('div');
+            alarmRow.className = `alarm-row severity-${alarm.severity.toLowerCase()}`;
+            alarmRow.dataset.alarmId = alarm.id;
+            alarmRow.classList.toggle('alarm-highlight', isHighlighted(alarm.id));
+
+            const alarmMessage = getAlarmMessage(alarm);
+
+            alarmRow.innerHTML = `
+                <div class="alarm-severity-badge ${alarm.severity.toLowerCase()}">${getSeverityLabel(alarm.severity)}</div>
+                <div class="alarm-info">
+                    <div class="alarm-module">${alarm.moduleId}</div>
+                    <div class="alarm-type"></div>
+                </div>
+                <div class="alarm-timestamps">
+                    <div class="alarm-timestamp">Triggered: ${formatTimestamp(alarm.activatedAt)}</div>
+                    <div class="alarm-timestamp">Cleared: ${formatTimestamp(alarm.clearedAt)}</div>
+                    <div class="alarm-duration">Duration: ${getClearedDuration(alarm)}</div>
+                </div>
+            `;
+            alarmRow.querySelector('.alarm-type').textContent = `${alarmMessage} - Cleared`;
+
+            container.appendChild(alarmRow);
+        });
+    }
+
+    /**
+     * Page position and previous / next buttons for the cleared list
+     */
+    function renderClearedPager(pageCount) {
+        const total = filteredAlarmsData.cleared.length;
+        const infoEl = document.getElementById('cleared-page-info');
+        if (infoEl) {
+            const first = total === 0 ? 0 : (clearedPage - 1) * clearedPageSize + 1;
+            const last = Math.min(clearedPage * clearedPageSize, total);
+            infoEl.textContent = `${first}\u2013${last} of ${total} · Page ${clearedPage} of ${pageCount}`;
+        }
+
+        const prevBtn = document.getElementById('cleared-prev-btn');
+        if (prevBtn) prevBtn.disabled = clearedPage <= 1;
+
+        const nextBtn = document.getElementById('cleared-next-btn');
+        if (nextBtn) nextBtn.disabled = clearedPage >= pageCount;
+    }
+
+    function showClearedPage(page) {
+        clearedPage = Math.max(1, page);
+        renderClearedAlarms();
+        updateFilterHash();
+    }
+
+    /**
+     * Mark the sorted column and its direction on each list's sort buttons
+     */
+    function renderSortButtons() {
+        document.querySelectorAll('#view-alarms .alarm-sort-bar').forEach(bar => {
+            const [key, dir] = sortOrder[bar.dataset.list].split(':');
+            bar.querySelectorAll('.alarm-sort-btn').forEach(button => {
+                const isSorted = button.dataset.sort === key;
+                button.classList.toggle('active', isSorted);
+                button.setAttribute('aria-pressed', String(isSorted));
+                button.querySelector('.alarm-sort-dir').textContent = isSorted && key !== 'priority' ? (dir === 'asc' ? '▲' : '▼') : '';
+            });
+        });
+    }
+
+    // Initialize when DOM is ready and when navigating to alarms page
+    function setupAlarmsInitialization() {
+        const alarmsView = document.getElementById('view-alarms');
+        if (!alarmsView) return;
+
+        // Function to try initialization
+        function tryInit() {
+            // Wait for the data source to publish module data
+            if (Object.keys(moduleData).length === 0) {
+                return;
+            }
+
+            // Alarms are tracked (and recorded to the historian) whether or not the view is open
+            if (!initPromise) {
+                initAlarms();
+            }
+        }
+
+        // Alarms come from the configurable rules, re-read whenever they are saved
+        setRules(window.STATCOM.alarmRules.loadRules());
+        window.STATCOM.alarmRules.subscribe(setRules);
+
+        // Alarm transitions pushed by the gateway
+        window.STATCOM.live.on('alarm', handleLiveAlarm);
+
+        // Adopt the gateway's records for alarms it saw first
+        let sessionConnected = false;
+        window.STATCOM.session.subscribe(function(state) {
+            const connected = state.status === 'connected';
+            if (connected && !sessionConnected && isInitialized && window.STATCOM.alarmHistory.isBackendEnabled()) {
+                reloadActiveAlarms();
+            }
+            sessionConnected = connected;
+        });
+
+        // Keep alarms in step with the data source
+        window.STATCOM.dataSource.subscribe(function(newModuleData) {
+            moduleData = newModuleData;
+            if (isInitialized) {
+                evaluateRules();
+            } else {
+                tryInit();
+            }
+        });
+
+        // Refresh durations and history when navigating to alarms
+        const observer = new MutationObserver(function() {
+            if (alarmsView.classList.contains('active') && isInitialized) {
+                refreshAlarms();
+            }
+        });
+
+        observer.observe(alarmsView, { attributes: true, attributeFilter: ['class'] });
+
+        // Shelving expires and durations age while nothing else changes
+        setInterval(refreshAlarmStates, STATE_REFRESH_INTERVAL_MS);
+
+        // Metric rules see new samples, and on- and off-delays run out between data updates
+        window.STATCOM.timeSeries.subscribe(function() {
+            if (isInitialized && usesMetrics()) evaluateRules();
+        });
+        setInterval(function() {
+            if (isInitialized && ruleEngine.hasPending()) evaluateRules();
+        }, RULE_TICK_INTERVAL_MS);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', setupAlarmsInitialization);
+    } else {
+        setupAlarmsInitialization();
+    }
+
+    // ============================================================================
+    // GLOBAL API
+    // ============================================================================
+
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.alarms = {
+        getActiveAlarms: () => activeAlarms.slice(),
+        getUnacknowledgedCount: getUnacknowledgedCount,
+        getAlarmCounts: getAlarmCounts,
+        subscribe: subscribeCounts,
+        subscribeRaised: subscribeRaised,
+        getOperator: getOperator,
+        setOperator: setOperator,
+        subscribeOperator: subscribeOperator,
+        isSuppressed: id => suppressedBy.has(id),
+        acknowledge: (ids, details) => applyAlarmAction(ids, 'acknowledge', details),
+        shelve: (ids, details) => applyAlarmAction(ids, 'shelve', details),
+        unshelve: (ids, details) => applyAlarmAction(ids, 'unshelve', details),
+        promptAction: promptAction,
+        showAlarm: showAlarm,
+        getFilteredAlarms: () => ({
+            active: filteredAlarmsData.active.slice(),
+            cleared: filteredAlarmsData.cleared.slice(),
+            filters: { ...currentFilters }
+        }),
+        notify: showNotification,
+        STATE_LABELS: STATE_LABELS,
+        ACTION_LABELS: ACTION_LABELS
+    };
+
+})();
+
+/**
+ * Alarm Export
+ * JSON and spreadsheet (XLSX) exports of the filtered alarms, and the printable
+ * shift-handover report
+ *
+ * The CSV export stays with the Alarms page; these formats read the same
+ * filtered lists through window.STATCOM.alarms.getFilteredAlarms().
+ */
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
+
+    const DEFAULT_SHIFT_HOURS = 8;
+    const HOUR_MS = 60 * 60 * 1000;
+    const SEVERITY_ORDER = ['CRITICAL', 'WARNING', 'DEGRADED'];
+
+    const SPREADSHEET_COLUMNS = [
+        ['ID', alarm => alarm.id],
+        ['Severity', alarm => alarm.severity],
+        ['Module', alarm => alarm.moduleId],
+        ['Type', alarm => alarm.type],
+        ['Message', alarm => getAlarmMessage(alarm)],
+        ['State', alarm => getStateLabel(alarm)],
+        ['Triggered (ISO)', alarm => toIso(alarm.activatedAt)],
+        ['Triggered (epoch ms)', alarm => toEpoch(alarm.activatedAt)],
+        ['Cleared (ISO)', alarm => toIso(alarm.clearedAt)],
+        ['Cleared (epoch ms)', alarm => toEpoch(alarm.clearedAt)],
+        ['Duration (s)', alarm => (alarm.clearedAt ? Math.round((alarm.clearedAt - alarm.activatedAt) / 1000) : null)],
+        ['Acknowledged (ISO)', alarm => toIso(alarm.acknowledgedAt)],
+        ['Acknowledged (epoch ms)', alarm => toEpoch(alarm.acknowledgedAt)],
+        ['Acknowledged By', alarm => alarm.acknowledgedBy],
+        ['Shelved Until (ISO)', alarm => toIso(alarm.shelvedUntil)],
+        ['Shelved Until (epoch ms)', alarm => toEpoch(alarm.shelvedUntil)],
+        ['Actions', alarm => (alarm.actions || []).map(formatAction).join('\n')]
+    ];
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    const { formatTimestamp, formatDuration, escapeHtml, saveBlob } = window.STATCOM.viewHelpers;
+    const { getAlarmMessage } = window.STATCOM.alarmRules;
+
+    function getStateLabel(alarm) {
+        return window.STATCOM.alarms.STATE_LABELS[window.STATCOM.alarmHistory.getAlarmState(alarm)];
+    }
+
+    function toIso(date) {
+        return date ? date.toISOString() : null;
+    }
+
+    function toEpoch(date) {
+        return date ? date.getTime() : null;
+    }
+
+    function formatAction(entry) {
+        const by = entry.by ? ` by ${entry.by}` : '';
+        const comment = entry.comment ? `: ${entry.comment}` : '';
+        return `${toIso(entry.at)} ${entry.action}${by}${comment}`;
+    }
+
+    /**
+     * Text for XML content; control characters other than tab and newline are not allowed
+     */
+    function escapeXml(text) {
+        return escapeHtml(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    /**
+     * File name like the CSV export's: STATCOM_Alarms_2025-01-31_14-05-09.json
+     */
+    function getFileName(kind, extension) {
+        const timestamp = new Date().toISOString().replace('T', '_').replace(/[:.]/g, '-').slice(0, -5);
+        return `STATCOM_${kind}_${timestamp}.${extension}`;
+    }
+
+    /**
+     * Filtered alarms with returned-to-normal alarms in the summary listed once, as active
+     * @returns {Object|null} { active, cleared, filters } or null (after telling the user) when empty
+     */
+    function getExportAlarms() {
+        const data = window.STATCOM.alarms.getFilteredAlarms();
+        const activeIds = new Set(data.active.map(alarm => alarm.id));
+        const cleared = data.cleared.filter(alarm => !activeIds.has(alarm.id));
+
+        if (data.active.length === 0 && cleared.length === 0) {
+            window.STATCOM.alarms.notify('No alarms to export with current filters');
+            return null;
+        }
+        return { active: data.active, cleared: cleared, filters: data.filters };
+    }
+
+    // ============================================================================
+    // JSON
+    // ============================================================================
+
+    function exportJson() {
+        const data = getExportAlarms();
+        if (!data) return;
+
+        const withState = alarm => ({ ...alarm, state: window.STATCOM.alarmHistory.getAlarmState(alarm) });
+        const json = JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            filters: data.filters,
+            active: data.active.map(withState),
+            cleared: data.cleared.map(withState)
+        }, null, 2);
+
+        saveBlob(new Blob([json], { type: 'application/json' }), getFileName('Alarms', 'json'));
+        window.STATCOM.alarms.notify('JSON exported successfully!');
+    }
+
+    // ============================================================================
+    // XLSX
+    // ============================================================================
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * ZIP archive with stored (uncompressed) entries, enough for an XLSX package
+     * @param {Array<Object>} files - [{ name, content: string }]
+     * @returns {Blob}
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = crc32(data);
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true); // UTF-8 names
+            header.setUint16(8, 0, true); // Stored
+            header.setUint16(10, dosTime, true);
+            header.setUint16(12, dosDate, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            parts.push(header.buffer, name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            centralDirectory.push(entry.buffer, name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, end.buffer], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    }
+
+    function getColumnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Worksheet XML with a frozen header row; numbers stay numeric, text is inline
+     */
+    function buildSheet(alarms) {
+        const rows = [SPREADSHEET_COLUMNS.map(column => column[0])]
+            .concat(alarms.map(alarm => SPREADSHEET_COLUMNS.map(column => column[1](alarm))));
+
+        const rowsXml = rows.map((cells, rowIndex) => {
+            const cellsXml = cells.map((value, columnIndex) => {
+                if (value === null || value === undefined || value === '') return '';
+                const ref = `${getColumnName(columnIndex)}${rowIndex + 1}`;
+                if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+                return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<sheetData>${rowsXml}</sheetData></worksheet>`;
+    }
+
+    /**
+     * XLSX workbook with one sheet per list
+     * @param {Array<Object>} sheets - [{ name, alarms }]
+     * @returns {Blob}
+     */
+    function buildWorkbook(sheets) {
+        const relationshipType = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+        return createZip([
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    `<Override PartName="/xl/workbook.xml" ContentType="${contentType}.sheet.main+xml"/>` +
+                    sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="${contentType}.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    `<Relationship Id="rId1" Type="${relationshipType}/officeDocument" Target="xl/workbook.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationshipType}"><sheets>` +
+                    sheets.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                    '</sheets></workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="${relationshipType}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                    '</Relationships>'
+            },
+            ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: buildSheet(sheet.alarms) }))
+        ]);
+    }
+
+    function exportXlsx() {
+        const data = getExportAlarms();
+        if (!data) return;
+
+        const workbook = buildWorkbook([
+            { name: 'Active', alarms: data.active },
+            { name: 'Cleared', alarms: data.cleared }
+        ]);
+        saveBlob(workbook, getFileName('Alarms', 'xlsx'));
+        window.STATCOM.alarms.notify('Spreadsheet exported successfully!');
+    }
+
+    // ============================================================================
+    // SHIFT-HANDOVER REPORT
+    // ============================================================================
+
+    /**
+     * Alarm activity in a shift window
+     * @returns {Promise<Object>} { active, raised, cleared, actions: [{ at, action, by, comment, alarm }] }
+     */
+    function collectShift(from, to) {
+        return window.STATCOM.alarmHistory.query({ state: 'cleared', from: from })
+            .catch(error => {
+                console.error('Alarm history query failed:', error);
+                return [];
+            })
+            .then(clearedAlarms => {
+                const active = window.STATCOM.alarms.getActiveAlarms();
+                const alarms = new Map(clearedAlarms.map(alarm => [alarm.id, alarm]));
+                active.forEach(alarm => alarms.set(alarm.id, alarm));
+                const all = [...alarms.values()];
+                const inShift = date => Boolean(date) && date >= from && date <= to;
+
+                const actions = [];
+                all.forEach(alarm => {
+                    (alarm.actions || []).forEach(entry => {
+                        if (inShift(entry.at)) actions.push({ ...entry, alarm: alarm });
+                    });
+                });
+
+                return {
+                    active: active,
+                    raised: all.filter(alarm => inShift(alarm.activatedAt)).sort((a, b) => a.activatedAt - b.activatedAt),
+                    cleared: all.filter(alarm => inShift(alarm.clearedAt)),
+                    actions: actions.sort((a, b) => a.at - b.at)
+                };
+            });
+    }
+
+    function buildTable(headers, rows, emptyText) {
+        if (rows.length === 0) return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+        return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>` +
+            `<tbody>${rows.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+    }
+
+    /**
+     * Self-contained, printable HTML report
+     * @param {Object} shift - From collectShift
+     * @param {Object} options - { from, to, operator, notes }
+     */
+    function buildShiftReport(shift, options) {
+        const now = new Date();
+        const count = (alarms, predicate) => alarms.filter(predicate).length;
+        const states = shift.active.map(alarm => window.STATCOM.alarmHistory.getAlarmState(alarm, now.getTime()));
+        const lastComment = alarm => {
+            const entry = (alarm.actions || []).filter(action => action.comment).pop();
+            return entry ? `${entry.comment}${entry.by ? ` (${entry.by})` : ''}` : '';
+        };
+        const activeSorted = shift.active.slice().sort((a, b) =>
+            SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) || a.activatedAt - b.activatedAt);
+
+        const summary = [
+            ['Active now', shift.active.length],
+            ['Critical', count(shift.active, alarm => alarm.severity === 'CRITICAL')],
+            ['Unacknowledged', states.filter(state => state === 'UNACK' || state === 'RTN_UNACK').length],
+            ['Shelved', states.filter(state => state === 'SHELVED').length],
+            ['Raised in shift', shift.raised.length],
+            ['Cleared in shift', shift.cleared.length],
+            ['Operator actions', shift.actions.length]
+        ];
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>STATCOM Shift Handover ${escapeHtml(formatTimestamp(options.from))} - ${escapeHtml(formatTimestamp(options.to))}</title>
+<style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #1a2332; margin: 24px; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 14px; margin: 22px 0 8px; border-bottom: 2px solid #1a2332; padding-bottom: 4px; }
+    .meta { color: #555; margin-bottom: 12px; }
+    .summary { display: flex; flex-wrap: wrap; gap: 8px; }
+    .summary div { border: 1px solid #bbb; border-radius: 4px; padding: 6px 12px; min-width: 90px; }
+    .summary strong { display: block; font-size: 18px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eef2f7; }
+    tr { page-break-inside: avoid; }
+    .empty { color: #777; font-style: italic; }
+    .notes { white-space: pre-wrap; border: 1px solid #ccc; padding: 8px; min-height: 60px; }
+    .signatures { display: flex; gap: 40px; margin-top: 40px; }
+    .signatures div { flex: 1; border-top: 1px solid #1a2332; padding-top: 4px; }
+    .print-btn { float: right; padding: 6px 14px; }
+    @media print { .print-btn { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">Print</button>
+<h1>Shift Handover Report</h1>
+<div class="meta">
+    Shift: ${escapeHtml(formatTimestamp(options.from))} to ${escapeHtml(formatTimestamp(options.to))}<br>
+    Prepared by: ${escapeHtml(options.operator || 'Not given')} · Generated ${escapeHtml(formatTimestamp(now))}
+</div>
+<div class="summary">${summary.map(([label, value]) => `<div><strong>${value}</strong>${escapeHtml(label)}</div>`).join('')}</div>
+
+<h2>Active Alarms</h2>
+${buildTable(['Severity', 'Module', 'Alarm', 'Triggered', 'State', 'Acknowledged', 'Last Comment'], activeSorted.map(alarm => [
+        alarm.severity,
+        alarm.moduleId,
+        getAlarmMessage(alarm),
+        formatTimestamp(alarm.activatedAt),
+        getStateLabel(alarm),
+        alarm.acknowledgedAt ? `${formatTimestamp(alarm.acknowledgedAt)}${alarm.acknowledgedBy ? ` by ${alarm.acknowledgedBy}` : ''}` : '',
+        lastComment(alarm)
+    ]), 'No active alarms')}
+
+<h2>Acknowledgements and Comments</h2>
+${buildTable(['Time', 'Action', 'Module', 'Alarm', 'By', 'Comment'], shift.actions.map(entry => [
+        formatTimestamp(entry.at),
+        window.STATCOM.alarms.ACTION_LABELS[entry.action] || entry.action,
+        entry.alarm.moduleId,
+        getAlarmMessage(entry.alarm),
+        entry.by || '',
+        entry.comment || ''
+    ]), 'No operator actions during this shift')}
+
+<h2>Alarms Raised During Shift</h2>
+${buildTable(['Triggered', 'Cleared', 'Duration', 'Severity', 'Module', 'Alarm'], shift.raised.map(alarm => [
+        formatTimestamp(alarm.activatedAt),
+        alarm.clearedAt ? formatTimestamp(alarm.clearedAt) : 'Active',
+        formatDuration((alarm.clearedAt || now) - alarm.activatedAt),
+        alarm.severity,
+        alarm.moduleId,
+        getAlarmMessage(alarm)
+    ]), 'No alarms raised during this shift')}
+
+<h2>Handover Notes</h2>
+<div class="notes">${escapeHtml(options.notes || '')}</div>
+
+<div class="signatures"><div>Outgoing operator</div><div>Incoming operator</div></div>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Open the report for printing, or download it when pop-ups are blocked
+     */
+    function openShiftReport(options) {
+        // Open the window during the click, before waiting on the historian, so it is not blocked
+        const reportWindow = window.open('', '_blank');
+
+        return collectShift(options.from, options.to).then(shift => {
+            const html = buildShiftReport(shift, options);
+            if (reportWindow && reportWindow.document) {
+                reportWindow.document.open();
+                reportWindow.document.write(html);
+                reportWindow.document.close();
+                reportWindow.focus();
+                reportWindow.print();
+            } else {
+                saveBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), getFileName('Shift_Report', 'html'));
+                window.STATCOM.alarms.notify('Shift report downloaded');
+            }
+            return html;
+        });
+    }
+
+    // ============================================================================
+    // SHIFT REPORT DIALOG
+    // ============================================================================
+
+    /**
+     * Value for a datetime-local input
+     */
+    function toInputValue(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    function setShiftWindow(hours) {
+        const to = new Date();
+        document.getElementById('shift-report-from').value = toInputValue(new Date(to.getTime() - hours * HOUR_MS));
+        document.getElementById('shift-report-to').value = toInputValue(to);
+    }
+
+    function openShiftDialog() {
+        setShiftWindow(DEFAULT_SHIFT_HOURS);
+        document.getElementById('shift-report-operator').value = window.STATCOM.alarms.getOperator();
+        document.getElementById('shift-report-error').textContent = '';
+        document.getElementById('shift-report-modal').classList.add('active');
+        document.getElementById('shift-report-notes').focus();
+    }
+
+    function closeShiftDialog() {
+        document.getElementById('shift-report-modal').classList.remove('active');
+    }
+
+    function confirmShiftDialog() {
+        const errorEl = document.getElementById('shift-report-error');
+        const from = new Date(document.getElementById('shift-report-from').value);
+        // The inputs have minute resolution; include the whole last minute
+        const to = new Date(new Date(document.getElementById('shift-report-to').value).getTime() + 59999);
+        const operator = document.getElementById('shift-report-operator').value.trim();
+
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+            errorEl.textContent = 'Enter the start and end of the shift';
+            return;
+        }
+        if (from >= to) {
+            errorEl.textContent = 'The shift must end after it starts';
+            return;
+        }
+
+        if (operator) window.STATCOM.alarms.setOperator(operator);
+        closeShiftDialog();
+        openShiftReport({
+            from: from,
+            to: to,
+            operator: operator,
+            notes: document.getElementById('shift-report-notes').value.trim()
+        }).catch(error => console.error('Shift report failed:', error));
+    }
+
+    function initAlarmExport() {
+        const jsonBtn = document.getElementById('export-json-btn');
+        if (jsonBtn) jsonBtn.addEventListener('click', exportJson);
+
+        const xlsxBtn = document.getElementById('export-xlsx-btn');
+        if (xlsxBtn) xlsxBtn.addEventListener('click', exportXlsx);
+
+        const modal = document.getElementById('shift-report-modal');
+        const reportBtn = document.getElementById('shift-report-btn');
+        if (!modal || !reportBtn) return;
+
+        reportBtn.addEventListener('click', openShiftDialog);
+        document.getElementById('shift-report-confirm-btn').addEventListener('click', confirmShiftDialog);
+        document.getElementById('shift-report-cancel-btn').addEventListener('click', closeShiftDialog);
+        document.getElementById('shift-report-close').addEventListener('click', closeShiftDialog);
+        modal.querySelectorAll('[data-shift-hours]').forEach(button => {
+            button.addEventListener('click', () => setShiftWindow(Number(button.dataset.shiftHours)));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeShiftDialog();
+        });
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeShiftDialog();
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAlarmExport);
+    } else {
+        initAlarmExport();
+    }
+
+    // ============================================================================
+    // GLOBAL API
+    // ============================================================================
+
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.alarmExport = {
+        exportJson: exportJson,
+        exportXlsx: exportXlsx,
+        buildWorkbook: buildWorkbook,
+        openShiftReport: openShiftReport
+    };
+
+})();
+
+/**
+ * Alarm Annunciation
+ * Desktop notifications and audible tones for new alarms, on every view
+ *
+ * New CRITICAL and WARNING alarms raise a Notification API popup and start
+ * the tone set for their severity. The tone repeats until every sounding
+ * alarm is acknowledged, shelved or suppressed, or until it is silenced.
+ * Preferences, including mute, are saved in this browser for each operator
+ * (the name entered with alarm actions) and follow operator changes.
+ */
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
+
+    const STORAGE_KEY = 'statcom_alarm_annunciation'; // ':<operator>' is appended for a named operator
+    const ANNUNCIATED_SEVERITIES = ['CRITICAL', 'WARNING'];
+    const MAX_INDIVIDUAL_NOTIFICATIONS = 3; // More new alarms at once get one summary popup
+    const UNACKNOWLEDGED_STATES = ['UNACK', 'RTN_UNACK'];
+
+    // Notes are [frequency Hz, seconds]; a frequency of 0 is a pause
+    const TONES = {
+        off: { label: 'Off', notes: [], repeatMs: 0 },
+        pulse: { label: 'Fast pulse', notes: [[880, 0.15], [0, 0.1], [880, 0.15], [0, 0.1], [880, 0.15]], repeatMs: 2000 },
+        twoTone: { label: 'Two-tone', notes: [[960, 0.3], [640, 0.3], [960, 0.3], [640, 0.3]], repeatMs: 3000 },
+        beep: { label: 'Beep', notes: [[740, 0.25]], repeatMs: 5000 },
+        chime: { label: 'Chime', notes: [[660, 0.4], [880, 0.6]], repeatMs: 15000 }
+    };
+
+    const DEFAULT_PREFERENCES = {
+        desktop: false,
+        muted: false,
+        volume: 0.5,
+        tones: { CRITICAL: 'pulse', WARNING: 'chime' }
+    };
+
+    // ============================================================================
+    // STATE
+    // ============================================================================
+
+    let preferences = loadPreferences();
+    const sounding = new Map(); // alarm ID -> severity, for new alarms not yet acknowledged or silenced
+    let audioContext = null;
+    let toneTimer = null;
+    let currentTone = null;
+
+    // ============================================================================
+    // PREFERENCES
+    // ============================================================================
+
+    function getStorageKey() {
+        const operator = window.STATCOM.alarms.getOperator();
+        return operator ? `${STORAGE_KEY}:${operator}` : STORAGE_KEY;
+    }
+
+    /**
+     * The current operator's preferences; an operator without saved ones starts
+     * from the preferences saved without an operator name
      */
-    function showChartLoadError() {
-        const chartWrappers = document.querySelectorAll('.chart-wrapper');
-        chartWrappers.forEach(wrapper => {
-            wrapper.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #888; text-align: center; padding: 20px;">Chart.js library failed to load. Please check your internet connection.</div>';
-        });
+    function loadPreferences() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(getStorageKey()) || localStorage.getItem(STORAGE_KEY) || '{}');
+            return {
+                ...DEFAULT_PREFERENCES,
+                ...saved,
+                tones: { ...DEFAULT_PREFERENCES.tones, ...(saved.tones || {}) }
+            };
+        } catch (error) {
+            console.warn('Alarm annunciation preferences unreadable, using defaults:', error);
+            return { ...DEFAULT_PREFERENCES, tones: { ...DEFAULT_PREFERENCES.tones } };
+        }
+    }
+
+    function savePreferences(changes) {
+        preferences = { ...preferences, ...changes };
+        localStorage.setItem(getStorageKey(), JSON.stringify(preferences));
+        updateTone();
+        renderControls();
+        syncPreferencesForm();
+    }
+
+    function reloadPreferences() {
+        preferences = loadPreferences();
+        updateTone();
+        renderControls();
+        syncPreferencesForm();
+    }
+
+    // ============================================================================
+    // AUDIO
+    // ============================================================================
+
+    function getAudioContext() {
+        if (audioContext) return audioContext;
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        audioContext = new AudioContextClass();
+        return audioContext;
     }
 
     /**
-     * Get default module to display (first module with issues, or M001)
+     * Browsers keep audio suspended until the page has been interacted with
      */
-    function getDefaultModule() {
-        // Get module data from the global STATCOM object
-        const moduleData = window.STATCOM && window.STATCOM.getModuleData ? window.STATCOM.getModuleData() : {};
+    function unlockAudio() {
+        const context = getAudioContext();
+        if (context && context.state === 'suspended') {
+            context.resume().catch(error => console.warn('Alarm audio could not start:', error));
+        }
+    }
 
-        // Find first module with non-OK status
-        for (let i = 1; i <= 64; i++) {
-            const moduleId = `M${String(i).padStart(3, '0')}`;
-            const statuses = moduleData[moduleId];
-            if (statuses) {
-                const hasIssue = Object.values(statuses).some(status => status !== 'OK');
-                if (hasIssue) {
-                    return moduleId;
-                }
+    function playTone(toneName) {
+        const tone = TONES[toneName];
+        const context = getAudioContext();
+        if (!tone || !context) return;
+
+        let start = context.currentTime;
+        tone.notes.forEach(([frequency, duration]) => {
+            if (frequency > 0) {
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                oscillator.type = 'sine';
+                oscillator.frequency.value = frequency;
+                // Short ramps avoid clicks at the note edges
+                gain.gain.setValueAtTime(0, start);
+                gain.gain.linearRampToValueAtTime(preferences.volume, start + 0.01);
+                gain.gain.setValueAtTime(preferences.volume, start + duration - 0.02);
+                gain.gain.linearRampToValueAtTime(0, start + duration);
+                oscillator.connect(gain);
+                gain.connect(context.destination);
+                oscillator.start(start);
+                oscillator.stop(start + duration);
             }
-        }
-        return 'M001'; // Default to first module
+            start += duration;
+        });
     }
 
     /**
-     * Populate module selector dropdown
+     * The tone for the worst severity still sounding, or null
      */
-    function populateModuleSelector() {
-        const selector = document.getElementById('module-selector');
-        if (!selector) return;
+    function getSoundingTone() {
+        if (preferences.muted) return null;
+        const severities = new Set(sounding.values());
+        const severity = ANNUNCIATED_SEVERITIES.find(level => severities.has(level) && preferences.tones[level] !== 'off');
+        return severity ? preferences.tones[severity] : null;
+    }
 
-        selector.innerHTML = '';
+    /**
+     * Start, change or stop the repeating tone to match the sounding alarms
+     */
+    function updateTone() {
+        const tone = getSoundingTone();
+        if (tone === currentTone) return;
 
-        for (let i = 1; i <= 64; i++) {
-            const moduleId = `M${String(i).padStart(3, '0')}`;
-            const option = document.createElement('option');
-            option.value = moduleId;
-            option.textContent = moduleId;
-            selector.appendChild(option);
-        }
+        clearInterval(toneTimer);
+        toneTimer = null;
+        currentTone = tone;
+        if (!tone) return;
+
+        playTone(tone);
+        toneTimer = setInterval(() => playTone(tone), TONES[tone].repeatMs);
     }
 
     /**
-     * Set up event listeners
+     * Stop the tone for the alarms sounding now; later alarms sound again
      */
-    function setupEventListeners() {
-        // Module selector change
-        const selector = document.getElementById('module-selector');
-        if (selector) {
-            selector.addEventListener('change', function() {
-                selectedModuleId = this.value;
-                updateCharts();
-            });
-        }
+    function silence() {
+        sounding.clear();
+        updateTone();
+        renderControls();
+    }
 
-        // Time range buttons
-        const timeRangeButtons = document.querySelectorAll('.time-range-btn');
-        timeRangeButtons.forEach(btn => {
-            btn.addEventListener('click', function() {
-                // Update active state
-                timeRangeButtons.forEach(b => b.classList.remove('active'));
-                this.classList.add('active');
+    // ============================================================================
+    // DESKTOP NOTIFICATIONS
+    // ============================================================================
 
-                // Update time range and charts
-                currentTimeRange = this.dataset.range;
-                updateCharts();
+    function canNotify() {
+        return preferences.desktop && 'Notification' in window && Notification.permission === 'granted';
+    }
+
+    function showDesktopNotification(title, options, onClick) {
+        try {
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                onClick();
+                notification.close();
+            };
+        } catch (error) {
+            console.warn('Desktop notification failed:', error);
+        }
+    }
+
+    function notifyDesktop(alarms) {
+        if (!canNotify() || alarms.length === 0) return;
+
+        if (alarms.length > MAX_INDIVIDUAL_NOTIFICATIONS) {
+            const critical = alarms.filter(alarm => alarm.severity === 'CRITICAL').length;
+            showDesktopNotification(`STATCOM: ${alarms.length} new alarms`, {
+                body: `${critical} critical, ${alarms.length - critical} warning`,
+                tag: 'statcom-alarm-summary',
+                requireInteraction: critical > 0
+            }, () => {
+                window.location.hash = '#/alarms';
             });
+            return;
+        }
+
+        alarms.forEach(alarm => {
+            showDesktopNotification(`${alarm.severity}: ${alarm.moduleId} ${alarm.type}`, {
+                body: alarm.message || alarm.type,
+                tag: alarm.id,
+                requireInteraction: alarm.severity === 'CRITICAL'
+            }, () => window.STATCOM.alarms.showAlarm(alarm.id));
         });
     }
 
+    // ============================================================================
+    // ALARM EVENTS
+    // ============================================================================
+
+    function handleRaised(alarms) {
+        const annunciated = alarms.filter(alarm =>
+            ANNUNCIATED_SEVERITIES.includes(alarm.severity) && !window.STATCOM.alarms.isSuppressed(alarm.id));
+        if (annunciated.length === 0) return;
+
+        annunciated.forEach(alarm => sounding.set(alarm.id, alarm.severity));
+        notifyDesktop(annunciated);
+        updateTone();
+        renderControls();
+    }
+
     /**
-     * Initialize all charts
+     * Drop alarms that were acknowledged, shelved, suppressed or left the summary
      */
-    function initializeCharts() {
-        // Check if Chart.js is loaded
-        if (typeof Chart === 'undefined') {
-            console.error('Chart.js is not loaded. Charts will not be displayed.');
-            showChartLoadError();
-            return;
-        }
+    function pruneSounding() {
+        if (sounding.size === 0) return;
+
+        const active = new Map(window.STATCOM.alarms.getActiveAlarms().map(alarm => [alarm.id, alarm]));
+        sounding.forEach((severity, id) => {
+            const alarm = active.get(id);
+            const state = alarm && window.STATCOM.alarmHistory.getAlarmState(alarm);
+            if (!alarm || !UNACKNOWLEDGED_STATES.includes(state) || window.STATCOM.alarms.isSuppressed(id)) {
+                sounding.delete(id);
+            } else {
+                sounding.set(id, alarm.severity);
+            }
+        });
+        updateTone();
+        renderControls();
+    }
 
-        const chartConfig = getChartConfig();
+    // ============================================================================
+    // SIDEBAR CONTROLS
+    // ============================================================================
 
-        // Voltage Chart
-        const voltageCtx = document.getElementById('voltage-chart');
-        if (voltageCtx) {
-            voltageChart = new Chart(voltageCtx, {
-                ...chartConfig,
-                data: generateTimeSeriesData('voltage')
-            });
+    function renderControls() {
+        const silenceBtn = document.getElementById('alarm-silence-btn');
+        if (silenceBtn) {
+            silenceBtn.hidden = !currentTone;
+            silenceBtn.title = `Silence ${sounding.size} sounding alarm${sounding.size === 1 ? '' : 's'}`;
         }
 
-        // Current Chart
-        const currentCtx = document.getElementById('current-chart');
-        if (currentCtx) {
-            currentChart = new Chart(currentCtx, {
-                ...chartConfig,
-                data: generateTimeSeriesData('current')
-            });
+        const muteBtn = document.getElementById('alarm-mute-btn');
+        if (muteBtn) {
+            muteBtn.textContent = preferences.muted ? '🔇' : '🔊';
+            muteBtn.title = preferences.muted ? 'Alarm sounds muted, click to unmute' : 'Mute alarm sounds';
+            muteBtn.setAttribute('aria-pressed', String(preferences.muted));
         }
+    }
 
-        // Temperature Chart
-        const temperatureCtx = document.getElementById('temperature-chart');
-        if (temperatureCtx) {
-            temperatureChart = new Chart(temperatureCtx, {
-                ...chartConfig,
-                data: generateTimeSeriesData('temperature')
-            });
+    // ============================================================================
+    // CONFIG VIEW - ALARM NOTIFICATIONS CARD
+    // ============================================================================
+
+    function describePermission() {
+        if (!('Notification' in window)) return 'Desktop notifications are not supported by this browser';
+        if (Notification.permission === 'denied') return 'Desktop notifications are blocked in the browser settings';
+        if (!preferences.desktop) return 'Desktop notifications off';
+        return Notification.permission === 'granted' ? 'Desktop notifications on' : 'Waiting for notification permission';
+    }
+
+    function syncPreferencesForm() {
+        const desktopToggle = document.getElementById('alarm-notify-desktop-toggle');
+        if (!desktopToggle) return;
+
+        desktopToggle.checked = preferences.desktop;
+        document.getElementById('alarm-notify-mute-toggle').checked = preferences.muted;
+        document.getElementById('alarm-notify-volume').value = Math.round(preferences.volume * 100);
+        ANNUNCIATED_SEVERITIES.forEach(severity => {
+            document.getElementById(`alarm-tone-${severity.toLowerCase()}`).value = preferences.tones[severity];
+        });
+        document.getElementById('alarm-notify-status').textContent = describePermission();
+
+        const operatorNote = document.getElementById('alarm-notify-operator');
+        if (operatorNote) {
+            const operator = window.STATCOM.alarms.getOperator();
+            operatorNote.textContent = operator
+                ? `Settings for ${operator}, the operator last named with an alarm action or shift report.`
+                : 'Settings for this browser. Once an operator name is entered with an alarm action, each operator keeps their own.';
         }
+    }
 
-        // Power Factor Chart
-        const powerFactorCtx = document.getElementById('power-factor-chart');
-        if (powerFactorCtx) {
-            powerFactorChart = new Chart(powerFactorCtx, {
-                ...chartConfig,
-                data: generateTimeSeriesData('powerFactor')
+    function readPreferencesForm() {
+        const tones = {};
+        ANNUNCIATED_SEVERITIES.forEach(severity => {
+            tones[severity] = document.getElementById(`alarm-tone-${severity.toLowerCase()}`).value;
+        });
+        return {
+            desktop: document.getElementById('alarm-notify-desktop-toggle').checked,
+            muted: document.getElementById('alarm-notify-mute-toggle').checked,
+            volume: Number(document.getElementById('alarm-notify-volume').value) / 100,
+            tones: tones
+        };
+    }
+
+    function initPreferencesForm() {
+        const saveBtn = document.getElementById('alarm-notify-save-btn');
+        if (!saveBtn) return;
+
+        ANNUNCIATED_SEVERITIES.forEach(severity => {
+            const select = document.getElementById(`alarm-tone-${severity.toLowerCase()}`);
+            Object.entries(TONES).forEach(([value, tone]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = tone.label;
+                select.appendChild(option);
+            });
+        });
+
+        document.querySelectorAll('[data-test-tone]').forEach(button => {
+            button.addEventListener('click', () => {
+                unlockAudio();
+                const tone = document.getElementById(`alarm-tone-${button.dataset.testTone}`).value;
+                if (!getAudioContext()) {
+                    document.getElementById('alarm-notify-status').textContent = 'Audio is not supported by this browser';
+                    return;
+                }
+                playTone(tone);
             });
+        });
+
+        saveBtn.addEventListener('click', () => {
+            const changes = readPreferencesForm();
+            savePreferences(changes);
+            // Permission can only be requested from a user action like this click
+            if (changes.desktop && 'Notification' in window && Notification.permission === 'default') {
+                Notification.requestPermission().then(syncPreferencesForm);
+            }
+        });
+
+        syncPreferencesForm();
+    }
+
+    function initAnnunciation() {
+        initPreferencesForm();
+
+        const silenceBtn = document.getElementById('alarm-silence-btn');
+        if (silenceBtn) silenceBtn.addEventListener('click', silence);
+
+        const muteBtn = document.getElementById('alarm-mute-btn');
+        if (muteBtn) muteBtn.addEventListener('click', () => savePreferences({ muted: !preferences.muted }));
+
+        ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, unlockAudio, { once: true }));
+
+        window.STATCOM.alarms.subscribeRaised(handleRaised);
+        window.STATCOM.alarms.subscribe(pruneSounding);
+        window.STATCOM.alarms.subscribeOperator(reloadPreferences);
+        renderControls();
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAnnunciation);
+    } else {
+        initAnnunciation();
+    }
+
+    // ============================================================================
+    // GLOBAL API
+    // ============================================================================
+
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.alarmAnnunciation = {
+        TONES: TONES,
+        silence: silence,
+        getPreferences: () => ({ ...preferences, tones: { ...preferences.tones } }),
+        setPreferences: savePreferences,
+        isSounding: () => currentTone !== null
+    };
+
+})();
+
+/**
+ * Alarm Analytics
+ * Alarm KPIs for maintenance reviews: alarm rate, worst-offending modules and
+ * status types, mean time to clear, standing alarms and severity distribution
+ *
+ * Built from the alarm summary kept by the Alarms module and the cleared
+ * alarms in the historian.
+ */
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
+
+    const STORAGE_KEY = 'statcom_alarm_analytics';
+    const HOUR_MS = 60 * 60 * 1000;
+    const DAY_MS = 24 * HOUR_MS;
+    const PERIOD_HOURS = {
+        '24h': 24,
+        '7d': 168,
+        '30d': 720,
+        '90d': 2160
+    };
+    const DEFAULT_PERIOD = '7d';
+    const DEFAULT_STANDING_HOURS = 24;
+    const HOURLY_BUCKET_MAX_MS = 7 * DAY_MS; // Longer periods are charted per day
+    const TOP_COUNT = 10;
+    const REFRESH_DEBOUNCE_MS = 2000;
+    const SEVERITIES = ['CRITICAL', 'WARNING', 'DEGRADED'];
+    const SEVERITY_COLORS = {
+        'CRITICAL': '#c84848',
+        'WARNING': '#e67e50',
+        'DEGRADED': '#d4a850'
+    };
+
+    let settings = loadSettings();
+    let rateChart = null;
+    let severityChart = null;
+    let refreshTimer = null;
+    let refreshGeneration = 0;
+
+    function loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            return {
+                period: PERIOD_HOURS[saved.period] ? saved.period : DEFAULT_PERIOD,
+                standingHours: saved.standingHours > 0 ? saved.standingHours : DEFAULT_STANDING_HOURS
+            };
+        } catch (error) {
+            console.warn('Could not read alarm analytics settings:', error.message);
+            return { period: DEFAULT_PERIOD, standingHours: DEFAULT_STANDING_HOURS };
         }
     }
 
+    function saveSettings() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    // ============================================================================
+    // STATISTICS
+    // ============================================================================
+
     /**
-     * Update all charts with new data
+     * Alarms raised or cleared in a period, plus everything in the alarm summary
+     * Returned-to-normal alarms can be both in the summary and the historian;
+     * each is counted once.
+     * @returns {Promise<Array<Object>>}
      */
-    function updateCharts() {
-        if (voltageChart) {
-            voltageChart.data = generateTimeSeriesData('voltage');
-            voltageChart.update();
-        }
-        if (currentChart) {
-            currentChart.data = generateTimeSeriesData('current');
-            currentChart.update();
-        }
-        if (temperatureChart) {
-            temperatureChart.data = generateTimeSeriesData('temperature');
-            temperatureChart.update();
-        }
-        if (powerFactorChart) {
-            powerFactorChart.data = generateTimeSeriesData('powerFactor');
-            powerFactorChart.update();
-        }
+    function loadAlarms(from, to) {
+        return window.STATCOM.alarmHistory.query({ state: 'cleared', from: from, to: to })
+            .catch(error => {
+                console.error('Alarm history query failed:', error);
+                return [];
+            })
+            .then(clearedAlarms => {
+                const alarms = new Map(clearedAlarms.map(alarm => [alarm.id, alarm]));
+                window.STATCOM.alarms.getActiveAlarms().forEach(alarm => alarms.set(alarm.id, alarm));
+                return [...alarms.values()];
+            });
     }
 
     /**
-     * Get base chart configuration
+     * Start of the chart bucket holding a time (local hours or days)
      */
-    function getChartConfig() {
-        return {
-            type: 'line',
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: true,
-                        position: 'top',
-                        labels: {
-                            color: '#e0e0e0',
-                            font: {
-                                size: 12
-                            }
-                        }
-                    },
-                    tooltip: {
-                        mode: 'index',
-                        intersect: false,
-                        backgroundColor: 'rgba(26, 35, 50, 0.95)',
-                        titleColor: '#4a9eff',
-                        bodyColor: '#e0e0e0',
-                        borderColor: '#2a3f5f',
-                        borderWidth: 1
-                    }
-                },
-                scales: {
-                    x: {
-                        display: true,
-                        grid: {
-                            color: '#2a3f5f',
-                            drawBorder: false
-                        },
-                        ticks: {
-                            color: '#888',
-                            font: {
-                                size: 11
-                            }
-                        }
-                    },
-                    y: {
-                        display: true,
-                        grid: {
-                            color: '#2a3f5f',
-                            drawBorder: false
-                        },
-                        ticks: {
-                            color: '#888',
-                            font: {
-                                size: 11
-                            }
-                        },
-                        // Auto-zoom: Automatically adjust Y-axis range based on data
-                        beginAtZero: false,
-                        grace: 0.05  // Add 5% padding above and below data range
-                    }
-                },
-                interaction: {
-                    mode: 'nearest',
-                    axis: 'x',
-                    intersect: false
-                }
-            }
-        };
+    function getBucketStart(time, bucketMs) {
+        const date = new Date(time);
+        if (bucketMs === DAY_MS) {
+            date.setHours(0, 0, 0, 0);
+        } else {
+            date.setMinutes(0, 0, 0);
+        }
+        return date.getTime();
+    }
+
+    function getNextBucket(time, bucketMs) {
+        const date = new Date(time);
+        if (bucketMs === DAY_MS) {
+            date.setDate(date.getDate() + 1);
+        } else {
+            date.setHours(date.getHours() + 1);
+        }
+        return date.getTime();
     }
 
     /**
-     * Generate mock time-series data based on module status
+     * Count alarms by a key, most frequent first
+     * @returns {Array<Object>} [{ key, alarms }]
      */
-    function generateTimeSeriesData(dataType) {
-        const numPoints = currentTimeRange === '1h' ? 12 : 24; // 5-min intervals for 1h, 1-hour intervals for 24h
-        const labels = [];
-        const values = [];
-
-        // Get module data from the global STATCOM object
-        const moduleData = window.STATCOM && window.STATCOM.getModuleData ? window.STATCOM.getModuleData() : {};
+    function rankBy(alarms, getKey) {
+        const groups = new Map();
+        alarms.forEach(alarm => {
+            const key = getKey(alarm);
+            groups.set(key, (groups.get(key) || []).concat(alarm));
+        });
+        return [...groups.entries()]
+            .map(([key, grouped]) => ({ key, alarms: grouped }))
+            .sort((a, b) => b.alarms.length - a.alarms.length || String(a.key).localeCompare(String(b.key), undefined, { numeric: true }));
+    }
 
-        // Get module status
-        const statuses = moduleData[selectedModuleId] || {};
+    function getMeanTimeToClear(alarms) {
+        const cleared = alarms.filter(alarm => alarm.clearedAt);
+        if (cleared.length === 0) return null;
+        return cleared.reduce((sum, alarm) => sum + (alarm.clearedAt - alarm.activatedAt), 0) / cleared.length;
+    }
 
-        // Determine status for this metric
-        let status = 'OK';
-        if (dataType === 'voltage') {
-            status = statuses['Voltage Level'] || 'OK';
-        } else if (dataType === 'current') {
-            status = statuses['Current Level'] || 'OK';
-        } else if (dataType === 'temperature') {
-            status = statuses['Thermal Status'] || 'OK';
-        } else if (dataType === 'powerFactor') {
-            // Power factor is derived, use average of voltage and current
-            const voltageStatus = statuses['Voltage Level'] || 'OK';
-            const currentStatus = statuses['Current Level'] || 'OK';
-            const priorities = { 'OK': 0, 'DEGRADED': 1, 'WARNING': 2, 'CRITICAL': 3 };
-            status = priorities[voltageStatus] > priorities[currentStatus] ? voltageStatus : currentStatus;
+    /**
+     * Alarm KPIs for a period
+     * Rates, rankings and severities count alarms raised in the period; the mean
+     * time to clear uses alarms cleared in it. Standing alarms are alarms still
+     * active after standingHours, whenever they were raised.
+     * @param {Array<Object>} alarms - From loadAlarms
+     * @param {Object} options - { from: Date, to: Date, standingHours, now: ms }
+     * @returns {Object} { raised, averagePerHour, peakHour, buckets, bucketMs, topModules, topTypes,
+     *   meanTimeToClearMs, clearedCount, standing, bySeverity, floods }
+     */
+    function computeStatistics(alarms, options) {
+        const from = options.from.getTime();
+        const to = options.to.getTime();
+        const raised = alarms.filter(alarm => alarm.activatedAt.getTime() >= from && alarm.activatedAt.getTime() <= to);
+        const cleared = alarms.filter(alarm => alarm.clearedAt && alarm.clearedAt.getTime() >= from && alarm.clearedAt.getTime() <= to);
+
+        // Alarms per hour (per day for long periods), by severity
+        const bucketMs = to - from > HOURLY_BUCKET_MAX_MS ? DAY_MS : HOUR_MS;
+        const buckets = [];
+        const bucketIndex = new Map();
+        for (let time = getBucketStart(from, bucketMs); time <= to; time = getNextBucket(time, bucketMs)) {
+            bucketIndex.set(time, buckets.length);
+            buckets.push({ time: new Date(time), total: 0, bySeverity: { 'CRITICAL': 0, 'WARNING': 0, 'DEGRADED': 0 } });
         }
+        const hourly = new Map();
+        raised.forEach(alarm => {
+            const bucket = buckets[bucketIndex.get(getBucketStart(alarm.activatedAt, bucketMs))];
+            if (bucket) {
+                bucket.total++;
+                bucket.bySeverity[alarm.severity] = (bucket.bySeverity[alarm.severity] || 0) + 1;
+            }
+            const hour = getBucketStart(alarm.activatedAt, HOUR_MS);
+            hourly.set(hour, (hourly.get(hour) || 0) + 1);
+        });
+        const peak = [...hourly.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
 
-        // Base values and thresholds for each metric
-        const metricConfig = {
-            voltage: { base: 11.0, threshold: 11.5, unit: 'kV', variance: 0.1 },
-            current: { base: 150, threshold: 180, unit: 'A', variance: 5 },
-            temperature: { base: 45, threshold: 70, unit: '°C', variance: 2 },
-            powerFactor: { base: 0.95, threshold: 0.80, unit: '', variance: 0.02 }  // Lower threshold for power factor degradation
-        };
+        const bySeverity = { 'CRITICAL': 0, 'WARNING': 0, 'DEGRADED': 0 };
+        raised.forEach(alarm => {
+            bySeverity[alarm.severity] = (bySeverity[alarm.severity] || 0) + 1;
+        });
 
-        const config = metricConfig[dataType];
-        const now = new Date();
+        const standingBefore = options.now - options.standingHours * HOUR_MS;
 
-        for (let i = numPoints - 1; i >= 0; i--) {
-            // Calculate timestamp
-            const timeOffset = currentTimeRange === '1h' ? i * 5 : i * 60; // minutes
-            const timestamp = new Date(now.getTime() - timeOffset * 60 * 1000);
-
-            // Format label
-            const label = currentTimeRange === '1h'
-                ? timestamp.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
-                : timestamp.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit' });
-            labels.push(label);
-
-            // Generate value based on status
-            let value;
-            if (status === 'OK') {
-                // Stable values with minor fluctuations
-                value = config.base + (Math.random() - 0.5) * config.variance;
-            } else if (status === 'DEGRADED') {
-                // Trending toward threshold
-                const progress = i / numPoints;
-                value = config.base + (config.threshold - config.base) * 0.6 * progress + (Math.random() - 0.5) * config.variance;
-            } else if (status === 'WARNING') {
-                // Close to threshold, fluctuating
-                const progress = i / numPoints;
-                value = config.base + (config.threshold - config.base) * 0.85 * progress + (Math.random() - 0.5) * config.variance * 2;
-            } else if (status === 'CRITICAL') {
-                // Exceeding threshold
-                const progress = i / numPoints;
-                value = config.threshold + (config.threshold - config.base) * 0.1 * progress + Math.random() * config.variance * 2;
-            }
-
-            // Round to appropriate precision
-            value = dataType === 'powerFactor' ? Math.round(value * 100) / 100 : Math.round(value * 10) / 10;
-            values.push(value);
-        }
-
-        // Determine line color based on status
-        const statusColors = {
-            'OK': '#2d5f4d',
-            'DEGRADED': '#d4a850',
-            'WARNING': '#e67e50',
-            'CRITICAL': '#c84848'
+        return {
+            raised: raised.length,
+            averagePerHour: raised.length / Math.max(1, (to - from) / HOUR_MS),
+            peakHour: peak ? { time: new Date(peak[0]), count: peak[1] } : null,
+            buckets: buckets,
+            bucketMs: bucketMs,
+            topModules: rankBy(raised, alarm => alarm.moduleId).slice(0, TOP_COUNT).map(entry => ({
+                moduleId: entry.key,
+                count: entry.alarms.length,
+                critical: entry.alarms.filter(alarm => alarm.severity === 'CRITICAL').length,
+                meanTimeToClearMs: getMeanTimeToClear(entry.alarms)
+            })),
+            topTypes: rankBy(raised, alarm => alarm.type).slice(0, TOP_COUNT).map(entry => ({
+                type: entry.key,
+                count: entry.alarms.length,
+                modules: new Set(entry.alarms.map(alarm => alarm.moduleId)).size,
+                meanTimeToClearMs: getMeanTimeToClear(entry.alarms)
+            })),
+            meanTimeToClearMs: getMeanTimeToClear(cleared),
+            clearedCount: cleared.length,
+            standing: alarms
+                .filter(alarm => !alarm.clearedAt && alarm.activatedAt.getTime() <= standingBefore)
+                .sort((a, b) => a.activatedAt - b.activatedAt),
+            bySeverity: bySeverity,
+            floods: window.STATCOM.alarmFlood.findFloods(raised).length
         };
+    }
 
-        return {
-            labels: labels,
-            datasets: [{
-                label: `${selectedModuleId} - ${dataType.charAt(0).toUpperCase() + dataType.slice(1)}`,
-                data: values,
-                borderColor: statusColors[status],
-                backgroundColor: statusColors[status] + '20',
-                borderWidth: 2,
-                fill: true,
-                tension: 0.4,
-                pointRadius: 3,
-                pointHoverRadius: 5
-            }]
+    // ============================================================================
+    // RENDERING
+    // ============================================================================
+
+    const { formatDuration, renderTable, createSeverityBadge } = window.STATCOM.viewHelpers;
+    const formatTimestamp = date => window.STATCOM.viewHelpers.formatTimestamp(date, { seconds: false });
+
+    function formatBucketLabel(date, bucketMs) {
+        const pad = value => String(value).padStart(2, '0');
+        const day = `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        return bucketMs === DAY_MS ? day : `${day} ${pad(date.getHours())}:00`;
+    }
+
+    /**
+     * Link to the Alarms view with filters in its URL
+     */
+    function getAlarmsLink(filters) {
+        const params = new URLSearchParams({ range: settings.period, ...filters });
+        return `#/alarms?${params.toString()}`;
+    }
+
+    function renderKpis(stats) {
+        const set = (id, value, detail) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            element.querySelector('.analytics-kpi-value').textContent = value;
+            element.querySelector('.analytics-kpi-detail').textContent = detail || '';
         };
+
+        set('analytics-kpi-raised', String(stats.raised),
+            `${stats.bySeverity.CRITICAL} critical`);
+        set('analytics-kpi-rate', stats.averagePerHour.toFixed(2),
+            stats.peakHour ? `Peak ${stats.peakHour.count} at ${formatTimestamp(stats.peakHour.time)}` : 'No alarms');
+        set('analytics-kpi-mttc', stats.meanTimeToClearMs === null ? '–' : formatDuration(stats.meanTimeToClearMs),
+            `${stats.clearedCount} cleared`);
+        set('analytics-kpi-standing', String(stats.standing.length),
+            `Active for more than ${settings.standingHours} h`);
+        set('analytics-kpi-floods', String(stats.floods),
+            '10 or more alarms in 10 minutes');
     }
 
-    // Initialize when DOM is ready and when navigating to trends page
-    function setupTrendsInitialization() {
-        const trendsView = document.getElementById('view-trends');
-        if (!trendsView) return;
+    function createLink(text, href, onClick) {
+        const link = document.createElement('a');
+        link.className = 'analytics-link';
+        link.href = href;
+        link.textContent = text;
+        if (onClick) {
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                onClick();
+            });
+        }
+        return link;
+    }
 
-        // Check if trends view is currently active
-        if (trendsView.classList.contains('active')) {
-            if (!voltageChart) {
-                initTrends();
-            }
+    function renderTables(stats) {
+        const mttc = ms => (ms === null ? '–' : formatDuration(ms));
+
+        renderTable('analytics-top-modules', stats.topModules.map((entry, index) => [
+            String(index + 1),
+            createLink(entry.moduleId, getAlarmsLink({ module: entry.moduleId })),
+            String(entry.count),
+            String(entry.critical),
+            mttc(entry.meanTimeToClearMs)
+        ]), 'No alarms in this period', 5);
+
+        renderTable('analytics-top-types', stats.topTypes.map((entry, index) => [
+            String(index + 1),
+            createLink(entry.type, getAlarmsLink({ q: entry.type })),
+            String(entry.count),
+            String(entry.modules),
+            mttc(entry.meanTimeToClearMs)
+        ]), 'No alarms in this period', 5);
+
+        const now = Date.now();
+        renderTable('analytics-standing', stats.standing.map(alarm => [
+            alarm.moduleId,
+            window.STATCOM.alarmRules.getAlarmMessage(alarm),
+            createSeverityBadge(alarm.severity),
+            formatTimestamp(alarm.activatedAt),
+            formatDuration(now - alarm.activatedAt.getTime()),
+            createLink('View', '#/alarms', () => window.STATCOM.alarms.showAlarm(alarm.id))
+        ]), `No alarms active for more than ${settings.standingHours} h`, 6);
+    }
+
+    /**
+     * Create the charts on first use
+     * @returns {boolean} False when Chart.js is not available
+     */
+    function ensureCharts() {
+        if (rateChart && severityChart) return true;
+        if (typeof Chart === 'undefined') {
+            console.error('Chart.js is not loaded. Alarm analytics charts will not be displayed.');
+            return false;
         }
 
-        // Set up observer for future navigation to trends
-        const observer = new MutationObserver(function(mutations) {
-            mutations.forEach(function(mutation) {
-                if (trendsView.classList.contains('active')) {
-                    if (!voltageChart) {
-                        initTrends();
+        const axis = {
+            grid: { color: '#2a3f5f', drawBorder: false },
+            ticks: { color: '#888', font: { size: 11 } }
+        };
+        const legend = { position: 'top', labels: { color: '#e0e0e0', font: { size: 12 } } };
+        const tooltip = {
+            backgroundColor: 'rgba(26, 35, 50, 0.95)',
+            titleColor: '#4a9eff',
+            bodyColor: '#e0e0e0',
+            borderColor: '#2a3f5f',
+            borderWidth: 1
+        };
+
+        const rateCtx = document.getElementById('analytics-rate-chart');
+        if (rateCtx) {
+            rateChart = new Chart(rateCtx, {
+                type: 'bar',
+                data: { labels: [], datasets: [] },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: legend, tooltip: { ...tooltip, mode: 'index', intersect: false } },
+                    scales: {
+                        x: { ...axis, stacked: true },
+                        y: { ...axis, stacked: true, beginAtZero: true, ticks: { ...axis.ticks, precision: 0 } }
                     }
                 }
             });
+        }
+
+        const severityCtx = document.getElementById('analytics-severity-chart');
+        if (severityCtx) {
+            severityChart = new Chart(severityCtx, {
+                type: 'doughnut',
+                data: { labels: [], datasets: [] },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: legend, tooltip: tooltip }
+                }
+            });
+        }
+        return true;
+    }
+
+    function renderCharts(stats) {
+        if (!ensureCharts()) return;
+
+        const rateTitle = document.getElementById('analytics-rate-title');
+        if (rateTitle) rateTitle.textContent = stats.bucketMs === DAY_MS ? 'Alarms per Day' : 'Alarms per Hour';
+
+        if (rateChart) {
+            rateChart.data.labels = stats.buckets.map(bucket => formatBucketLabel(bucket.time, stats.bucketMs));
+            rateChart.data.datasets = SEVERITIES.map(severity => ({
+                label: severity,
+                data: stats.buckets.map(bucket => bucket.bySeverity[severity]),
+                backgroundColor: SEVERITY_COLORS[severity],
+                stack: 'alarms'
+            }));
+            rateChart.update('none');
+        }
+
+        if (severityChart) {
+            severityChart.data.labels = SEVERITIES;
+            severityChart.data.datasets = [{
+                data: SEVERITIES.map(severity => stats.bySeverity[severity]),
+                backgroundColor: SEVERITIES.map(severity => SEVERITY_COLORS[severity]),
+                borderColor: '#1a2332',
+                borderWidth: 2
+            }];
+            severityChart.update('none');
+        }
+    }
+
+    /**
+     * Recompute and render every KPI for the selected period
+     * @returns {Promise<Object|null>} The statistics, or null if superseded
+     */
+    function refresh() {
+        const generation = ++refreshGeneration;
+        const now = Date.now();
+        const from = new Date(now - PERIOD_HOURS[settings.period] * HOUR_MS);
+        const to = new Date(now);
+
+        return loadAlarms(from, to).then(alarms => {
+            if (generation !== refreshGeneration) return null;
+
+            const stats = computeStatistics(alarms, { from, to, standingHours: settings.standingHours, now });
+            renderKpis(stats);
+            renderCharts(stats);
+            renderTables(stats);
+
+            const updatedEl = document.getElementById('analytics-updated');
+            if (updatedEl) updatedEl.textContent = `Updated ${formatTimestamp(new Date(now))}`;
+            return stats;
         });
+    }
 
-        observer.observe(trendsView, { attributes: true, attributeFilter: ['class'] });
+    function isViewActive() {
+        const view = document.getElementById('view-alarm-analytics');
+        return Boolean(view) && view.classList.contains('active');
+    }
+
+    /**
+     * Refresh soon, coalescing bursts of alarm changes
+     */
+    function scheduleRefresh() {
+        if (refreshTimer) return;
+        refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            if (isViewActive()) refresh();
+        }, REFRESH_DEBOUNCE_MS);
+    }
+
+    // ============================================================================
+    // INITIALIZATION
+    // ============================================================================
+
+    function initAnalytics() {
+        const view = document.getElementById('view-alarm-analytics');
+        if (!view) return;
+
+        const periodSelect = document.getElementById('analytics-period');
+        const standingInput = document.getElementById('analytics-standing-hours');
+        const errorEl = document.getElementById('analytics-error');
+
+        periodSelect.value = settings.period;
+        standingInput.value = settings.standingHours;
+
+        periodSelect.addEventListener('change', () => {
+            settings.period = periodSelect.value;
+            saveSettings();
+            refresh();
+        });
+
+        standingInput.addEventListener('change', () => {
+            const hours = Number(standingInput.value);
+            if (!(hours > 0)) {
+                errorEl.textContent = 'Enter a number of hours greater than 0';
+                return;
+            }
+            errorEl.textContent = '';
+            settings.standingHours = hours;
+            saveSettings();
+            refresh();
+        });
+
+        document.getElementById('analytics-refresh-btn').addEventListener('click', refresh);
+
+        // Recompute when the view is opened and while it is open
+        const observer = new MutationObserver(() => {
+            if (isViewActive()) refresh();
+        });
+        observer.observe(view, { attributes: true, attributeFilter: ['class'] });
+        window.STATCOM.alarms.subscribe(scheduleRefresh);
+
+        if (isViewActive()) refresh();
     }
 
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', setupTrendsInitialization);
+        document.addEventListener('DOMContentLoaded', initAnalytics);
     } else {
-        setupTrendsInitialization();
+        initAnalytics();
     }
 
+    // ============================================================================
+    // GLOBAL API
+    // ============================================================================
+
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.alarmAnalytics = {
+        computeStatistics: computeStatistics,
+        refresh: refresh
+    };
+
 })();
 
 /**
- * Alarms Page Implementation
- * Display active and cleared alarms with filtering and CSV export
+ * Module Detail Page
+ * Drill-down for one module at #/module/<id>: current statuses, asset
+ * metadata, mini trend charts, a timeline of status transitions and the
+ * module's active and cleared alarms
+ *
+ * The timeline is built from the alarm history: every status rule raises an
+ * alarm when an indicator leaves OK and clears it when the indicator returns,
+ * so alarm raises, clears and operator actions give the module's transitions.
  */
 (function() {
     'use strict';
 
-    // Constants
-    const NOTIFICATION_DURATION_MS = 3000;
-    const NOTIFICATION_FADEOUT_MS = 300;
-    const MAX_DISPLAYED_CLEARED_ALARMS = 15;
-    const DEFAULT_TIME_RANGE_HOURS = 24;
+    // ============================================================================
+    // CONFIGURATION CONSTANTS
+    // ============================================================================
 
-    let alarmsData = { active: [], cleared: [] };
-    let filteredAlarmsData = { active: [], cleared: [] };
-    let currentFilters = {
-        severity: 'ALL',
-        timeRange: '24h',
-        module: 'ALL'
+    const ROUTE_PATTERN = /^#\/module\/([^/?]+)/;
+    const ASSETS_PATH = '/api/assets';
+    const PERIOD_MS = {
+        '1h': 60 * 60 * 1000,
+        '24h': 24 * 60 * 60 * 1000,
+        '7d': 7 * 24 * 60 * 60 * 1000,
+        '30d': 30 * 24 * 60 * 60 * 1000
     };
+    const DEFAULT_PERIOD = '24h';
+    const MAX_TIMELINE_ENTRIES = 100;
+    const REFRESH_DEBOUNCE_MS = 2000;
+    const METRIC_NAMES = { voltage: 'Voltage', current: 'Current', temperature: 'Temperature', powerFactor: 'Power Factor' };
+    const VALUE_DECIMALS = { voltage: 2, current: 1, temperature: 1, powerFactor: 2 };
+    const ACTION_VERBS = { acknowledge: 'acknowledged', shelve: 'shelved', unshelve: 'unshelved' };
+    const ASSET_FIELDS = [
+        ['serialNumber', 'Serial Number'],
+        ['model', 'Model'],
+        ['hardwareRevision', 'Hardware Revision'],
+        ['firmware', 'Firmware'],
+        ['installedAt', 'Installed'],
+        ['lastServicedAt', 'Last Serviced']
+    ];
 
-    // Alarm message templates based on status type
-    const ALARM_MESSAGES = {
-        'Overtemp': 'Overtemp threshold exceeded',
-        'Comm Lost': 'Communication timeout',
-        'Voltage Level': 'Voltage out of range',
-        'Fan Fail': 'Fan failure detected',
-        'Power Supply Error': 'Power supply error',
-        'Vdc Fault': 'DC voltage fault',
-        'Current Level': 'Current level abnormal',
-        'Thermal Status': 'Thermal status warning',
-        'Gating OK': 'Gating signal error',
-        'Sync Fault': 'Synchronization fault',
-        'Interlock': 'Interlock triggered',
-        'Self Test': 'Self test failure'
-    };
+    // ============================================================================
+    // STATE
+    // ============================================================================
 
-    /**
-     * Initialize Alarms page
-     */
-    function initAlarms() {
-        // Populate module filter dropdown
-        populateModuleFilter();
+    let currentModuleId = null;
+    let period = DEFAULT_PERIOD;
+    let assets = null; // Module ID -> asset record, from the gateway or the demonstration data
+    let assetsSource = null; // 'gateway' | 'demo'
+    const charts = {}; // metric -> Chart
+    let refreshGeneration = 0;
+    let refreshTimer = null;
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
 
-        // Generate alarm data from module statuses
-        alarmsData = generateAlarmsFromModuleData();
+    function getRouteModuleId() {
+        const match = window.location.hash.match(ROUTE_PATTERN);
+        return match ? decodeURIComponent(match[1]).toUpperCase() : null;
+    }
 
-        // Apply initial filters
-        applyFilters();
+    function isViewActive() {
+        const view = document.getElementById('view-module-detail');
+        return Boolean(view) && view.classList.contains('active');
+    }
 
-        // Set up event listeners
-        setupEventListeners();
+    const { formatTimestamp, formatDuration, createSeverityBadge, renderTable } = window.STATCOM.viewHelpers;
+    const { getAlarmMessage } = window.STATCOM.alarmRules;
 
-        // Render alarms
-        renderAlarms();
+    function createAlarmLink(alarm) {
+        const link = document.createElement('a');
+        link.className = 'analytics-link';
+        link.href = '#/alarms';
+        link.textContent = 'View';
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            window.STATCOM.alarms.showAlarm(alarm.id);
+        });
+        return link;
     }
 
+    // ============================================================================
+    // ASSET METADATA
+    // ============================================================================
+
     /**
-     * Populate module filter dropdown
+     * Asset records from the gateway when connected, demonstration records with the mock data source
+     * @returns {Promise<void>}
      */
-    function populateModuleFilter() {
-        const moduleFilter = document.getElementById('module-filter');
-        if (!moduleFilter) return;
+    function loadAssets() {
+        const session = window.STATCOM.session;
+        if (session && session.getState().status === 'connected') {
+            if (assetsSource === 'gateway') return Promise.resolve();
+            return session.request(ASSETS_PATH)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Gateway returned ${response.status}`);
+                    return response.json();
+                })
+                .then(body => {
+                    assets = body.assets || {};
+                    assetsSource = 'gateway';
+                })
+                .catch(error => {
+                    console.warn('Gateway asset metadata unavailable:', error.message);
+                    assets = null;
+                    assetsSource = null;
+                });
+        }
 
-        // Keep "All Modules" option
-        moduleFilter.innerHTML = '<option value="ALL">All Modules</option>';
+        if (window.STATCOM.dataSource.getInfo().provider === 'mock') {
+            assets = window.STATCOM.demoAssets.createDemoAssets(window.STATCOM.topology.getModuleIds());
+            assetsSource = 'demo';
+        } else {
+            assets = null;
+            assetsSource = null;
+        }
+        return Promise.resolve();
+    }
 
-        // Add individual modules
-        for (let i = 1; i <= 64; i++) {
-            const moduleId = `M${String(i).padStart(3, '0')}`;
-            const option = document.createElement('option');
-            option.value = moduleId;
-            option.textContent = moduleId;
-            moduleFilter.appendChild(option);
+    function renderAssets(moduleId) {
+        const list = document.getElementById('module-detail-assets');
+        const note = document.getElementById('module-detail-assets-note');
+        if (!list) return;
+        list.innerHTML = '';
+
+        const record = assets && assets[moduleId];
+        if (!record) {
+            note.textContent = assets
+                ? 'No asset record for this module'
+                : 'Asset metadata comes from the gateway. Connect in the Config view to load it.';
+            return;
         }
+        note.textContent = assetsSource === 'demo' ? 'Demonstration data' : '';
+
+        const known = ASSET_FIELDS.map(([key]) => key);
+        const fields = ASSET_FIELDS.concat(Object.keys(record)
+            .filter(key => !known.includes(key))
+            .map(key => [key, key]));
+
+        fields.forEach(([key, label]) => {
+            if (record[key] === undefined || record[key] === null || record[key] === '') return;
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const value = document.createElement('dd');
+            value.textContent = String(record[key]);
+            list.append(term, value);
+        });
+    }
+
+    // ============================================================================
+    // CURRENT STATUS
+    // ============================================================================
+
+    function renderStatuses(moduleId) {
+        const container = document.getElementById('module-detail-statuses');
+        const summary = document.getElementById('module-detail-summary');
+        if (!container) return;
+
+        const overview = window.STATCOM.moduleOverview;
+        const statuses = window.STATCOM.getModuleData(moduleId) || {};
+        const aggregate = overview.getAggregateModuleStatus(statuses);
+
+        summary.className = `module-detail-summary ${overview.STATUS_VALUES[aggregate].class}`;
+        summary.textContent = overview.STATUS_VALUES[aggregate].label;
+
+        container.innerHTML = '';
+        overview.STATUS_TYPES.forEach(statusType => {
+            const statusInfo = overview.STATUS_VALUES[statuses[statusType]] || overview.STATUS_VALUES.OK;
+            const card = document.createElement('div');
+            card.className = `status-card ${statusInfo.class}`;
+            const name = document.createElement('span');
+            name.className = 'status-card-name';
+            name.textContent = statusType;
+            const badge = document.createElement('span');
+            badge.className = 'status-card-badge';
+            badge.textContent = statusInfo.label;
+            card.append(name, badge);
+            container.appendChild(card);
+        });
     }
 
+    // ============================================================================
+    // MINI TRENDS
+    // ============================================================================
+
     /**
-     * Set up event listeners
+     * Create the four mini charts on first use
+     * @returns {boolean} False when Chart.js is not available
      */
-    function setupEventListeners() {
-        // Apply filters button
-        const applyBtn = document.getElementById('apply-filters-btn');
-        if (applyBtn) {
-            applyBtn.addEventListener('click', function() {
-                currentFilters.severity = document.getElementById('severity-filter').value;
-                currentFilters.timeRange = document.getElementById('time-range-filter').value;
-                currentFilters.module = document.getElementById('module-filter').value;
-                applyFilters();
-                renderAlarms();
-            });
+    function ensureCharts() {
+        if (Object.keys(charts).length > 0) return true;
+        if (typeof Chart === 'undefined') {
+            console.error('Chart.js is not loaded. Module trend charts will not be displayed.');
+            return false;
         }
 
-        // Clear filters button
-        const clearBtn = document.getElementById('clear-filters-btn');
-        if (clearBtn) {
-            clearBtn.addEventListener('click', function() {
-                // Reset filter values
-                document.getElementById('severity-filter').value = 'ALL';
-                document.getElementById('time-range-filter').value = '24h';
-                document.getElementById('module-filter').value = 'ALL';
-
-                // Reset current filters
-                currentFilters = {
-                    severity: 'ALL',
-                    timeRange: '24h',
-                    module: 'ALL'
-                };
+        const axis = {
+            grid: { color: '#2a3f5f', drawBorder: false },
+            ticks: { color: '#888', font: { size: 10 }, maxTicksLimit: 5 }
+        };
 
-                applyFilters();
-                renderAlarms();
+        window.STATCOM.timeSeries.METRICS.forEach(metric => {
+            const canvas = document.getElementById(`module-detail-${metric}-chart`);
+            if (!canvas) return;
+            charts[metric] = new Chart(canvas, {
+                type: 'line',
+                data: { labels: [], datasets: [] },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            backgroundColor: 'rgba(26, 35, 50, 0.95)',
+                            titleColor: '#4a9eff',
+                            bodyColor: '#e0e0e0',
+                            borderColor: '#2a3f5f',
+                            borderWidth: 1,
+                            mode: 'index',
+                            intersect: false
+                        }
+                    },
+                    scales: { x: axis, y: axis }
+                }
             });
-        }
+        });
+        return true;
+    }
 
-        // Export CSV button
-        const exportBtn = document.getElementById('export-csv-btn');
-        if (exportBtn) {
-            exportBtn.addEventListener('click', exportToCSV);
-        }
+    function formatChartLabel(time) {
+        const pad = value => String(value).padStart(2, '0');
+        const clock = `${pad(time.getHours())}:${pad(time.getMinutes())}`;
+        return PERIOD_MS[period] > PERIOD_MS['24h'] ? `${time.getMonth() + 1}/${time.getDate()} ${clock}` : clock;
+    }
+
+    function renderTrends(moduleId, from, to) {
+        const latest = window.STATCOM.timeSeries.getLatest(moduleId);
+        window.STATCOM.timeSeries.METRICS.forEach(metric => {
+            const valueEl = document.getElementById(`module-detail-${metric}-value`);
+            if (!valueEl) return;
+            const value = latest && latest.values[metric];
+            const unit = window.STATCOM.timeSeries.LIMITS[metric].unit;
+            valueEl.textContent = typeof value === 'number' ? `${value.toFixed(VALUE_DECIMALS[metric])} ${unit}`.trim() : '–';
+        });
+
+        if (!ensureCharts()) return Promise.resolve();
+
+        return Promise.all(window.STATCOM.timeSeries.METRICS.map(metric =>
+            window.STATCOM.timeSeries.queryModules({ moduleIds: [moduleId], metric: metric, from: from, to: to, resolution: 'auto' })
+                .then(result => ({ metric, points: result.series[0] ? result.series[0].points : [] }))
+                .catch(error => {
+                    console.error(`Module ${metric} query failed:`, error);
+                    return { metric, points: [] };
+                })
+        )).then(results => {
+            if (moduleId !== currentModuleId) return;
+            results.forEach(({ metric, points }) => {
+                const chart = charts[metric];
+                if (!chart) return;
+                const limits = window.STATCOM.timeSeries.LIMITS[metric];
+                const limitLine = (value, color) => ({
+                    data: points.map(() => value),
+                    borderColor: color,
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    fill: false
+                });
+                chart.data.labels = points.map(point => formatChartLabel(point.time));
+                chart.data.datasets = [
+                    {
+                        label: METRIC_NAMES[metric],
+                        data: points.map(point => point.avg),
+                        borderColor: '#4a9eff',
+                        backgroundColor: 'rgba(74, 158, 255, 0.1)',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        tension: 0.3,
+                        fill: true
+                    },
+                    { label: 'Warning', ...limitLine(limits.warning, '#e67e50') },
+                    { label: 'Critical', ...limitLine(limits.critical, '#c84848') }
+                ];
+                chart.update('none');
+            });
+        });
     }
 
+    // ============================================================================
+    // TIMELINE AND ALARMS
+    // ============================================================================
+
     /**
-     * Apply current filters to alarm data
+     * The module's alarms in the summary and those cleared in the period
      */
-    function applyFilters() {
-        const now = new Date();
+    function loadModuleAlarms(moduleId, from, to) {
+        return window.STATCOM.alarmHistory.query({ state: 'cleared', from: from, to: to, moduleId: moduleId })
+            .catch(error => {
+                console.error('Alarm history query failed:', error);
+                return [];
+            })
+            .then(clearedAlarms => {
+                const active = window.STATCOM.alarms.getActiveAlarms().filter(alarm => alarm.moduleId === moduleId);
+                const activeIds = new Set(active.map(alarm => alarm.id));
+                return { active: active, cleared: clearedAlarms.filter(alarm => !activeIds.has(alarm.id)) };
+            });
+    }
 
-        // Calculate time range cutoff
-        let timeCutoff = null;
-        if (currentFilters.timeRange !== 'all') {
-            const hours = {
-                '1h': 1,
-                '6h': 6,
-                '24h': DEFAULT_TIME_RANGE_HOURS,
-                '7d': 168
-            };
-            const hoursAgo = hours[currentFilters.timeRange] || DEFAULT_TIME_RANGE_HOURS;
-            timeCutoff = new Date(now.getTime() - hoursAgo * 60 * 60 * 1000);
-        }
+    /**
+     * Status transitions and operator actions in the period, newest first
+     * @returns {Array<Object>} [{ at: Date, kind: 'raised' | 'cleared' | action, severity, alarm, text }]
+     */
+    function buildTimeline(alarms, from) {
+        const entries = [];
+        const inPeriod = date => Boolean(date) && date >= from;
 
-        // Filter active alarms
-        filteredAlarmsData.active = alarmsData.active.filter(alarm => {
-            // Severity filter
-            if (currentFilters.severity !== 'ALL' && alarm.severity !== currentFilters.severity) {
-                return false;
+        alarms.forEach(alarm => {
+            if (inPeriod(alarm.activatedAt)) {
+                entries.push({ at: alarm.activatedAt, kind: 'raised', severity: alarm.severity, alarm: alarm, text: `${alarm.type}: OK → ${alarm.severity}` });
             }
-
-            // Module filter
-            if (currentFilters.module !== 'ALL' && alarm.moduleId !== currentFilters.module) {
-                return false;
+            if (inPeriod(alarm.clearedAt)) {
+                entries.push({ at: alarm.clearedAt, kind: 'cleared', severity: 'OK', alarm: alarm, text: `${alarm.type}: ${alarm.severity} → OK` });
             }
+            (alarm.actions || []).forEach(entry => {
+                if (!inPeriod(entry.at)) return;
+                const verb = ACTION_VERBS[entry.action] || entry.action;
+                const by = entry.by ? ` by ${entry.by}` : '';
+                const comment = entry.comment ? `: ${entry.comment}` : '';
+                entries.push({ at: entry.at, kind: entry.action, severity: null, alarm: alarm, text: `${alarm.type} ${verb}${by}${comment}` });
+            });
+        });
 
-            // Time range filter
-            if (timeCutoff && alarm.activatedAt < timeCutoff) {
-                return false;
-            }
+        return entries.sort((a, b) => b.at - a.at).slice(0, MAX_TIMELINE_ENTRIES);
+    }
+
+    function renderTimeline(entries) {
+        const list = document.getElementById('module-detail-timeline');
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'module-timeline-empty';
+            empty.textContent = 'No status changes in this period';
+            list.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `module-timeline-entry timeline-${entry.kind}`;
+            if (entry.severity) item.classList.add(`timeline-${entry.severity.toLowerCase()}`);
+
+            const time = document.createElement('span');
+            time.className = 'module-timeline-time';
+            time.textContent = formatTimestamp(entry.at);
+            const text = document.createElement('span');
+            text.className = 'module-timeline-text';
+            text.textContent = entry.text;
 
-            return true;
+            item.append(time, text);
+            list.appendChild(item);
         });
+    }
 
-        // Filter cleared alarms
-        filteredAlarmsData.cleared = alarmsData.cleared.filter(alarm => {
-            // Severity filter
-            if (currentFilters.severity !== 'ALL' && alarm.severity !== currentFilters.severity) {
-                return false;
-            }
+    function renderAlarmTables(moduleId, alarms) {
+        const now = Date.now();
+        const activeBody = document.getElementById('module-detail-active-alarms');
+        const clearedBody = document.getElementById('module-detail-cleared-alarms');
+        if (!activeBody || !clearedBody) return;
+
+        renderTable(activeBody, alarms.active.map(alarm => [
+            createSeverityBadge(alarm.severity),
+            getAlarmMessage(alarm),
+            formatTimestamp(alarm.activatedAt),
+            window.STATCOM.alarms.STATE_LABELS[window.STATCOM.alarmHistory.getAlarmState(alarm, now)],
+            createAlarmLink(alarm)
+        ]), 'No active alarms', 5);
+
+        renderTable(clearedBody, alarms.cleared.map(alarm => [
+            createSeverityBadge(alarm.severity),
+            getAlarmMessage(alarm),
+            formatTimestamp(alarm.activatedAt),
+            formatDuration(alarm.clearedAt - alarm.activatedAt),
+            createAlarmLink(alarm)
+        ]), 'No alarms cleared in this period', 5);
+
+        const allLink = document.getElementById('module-detail-alarms-link');
+        if (allLink) allLink.href = `#/alarms?range=${period}&module=${encodeURIComponent(moduleId)}`;
+    }
 
-            // Module filter
-            if (currentFilters.module !== 'ALL' && alarm.moduleId !== currentFilters.module) {
-                return false;
-            }
+    // ============================================================================
+    // PAGE
+    // ============================================================================
 
-            // Time range filter (based on cleared time)
-            if (timeCutoff && alarm.clearedAt < timeCutoff) {
-                return false;
-            }
+    function renderNavigation(moduleId) {
+        const modules = window.STATCOM.moduleOverview.getModules();
+        const index = modules.findIndex(module => module.id === moduleId);
+        const setLink = (id, module) => {
+            const link = document.getElementById(id);
+            if (!link) return;
+            link.hidden = !module;
+            if (module) link.href = `#/module/${module.id}`;
+        };
+        setLink('module-detail-prev', modules[index - 1]);
+        setLink('module-detail-next', modules[index + 1]);
+    }
+
+    /**
+     * Render the page for the module in the address bar
+     * @returns {Promise<void>}
+     */
+    function refresh() {
+        const moduleId = getRouteModuleId();
+        const generation = ++refreshGeneration;
+        const module = window.STATCOM.moduleOverview.getModules().find(candidate => candidate.id === moduleId);
+        const content = document.getElementById('module-detail-content');
+        const notFound = document.getElementById('module-detail-not-found');
+
+        currentModuleId = moduleId;
+        document.getElementById('module-detail-title').textContent = module ? `Module ${module.displayName}` : 'Module';
+        document.getElementById('module-detail-location').textContent = module
+            ? [module.phaseName, module.clusterName, module.cabinetName].filter(Boolean).join(' · ')
+            : 'Statuses, history and asset information';
+        content.hidden = !module;
+        notFound.hidden = Boolean(module);
+        if (!module) {
+            notFound.textContent = `No module "${moduleId || ''}" in this system`;
+            return Promise.resolve();
+        }
 
-            return true;
+        const now = Date.now();
+        const from = new Date(now - PERIOD_MS[period]);
+        const to = new Date(now);
+
+        renderNavigation(moduleId);
+        renderStatuses(moduleId);
+
+        return Promise.all([
+            loadAssets().then(() => {
+                if (generation === refreshGeneration) renderAssets(moduleId);
+            }),
+            renderTrends(moduleId, from, to),
+            loadModuleAlarms(moduleId, from, to).then(alarms => {
+                if (generation !== refreshGeneration) return;
+                renderTimeline(buildTimeline(alarms.active.concat(alarms.cleared), from));
+                renderAlarmTables(moduleId, alarms);
+            })
+        ]).then(() => {
+            const updatedEl = document.getElementById('module-detail-updated');
+            if (updatedEl && generation === refreshGeneration) updatedEl.textContent = `Updated ${formatTimestamp(new Date(now))}`;
         });
     }
 
     /**
-     * Export alarms to CSV
+     * Refresh soon, coalescing bursts of data and alarm changes
      */
-    function exportToCSV() {
-        // Combine active and cleared alarms
-        const allAlarms = [
-            ...filteredAlarmsData.active.map(a => ({ ...a, status: 'Active', clearedAt: null })),
-            ...filteredAlarmsData.cleared.map(a => ({ ...a, status: 'Cleared' }))
-        ];
-
-        if (allAlarms.length === 0) {
-            showNotification('No alarms to export with current filters');
-            return;
-        }
+    function scheduleRefresh() {
+        if (refreshTimer || !isViewActive()) return;
+        refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            if (isViewActive()) refresh();
+        }, REFRESH_DEBOUNCE_MS);
+    }
 
-        // CSV header
-        let csv = 'Severity,Module,Status,Triggered Time,Cleared Time,Duration,Message\n';
+    // ============================================================================
+    // INITIALIZATION
+    // ============================================================================
 
-        // CSV rows
-        allAlarms.forEach(alarm => {
-            const severity = escapeCSV(alarm.severity);
-            const module = escapeCSV(alarm.moduleId);
-            const status = escapeCSV(alarm.status);
-            const triggeredTime = escapeCSV(formatTimestamp(alarm.activatedAt));
-            const clearedTime = alarm.clearedAt ? escapeCSV(formatTimestamp(alarm.clearedAt)) : '';
+    function initModuleDetail() {
+        const view = document.getElementById('view-module-detail');
+        if (!view) return;
 
-            // Calculate duration for CSV export
-            let duration = '';
-            if (alarm.duration) {
-                duration = escapeCSV(alarm.duration);
-            } else if (alarm.status === 'Active') {
-                duration = escapeCSV(getActiveDuration(alarm.activatedAt));
-            }
+        const periodSelect = document.getElementById('module-detail-period');
+        periodSelect.value = period;
+        periodSelect.addEventListener('change', () => {
+            period = periodSelect.value;
+            refresh();
+        });
 
-            const message = escapeCSV(getAlarmMessage(alarm.type));
+        // Opening the view, or moving between modules while it is open
+        const observer = new MutationObserver(() => {
+            if (isViewActive() && getRouteModuleId() !== currentModuleId) refresh();
+        });
+        observer.observe(view, { attributes: true, attributeFilter: ['class'] });
+        window.addEventListener('hashchange', () => {
+            if (isViewActive()) refresh();
+        });
 
-            csv += `${severity},${module},${status},${triggeredTime},${clearedTime},${duration},${message}\n`;
+        // Statuses follow the data source at once; the rest is refreshed in batches
+        window.STATCOM.dataSource.subscribe(() => {
+            if (isViewActive() && currentModuleId) renderStatuses(currentModuleId);
+        });
+        window.STATCOM.alarms.subscribe(scheduleRefresh);
+        window.STATCOM.timeSeries.subscribe(moduleIds => {
+            if (moduleIds.includes(currentModuleId)) scheduleRefresh();
+        });
+        window.STATCOM.session.subscribe(state => {
+            if (state.status !== 'connected' && assetsSource === 'gateway') assetsSource = null;
         });
 
-        // Create and download file
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
+        if (isViewActive()) refresh();
+    }
 
-        // Generate timestamp for filename (format: YYYY-MM-DD_HH-MM-SS)
-        // Removes milliseconds and 'Z' suffix by slicing off last 5 characters
-        const timestamp = new Date().toISOString().replace('T', '_').replace(/[:.]/g, '-').slice(0, -5);
-        const filename = `STATCOM_Alarms_${timestamp}.csv`;
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initModuleDetail);
+    } else {
+        initModuleDetail();
+    }
 
-        link.setAttribute('href', url);
-        link.setAttribute('download', filename);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+    // ============================================================================
+    // GLOBAL API
+    // ============================================================================
 
-        // Show success notification
-        showNotification('CSV exported successfully!');
-    }
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.moduleDetail = {
+        refresh: refresh,
+        buildTimeline: buildTimeline
+    };
+
+})();
+
+/**
+ * Session Client
+ * Transport for the STATCOM gateway API: opens, verifies and closes an
+ * authenticated session and exposes its state to the other modules
+ */
+(function() {
+    'use strict';
+
+    // Configuration constants
+    const SESSION_PATH = '/api/session';
+    const REQUEST_TIMEOUT_MS = 10000;
+    const HEARTBEAT_INTERVAL_MS = 30000;
+
+    // Session state shared with the other modules via window.STATCOM.session
+    let session = {
+        status: 'disconnected', // 'disconnected' | 'connecting' | 'connected' | 'error'
+        protocol: 'http',
+        host: null,
+        port: null,
+        token: null,
+        device: null,
+        connectedAt: null,
+        expiresAt: null,
+        error: null
+    };
+
+    const listeners = new Set();
+    let heartbeatInterval = null;
 
     /**
-     * Escape CSV field
+     * Create an Error tagged with the failure kind
+     * @param {string} kind - 'auth', 'network', 'timeout' or 'protocol'
+     * @param {string} message - Human-readable message shown to the operator
      */
-    function escapeCSV(field) {
-        if (field === null || field === undefined) return '';
-        const str = String(field);
-        if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-            return '"' + str.replace(/"/g, '""') + '"';
-        }
-        return str;
+    function createConnectionError(kind, message) {
+        const error = new Error(message);
+        error.kind = kind;
+        return error;
     }
 
     /**
-     * Show notification message
+     * Merge changes into the session state and notify subscribers
      */
-    function showNotification(message) {
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: #4a9eff;
-            color: white;
-            padding: 15px 25px;
-            border-radius: 6px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-            z-index: 10000;
-            font-size: 14px;
-            font-weight: 600;
-            animation: slideIn 0.3s ease-out;
-        `;
-        notification.textContent = message;
-        document.body.appendChild(notification);
-
-        setTimeout(() => {
-            notification.style.animation = 'slideOut 0.3s ease-out';
-            setTimeout(() => {
-                try {
-                    if (document.body.contains(notification)) {
-                        notification.remove();
-                    }
-                } catch (error) {
-                    // Notification may have been removed externally, safe to ignore
-                    console.debug('Notification removal error (safe to ignore):', error);
-                }
-            }, NOTIFICATION_FADEOUT_MS);
-        }, NOTIFICATION_DURATION_MS);
+    function setSession(changes) {
+        session = { ...session, ...changes };
+        const snapshot = getState();
+        listeners.forEach(listener => {
+            try {
+                listener(snapshot);
+            } catch (error) {
+                console.error('Session subscriber failed:', error);
+            }
+        });
     }
 
     /**
-     * Get alarm message based on status type
+     * Get a copy of the session state
      */
-    function getAlarmMessage(statusType) {
-        return ALARM_MESSAGES[statusType] || statusType;
+    function getState() {
+        return { ...session };
     }
 
     /**
-     * Generate alarms from module status data
+     * Subscribe to session state changes (called immediately with the current state)
+     * @param {Function} listener - (state) => void
+     * @returns {Function} Unsubscribe function
      */
-    function generateAlarmsFromModuleData() {
-        const activeAlarms = [];
-        const clearedAlarms = [];
-        const now = new Date();
-
-        // Get module data from the global STATCOM object
-        const moduleData = window.STATCOM && window.STATCOM.getModuleData ? window.STATCOM.getModuleData() : {};
-
-        // Iterate through all modules
-        for (let i = 1; i <= 64; i++) {
-            const moduleId = `M${String(i).padStart(3, '0')}`;
-            const statuses = moduleData[moduleId];
+    function subscribe(listener) {
+        listeners.add(listener);
+        listener(getState());
+        return () => listeners.delete(listener);
+    }
 
-            if (!statuses) continue;
-
-            // Check each status indicator
-            Object.entries(statuses).forEach(([statusType, statusValue]) => {
-                if (statusValue !== 'OK') {
-                    // Generate alarm for non-OK status
-                    const alarm = {
-                        moduleId: moduleId,
-                        type: statusType,
-                        severity: statusValue,
-                        activatedAt: new Date(now.getTime() - Math.random() * 6 * 60 * 60 * 1000) // Random time in last 6 hours for active
-                    };
+    /**
+     * Base URL of the gateway for the current or given endpoint
+     */
+    function getBaseUrl(endpoint = session) {
+        return `${endpoint.protocol}://${endpoint.host}:${endpoint.port}`;
+    }
 
-                    // Randomly decide if alarm is cleared (40% probability when random > 0.6)
-                    if (Math.random() > 0.6) {
-                        // Cleared alarm (40% of alarms)
-                        const activationTime = alarm.activatedAt.getTime();
-                        const clearTime = activationTime + Math.random() * 4 * 60 * 60 * 1000; // Cleared within 4 hours
-
-                        if (clearTime < now.getTime()) {
-                            alarm.clearedAt = new Date(clearTime);
-                            alarm.duration = formatDuration(clearTime - activationTime);
-                            clearedAlarms.push(alarm);
-                        } else {
-                            activeAlarms.push(alarm);
-                        }
-                    } else {
-                        // Active alarm (60% of alarms)
-                        activeAlarms.push(alarm);
-                    }
+    /**
+     * fetch() with a timeout, mapping browser failures to connection errors
+     */
+    function fetchWithTimeout(url, options = {}, timeoutMs = REQUEST_TIMEOUT_MS) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        return fetch(url, { ...options, signal: controller.signal })
+            .catch(error => {
+                if (error.name === 'AbortError') {
+                    throw createConnectionError('timeout', `Connection timed out after ${timeoutMs / 1000}s`);
                 }
-            });
-        }
+                // fetch() rejects with a TypeError for DNS, refused and CORS failures
+                throw createConnectionError('network', `Network error: unable to reach ${new URL(url).host}`);
+            })
+            .finally(() => clearTimeout(timer));
+    }
 
-        // Generate additional cleared alarms spanning 7 days for testing filters
-        // Generate 20-30 additional cleared alarms
-        const additionalClearedCount = 20 + Math.floor(Math.random() * 11); // 20-30
-        const statusTypes = Object.keys(ALARM_MESSAGES);
-        const severities = ['CRITICAL', 'WARNING', 'DEGRADED'];
-
-        for (let i = 0; i < additionalClearedCount; i++) {
-            const moduleNum = Math.floor(Math.random() * 64) + 1;
-            const moduleId = `M${String(moduleNum).padStart(3, '0')}`;
-            const statusType = statusTypes[Math.floor(Math.random() * statusTypes.length)];
-            const severity = severities[Math.floor(Math.random() * severities.length)];
-
-            // Random time within last 7 days
-            const activatedAt = new Date(now.getTime() - Math.random() * 7 * 24 * 60 * 60 * 1000);
-            const clearedAt = new Date(activatedAt.getTime() + Math.random() * 12 * 60 * 60 * 1000);
-
-            // Only add if cleared time is in the past
-            if (clearedAt < now) {
-                const alarm = {
-                    moduleId: moduleId,
-                    type: statusType,
-                    severity: severity,
-                    activatedAt: activatedAt,
-                    clearedAt: clearedAt,
-                    duration: formatDuration(clearedAt.getTime() - activatedAt.getTime())
-                };
-                clearedAlarms.push(alarm);
-            }
-        }
+    /**
+     * Read the error message from a gateway error response
+     */
+    function readErrorMessage(response) {
+        return response.json()
+            .then(body => body && body.error ? body.error : response.statusText)
+            .catch(() => response.statusText);
+    }
 
-        // Sort active alarms by severity (CRITICAL > WARNING > DEGRADED) then by time
-        const severityPriority = { 'CRITICAL': 3, 'WARNING': 2, 'DEGRADED': 1 };
-        activeAlarms.sort((a, b) => {
-            const severityDiff = severityPriority[b.severity] - severityPriority[a.severity];
-            if (severityDiff !== 0) return severityDiff;
-            return b.activatedAt - a.activatedAt;
+    /**
+     * Open a session on the gateway
+     * @param {Object} endpoint - { protocol, host, port, password }
+     * @returns {Promise<Object>} Resolves with the session state
+     */
+    function open(endpoint) {
+        stopHeartbeat();
+        setSession({
+            status: 'connecting',
+            protocol: endpoint.protocol || 'http',
+            host: endpoint.host,
+            port: endpoint.port,
+            token: null,
+            device: null,
+            connectedAt: null,
+            expiresAt: null,
+            error: null
         });
 
-        // Sort cleared alarms by cleared time (most recent first)
-        clearedAlarms.sort((a, b) => b.clearedAt - a.clearedAt);
-
-        return { active: activeAlarms, cleared: clearedAlarms };
+        return fetchWithTimeout(getBaseUrl() + SESSION_PATH, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: endpoint.password })
+        })
+            .then(response => {
+                if (response.status === 401 || response.status === 403) {
+                    return readErrorMessage(response).then(message => {
+                        throw createConnectionError('auth', `Authentication failed: ${message}`);
+                    });
+                }
+                if (!response.ok) {
+                    return readErrorMessage(response).then(message => {
+                        throw createConnectionError('protocol', `Gateway error ${response.status}: ${message}`);
+                    });
+                }
+                return response.json();
+            })
+            .then(body => {
+                if (!body || !body.token) {
+                    throw createConnectionError('protocol', 'Gateway response did not include a session token');
+                }
+                setSession({
+                    status: 'connected',
+                    token: body.token,
+                    device: body.device || null,
+                    connectedAt: new Date(),
+                    expiresAt: body.expiresAt ? new Date(body.expiresAt) : null
+                });
+                startHeartbeat();
+                return getState();
+            })
+            .catch(error => {
+                setSession({ status: 'error', token: null, error: error });
+                throw error;
+            });
     }
 
     /**
-     * Format duration in human-readable format
+     * Close the session; the local state is cleared even if the gateway is unreachable
      */
-    function formatDuration(milliseconds) {
-        const seconds = Math.floor(milliseconds / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const hours = Math.floor(minutes / 60);
-        const days = Math.floor(hours / 24);
+    function close() {
+        stopHeartbeat();
+        const token = session.token;
+        const baseUrl = session.host ? getBaseUrl() : null;
 
-        if (days > 0) return `${days}d ${hours % 24}h`;
-        if (hours > 0) return `${hours}h ${minutes % 60}m`;
-        if (minutes > 0) return `${minutes}m`;
-        return `${seconds}s`;
+        setSession({ status: 'disconnected', token: null, connectedAt: null, expiresAt: null, error: null });
+
+        if (!token || !baseUrl) {
+            return Promise.resolve();
+        }
+        return fetchWithTimeout(baseUrl + SESSION_PATH, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${token}` }
+        })
+            .then(() => undefined)
+            .catch(error => console.warn('Session close failed:', error.message));
     }
 
     /**
-     * Get active duration for an active alarm
+     * Authorization headers for the current session
      */
-    function getActiveDuration(activatedAt) {
-        const now = new Date();
-        const duration = now.getTime() - activatedAt.getTime();
-        return 'Active for ' + formatDuration(duration);
+    function getAuthHeaders() {
+        return session.token ? { 'Authorization': `Bearer ${session.token}` } : {};
     }
 
     /**
-     * Format timestamp
+     * Make an authenticated request to the gateway
+     * A 401 response ends the session.
+     * @param {string} path - Path relative to the gateway, e.g. '/api/modules'
+     * @param {Object} options - fetch() options, plus timeoutMs for slow requests
+     * @returns {Promise<Response>}
      */
-    function formatTimestamp(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        const seconds = String(date.getSeconds()).padStart(2, '0');
-        return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+    function request(path, options = {}) {
+        if (session.status !== 'connected') {
+            return Promise.reject(createConnectionError('network', 'Not connected to a STATCOM gateway'));
+        }
+
+        const { timeoutMs, ...fetchOptions } = options;
+        return fetchWithTimeout(getBaseUrl() + path, {
+            ...fetchOptions,
+            headers: { ...(options.headers || {}), ...getAuthHeaders() }
+        }, timeoutMs).then(response => {
+            if (response.status === 401) {
+                handleSessionLost(createConnectionError('auth', 'Session expired or was revoked'));
+            }
+            return response;
+        });
     }
 
     /**
-     * Render alarms to the page
+     * Check that the gateway still accepts the session token
+     * Only a 401 ends the session (see request()); a network error or timeout
+     * leaves it connected and the next heartbeat tries again, so an outage
+     * does not need a manual reconnect once the gateway is back.
      */
-    function renderAlarms() {
-        renderActiveAlarms();
-        renderClearedAlarms();
+    function verify() {
+        return request(SESSION_PATH)
+            .then(response => response.ok)
+            .catch(error => {
+                console.warn('Session heartbeat failed, retrying:', error.message);
+                return false;
+            });
     }
 
     /**
-     * Render active alarms
+     * Mark an established session as lost
      */
-    function renderActiveAlarms() {
-        const container = document.getElementById('active-alarms-list');
-        const countElement = document.getElementById('active-alarm-count');
-
-        if (!container) return;
-
-        // Update count
-        if (countElement) {
-            countElement.textContent = filteredAlarmsData.active.length;
-        }
+    function handleSessionLost(error) {
+        if (session.status !== 'connected') return;
+        stopHeartbeat();
+        setSession({ status: 'error', token: null, error: error });
+    }
 
-        // Clear container
-        container.innerHTML = '';
+    function startHeartbeat() {
+        stopHeartbeat();
+        heartbeatInterval = setInterval(verify, HEARTBEAT_INTERVAL_MS);
+    }
 
-        if (filteredAlarmsData.active.length === 0) {
-            container.innerHTML = '<div class="no-alarms-message">No active alarms matching filters</div>';
-            return;
+    function stopHeartbeat() {
+        if (heartbeatInterval) {
+            clearInterval(heartbeatInterval);
+            heartbeatInterval = null;
         }
+    }
 
-        // Get current time once for all alarms
-        const now = new Date();
+    // Expose the session to the other modules
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.session = {
+        open: open,
+        close: close,
+        verify: verify,
+        request: request,
+        subscribe: subscribe,
+        getState: getState,
+        getBaseUrl: () => (session.host ? getBaseUrl() : null),
+        getAuthHeaders: getAuthHeaders
+    };
+})();
 
-        // Render each alarm
-        filteredAlarmsData.active.forEach(alarm => {
-            const alarmRow = document.createElement('div');
-            alarmRow.className = `alarm-row severity-${alarm.severity.toLowerCase()}`;
+/**
+ * Live Update Channel
+ * WebSocket push channel for module status changes, metric samples and alarm
+ * transitions, with reconnect backoff and a polling fallback
+ */
+(function() {
+    'use strict';
 
-            // Calculate active duration
-            const alarmMessage = getAlarmMessage(alarm.type);
-            const activeDuration = getActiveDuration(alarm.activatedAt);
+    // Configuration constants
+    const LIVE_PATH = '/api/live';
+    const MODULES_PATH = '/api/modules';
+    const RECONNECT_BASE_DELAY_MS = 1000;
+    const RECONNECT_MAX_DELAY_MS = 30000;
+    const HEARTBEAT_TIMEOUT_MS = 45000; // Gateway sends a heartbeat every 15s
+    const FALLBACK_POLL_INTERVAL_MS = 10000;
+
+    // Channel state
+    let socket = null;
+    let status = 'idle'; // 'idle' | 'connecting' | 'live' | 'polling'
+    let reconnectAttempts = 0;
+    let reconnectTimer = null;
+    let watchdogTimer = null;
+    let fallbackPollTimer = null;
+    let lastMessageAt = null;
+    let sessionToken = null;
+
+    // Message handlers keyed by message type ('module-status', 'metric', 'alarm', 'state')
+    const handlers = {};
 
-            alarmRow.innerHTML = `
-                <div class="alarm-severity-badge ${alarm.severity.toLowerCase()}">${alarm.severity === 'CRITICAL' ? '🔴' : alarm.severity === 'WARNING' ? '⚠️' : 'ℹ️'} ${alarm.severity}</div>
-                <div class="alarm-info">
-                    <div class="alarm-module">${alarm.moduleId}</div>
-                    <div class="alarm-type">${alarmMessage}</div>
-                </div>
-                <div class="alarm-timestamps">
-                    <div class="alarm-timestamp active-time">${formatTimestamp(alarm.activatedAt)}</div>
-                    <div class="alarm-duration">Active for ${activeDuration}</div>
-                </div>
-            `;
+    /**
+     * Register a handler for a message type
+     * @param {string} type - Message type, or 'state' for channel state changes
+     * @param {Function} handler - (message) => void
+     * @returns {Function} Unsubscribe function
+     */
+    function on(type, handler) {
+        if (!handlers[type]) {
+            handlers[type] = new Set();
+        }
+        handlers[type].add(handler);
+        return () => handlers[type].delete(handler);
+    }
 
-            container.appendChild(alarmRow);
+    /**
+     * Call the handlers for a message type
+     */
+    function emit(type, message) {
+        if (!handlers[type]) return;
+        handlers[type].forEach(handler => {
+            try {
+                handler(message);
+            } catch (error) {
+                console.error(`Live channel "${type}" handler failed:`, error);
+            }
         });
     }
 
     /**
-     * Render cleared alarms
+     * Update the channel state and notify 'state' handlers
      */
-    function renderClearedAlarms() {
-        const container = document.getElementById('cleared-alarms-list');
-        const countElement = document.getElementById('cleared-alarm-count');
-
-        if (!container) return;
-
-        // Update count
-        if (countElement) {
-            countElement.textContent = filteredAlarmsData.cleared.length;
-        }
+    function setStatus(newStatus) {
+        if (status === newStatus) return;
+        status = newStatus;
+        emit('state', getState());
+    }
 
-        // Clear container
-        container.innerHTML = '';
+    /**
+     * Describe the channel state
+     */
+    function getState() {
+        return { status: status, lastMessageAt: lastMessageAt, reconnectAttempts: reconnectAttempts };
+    }
 
-        if (filteredAlarmsData.cleared.length === 0) {
-            container.innerHTML = '<div class="no-alarms-message">No cleared alarms matching filters</div>';
-            return;
-        }
+    /**
+     * Open the WebSocket for the current session
+     */
+    function connect() {
+        const session = window.STATCOM.session.getState();
+        if (session.status !== 'connected') return;
 
-        // Limit to most recent cleared alarms
-        const displayedAlarms = filteredAlarmsData.cleared.slice(0, MAX_DISPLAYED_CLEARED_ALARMS);
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
 
-        // Render each alarm
-        displayedAlarms.forEach(alarm => {
-            const alarmRow = document.createElement('div');
-            alarmRow.className = `alarm-row severity-${alarm.severity.toLowerCase()}`;
+        const wsProtocol = session.protocol === 'https' ? 'wss' : 'ws';
+        const url = `${wsProtocol}://${session.host}:${session.port}${LIVE_PATH}?token=${encodeURIComponent(session.token)}`;
 
-            const alarmMessage = getAlarmMessage(alarm.type);
+        if (status !== 'polling') {
+            setStatus('connecting');
+        }
 
-            alarmRow.innerHTML = `
-                <div class="alarm-severity-badge ${alarm.severity.toLowerCase()}">${alarm.severity === 'CRITICAL' ? '🔴' : alarm.severity === 'WARNING' ? '⚠️' : 'ℹ️'} ${alarm.severity}</div>
-                <div class="alarm-info">
-                    <div class="alarm-module">${alarm.moduleId}</div>
-                    <div class="alarm-type">${alarm.type} - Cleared</div>
-                </div>
-                <div class="alarm-timestamps">
-                    <div class="alarm-timestamp">Triggered: ${formatTimestamp(alarm.activatedAt)}</div>
-                    <div class="alarm-timestamp">Cleared: ${formatTimestamp(alarm.clearedAt)}</div>
-                    <div class="alarm-duration">Duration: ${alarm.duration}</div>
-                </div>
-            `;
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            console.error('Live channel could not be opened:', error);
+            handleDisconnected();
+            return;
+        }
 
-            container.appendChild(alarmRow);
-        });
+        socket.onopen = () => {
+            reconnectAttempts = 0;
+            stopFallbackPolling();
+            setStatus('live');
+            resetWatchdog();
+        };
+        socket.onmessage = (event) => handleMessage(event.data);
+        socket.onclose = () => handleDisconnected();
+        socket.onerror = () => {
+            // onclose follows and handles the reconnect
+        };
+    }
 
-        // Show message if more alarms exist
-        if (filteredAlarmsData.cleared.length > MAX_DISPLAYED_CLEARED_ALARMS) {
-            const moreMessage = document.createElement('div');
-            moreMessage.className = 'no-alarms-message';
-            moreMessage.textContent = `Showing ${MAX_DISPLAYED_CLEARED_ALARMS} of ${filteredAlarmsData.cleared.length} cleared alarms`;
-            container.appendChild(moreMessage);
+    /**
+     * Close the WebSocket without scheduling a reconnect
+     */
+    function disconnect() {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        clearTimeout(watchdogTimer);
+        stopFallbackPolling();
+
+        if (socket) {
+            socket.onclose = null;
+            socket.close();
+            socket = null;
         }
+        reconnectAttempts = 0;
+        setStatus('idle');
     }
 
-    // Initialize when DOM is ready and when navigating to alarms page
-    function setupAlarmsInitialization() {
-        const alarmsView = document.getElementById('view-alarms');
-        if (!alarmsView) return;
+    /**
+     * Fall back to polling and schedule a reconnect with exponential backoff
+     */
+    function handleDisconnected() {
+        socket = null;
+        clearTimeout(watchdogTimer);
 
-        // Function to try initialization
-        function tryInit() {
-            // Check if module data is available
-            if (!window.STATCOM || !window.STATCOM.getModuleData) {
-                // Wait for module data to be available
-                setTimeout(tryInit, 100);
-                return;
-            }
+        if (window.STATCOM.session.getState().status !== 'connected') {
+            disconnect();
+            return;
+        }
 
-            const moduleData = window.STATCOM.getModuleData();
-            if (!moduleData || Object.keys(moduleData).length === 0) {
-                // Wait for module data to be populated
-                setTimeout(tryInit, 100);
-                return;
-            }
+        setStatus('polling');
+        startFallbackPolling();
 
-            // Initialize alarms if view is active and alarms haven't been generated yet
-            if (alarmsView.classList.contains('active')) {
-                if (alarmsData.active.length === 0 && alarmsData.cleared.length === 0) {
-                    initAlarms();
-                }
-            }
+        // Exponential backoff with jitter so many clients don't reconnect in lockstep
+        const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * Math.pow(2, reconnectAttempts));
+        const jitteredDelay = delay / 2 + Math.random() * delay / 2;
+        reconnectAttempts++;
+        reconnectTimer = setTimeout(connect, jitteredDelay);
+    }
+
+    /**
+     * Close a connection that has gone quiet (no heartbeat)
+     */
+    function resetWatchdog() {
+        clearTimeout(watchdogTimer);
+        watchdogTimer = setTimeout(() => {
+            console.warn('Live channel heartbeat missed, reconnecting');
+            if (socket) socket.close();
+        }, HEARTBEAT_TIMEOUT_MS);
+    }
+
+    /**
+     * Dispatch a message received from the gateway
+     */
+    function handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.error('Live channel received invalid JSON:', error);
+            return;
         }
 
-        // Check if alarms view is currently active
-        tryInit();
+        lastMessageAt = new Date();
+        resetWatchdog();
 
-        // Set up observer for future navigation to alarms
-        const observer = new MutationObserver(function(mutations) {
-            mutations.forEach(function(mutation) {
-                if (alarmsView.classList.contains('active')) {
-                    tryInit();
-                }
-            });
-        });
+        switch (message.type) {
+            case 'snapshot':
+                window.STATCOM.dataSource.merge(message.modules);
+                break;
+            case 'module-status':
+                window.STATCOM.dataSource.merge({ [message.moduleId]: message.statuses });
+                emit('module-status', message);
+                break;
+            case 'metric':
+            case 'alarm':
+                emit(message.type, message);
+                break;
+            case 'heartbeat':
+                break;
+            default:
+                console.warn('Live channel received unknown message type:', message.type);
+        }
+    }
 
-        observer.observe(alarmsView, { attributes: true, attributeFilter: ['class'] });
+    /**
+     * Poll module statuses over HTTP while the WebSocket is down
+     */
+    function startFallbackPolling() {
+        if (fallbackPollTimer) return;
+        pollModules();
+        fallbackPollTimer = setInterval(pollModules, FALLBACK_POLL_INTERVAL_MS);
     }
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', setupAlarmsInitialization);
-    } else {
-        setupAlarmsInitialization();
+    function stopFallbackPolling() {
+        if (fallbackPollTimer) {
+            clearInterval(fallbackPollTimer);
+            fallbackPollTimer = null;
+        }
     }
 
+    function pollModules() {
+        window.STATCOM.session.request(MODULES_PATH)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} from ${MODULES_PATH}`);
+                }
+                return response.json();
+            })
+            .then(body => window.STATCOM.dataSource.merge(body.modules || body))
+            .catch(error => console.warn('Fallback polling failed:', error.message));
+    }
+
+    // Follow the gateway session: connect when it opens, stop when it ends
+    window.STATCOM.session.subscribe(function(session) {
+        if (session.status === 'connected' && session.token !== sessionToken) {
+            disconnect();
+            sessionToken = session.token;
+            connect();
+        } else if (session.status !== 'connected' && sessionToken) {
+            sessionToken = null;
+            disconnect();
+        }
+    });
+
+    // Expose the channel to the other modules
+    window.STATCOM = window.STATCOM || {};
+    window.STATCOM.live = {
+        on: on,
+        getState: getState,
+        isLive: () => status === 'live'
+    };
 })();
 
 /**
@@ -1624,10 +9922,12 @@
     const MIN_PASSWORD_LENGTH = 4;
     const STORAGE_KEY_IP = 'statcom_ip_address';
     const STORAGE_KEY_PORT = 'statcom_port';
+    const STORAGE_KEY_PROTOCOL = 'statcom_protocol';
     
     // Connection state
     let connectionState = {
         isConnected: false,
+        protocol: 'http',
         ipAddress: '192.168.1.100',
         port: '502',
         lastConnected: null,
@@ -1646,10 +9946,14 @@
         const portInput = document.getElementById('port-input');
         const passwordInput = document.getElementById('password-input');
         const passwordToggle = document.getElementById('password-toggle');
+        const protocolSelect = document.getElementById('protocol-select');
         
         // Load saved settings from localStorage
         loadSavedSettings();
         
+        // React to sessions that drop after connecting (expiry, gateway restart)
+        window.STATCOM.session.subscribe(handleSessionChange);
+        
         if (connectBtn) {
             connectBtn.addEventListener('click', handleConnect);
         }
@@ -1677,15 +9981,21 @@
         if (passwordInput) {
             passwordInput.addEventListener('blur', () => clearInputError('password'));
         }
+        
+        if (protocolSelect) {
+            protocolSelect.addEventListener('change', () => saveToLocalStorage(STORAGE_KEY_PROTOCOL, protocolSelect.value));
+        }
     }
     
     // Load saved settings from localStorage
     function loadSavedSettings() {
         const savedIp = localStorage.getItem(STORAGE_KEY_IP);
         const savedPort = localStorage.getItem(STORAGE_KEY_PORT);
+        const savedProtocol = localStorage.getItem(STORAGE_KEY_PROTOCOL);
         
         const ipInput = document.getElementById('ip-address-input');
         const portInput = document.getElementById('port-input');
+        const protocolSelect = document.getElementById('protocol-select');
         
         if (savedIp && ipInput) {
             ipInput.value = savedIp;
@@ -1696,6 +10006,11 @@
             portInput.value = savedPort;
             connectionState.port = savedPort;
         }
+        
+        if (savedProtocol && protocolSelect) {
+            protocolSelect.value = savedProtocol;
+            connectionState.protocol = savedProtocol;
+        }
     }
     
     // Save to localStorage
@@ -1749,11 +10064,14 @@
         const ipInput = document.getElementById('ip-address-input');
         const portInput = document.getElementById('port-input');
         const passwordInput = document.getElementById('password-input');
+        const protocolSelect = document.getElementById('protocol-select');
+        const protocol = protocolSelect ? protocolSelect.value : 'http';
         
         // Clear all error messages
         clearInputError('ip');
         clearInputError('port');
         clearInputError('password');
+        clearInputError('connection');
         
         // Validate inputs with specific error messages
         const validationErrors = validateConnectionInputsWithMessages(
@@ -1772,11 +10090,17 @@
         // Update button to connecting state
         setConnectionState('connecting');
         
-        // Simulate connection attempt (replace with actual API call)
-        simulateConnection(ipInput.value, portInput.value, passwordInput.value)
+        // Open a session on the gateway
+        window.STATCOM.session.open({
+            protocol: protocol,
+            host: ipInput.value,
+            port: portInput.value,
+            password: passwordInput.value
+        })
             .then(() => {
                 // Success
                 connectionState.isConnected = true;
+                connectionState.protocol = protocol;
                 connectionState.ipAddress = ipInput.value;
                 connectionState.port = portInput.value;
                 // lastConnected: timestamp shown in UI for "Last connected" display
@@ -1787,6 +10111,10 @@
                 // Save successful connection settings
                 saveToLocalStorage(STORAGE_KEY_IP, ipInput.value);
                 saveToLocalStorage(STORAGE_KEY_PORT, portInput.value);
+                saveToLocalStorage(STORAGE_KEY_PROTOCOL, protocol);
+                
+                // Don't keep the password in the DOM once the session is open
+                passwordInput.value = '';
                 
                 setConnectionState('connected');
                 showConnectionSuccess();
@@ -1811,6 +10139,24 @@
         connectionState.connectedAt = null;
         stopUptimeCounter();
         setConnectionState('disconnected');
+        window.STATCOM.session.close();
+    }
+    
+    // Handle session state changes reported by the session client
+    function handleSessionChange(session) {
+        // Only a session lost after connecting needs handling here;
+        // failed connection attempts are reported by handleConnect()
+        if (!connectionState.isConnected || session.status !== 'error') return;
+        
+        connectionState.isConnected = false;
+        connectionState.connectedAt = null;
+        stopUptimeCounter();
+        setConnectionState('error');
+        showConnectionError(session.error ? session.error.message : 'Connection lost');
+        
+        setTimeout(() => {
+            setConnectionState('disconnected');
+        }, 3000);
     }
     
     // Start uptime counter
@@ -1844,20 +10190,6 @@
         uptimeEl.textContent = uptimeStr;
     }
     
-    // Simulate connection (replace with actual API)
-    function simulateConnection(ip, port, password) {
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                // Simple validation: password must meet minimum length
-                if (password.length >= MIN_PASSWORD_LENGTH) {
-                    resolve();
-                } else {
-                    reject(new Error('Invalid credentials'));
-                }
-            }, 2000); // 2 second delay to simulate network
-        });
-    }
-    
     // Set connection UI state
     function setConnectionState(state) {
         const connectBtn = document.getElementById('connect-btn');
@@ -1893,7 +10225,7 @@
                 // Show connection info
                 if (connectionInfo) connectionInfo.style.display = 'block';
                 if (connectionAddress) {
-                    connectionAddress.textContent = `${connectionState.ipAddress}:${connectionState.port}`;
+                    connectionAddress.textContent = `${connectionState.protocol}://${connectionState.ipAddress}:${connectionState.port}`;
                 }
                 break;
                 
@@ -1981,13 +10313,13 @@
     // Show connection success message
     function showConnectionSuccess() {
         console.log('Connection successful');
-        // Could add a toast notification here
+        clearInputError('connection');
     }
     
-    // Show connection error message
+    // Show connection error message (authentication, network or gateway errors)
     function showConnectionError(message) {
         console.error('Connection error:', message);
-        // Could add a toast notification here
+        showInputError('connection', message);
     }
     
     // Initialize on DOM load
@@ -2111,6 +10443,13 @@
         }
     };
 
+    // Warning/critical thresholds per metric, shared by polled and pushed samples
+    const METRIC_THRESHOLDS = {
+        cpu: { warning: 80, critical: 90, ecode: 'E001' },
+        memory: { warning: 3.5, critical: 3.7, ecode: 'E002' },
+        temperature: { warning: 70, critical: 75, ecode: 'E003' }
+    };
+
     // State
     let pollingInterval = null;
     let pollingIntervalSeconds = 5;
@@ -2126,6 +10465,8 @@
     let events = [];
     let maxEvents = 100;
     let activeErrorCodes = new Set();
+    let moduleData = {};
+    let currentEcode = null; // E-code shown in the modal
 
     // DOM elements cache
     let elements = {};
@@ -2207,7 +10548,7 @@
         elements.modal.addEventListener('click', (e) => {
             if (e.target === elements.modal) closeModal();
         });
-        elements.acknowledgeBtn.addEventListener('click', closeModal);
+        elements.acknowledgeBtn.addEventListener('click', acknowledgeCurrentEcode);
         
         // Status circle clicks
         document.querySelectorAll('.status-circle').forEach(circle => {
@@ -2319,6 +10660,7 @@
 
     /**
      * Start polling
+     * Polling is the fallback: ticks are skipped while the live channel pushes samples
      */
     function startPolling() {
         if (pollingInterval) {
@@ -2326,6 +10668,7 @@
         }
         
         pollingInterval = setInterval(() => {
+            if (window.STATCOM.live.isLive()) return;
             updateMetrics();
         }, pollingIntervalSeconds * 1000);
     }
@@ -2346,15 +10689,11 @@
     function updateMetrics() {
         lastUpdateTime = new Date();
         
-        // Get module data to determine error states
-        const moduleData = window.STATCOM && window.STATCOM.getModuleData ? window.STATCOM.getModuleData() : {};
-        
         // Count critical and warning modules
         let criticalCount = 0;
         let warningCount = 0;
         
-        for (let i = 1; i <= 64; i++) {
-            const moduleId = `M${String(i).padStart(3, '0')}`;
+        window.STATCOM.topology.getModuleIds().forEach(moduleId => {
             const statuses = moduleData[moduleId];
             if (statuses) {
                 const values = Object.values(statuses);
@@ -2364,35 +10703,68 @@
                     warningCount++;
                 }
             }
-        }
+        });
         
         // Generate CPU metric
         const cpuBase = 20 + (criticalCount * 10) + (warningCount * 5);
         const cpuValue = Math.min(95, cpuBase + Math.random() * 15);
-        updateMetric('cpu', cpuValue, 80, 90, 'E001');
+        updateThresholdMetric('cpu', cpuValue);
         
         // Generate Memory metric (in GB)
         const memoryBase = 1.5 + (criticalCount * 0.3) + (warningCount * 0.15);
         const memoryValue = parseFloat((memoryBase + Math.random() * 0.5).toFixed(2));
-        updateMetric('memory', memoryValue, 3.5, 3.7, 'E002');
+        updateThresholdMetric('memory', memoryValue);
         
         // Generate Temperature metric
         const tempBase = 35 + (criticalCount * 8) + (warningCount * 4);
         const tempValue = Math.round(tempBase + Math.random() * 10);
-        updateMetric('temperature', tempValue, 70, 75, 'E003');
+        updateThresholdMetric('temperature', tempValue);
         
         // Generate Communication metric
         const commFail = Math.random() < (criticalCount * 0.05);
-        if (commFail) {
-            updateMetric('communication', 'Timeout', null, null, 'E004', true);
-        } else {
-            updateMetric('communication', 'Online', null, null, null, false);
-        }
+        updateCommunicationMetric(commFail ? 'Timeout' : 'Online');
         
         // Update display
         updateCircleDisplays();
     }
 
+    /**
+     * Apply a system metric sample pushed by the live channel
+     * @param {Object} message - { source: 'system', timestamp, values: { cpu, memory, temperature, communication } }
+     */
+    function handleLiveMetric(message) {
+        if (message.source !== 'system' || !elements.lastUpdated) return;
+        
+        lastUpdateTime = new Date(message.timestamp || Date.now());
+        Object.entries(message.values || {}).forEach(([metric, value]) => {
+            if (metric === 'communication') {
+                updateCommunicationMetric(value);
+            } else if (METRIC_THRESHOLDS[metric]) {
+                updateThresholdMetric(metric, value);
+            }
+        });
+        updateCircleDisplays();
+    }
+
+    /**
+     * Update a numeric metric against its configured thresholds
+     */
+    function updateThresholdMetric(metric, value) {
+        const thresholds = METRIC_THRESHOLDS[metric];
+        updateMetric(metric, value, thresholds.warning, thresholds.critical, thresholds.ecode);
+    }
+
+    /**
+     * Update the communication metric ('Online' or a failure such as 'Timeout')
+     */
+    function updateCommunicationMetric(value) {
+        if (value === 'Online') {
+            updateMetric('communication', value, null, null, null, false);
+        } else {
+            updateMetric('communication', value, null, null, 'E004', true);
+        }
+    }
+
     /**
      * Update a single metric
      */
@@ -2495,7 +10867,8 @@
             timestamp: new Date(),
             severity: severity,
             message: message,
-            ecode: ecode
+            ecode: ecode,
+            acknowledgement: null // { by, comment, at } once acknowledged
         };
         
         events.unshift(event);
@@ -2520,9 +10893,10 @@
             return;
         }
         
-        const html = filteredEvents.map(event => {
+        const html = filteredEvents.map((event, index) => {
             const timeStr = formatTimestamp(event.timestamp);
             const ecodeHtml = event.ecode ? `<span class="event-ecode" data-ecode="${event.ecode}">${event.ecode}</span> ` : '';
+            const ackHtml = event.acknowledgement ? `<span class="event-ack" data-event-index="${index}"></span>` : '';
             
             return `
                 <div class="event-item severity-${event.severity}">
@@ -2530,6 +10904,7 @@
                     <span class="event-severity-badge ${event.severity}">${event.severity.toUpperCase()}</span>
                     <div class="event-message-container">
                         <span class="event-message-text">${ecodeHtml}${event.message}</span>
+                        ${ackHtml}
                     </div>
                 </div>
             `;
@@ -2537,6 +10912,13 @@
         
         elements.eventLog.innerHTML = html;
         
+        // Operator names and comments are free text
+        elements.eventLog.querySelectorAll('.event-ack').forEach(el => {
+            const acknowledgement = filteredEvents[Number(el.dataset.eventIndex)].acknowledgement;
+            const comment = acknowledgement.comment ? `: ${acknowledgement.comment}` : '';
+            el.textContent = `ACK ${formatTimestamp(acknowledgement.at)} by ${acknowledgement.by}${comment}`;
+        });
+        
         // Add click handlers to E-codes
         elements.eventLog.querySelectorAll('.event-ecode').forEach(el => {
             el.addEventListener('click', (e) => {
@@ -2546,19 +10928,7 @@
         });
     }
 
-    /**
-     * Format timestamp
-     */
-    function formatTimestamp(date) {
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        const seconds = String(date.getSeconds()).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const year = date.getFullYear();
-        
-        return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-    }
+    const { formatTimestamp } = window.STATCOM.viewHelpers;
 
     /**
      * Show E-code modal
@@ -2624,6 +10994,7 @@
         elements.modalTitle.textContent = `${ecode} - ${definition.title}`;
         elements.modalBody.innerHTML = bodyHtml;
         elements.modal.classList.add('active');
+        currentEcode = ecode;
     }
 
     /**
@@ -2631,6 +11002,29 @@
      */
     function closeModal() {
         elements.modal.classList.remove('active');
+        currentEcode = null;
+    }
+
+    /**
+     * Acknowledge the E-code shown in the modal
+     * Asks for the operator and comment, then marks every logged event with that code.
+     */
+    function acknowledgeCurrentEcode() {
+        const ecode = currentEcode;
+        closeModal();
+        if (!ecode || !window.STATCOM.alarms) return;
+
+        window.STATCOM.alarms.promptAction({ action: 'acknowledge', title: `Acknowledge ${ecode}` })
+            .then(details => {
+                if (!details) return;
+                const acknowledgement = { by: details.by, comment: details.comment, at: new Date() };
+                events.forEach(event => {
+                    if (event.ecode === ecode && !event.acknowledgement) {
+                        event.acknowledgement = acknowledgement;
+                    }
+                });
+                renderEventLog();
+            });
     }
 
     /**
@@ -2703,14 +11097,6 @@
                 return;
             }
             
-            // Check if module data is available
-            if (!window.STATCOM || !window.STATCOM.getModuleData) {
-                if (retryCount < MAX_RETRIES) {
-                    setTimeout(attemptInit, 100);
-                }
-                return;
-            }
-            
             // Check if elements exist
             if (!document.getElementById('status-circle-cpu')) {
                 if (retryCount < MAX_RETRIES) {
@@ -2725,6 +11111,14 @@
         attemptInit();
     }
     
+    // Module data used to derive error states, kept current by the data source
+    window.STATCOM.dataSource.subscribe(function(newModuleData) {
+        moduleData = newModuleData;
+    });
+    
+    // System metric samples pushed by the gateway
+    window.STATCOM.live.on('metric', handleLiveMetric);
+    
     // Initialize
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', tryInit);
@@ -2742,6 +11136,280 @@
     });
 })();
 
+/**
+ * Device Files
+ * Browses controller files (event logs, config dumps) through the gateway's
+ * SFTP routes, with a text preview and save-to-disk
+ */
+(function() {
+    'use strict';
+
+    // Configuration constants
+    const FILES_PATH = '/api/files';
+    const CONTENT_PATH = '/api/files/content';
+    const DOWNLOAD_TIMEOUT_MS = 60000; // SFTP transfers can outlast the default request timeout
+    const MAX_PREVIEW_CHARS = 200000;
+    const STORAGE_KEY_FILES_PATH = 'statcom_device_files_path';
+
+    let elements = {};
+    let currentPath = localStorage.getItem(STORAGE_KEY_FILES_PATH) || '/';
+    let previewFile = null; // { path, name, blob }
+    let sessionConnected = null; // null until the first session state arrives
+    let requestGeneration = 0;
+
+    /**
+     * Initialize the Device Files card
+     */
+    function init() {
+        elements = {
+            list: document.getElementById('device-files-list'),
+            path: document.getElementById('device-files-path'),
+            error: document.getElementById('device-files-error'),
+            upBtn: document.getElementById('device-files-up-btn'),
+            refreshBtn: document.getElementById('device-files-refresh-btn'),
+            preview: document.getElementById('device-files-preview'),
+            previewName: document.getElementById('device-files-preview-name'),
+            previewContent: document.getElementById('device-files-preview-content'),
+            saveBtn: document.getElementById('device-files-save-btn'),
+            closeBtn: document.getElementById('device-files-close-btn')
+        };
+
+        if (!elements.list) return;
+
+        elements.upBtn.addEventListener('click', () => loadDirectory(getParentPath(currentPath)));
+        elements.refreshBtn.addEventListener('click', () => loadDirectory(currentPath));
+        elements.saveBtn.addEventListener('click', () => {
+            if (previewFile) saveBlob(previewFile.blob, previewFile.name);
+        });
+        elements.closeBtn.addEventListener('click', closePreview);
+
+        window.STATCOM.session.subscribe(handleSessionChange);
+    }
+
+    /**
+     * Load the listing when a session opens; clear it when the session ends
+     */
+    function handleSessionChange(state) {
+        const connected = state.status === 'connected';
+        if (connected === sessionConnected) return;
+        sessionConnected = connected;
+
+        if (connected) {
+            loadDirectory(currentPath);
+        } else {
+            requestGeneration++;
+            closePreview();
+            showError('');
+            showMessage('Connect to a STATCOM gateway to browse controller files.');
+        }
+    }
+
+    /**
+     * Read the error message from a gateway error response
+     */
+    function readErrorMessage(response) {
+        return response.json()
+            .then(body => body && body.error ? body.error : response.statusText)
+            .catch(() => response.statusText);
+    }
+
+    /**
+     * Request a gateway file route, turning error responses into Errors
+     */
+    function requestFiles(path, options = {}) {
+        return window.STATCOM.session.request(path, options).then(response => {
+            if (!response.ok) {
+                return readErrorMessage(response).then(message => {
+                    throw new Error(`Controller error (${response.status}): ${message}`);
+                });
+            }
+            return response;
+        });
+    }
+
+    /**
+     * List a controller directory
+     */
+    function loadDirectory(dirPath) {
+        const generation = ++requestGeneration;
+        showError('');
+        showMessage('Loading...');
+
+        return requestFiles(`${FILES_PATH}?path=${encodeURIComponent(dirPath)}`)
+            .then(response => response.json())
+            .then(body => {
+                if (generation !== requestGeneration) return;
+                currentPath = body.path;
+                localStorage.setItem(STORAGE_KEY_FILES_PATH, currentPath);
+                renderEntries(body.entries || []);
+            })
+            .catch(error => {
+                if (generation !== requestGeneration) return;
+                console.error('Device file listing failed:', error);
+                showError(error.message);
+                showMessage('');
+                // Fall back to the root if the remembered folder no longer exists
+                if (dirPath !== '/' && currentPath === dirPath) {
+                    currentPath = '/';
+                    localStorage.removeItem(STORAGE_KEY_FILES_PATH);
+                }
+            });
+    }
+
+    /**
+     * Download a file's content as a Blob
+     */
+    function fetchFile(entry) {
+        return requestFiles(`${CONTENT_PATH}?path=${encodeURIComponent(entry.path)}`, { timeoutMs: DOWNLOAD_TIMEOUT_MS })
+            .then(response => response.blob());
+    }
+
+    /**
+     * Show a file in the preview pane (text files only; binary files show their size)
+     */
+    function previewEntry(entry) {
+        showError('');
+        fetchFile(entry)
+            .then(blob => {
+                previewFile = { path: entry.path, name: entry.name, blob: blob };
+                elements.previewName.textContent = entry.path;
+                elements.preview.style.display = 'block';
+
+                if (!isTextType(blob.type)) {
+                    elements.previewContent.textContent = `Binary file (${formatSize(blob.size)}) - use Save to download it.`;
+                    return null;
+                }
+                return blob.text().then(text => {
+                    elements.previewContent.textContent = text.length > MAX_PREVIEW_CHARS
+                        ? `${text.slice(0, MAX_PREVIEW_CHARS)}\n\n... preview truncated, use Save for the full file`
+                        : text;
+                });
+            })
+            .catch(error => {
+                console.error('Device file preview failed:', error);
+                showError(error.message);
+            });
+    }
+
+    /**
+     * Download a file straight to disk
+     */
+    function saveEntry(entry) {
+        showError('');
+        fetchFile(entry)
+            .then(blob => saveBlob(blob, entry.name))
+            .catch(error => {
+                console.error('Device file download failed:', error);
+                showError(error.message);
+            });
+    }
+
+    const { saveBlob } = window.STATCOM.viewHelpers;
+    const formatTimestamp = date => window.STATCOM.viewHelpers.formatTimestamp(date, { seconds: false });
+
+    function closePreview() {
+        previewFile = null;
+        if (elements.preview) {
+            elements.preview.style.display = 'none';
+            elements.previewContent.textContent = '';
+        }
+    }
+
+    /**
+     * Render directory entries
+     * File names come from the controller, so they are set as text, never as HTML.
+     */
+    function renderEntries(entries) {
+        elements.path.textContent = currentPath;
+        elements.upBtn.disabled = currentPath === '/';
+        elements.list.innerHTML = '';
+
+        if (entries.length === 0) {
+            showMessage('This folder is empty.');
+            return;
+        }
+
+        entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = `device-file-row ${entry.type}`;
+
+            const name = document.createElement('span');
+            name.className = 'device-file-name';
+            name.textContent = entry.type === 'directory' ? `${entry.name}/` : entry.name;
+            name.title = entry.path;
+
+            const size = document.createElement('span');
+            size.className = 'device-file-size';
+            size.textContent = entry.type === 'directory' ? '' : formatSize(entry.size);
+
+            const modified = document.createElement('span');
+            modified.className = 'device-file-modified';
+            modified.textContent = entry.modified ? formatTimestamp(new Date(entry.modified)) : '';
+
+            const actions = document.createElement('div');
+            actions.className = 'device-file-actions';
+
+            if (entry.type === 'directory') {
+                name.addEventListener('click', () => loadDirectory(entry.path));
+            } else {
+                actions.appendChild(createActionButton('Preview', 'clear-btn', () => previewEntry(entry)));
+                actions.appendChild(createActionButton('Save', 'apply-btn', () => saveEntry(entry)));
+            }
+
+            row.append(name, size, modified, actions);
+            elements.list.appendChild(row);
+        });
+    }
+
+    function createActionButton(label, variant, onClick) {
+        const button = document.createElement('button');
+        button.className = `filter-btn ${variant}`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function showMessage(message) {
+        elements.path.textContent = currentPath;
+        elements.list.innerHTML = '';
+        if (message) {
+            const empty = document.createElement('div');
+            empty.className = 'device-files-empty';
+            empty.textContent = message;
+            elements.list.appendChild(empty);
+        }
+    }
+
+    function showError(message) {
+        elements.error.textContent = message;
+    }
+
+    function getParentPath(dirPath) {
+        const parent = dirPath.replace(/\/[^/]*$/, '');
+        return parent || '/';
+    }
+
+    function isTextType(type) {
+        return type.startsWith('text/') || type.startsWith('application/json');
+    }
+
+    /**
+     * Format a byte count (e.g. 1.5 KB)
+     */
+    function formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // Initialize
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
+
 /**
  * Connection Status Manager
  * Manages sidebar footer connection status and alarm badge
@@ -2751,6 +11419,7 @@
 
     // Constants
     const MAX_BADGE_COUNT = 99;
+    const BADGE_SEVERITIES = ['CRITICAL', 'WARNING', 'DEGRADED'];
     const REFRESH_ANIMATION_DURATION = 1000; // milliseconds
     const CONNECTION_CHECK_INTERVAL = 30000; // 30 seconds
 
@@ -2793,21 +11462,16 @@
     }
 
     /**
-     * Check connection status (polls backend)
-     * This is a placeholder - would normally make an API call
+     * Check connection status (verifies the gateway session)
+     * Skipped while the live channel is up - its heartbeats already prove the connection.
      */
     async function checkConnection() {
         try {
-            // Placeholder: In production, this would poll a backend endpoint
-            // For now, we'll check if we're connected based on localStorage
-            const ipAddress = localStorage.getItem('statcom_ip') || 'localhost';
-            const isConnected = localStorage.getItem('statcom_connected') === 'true';
-            
-            if (isConnected) {
-                updateConnectionStatus('connected', ipAddress);
-            } else {
-                updateConnectionStatus('disconnected', 'localhost');
+            const session = window.STATCOM.session.getState();
+            if (session.status === 'connected' && !window.STATCOM.live.isLive()) {
+                await window.STATCOM.session.verify();
             }
+            showSessionStatus(window.STATCOM.session.getState());
         } catch (error) {
             console.error('Failed to check connection:', error);
             updateConnectionStatus('disconnected', 'localhost');
@@ -2815,18 +11479,69 @@
     }
 
     /**
-     * Update alarm badge count
-     * @param {number} count - Number of active alarms
+     * Reflect session client state in the sidebar footer
+     * @param {Object} session - State from window.STATCOM.session
+     */
+    function showSessionStatus(session) {
+        if (session.status === 'connected') {
+            // Show whether updates are pushed live or polled
+            const liveState = window.STATCOM.live.getState().status;
+            const mode = liveState === 'live' ? 'live' : liveState === 'idle' ? '' : 'polling';
+            updateConnectionStatus('connected', mode ? `${session.host} (${mode})` : session.host);
+        } else if (session.status === 'connecting') {
+            updateConnectionStatus(session.status, session.host);
+        } else {
+            updateConnectionStatus('disconnected', session.host || 'localhost');
+        }
+    }
+
+    /**
+     * Format a badge count, capped at MAX_BADGE_COUNT
+     */
+    function formatBadgeCount(count) {
+        return count > MAX_BADGE_COUNT ? MAX_BADGE_COUNT + '+' : String(count);
+    }
+
+    /**
+     * Update alarm badge
+     * Shows one count per severity, coloured by the worst severity present.
+     * @param {Object|number} counts - Counts from window.STATCOM.alarms.subscribe, or a plain total
      */
-    function updateAlarmBadge(count) {
+    function updateAlarmBadge(counts) {
         const alarmBadge = document.getElementById('alarm-badge');
         
         if (!alarmBadge) {
             return;
         }
 
-        if (count > 0) {
-            alarmBadge.textContent = count > MAX_BADGE_COUNT ? MAX_BADGE_COUNT + '+' : count;
+        const summary = typeof counts === 'number'
+            ? { total: counts, unacknowledged: 0, bySeverity: {}, worstSeverity: null }
+            : counts;
+
+        if (summary.total > 0) {
+            const severities = BADGE_SEVERITIES.filter(severity => summary.bySeverity[severity] > 0);
+            alarmBadge.innerHTML = '';
+
+            if (severities.length === 0) {
+                alarmBadge.textContent = formatBadgeCount(summary.total);
+            }
+            severities.forEach(severity => {
+                const segment = document.createElement('span');
+                segment.className = `alarm-badge-segment ${severity.toLowerCase()}`;
+                segment.textContent = formatBadgeCount(summary.bySeverity[severity]);
+                alarmBadge.appendChild(segment);
+            });
+
+            const description = severities.length > 0
+                ? severities.map(severity => `${summary.bySeverity[severity]} ${severity.toLowerCase()}`).join(', ')
+                : `${summary.total}`;
+            const unacknowledged = summary.unacknowledged > 0 ? `, ${summary.unacknowledged} unacknowledged` : '';
+            alarmBadge.title = `Alarms: ${description}${unacknowledged}`;
+            alarmBadge.setAttribute('aria-label', alarmBadge.title);
+
+            alarmBadge.className = 'badge alarm-badge';
+            if (summary.worstSeverity) alarmBadge.classList.add(summary.worstSeverity.toLowerCase());
+            alarmBadge.classList.toggle('unacknowledged', summary.unacknowledged > 0);
             alarmBadge.style.display = 'inline-block';
         } else {
             alarmBadge.style.display = 'none';
@@ -2873,6 +11588,10 @@
         // Clear any existing interval
         cleanup();
 
+        // Follow session and live channel changes as they happen
+        window.STATCOM.session.subscribe(showSessionStatus);
+        window.STATCOM.live.on('state', () => showSessionStatus(window.STATCOM.session.getState()));
+        
         // Initial connection check
         checkConnection();
         
@@ -2885,9 +11604,8 @@
             refreshBtn.addEventListener('click', handleRefreshClick);
         }
         
-        // Initial alarm badge (check if there are active alarms)
-        // This would normally come from backend data
-        updateAlarmBadge(0);
+        // Alarm badge follows the alarm set tracked by the Alarms module
+        window.STATCOM.alarms.subscribe(updateAlarmBadge);
     }
 
     // Initialize when DOM is ready
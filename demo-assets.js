@@ -0,0 +1,45 @@
+/**
+ * Demonstration Assets
+ * Module asset metadata shown with the mock data source, and served by the
+ * gateway when it has no asset file: one batch of modules, a few replaced or
+ * on newer firmware
+ *
+ * In the browser it is window.STATCOM.demoAssets; under Node it is the
+ * module's exports.
+ */
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.STATCOM = root.STATCOM || {};
+        root.STATCOM.demoAssets = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    /**
+     * Demonstration records for a list of modules
+     * @param {Array<string>} moduleIds - Module IDs in topology order; the position picks the record
+     * @returns {Object} Module ID -> { serialNumber, model, hardwareRevision, firmware, installedAt, lastServicedAt }
+     */
+    function createDemoAssets(moduleIds) {
+        const assets = {};
+
+        moduleIds.forEach((moduleId, index) => {
+            const number = index + 1;
+            const replaced = number % 17 === 0;
+            assets[moduleId] = {
+                serialNumber: `HB12-${replaced ? '2309' : '2104'}-${String(1000 + number * 7).padStart(5, '0')}`,
+                model: 'HB-1200 H-bridge cell',
+                hardwareRevision: replaced ? 'D' : 'C',
+                firmware: replaced || number % 5 === 0 ? '3.2.1' : '3.1.4',
+                installedAt: replaced ? '2023-09-18' : '2021-04-26',
+                lastServicedAt: number % 2 === 0 ? '2025-03-11' : '2024-10-02'
+            };
+        });
+
+        return assets;
+    }
+
+    return { createDemoAssets: createDemoAssets };
+});
@@ -0,0 +1,227 @@
+/**
+ * Alarm History
+ * File-backed historian for the alarm transitions the gateway pushes on the
+ * live channel, served to the UI by GET /api/alarms.
+ *
+ * Records use the same shape and IDs as the UI's IndexedDB historian:
+ *   { id, moduleId, type, severity, activatedAt, clearedAt, acknowledgedAt,
+ *     acknowledgedBy, shelvedUntil, actions }
+ * with epoch-millisecond timestamps (null while not set). The ID is
+ * "<moduleId>:<type>:<activatedAt>", so the same alarm seen by the gateway
+ * and the browser merges into one record.
+ *
+ * `actions` is the operator log ({ action, at, by, comment, until }) posted by
+ * the UI; acknowledgedAt/By and shelvedUntil are derived from it. The record
+ * rules are shared with the UI through alarm-records.js.
+ *
+ * Uses Node.js built-in modules only.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+    ALARM_ACTIONS,
+    getAlarmId,
+    isInSummary,
+    canApplyAction,
+    replayActions
+} = require('../alarm-records');
+
+const DEFAULT_RETENTION_DAYS = 90;
+const SAVE_DELAY_MS = 2000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the historian
+ * @param {Object} options - { filePath, retentionDays }; without filePath records are kept in memory only
+ * @returns {Object} { record(transition), sync(moduleData, timestamp), query(filter), applyAction(ids, entry), prune(), close() }
+ */
+function createAlarmHistory(options = {}) {
+    const filePath = options.filePath || null;
+    const retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+    const records = new Map(); // id -> record
+    const activeIds = new Map(); // "moduleId:type" -> id of the open alarm
+    let saveTimer = null;
+
+    load();
+    prune();
+    const pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+
+    function load() {
+        if (!filePath || !fs.existsSync(filePath)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            (saved.alarms || []).forEach(record => {
+                records.set(record.id, record);
+                if (record.clearedAt === null) {
+                    activeIds.set(`${record.moduleId}:${record.type}`, record.id);
+                }
+            });
+        } catch (error) {
+            console.error(`Could not read alarm history from ${filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Write the file shortly after the last change, so bursts of transitions cost one write
+     */
+    function scheduleSave() {
+        if (!filePath || saveTimer) return;
+        saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    }
+
+    function save() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        if (!filePath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ alarms: [...records.values()] }));
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            console.error(`Could not write alarm history to ${filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Record an alarm transition from the live channel
+     * @param {Object} transition - { timestamp, moduleId, statusType, severity, state: 'raised' | 'cleared' }
+     */
+    function record(transition) {
+        const key = `${transition.moduleId}:${transition.statusType}`;
+        const time = new Date(transition.timestamp).getTime();
+        const openId = activeIds.get(key);
+
+        if (transition.state === 'raised') {
+            if (openId) {
+                records.get(openId).severity = transition.severity;
+            } else {
+                const id = getAlarmId(transition.moduleId, transition.statusType, time);
+                records.set(id, {
+                    id: id,
+                    moduleId: transition.moduleId,
+                    type: transition.statusType,
+                    severity: transition.severity,
+                    activatedAt: time,
+                    clearedAt: null,
+                    acknowledgedAt: null,
+                    acknowledgedBy: null,
+                    shelvedUntil: null,
+                    actions: []
+                });
+                activeIds.set(key, id);
+            }
+        } else if (transition.state === 'cleared' && openId) {
+            records.get(openId).clearedAt = time;
+            activeIds.delete(key);
+        }
+
+        scheduleSave();
+    }
+
+    /**
+     * Reconcile open alarms with a full module data snapshot
+     * Used at startup and on the first Modbus read, when no transitions were pushed.
+     */
+    function sync(moduleData, timestamp = new Date().toISOString()) {
+        activeIds.forEach(id => {
+            const alarm = records.get(id);
+            const statuses = moduleData[alarm.moduleId] || {};
+            if (!statuses[alarm.type] || statuses[alarm.type] === 'OK') {
+                record({ timestamp, moduleId: alarm.moduleId, statusType: alarm.type, severity: alarm.severity, state: 'cleared' });
+            }
+        });
+
+        Object.entries(moduleData).forEach(([moduleId, statuses]) => {
+            Object.entries(statuses).forEach(([statusType, value]) => {
+                if (value !== 'OK') {
+                    record({ timestamp, moduleId, statusType, severity: value, state: 'raised' });
+                }
+            });
+        });
+    }
+
+    /**
+     * Query records
+     * 'active' returns the alarm summary, matched on activation time; cleared
+     * alarms match on clear time.
+     * @param {Object} filter - { state: 'active' | 'cleared' | 'all', from, to, moduleId, severity }
+     * @returns {Array<Object>} Matching records
+     */
+    function query(filter = {}) {
+        const from = filter.from || 0;
+        const to = filter.to || Infinity;
+        const now = Date.now();
+
+        return [...records.values()].filter(alarm => {
+            const isActive = alarm.clearedAt === null;
+            if (filter.state === 'active' && !isInSummary(alarm, now)) return false;
+            if (filter.state === 'cleared' && isActive) return false;
+            if (filter.moduleId && alarm.moduleId !== filter.moduleId) return false;
+            if (filter.severity && alarm.severity !== filter.severity) return false;
+
+            const time = isActive || filter.state === 'active' ? alarm.activatedAt : alarm.clearedAt;
+            return time >= from && time <= to;
+        });
+    }
+
+    /**
+     * Add an operator action to alarms
+     * Alarms the action does not apply to are skipped, as are repeats of an action already logged.
+     * @param {Array<string>} ids - Alarm IDs
+     * @param {Object} entry - { action, at, by, comment, until } with epoch-ms times
+     * @returns {Array<Object>} Updated records
+     */
+    function applyAction(ids, entry) {
+        const updated = [];
+
+        ids.forEach(id => {
+            const alarm = records.get(id);
+            if (!alarm) return;
+
+            alarm.actions = alarm.actions || [];
+            if (alarm.actions.some(existing => existing.action === entry.action && existing.at === entry.at)) return;
+            if (!canApplyAction(alarm, entry.action, entry.at)) return;
+
+            alarm.actions.push({ ...entry });
+            replayActions(alarm);
+            updated.push(alarm);
+        });
+
+        if (updated.length > 0) scheduleSave();
+        return updated;
+    }
+
+    /**
+     * Drop cleared alarms older than the retention period (active alarms are always kept)
+     */
+    function prune() {
+        const cutoff = Date.now() - retentionDays * DAY_MS;
+        let removed = 0;
+
+        records.forEach((alarm, id) => {
+            if (alarm.clearedAt !== null && alarm.clearedAt < cutoff) {
+                records.delete(id);
+                removed++;
+            }
+        });
+
+        if (removed > 0) scheduleSave();
+        return removed;
+    }
+
+    function close() {
+        clearInterval(pruneTimer);
+        if (saveTimer) save();
+    }
+
+    return { record, sync, query, applyAction, prune, close };
+}
+
+module.exports = { createAlarmHistory, getAlarmId, isInSummary, ALARM_ACTIONS };
@@ -0,0 +1,222 @@
+/**
+ * Device Files
+ * Lists and downloads controller files (event logs, config dumps) for the
+ * gateway's /api/files routes.
+ *
+ * The SFTP source runs the statcom-sftp tool built from src/sftp_cli.cpp,
+ * which wraps the C++ SSHClient. Errors reported by the tool keep their code
+ * and message so the UI can show what the controller said.
+ *
+ * Without a controller attached the stub source serves a few demonstration files.
+ * Uses Node.js built-in modules only.
+ */
+
+'use strict';
+
+const path = require('path');
+const { execFile } = require('child_process');
+
+const DEFAULT_TOOL_PATH = path.join(__dirname, '..', 'build', 'statcom-sftp');
+const DEFAULT_SSH_PORT = 22;
+const TOOL_TIMEOUT_MS = 30000;
+const MAX_FILE_BYTES = 16 * 1024 * 1024;
+
+/**
+ * HTTP status for each error code reported by the SFTP tool
+ */
+const ERROR_STATUS = {
+    usage: 400,
+    not_found: 404,
+    permission: 403,
+    connect: 502,
+    handshake: 502,
+    auth: 502,
+    sftp: 502,
+    read: 502,
+    timeout: 504,
+    too_large: 413
+};
+
+/**
+ * Create an Error tagged with an SFTP error code and the matching HTTP status
+ */
+function createFileError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = ERROR_STATUS[code] || 500;
+    return error;
+}
+
+/**
+ * Normalize a remote path; only absolute paths without '..' segments are accepted
+ */
+function normalizeRemotePath(remotePath) {
+    const value = String(remotePath || '/');
+    if (!value.startsWith('/') || value.includes('\0') || value.split('/').includes('..')) {
+        throw createFileError('usage', `Invalid remote path: ${value}`);
+    }
+    const normalized = path.posix.normalize(value);
+    return normalized.length > 1 ? normalized.replace(/\/$/, '') : normalized;
+}
+
+// ============================================================================
+// SFTP SOURCE
+// ============================================================================
+
+/**
+ * Parse the "ERROR <code> <message>" line written by the tool
+ */
+function parseToolError(stderr) {
+    const lines = String(stderr).split('\n').filter(line => line.startsWith('ERROR '));
+    const match = lines.length > 0 && lines[lines.length - 1].match(/^ERROR (\S+) (.*)$/);
+    return match ? createFileError(match[1], match[2]) : null;
+}
+
+/**
+ * Parse `list` output: <d|f>\t<size>\t<mtime>\t<name> per line
+ */
+function parseListing(dirPath, stdout) {
+    return stdout.split('\n')
+        .filter(line => line.length > 0)
+        .map(line => {
+            const [type, size, mtime, ...nameParts] = line.split('\t');
+            const name = nameParts.join('\t');
+            return {
+                name: name,
+                path: path.posix.join(dirPath, name),
+                type: type === 'd' ? 'directory' : 'file',
+                size: Number(size) || 0,
+                modified: Number(mtime) > 0 ? new Date(Number(mtime) * 1000).toISOString() : null
+            };
+        });
+}
+
+/**
+ * Create a file source backed by the statcom-sftp tool
+ * @param {Object} options - { host, port, username, password, toolPath }
+ * @returns {Object} { list(dirPath), read(filePath) }
+ */
+function createSftpFileSource(options) {
+    const toolPath = options.toolPath || DEFAULT_TOOL_PATH;
+    const env = {
+        ...process.env,
+        STATCOM_SSH_HOST: options.host,
+        STATCOM_SSH_PORT: String(options.port || DEFAULT_SSH_PORT),
+        STATCOM_SSH_USER: options.username,
+        STATCOM_SSH_PASSWORD: options.password || ''
+    };
+
+    function runTool(command, remotePath, encoding) {
+        return new Promise((resolve, reject) => {
+            execFile(toolPath, [command, remotePath], {
+                env: env,
+                encoding: encoding,
+                timeout: TOOL_TIMEOUT_MS,
+                maxBuffer: MAX_FILE_BYTES
+            }, (error, stdout, stderr) => {
+                if (!error) {
+                    resolve(stdout);
+                    return;
+                }
+                if (error.code === 'ENOENT') {
+                    reject(createFileError('sftp', `SFTP tool not found at ${toolPath}; build it from src/sftp_cli.cpp`));
+                } else if (error.killed) {
+                    reject(createFileError('timeout', `SFTP ${command} timed out after ${TOOL_TIMEOUT_MS / 1000}s`));
+                } else if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+                    reject(createFileError('too_large', `File is larger than ${MAX_FILE_BYTES / (1024 * 1024)} MB`));
+                } else {
+                    reject(parseToolError(stderr) || createFileError('sftp', error.message));
+                }
+            });
+        });
+    }
+
+    return {
+        list(dirPath) {
+            const remotePath = normalizeRemotePath(dirPath);
+            return runTool('list', remotePath, 'utf8').then(stdout => parseListing(remotePath, stdout));
+        },
+        read(filePath) {
+            return runTool('get', normalizeRemotePath(filePath), 'buffer');
+        }
+    };
+}
+
+// ============================================================================
+// STUB SOURCE
+// ============================================================================
+
+/**
+ * Demonstration files shaped like the controller's logs and config dumps
+ */
+function createStubFiles() {
+    const now = Date.now();
+    const stamp = offsetMinutes => new Date(now - offsetMinutes * 60000).toISOString();
+
+    return {
+        '/logs/event.log': [
+            `${stamp(180)} INFO  Controller started, firmware 4.2.1`,
+            `${stamp(175)} INFO  64 modules online`,
+            `${stamp(95)} WARN  M012 Fan Fail`,
+            `${stamp(42)} ERROR M007 Overtemp 78.4 C`,
+            `${stamp(12)} INFO  M035 Self Test degraded, retry scheduled`
+        ].join('\n') + '\n',
+        '/logs/fault.log': [
+            `${stamp(42)} M007 OVERTEMP trip=75.0 value=78.4`,
+            `${stamp(95)} M012 FAN_FAIL rpm=0`
+        ].join('\n') + '\n',
+        '/config/statcom.cfg': [
+            '[system]',
+            'name = STATCOM-001',
+            'rated_voltage_kv = 11',
+            'modules = 64',
+            '',
+            '[protection]',
+            'overtemp_trip_c = 75.0',
+            'vdc_max_v = 1100'
+        ].join('\n') + '\n'
+    };
+}
+
+/**
+ * Create a file source serving demonstration files
+ * @returns {Object} { list(dirPath), read(filePath) }
+ */
+function createStubFileSource() {
+    const files = createStubFiles();
+    const modified = new Date().toISOString();
+
+    return {
+        list(dirPath) {
+            const remotePath = normalizeRemotePath(dirPath);
+            const prefix = remotePath === '/' ? '/' : `${remotePath}/`;
+            const entries = new Map();
+
+            Object.entries(files).forEach(([filePath, content]) => {
+                if (!filePath.startsWith(prefix)) return;
+                const [name, ...rest] = filePath.slice(prefix.length).split('/');
+                entries.set(name, {
+                    name: name,
+                    path: prefix + name,
+                    type: rest.length > 0 ? 'directory' : 'file',
+                    size: rest.length > 0 ? 0 : Buffer.byteLength(content),
+                    modified: modified
+                });
+            });
+
+            if (entries.size === 0) {
+                return Promise.reject(createFileError('not_found', `Failed to open directory: ${remotePath}`));
+            }
+            return Promise.resolve([...entries.values()]);
+        },
+        read(filePath) {
+            const remotePath = normalizeRemotePath(filePath);
+            if (!(remotePath in files)) {
+                return Promise.reject(createFileError('not_found', `Failed to open file: ${remotePath}`));
+            }
+            return Promise.resolve(Buffer.from(files[remotePath]));
+        }
+    };
+}
+
+module.exports = { createSftpFileSource, createStubFileSource, normalizeRemotePath, parseToolError, parseListing };
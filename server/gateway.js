@@ -0,0 +1,750 @@
+#!/usr/bin/env node
+/**
+ * STATCOM Local Gateway
+ * HTTP API between the web UI and the STATCOM controller.
+ *
+ * Without a controller attached it runs as a stub server with demonstration
+ * module data, which is what the UI's session client is tested against:
+ *
+ *   node server/gateway.js --port 8080 --password statcom
+ *
+ * With --modbus it reads module data from the controller over Modbus/TCP
+ * using the register map (see register-map.json):
+ *
+ *   node server/gateway.js --modbus 192.168.1.100:502
+ *
+ * With --ssh it serves controller files over SFTP through the statcom-sftp
+ * tool built from src/sftp_cli.cpp (password in STATCOM_SSH_PASSWORD):
+ *
+ *   node server/gateway.js --ssh 192.168.1.100:22 --ssh-user admin
+ *
+ * Uses Node.js built-in modules only.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const websocket = require('./websocket');
+const registerMap = require('./register-map');
+const { startModbusPolling } = require('./modbus-poller');
+const deviceFiles = require('./device-files');
+const { createAlarmHistory, ALARM_ACTIONS } = require('./alarm-history');
+const { createDemoAssets } = require('../demo-assets');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_PASSWORD = 'statcom';
+const DEFAULT_REGISTER_MAP = path.join(__dirname, 'register-map.json');
+const DEFAULT_MODBUS_PORT = 502;
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000; // 8 hours
+const MAX_BODY_BYTES = 64 * 1024;
+const LIVE_PATH = '/api/live';
+const LIVE_HEARTBEAT_INTERVAL_MS = 15000;
+const STUB_METRIC_INTERVAL_MS = 5000;
+const STUB_STATUS_CHANGE_INTERVAL_MS = 20000;
+
+/**
+ * Parse --name value pairs from the command line, falling back to environment variables
+ */
+function parseOptions(argv) {
+    const options = {
+        port: parseInt(process.env.STATCOM_GATEWAY_PORT, 10) || DEFAULT_PORT,
+        password: process.env.STATCOM_GATEWAY_PASSWORD || DEFAULT_PASSWORD,
+        modbus: process.env.STATCOM_MODBUS || null,
+        registerMap: DEFAULT_REGISTER_MAP,
+        modbusPollMs: undefined,
+        ssh: process.env.STATCOM_SSH || null,
+        sshUser: process.env.STATCOM_SSH_USER || 'admin',
+        sshPassword: process.env.STATCOM_SSH_PASSWORD || '',
+        sftpTool: undefined,
+        historyFile: process.env.STATCOM_ALARM_HISTORY || null,
+        historyRetentionDays: undefined,
+        assets: process.env.STATCOM_ASSETS || null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        switch (arg) {
+            case '--port':
+                options.port = parseInt(value, 10);
+                i++;
+                break;
+            case '--password':
+                options.password = value;
+                i++;
+                break;
+            case '--modbus':
+                options.modbus = value;
+                i++;
+                break;
+            case '--register-map':
+                options.registerMap = value;
+                i++;
+                break;
+            case '--modbus-poll-ms':
+                options.modbusPollMs = parseInt(value, 10);
+                i++;
+                break;
+            case '--ssh':
+                options.ssh = value;
+                i++;
+                break;
+            case '--ssh-user':
+                options.sshUser = value;
+                i++;
+                break;
+            case '--sftp-tool':
+                options.sftpTool = value;
+                i++;
+                break;
+            case '--history-file':
+                options.historyFile = value;
+                i++;
+                break;
+            case '--history-retention-days':
+                options.historyRetentionDays = parseInt(value, 10);
+                i++;
+                break;
+            case '--assets':
+                options.assets = value;
+                i++;
+                break;
+            default:
+                console.warn(`Ignoring unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+const sessions = new Map(); // token -> { createdAt, expiresAt }
+
+/**
+ * Create a session and return its token
+ */
+function createSession() {
+    const token = crypto.randomBytes(24).toString('hex');
+    const now = Date.now();
+    sessions.set(token, { createdAt: now, expiresAt: now + SESSION_TTL_MS });
+    return token;
+}
+
+/**
+ * Look up the session for a request's Bearer token
+ * @returns {Object|null} Session record, or null when missing or expired
+ */
+function getSession(req) {
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? getSessionByToken(match[1]) : null;
+}
+
+/**
+ * Look up a session by token
+ * Browsers cannot set headers on a WebSocket, so the live channel passes the token in the query string.
+ */
+function getSessionByToken(token) {
+    const session = sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt < Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+    return { token: token, ...session };
+}
+
+/**
+ * Constant-time password comparison
+ */
+function passwordMatches(candidate, expected) {
+    const a = Buffer.from(String(candidate));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ============================================================================
+// STUB DEVICE DATA
+// ============================================================================
+
+const STATUS_TYPES = [
+    'Gating OK', 'Overtemp', 'Comm Lost', 'Power Supply Error',
+    'Fan Fail', 'Vdc Fault', 'Sync Fault', 'Interlock',
+    'Voltage Level', 'Current Level', 'Thermal Status', 'Self Test'
+];
+const TOTAL_MODULES = 64;
+
+/**
+ * Demonstration module statuses: all OK except a few fixed faults
+ */
+function createStubModuleData() {
+    const faults = { M007: { 'Overtemp': 'CRITICAL' }, M012: { 'Fan Fail': 'WARNING' }, M035: { 'Self Test': 'DEGRADED' } };
+    const moduleData = {};
+
+    for (let i = 1; i <= TOTAL_MODULES; i++) {
+        const moduleId = `M${String(i).padStart(3, '0')}`;
+        const statuses = {};
+        STATUS_TYPES.forEach(statusType => {
+            statuses[statusType] = (faults[moduleId] && faults[moduleId][statusType]) || 'OK';
+        });
+        moduleData[moduleId] = statuses;
+    }
+
+    return moduleData;
+}
+
+/**
+ * Demonstration asset metadata, the same records the UI shows with its mock data source
+ */
+function createStubAssets() {
+    const moduleIds = [];
+    for (let i = 1; i <= TOTAL_MODULES; i++) {
+        moduleIds.push(`M${String(i).padStart(3, '0')}`);
+    }
+    return createDemoAssets(moduleIds);
+}
+
+/**
+ * Read asset metadata from a JSON file ({ "M001": { "serialNumber": ... }, ... }),
+ * or use the demonstration assets when no file is given
+ */
+function loadAssets(filePath) {
+    if (!filePath) return createStubAssets();
+
+    const assets = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!assets || typeof assets !== 'object' || Array.isArray(assets)) {
+        throw new Error(`${filePath}: expected an object keyed by module ID`);
+    }
+    return assets;
+}
+
+const SEVERITIES = ['CRITICAL', 'WARNING', 'DEGRADED'];
+const METRIC_BASELINES = {
+    voltage: { base: 11.0, variance: 0.1, faultOffset: 0.5, statusType: 'Voltage Level' },
+    current: { base: 150, variance: 5, faultOffset: 30, statusType: 'Current Level' },
+    temperature: { base: 45, variance: 2, faultOffset: 25, statusType: 'Thermal Status' },
+    powerFactor: { base: 0.95, variance: 0.02, faultOffset: -0.15, statusType: 'Voltage Level' }
+};
+
+/**
+ * Produce a metric sample for a module, shifted towards the limit when the related status is faulted
+ */
+function sampleModuleMetrics(statuses) {
+    const values = {};
+    Object.entries(METRIC_BASELINES).forEach(([metric, config]) => {
+        const faulted = statuses[config.statusType] && statuses[config.statusType] !== 'OK';
+        const value = config.base + (faulted ? config.faultOffset : 0) + (Math.random() - 0.5) * config.variance;
+        values[metric] = metric === 'powerFactor' ? Math.round(value * 100) / 100 : Math.round(value * 10) / 10;
+    });
+    return values;
+}
+
+/**
+ * Produce a sample of the controller's own health metrics
+ */
+function sampleSystemMetrics(moduleData) {
+    const faultedModules = Object.values(moduleData)
+        .filter(statuses => Object.values(statuses).some(value => value !== 'OK')).length;
+    return {
+        cpu: Math.round(Math.min(95, 20 + faultedModules * 5 + Math.random() * 15)),
+        memory: Math.round((1.5 + faultedModules * 0.15 + Math.random() * 0.5) * 100) / 100,
+        temperature: Math.round(35 + faultedModules * 3 + Math.random() * 10),
+        communication: 'Online'
+    };
+}
+
+/**
+ * Drive the stub device: periodic metric samples and occasional status changes
+ * @param {Object} state - Gateway state holding moduleData
+ * @param {Function} broadcast - Sends a message object to all live clients
+ * @returns {Function} Stops the simulation
+ */
+function startStubSimulation(state, broadcast) {
+    const metricTimer = setInterval(() => {
+        const timestamp = new Date().toISOString();
+        broadcast({ type: 'metric', timestamp, source: 'system', values: sampleSystemMetrics(state.moduleData) });
+        Object.entries(state.moduleData).forEach(([moduleId, statuses]) => {
+            broadcast({ type: 'metric', timestamp, source: moduleId, values: sampleModuleMetrics(statuses) });
+        });
+    }, STUB_METRIC_INTERVAL_MS);
+
+    const statusTimer = setInterval(() => {
+        const moduleIds = Object.keys(state.moduleData);
+        const moduleId = moduleIds[Math.floor(Math.random() * moduleIds.length)];
+        const statusType = STATUS_TYPES[Math.floor(Math.random() * STATUS_TYPES.length)];
+        const previous = state.moduleData[moduleId][statusType];
+        const next = previous === 'OK' ? SEVERITIES[Math.floor(Math.random() * SEVERITIES.length)] : 'OK';
+
+        setModuleStatus(state, broadcast, moduleId, statusType, next);
+    }, STUB_STATUS_CHANGE_INTERVAL_MS);
+
+    return () => {
+        clearInterval(metricTimer);
+        clearInterval(statusTimer);
+    };
+}
+
+/**
+ * Change one status indicator and push the alarm transition and status change
+ * The alarm message goes first so clients can stamp the alarm with the device time.
+ */
+function setModuleStatus(state, broadcast, moduleId, statusType, value) {
+    const previous = state.moduleData[moduleId][statusType];
+    if (previous === value) return;
+
+    const timestamp = new Date().toISOString();
+    state.moduleData[moduleId][statusType] = value;
+
+    broadcast({
+        type: 'alarm',
+        timestamp,
+        moduleId,
+        statusType,
+        severity: value === 'OK' ? previous : value,
+        state: value === 'OK' ? 'cleared' : 'raised'
+    });
+    broadcast({ type: 'module-status', timestamp, moduleId, statuses: { [statusType]: value } });
+}
+
+/**
+ * Read module data from the controller over Modbus/TCP
+ * Status changes are pushed like the stub's, and metric samples are pushed on every poll.
+ * @returns {Function} Stops polling
+ */
+function startModbusSource(options, state, broadcast) {
+    const [host, portText] = options.modbus.split(':');
+    const map = registerMap.loadRegisterMap(options.registerMap);
+    state.device.mode = 'modbus';
+    state.device.modbus = { host, port: parseInt(portText, 10) || DEFAULT_MODBUS_PORT, status: 'connecting', error: null };
+
+    return startModbusPolling({
+        host: host,
+        port: state.device.modbus.port,
+        map: map,
+        pollIntervalMs: options.modbusPollMs
+    }, {
+        onData({ moduleData, metrics }) {
+            const firstRead = Object.keys(state.moduleData).length === 0;
+            state.device.modbus.status = 'connected';
+            state.device.modbus.error = null;
+
+            if (firstRead) {
+                state.moduleData = moduleData;
+                broadcast({ type: 'snapshot', timestamp: new Date().toISOString(), modules: moduleData });
+            } else {
+                Object.entries(moduleData).forEach(([moduleId, statuses]) => {
+                    Object.entries(statuses).forEach(([statusType, value]) => {
+                        setModuleStatus(state, broadcast, moduleId, statusType, value);
+                    });
+                });
+            }
+
+            const timestamp = new Date().toISOString();
+            Object.entries(metrics).forEach(([moduleId, values]) => {
+                broadcast({ type: 'metric', timestamp, source: moduleId, values });
+            });
+        },
+        onError(error) {
+            if (state.device.modbus.error !== error.message) {
+                console.error('Modbus read failed:', error.message);
+            }
+            state.device.modbus.status = 'error';
+            state.device.modbus.error = error.message;
+        }
+    });
+}
+
+// ============================================================================
+// LIVE CHANNEL
+// ============================================================================
+
+/**
+ * Create the live-update channel served over WebSocket at LIVE_PATH
+ *
+ * Message schema (server to client, JSON text frames):
+ *   { type: 'snapshot', timestamp, modules }                         - on connect
+ *   { type: 'module-status', timestamp, moduleId, statuses }        - changed indicators only
+ *   { type: 'metric', timestamp, source, values }                   - source is a module ID or 'system'
+ *   { type: 'alarm', timestamp, moduleId, statusType, severity, state } - state is 'raised' or 'cleared'
+ *   { type: 'heartbeat', timestamp }
+ */
+function createLiveChannel(state) {
+    const clients = new Set();
+
+    const heartbeatTimer = setInterval(() => {
+        broadcast({ type: 'heartbeat', timestamp: new Date().toISOString() });
+    }, LIVE_HEARTBEAT_INTERVAL_MS);
+
+    function broadcast(message) {
+        const text = JSON.stringify(message);
+        clients.forEach(client => client.send(text));
+    }
+
+    function handleUpgrade(req, socket) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== LIVE_PATH) {
+            websocket.rejectUpgrade(socket, 404, 'Not Found');
+            return;
+        }
+        if (!getSessionByToken(url.searchParams.get('token'))) {
+            websocket.rejectUpgrade(socket, 401, 'Unauthorized');
+            return;
+        }
+
+        const client = websocket.acceptUpgrade(req, socket);
+        if (!client) return;
+
+        clients.add(client);
+        client.onClose = () => clients.delete(client);
+        client.send(JSON.stringify({ type: 'snapshot', timestamp: new Date().toISOString(), modules: state.moduleData }));
+    }
+
+    function close() {
+        clearInterval(heartbeatTimer);
+        clients.forEach(client => client.close(1001, 'Gateway shutting down'));
+    }
+
+    return { broadcast, handleUpgrade, close };
+}
+
+// ============================================================================
+// HTTP HELPERS
+// ============================================================================
+
+/**
+ * Send a JSON response with CORS headers
+ */
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        ...corsHeaders()
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Send a { error } JSON response
+ */
+function sendError(res, statusCode, message) {
+    sendJson(res, statusCode, { error: message });
+}
+
+/**
+ * The UI may be served from another origin (or opened from file://)
+ */
+function corsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Expose-Headers': 'Content-Disposition'
+    };
+}
+
+/**
+ * Send a file download; text files are sent as text so the UI can preview them
+ */
+function sendFile(res, fileName, content) {
+    const textTypes = { '.log': 'text/plain', '.txt': 'text/plain', '.cfg': 'text/plain', '.ini': 'text/plain', '.csv': 'text/csv', '.json': 'application/json' };
+    const contentType = textTypes[path.extname(fileName).toLowerCase()];
+
+    res.writeHead(200, {
+        'Content-Type': contentType ? `${contentType}; charset=utf-8` : 'application/octet-stream',
+        'Content-Length': content.length,
+        'Content-Disposition': `attachment; filename="${fileName.replace(/["\\]/g, '_')}"`,
+        'Cache-Control': 'no-store',
+        ...corsHeaders()
+    });
+    res.end(content);
+}
+
+/**
+ * Read and parse a JSON request body
+ * Every route expects an object, so null, arrays and other values are rejected with a 400.
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) {
+                resolve({});
+                return;
+            }
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { statusCode: 400 }));
+                return;
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                reject(Object.assign(new Error('Request body must be a JSON object'), { statusCode: 400 }));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Read a query string parameter
+ */
+function getQueryParam(req, name) {
+    return new URL(req.url, 'http://localhost').searchParams.get(name);
+}
+
+/**
+ * Parse a time query parameter given as epoch milliseconds or an ISO string
+ */
+function parseTimeParam(value) {
+    if (!value) return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (isNaN(time)) {
+        throw Object.assign(new Error(`Invalid time: ${value}`), { statusCode: 400 });
+    }
+    return time;
+}
+
+/**
+ * Create the source for /api/files: SFTP when --ssh is given, demonstration files otherwise
+ */
+function createFileSource(options, state) {
+    if (!options.ssh) {
+        state.device.files = { mode: 'stub' };
+        return deviceFiles.createStubFileSource();
+    }
+
+    const [host, portText] = options.ssh.split(':');
+    state.device.files = { mode: 'sftp', host: host };
+    return deviceFiles.createSftpFileSource({
+        host: host,
+        port: parseInt(portText, 10) || undefined,
+        username: options.sshUser,
+        password: options.sshPassword,
+        toolPath: options.sftpTool
+    });
+}
+
+/**
+ * Build the route table
+ * Each handler receives (req, res, context) and may return a Promise.
+ * Routes marked `auth: true` require a valid session token.
+ */
+function createRoutes(options, state, fileSource, alarmHistory) {
+    return {
+        'POST /api/session': {
+            handler: async (req, res) => {
+                const body = await readJsonBody(req);
+                if (!body.password) {
+                    sendError(res, 400, 'Password is required');
+                    return;
+                }
+                if (!passwordMatches(body.password, options.password)) {
+                    sendError(res, 401, 'Invalid password');
+                    return;
+                }
+                const token = createSession();
+                sendJson(res, 201, {
+                    token: token,
+                    expiresAt: new Date(sessions.get(token).expiresAt).toISOString(),
+                    device: state.device
+                });
+            }
+        },
+        'GET /api/session': {
+            auth: true,
+            handler: (req, res, context) => {
+                sendJson(res, 200, {
+                    expiresAt: new Date(context.session.expiresAt).toISOString(),
+                    device: state.device
+                });
+            }
+        },
+        'DELETE /api/session': {
+            auth: true,
+            handler: (req, res, context) => {
+                sessions.delete(context.session.token);
+                sendJson(res, 204);
+            }
+        },
+        'GET /api/modules': {
+            auth: true,
+            handler: (req, res) => {
+                sendJson(res, 200, { timestamp: new Date().toISOString(), modules: state.moduleData });
+            }
+        },
+        'GET /api/assets': {
+            auth: true,
+            handler: (req, res) => {
+                sendJson(res, 200, { assets: state.assets });
+            }
+        },
+        'GET /api/alarms': {
+            auth: true,
+            handler: (req, res) => {
+                const alarms = alarmHistory.query({
+                    state: getQueryParam(req, 'state') || 'all',
+                    from: parseTimeParam(getQueryParam(req, 'from')),
+                    to: parseTimeParam(getQueryParam(req, 'to')),
+                    moduleId: getQueryParam(req, 'moduleId'),
+                    severity: getQueryParam(req, 'severity')
+                });
+                sendJson(res, 200, { alarms: alarms });
+            }
+        },
+        'POST /api/alarms/actions': {
+            auth: true,
+            handler: async (req, res) => {
+                const body = await readJsonBody(req);
+                if (!Array.isArray(body.ids) || !ALARM_ACTIONS.includes(body.action)) {
+                    sendError(res, 400, `ids and an action (${ALARM_ACTIONS.join(', ')}) are required`);
+                    return;
+                }
+                if (body.action === 'shelve' && !parseTimeParam(body.until)) {
+                    sendError(res, 400, 'Shelving needs an until time');
+                    return;
+                }
+                const alarms = alarmHistory.applyAction(body.ids.map(String), {
+                    action: body.action,
+                    at: parseTimeParam(body.at) || Date.now(),
+                    by: body.by ? String(body.by) : null,
+                    comment: body.comment ? String(body.comment) : '',
+                    ...(body.action === 'shelve' ? { until: parseTimeParam(body.until) } : {})
+                });
+                sendJson(res, 200, { alarms: alarms });
+            }
+        },
+        'GET /api/files': {
+            auth: true,
+            handler: async (req, res) => {
+                const dirPath = deviceFiles.normalizeRemotePath(getQueryParam(req, 'path') || '/');
+                const entries = await fileSource.list(dirPath);
+                entries.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+                sendJson(res, 200, { path: dirPath, entries: entries });
+            }
+        },
+        'GET /api/files/content': {
+            auth: true,
+            handler: async (req, res) => {
+                const filePath = deviceFiles.normalizeRemotePath(getQueryParam(req, 'path'));
+                const content = await fileSource.read(filePath);
+                sendFile(res, path.posix.basename(filePath), content);
+            }
+        }
+    };
+}
+
+/**
+ * Create the gateway HTTP server
+ */
+function createGateway(options) {
+    const state = {
+        device: { name: 'STATCOM-001', mode: 'stub' },
+        moduleData: options.modbus ? {} : createStubModuleData(),
+        assets: loadAssets(options.assets)
+    };
+    const fileSource = createFileSource(options, state);
+    const alarmHistory = createAlarmHistory({ filePath: options.historyFile, retentionDays: options.historyRetentionDays });
+    const routes = createRoutes(options, state, fileSource, alarmHistory);
+    const liveChannel = createLiveChannel(state);
+
+    // Alarm transitions are recorded before they are pushed to clients
+    const broadcast = message => {
+        if (message.type === 'alarm') alarmHistory.record(message);
+        if (message.type === 'snapshot') alarmHistory.sync(message.modules, message.timestamp);
+        liveChannel.broadcast(message);
+    };
+    alarmHistory.sync(state.moduleData);
+    const stopDeviceSource = options.modbus
+        ? startModbusSource(options, state, broadcast)
+        : startStubSimulation(state, broadcast);
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders());
+            res.end();
+            return;
+        }
+
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        const route = routes[`${req.method} ${pathname}`];
+        if (!route) {
+            sendError(res, 404, `No route for ${req.method} ${pathname}`);
+            return;
+        }
+
+        const context = {};
+        if (route.auth) {
+            context.session = getSession(req);
+            if (!context.session) {
+                sendError(res, 401, 'Session expired or invalid');
+                return;
+            }
+        }
+
+        Promise.resolve()
+            .then(() => route.handler(req, res, context))
+            .catch(error => {
+                console.error(`${req.method} ${pathname} failed:`, error.message);
+                if (!res.headersSent) {
+                    sendError(res, error.statusCode || 500, error.message);
+                }
+            });
+    });
+
+    server.on('upgrade', liveChannel.handleUpgrade);
+    server.on('close', () => {
+        stopDeviceSource();
+        liveChannel.close();
+        alarmHistory.close();
+    });
+
+    return server;
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+if (require.main === module) {
+    const options = parseOptions(process.argv.slice(2));
+    const server = createGateway(options);
+
+    server.listen(options.port, () => {
+        console.log(`STATCOM gateway listening on http://localhost:${options.port}`);
+    });
+
+    process.on('SIGINT', () => {
+        server.close(() => process.exit(0));
+    });
+}
+
+module.exports = { createGateway, parseOptions };
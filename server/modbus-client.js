@@ -0,0 +1,285 @@
+/**
+ * Modbus/TCP Client
+ * Reads coils, discrete inputs, holding and input registers over Modbus/TCP.
+ * Uses Node.js built-in modules only.
+ */
+
+'use strict';
+
+const net = require('net');
+
+// ============================================================================
+// PROTOCOL CONSTANTS
+// ============================================================================
+
+const MBAP_HEADER_BYTES = 7;
+const MIN_RESPONSE_BYTES = MBAP_HEADER_BYTES + 2; // function code + byte count or exception code
+const PROTOCOL_ID = 0;
+const DEFAULT_TIMEOUT_MS = 3000;
+
+/**
+ * Function codes by table name
+ */
+const FUNCTION_CODES = {
+    coil: 0x01,
+    discrete: 0x02,
+    holding: 0x03,
+    input: 0x04
+};
+
+/**
+ * Maximum quantity per read request (Modbus application protocol spec)
+ */
+const MAX_READ_QUANTITY = {
+    coil: 2000,
+    discrete: 2000,
+    holding: 125,
+    input: 125
+};
+
+/**
+ * Exception codes returned by the server
+ */
+const EXCEPTION_MESSAGES = {
+    0x01: 'Illegal function',
+    0x02: 'Illegal data address',
+    0x03: 'Illegal data value',
+    0x04: 'Server device failure',
+    0x05: 'Acknowledge',
+    0x06: 'Server device busy',
+    0x0A: 'Gateway path unavailable',
+    0x0B: 'Gateway target device failed to respond'
+};
+
+/**
+ * Create an Error tagged with a Modbus exception code
+ */
+function createModbusError(message, exceptionCode) {
+    const error = new Error(message);
+    if (exceptionCode !== undefined) {
+        error.exceptionCode = exceptionCode;
+    }
+    return error;
+}
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+/**
+ * Create a Modbus/TCP client
+ * @param {Object} options - { host, port, unitId, timeoutMs }
+ * @returns {Object} { connect(), close(), read(table, address, quantity), isConnected() }
+ */
+function createModbusClient(options) {
+    const host = options.host;
+    const port = options.port || 502;
+    const unitId = options.unitId === undefined ? 1 : options.unitId;
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    let socket = null;
+    let connected = false;
+    let nextTransactionId = 1;
+    let pending = new Map(); // transactionId -> { resolve, reject, timer, table, quantity }
+    let receiveBuffer = Buffer.alloc(0);
+
+    /**
+     * Open the TCP connection
+     * @returns {Promise<void>}
+     */
+    function connect() {
+        if (connected) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            socket = net.createConnection({ host, port });
+            socket.setNoDelay(true);
+
+            const connectTimer = setTimeout(() => {
+                socket.destroy();
+                reject(createModbusError(`Timed out connecting to ${host}:${port}`));
+            }, timeoutMs);
+
+            socket.once('connect', () => {
+                clearTimeout(connectTimer);
+                connected = true;
+                resolve();
+            });
+            socket.on('data', handleData);
+            socket.on('error', error => {
+                clearTimeout(connectTimer);
+                if (!connected) {
+                    reject(createModbusError(`Cannot connect to ${host}:${port}: ${error.message}`));
+                }
+            });
+            socket.on('close', () => {
+                connected = false;
+                failPending(createModbusError(`Connection to ${host}:${port} closed`));
+            });
+        });
+    }
+
+    /**
+     * Close the TCP connection and fail outstanding requests
+     */
+    function close() {
+        if (socket) {
+            socket.destroy();
+            socket = null;
+        }
+        connected = false;
+        failPending(createModbusError('Client closed'));
+    }
+
+    function failPending(error) {
+        pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+        pending = new Map();
+    }
+
+    /**
+     * Read a block from one of the four Modbus tables
+     * @param {string} table - 'coil', 'discrete', 'holding' or 'input'
+     * @param {number} address - Zero-based start address
+     * @param {number} quantity - Number of bits or registers
+     * @returns {Promise<Array<number|boolean>>} Booleans for coils/discrete inputs, uint16 values for registers
+     */
+    function read(table, address, quantity) {
+        const functionCode = FUNCTION_CODES[table];
+        if (!functionCode) {
+            return Promise.reject(createModbusError(`Unknown Modbus table: ${table}`));
+        }
+        if (quantity < 1 || quantity > MAX_READ_QUANTITY[table]) {
+            return Promise.reject(createModbusError(`Quantity ${quantity} out of range for ${table} reads`));
+        }
+        if (!connected) {
+            return Promise.reject(createModbusError(`Not connected to ${host}:${port}`));
+        }
+
+        const transactionId = nextTransactionId;
+        nextTransactionId = (nextTransactionId % 0xFFFF) + 1;
+
+        const request = Buffer.alloc(MBAP_HEADER_BYTES + 5);
+        request.writeUInt16BE(transactionId, 0);
+        request.writeUInt16BE(PROTOCOL_ID, 2);
+        request.writeUInt16BE(6, 4); // unit id + PDU length
+        request.writeUInt8(unitId, 6);
+        request.writeUInt8(functionCode, 7);
+        request.writeUInt16BE(address, 8);
+        request.writeUInt16BE(quantity, 10);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                pending.delete(transactionId);
+                reject(createModbusError(`Timed out reading ${quantity} ${table} at ${address}`));
+            }, timeoutMs);
+
+            pending.set(transactionId, { resolve, reject, timer, table, quantity });
+            socket.write(request);
+        });
+    }
+
+    /**
+     * Split the byte stream into ADUs and settle the matching requests
+     */
+    function handleData(chunk) {
+        receiveBuffer = Buffer.concat([receiveBuffer, chunk]);
+
+        while (receiveBuffer.length >= MBAP_HEADER_BYTES) {
+            const length = receiveBuffer.readUInt16BE(4);
+            if (length < MIN_RESPONSE_BYTES - 6) {
+                // No room for a unit id, function code and byte count: the
+                // framing is lost, so fail this request and drop the buffer
+                handleResponse(receiveBuffer.subarray(0, MBAP_HEADER_BYTES));
+                receiveBuffer = Buffer.alloc(0);
+                break;
+            }
+
+            const aduLength = 6 + length;
+            if (receiveBuffer.length < aduLength) break;
+
+            const adu = receiveBuffer.subarray(0, aduLength);
+            receiveBuffer = receiveBuffer.subarray(aduLength);
+            handleResponse(adu);
+        }
+    }
+
+    /**
+     * Settle the request an ADU answers; malformed responses reject it
+     * rather than throw, since this runs inside the socket's data handler
+     */
+    function handleResponse(adu) {
+        const transactionId = adu.readUInt16BE(0);
+        const request = pending.get(transactionId);
+        if (!request) return; // Late response after a timeout
+
+        pending.delete(transactionId);
+        clearTimeout(request.timer);
+
+        if (adu.length < MIN_RESPONSE_BYTES) {
+            request.reject(createModbusError(`Malformed response: ${adu.length} bytes is too short`));
+            return;
+        }
+
+        const functionCode = adu.readUInt8(7);
+        if ((functionCode & 0x7F) !== FUNCTION_CODES[request.table]) {
+            request.reject(createModbusError(`Malformed response: function code ${functionCode} does not match the ${request.table} read`));
+            return;
+        }
+        if (functionCode & 0x80) {
+            const exceptionCode = adu.readUInt8(8);
+            const message = EXCEPTION_MESSAGES[exceptionCode] || `Exception ${exceptionCode}`;
+            request.reject(createModbusError(`Modbus exception: ${message}`, exceptionCode));
+            return;
+        }
+
+        const byteCount = adu.readUInt8(8);
+        const expectedBytes = getDataLength(request.table, request.quantity);
+        if (byteCount !== expectedBytes || adu.length < MIN_RESPONSE_BYTES + byteCount) {
+            request.reject(createModbusError(
+                `Malformed response: expected ${expectedBytes} data bytes for ${request.quantity} ${request.table}, ` +
+                `got a byte count of ${byteCount} and ${Math.max(0, adu.length - MIN_RESPONSE_BYTES)} bytes`
+            ));
+            return;
+        }
+
+        const data = adu.subarray(MIN_RESPONSE_BYTES, MIN_RESPONSE_BYTES + byteCount);
+        request.resolve(decodeData(request.table, data, request.quantity));
+    }
+
+    return {
+        connect: connect,
+        close: close,
+        read: read,
+        isConnected: () => connected
+    };
+}
+
+/**
+ * Data bytes a read response must carry: one bit per coil or input, two bytes per register
+ */
+function getDataLength(table, quantity) {
+    return table === 'coil' || table === 'discrete' ? Math.ceil(quantity / 8) : quantity * 2;
+}
+
+/**
+ * Decode a read response payload
+ */
+function decodeData(table, data, quantity) {
+    const values = [];
+
+    if (table === 'coil' || table === 'discrete') {
+        for (let i = 0; i < quantity; i++) {
+            values.push((data[Math.floor(i / 8)] & (1 << (i % 8))) !== 0);
+        }
+    } else {
+        for (let i = 0; i < quantity; i++) {
+            values.push(data.readUInt16BE(i * 2));
+        }
+    }
+
+    return values;
+}
+
+module.exports = { createModbusClient, FUNCTION_CODES, MAX_READ_QUANTITY, EXCEPTION_MESSAGES };
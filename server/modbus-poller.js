@@ -0,0 +1,70 @@
+/**
+ * Modbus Poller
+ * Periodically reads every mapped table from the controller and decodes it
+ * with the register map. Reads run one at a time because many Modbus/TCP
+ * devices do not accept pipelined requests.
+ */
+
+'use strict';
+
+const { createModbusClient } = require('./modbus-client');
+const registerMap = require('./register-map');
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Start polling a Modbus/TCP device
+ * @param {Object} options - { host, port, map, pollIntervalMs }
+ * @param {Object} handlers - { onData({ moduleData, metrics }), onError(error) }
+ * @returns {Function} Stops polling and closes the connection
+ */
+function startModbusPolling(options, handlers) {
+    const map = options.map;
+    const reads = registerMap.planReads(map);
+    const pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    const client = createModbusClient({ host: options.host, port: options.port, unitId: map.unitId });
+
+    let stopped = false;
+    let timer = null;
+
+    async function poll() {
+        if (!client.isConnected()) {
+            await client.connect();
+        }
+
+        const tables = { coil: new Map(), discrete: new Map(), holding: new Map(), input: new Map() };
+        for (const read of reads) {
+            const values = await client.read(read.table, read.address, read.quantity);
+            values.forEach((value, i) => tables[read.table].set(read.address + i, value));
+        }
+
+        return registerMap.decodeTables(map, tables);
+    }
+
+    function schedule(delay) {
+        if (stopped) return;
+        timer = setTimeout(() => {
+            poll()
+                .then(result => {
+                    handlers.onData(result);
+                    schedule(pollIntervalMs);
+                })
+                .catch(error => {
+                    handlers.onError(error);
+                    client.close();
+                    schedule(RECONNECT_DELAY_MS);
+                });
+        }, delay);
+    }
+
+    schedule(0);
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+        client.close();
+    };
+}
+
+module.exports = { startModbusPolling };
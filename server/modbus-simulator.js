@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * STATCOM Modbus/TCP Simulator
+ * Serves the register map with simulated module data so the gateway's
+ * Modbus reader can be tested without a controller:
+ *
+ *   node server/modbus-simulator.js --port 5020
+ *   node server/gateway.js --modbus 127.0.0.1:5020
+ *
+ * Supports function codes 01-04 (reads) and 05/06 (single writes, to inject faults).
+ * Uses Node.js built-in modules only.
+ */
+
+'use strict';
+
+const net = require('net');
+const path = require('path');
+const registerMap = require('./register-map');
+const { FUNCTION_CODES, MAX_READ_QUANTITY } = require('./modbus-client');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_PORT = 5020;
+const DEFAULT_MAP_PATH = path.join(__dirname, 'register-map.json');
+const METRIC_UPDATE_INTERVAL_MS = 1000;
+const FAULT_CHANGE_INTERVAL_MS = 15000;
+
+const WRITE_SINGLE_COIL = 0x05;
+const WRITE_SINGLE_REGISTER = 0x06;
+
+const EXCEPTION_ILLEGAL_FUNCTION = 0x01;
+const EXCEPTION_ILLEGAL_ADDRESS = 0x02;
+const EXCEPTION_ILLEGAL_VALUE = 0x03;
+
+const METRIC_BASELINES = {
+    voltage: { base: 11.0, variance: 0.1 },
+    current: { base: 150, variance: 5 },
+    temperature: { base: 45, variance: 2 },
+    powerFactor: { base: 0.95, variance: 0.02 }
+};
+const FAULT_SEVERITIES = ['DEGRADED', 'WARNING', 'CRITICAL'];
+
+/**
+ * Parse --name value pairs from the command line
+ */
+function parseOptions(argv) {
+    const options = { port: DEFAULT_PORT, map: DEFAULT_MAP_PATH };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        switch (arg) {
+            case '--port':
+                options.port = parseInt(value, 10);
+                i++;
+                break;
+            case '--map':
+                options.map = value;
+                i++;
+                break;
+            default:
+                console.warn(`Ignoring unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// ============================================================================
+// SIMULATED DEVICE
+// ============================================================================
+
+/**
+ * Create the four Modbus tables, sized from the register map
+ */
+function createTables(map) {
+    const tables = {};
+    Object.keys(FUNCTION_CODES).forEach(table => {
+        const block = map.blocks[table];
+        tables[table] = {
+            start: block ? block.start : 0,
+            end: block ? block.start + map.moduleCount * block.stride : 0,
+            values: new Map()
+        };
+    });
+    return tables;
+}
+
+/**
+ * Write a module status into the tables
+ */
+function setStatus(map, tables, moduleIndex, statusType, status) {
+    const item = map.statuses[statusType];
+    tables[item.table].values.set(registerMap.getAddress(map, item, moduleIndex), registerMap.encodeStatus(map, item, status));
+}
+
+/**
+ * Write fresh metric samples for every module
+ * Modules with a faulted Thermal Status run hotter.
+ */
+function updateMetrics(map, tables, faults) {
+    for (let moduleIndex = 0; moduleIndex < map.moduleCount; moduleIndex++) {
+        Object.entries(map.metrics).forEach(([metric, item]) => {
+            const baseline = METRIC_BASELINES[metric] || { base: 0, variance: 0 };
+            const thermalFault = metric === 'temperature' && faults.has(`${moduleIndex}:Thermal Status`);
+            const value = baseline.base + (thermalFault ? 25 : 0) + (Math.random() - 0.5) * baseline.variance;
+            tables[item.table].values.set(registerMap.getAddress(map, item, moduleIndex), registerMap.encodeMetric(item, value));
+        });
+    }
+}
+
+/**
+ * Start with every status OK, then toggle a random fault periodically
+ * @returns {Function} Stops the simulation timers
+ */
+function startSimulation(map, tables) {
+    const faults = new Set(); // "moduleIndex:statusType"
+    const statusTypes = Object.keys(map.statuses);
+
+    for (let moduleIndex = 0; moduleIndex < map.moduleCount; moduleIndex++) {
+        statusTypes.forEach(statusType => setStatus(map, tables, moduleIndex, statusType, 'OK'));
+    }
+    updateMetrics(map, tables, faults);
+
+    const metricTimer = setInterval(() => updateMetrics(map, tables, faults), METRIC_UPDATE_INTERVAL_MS);
+    const faultTimer = setInterval(() => {
+        const moduleIndex = Math.floor(Math.random() * map.moduleCount);
+        const statusType = statusTypes[Math.floor(Math.random() * statusTypes.length)];
+        const key = `${moduleIndex}:${statusType}`;
+
+        if (faults.has(key)) {
+            faults.delete(key);
+            setStatus(map, tables, moduleIndex, statusType, 'OK');
+            console.log(`${registerMap.getModuleId(moduleIndex)} ${statusType} -> OK`);
+        } else {
+            const item = map.statuses[statusType];
+            const severity = item.severity || FAULT_SEVERITIES[Math.floor(Math.random() * FAULT_SEVERITIES.length)];
+            faults.add(key);
+            setStatus(map, tables, moduleIndex, statusType, severity);
+            console.log(`${registerMap.getModuleId(moduleIndex)} ${statusType} -> ${severity}`);
+        }
+    }, FAULT_CHANGE_INTERVAL_MS);
+
+    return () => {
+        clearInterval(metricTimer);
+        clearInterval(faultTimer);
+    };
+}
+
+// ============================================================================
+// MODBUS/TCP SERVER
+// ============================================================================
+
+/**
+ * Build a response ADU for a request header and PDU
+ */
+function buildResponse(header, pdu) {
+    const adu = Buffer.alloc(7 + pdu.length);
+    header.copy(adu, 0, 0, 4); // transaction id + protocol id
+    adu.writeUInt16BE(pdu.length + 1, 4);
+    adu.writeUInt8(header.readUInt8(6), 6);
+    pdu.copy(adu, 7);
+    return adu;
+}
+
+function exceptionPdu(functionCode, exceptionCode) {
+    return Buffer.from([functionCode | 0x80, exceptionCode]);
+}
+
+/**
+ * Execute one request PDU against the tables
+ */
+function handlePdu(tables, pdu) {
+    const functionCode = pdu.readUInt8(0);
+    const table = Object.keys(FUNCTION_CODES).find(name => FUNCTION_CODES[name] === functionCode);
+
+    if (table) {
+        const address = pdu.readUInt16BE(1);
+        const quantity = pdu.readUInt16BE(3);
+        const range = tables[table];
+
+        if (quantity < 1 || quantity > MAX_READ_QUANTITY[table]) {
+            return exceptionPdu(functionCode, EXCEPTION_ILLEGAL_VALUE);
+        }
+        if (address < range.start || address + quantity > range.end) {
+            return exceptionPdu(functionCode, EXCEPTION_ILLEGAL_ADDRESS);
+        }
+
+        if (table === 'coil' || table === 'discrete') {
+            const data = Buffer.alloc(Math.ceil(quantity / 8));
+            for (let i = 0; i < quantity; i++) {
+                if (range.values.get(address + i)) {
+                    data[Math.floor(i / 8)] |= 1 << (i % 8);
+                }
+            }
+            return Buffer.concat([Buffer.from([functionCode, data.length]), data]);
+        }
+
+        const data = Buffer.alloc(quantity * 2);
+        for (let i = 0; i < quantity; i++) {
+            data.writeUInt16BE(range.values.get(address + i) || 0, i * 2);
+        }
+        return Buffer.concat([Buffer.from([functionCode, data.length]), data]);
+    }
+
+    if (functionCode === WRITE_SINGLE_COIL || functionCode === WRITE_SINGLE_REGISTER) {
+        const address = pdu.readUInt16BE(1);
+        const value = pdu.readUInt16BE(3);
+        const range = tables[functionCode === WRITE_SINGLE_COIL ? 'coil' : 'holding'];
+
+        if (address < range.start || address >= range.end) {
+            return exceptionPdu(functionCode, EXCEPTION_ILLEGAL_ADDRESS);
+        }
+        range.values.set(address, functionCode === WRITE_SINGLE_COIL ? value === 0xFF00 : value);
+        return Buffer.from(pdu.subarray(0, 5)); // Echo the request
+    }
+
+    return exceptionPdu(functionCode, EXCEPTION_ILLEGAL_FUNCTION);
+}
+
+/**
+ * Create the Modbus/TCP server
+ */
+function createSimulator(map) {
+    const tables = createTables(map);
+    const stopSimulation = startSimulation(map, tables);
+
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            while (buffer.length >= 7) {
+                const aduLength = 6 + buffer.readUInt16BE(4);
+                if (buffer.length < aduLength) break;
+
+                const header = buffer.subarray(0, 7);
+                const pdu = buffer.subarray(7, aduLength);
+                socket.write(buildResponse(header, handlePdu(tables, pdu)));
+                buffer = buffer.subarray(aduLength);
+            }
+        });
+        socket.on('error', error => console.warn('Simulator client error:', error.message));
+    });
+
+    server.on('close', stopSimulation);
+    return server;
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+if (require.main === module) {
+    const options = parseOptions(process.argv.slice(2));
+    const map = registerMap.loadRegisterMap(options.map);
+    const server = createSimulator(map);
+
+    server.listen(options.port, () => {
+        console.log(`Modbus/TCP simulator listening on port ${options.port} (${map.moduleCount} modules)`);
+    });
+
+    process.on('SIGINT', () => {
+        server.close(() => process.exit(0));
+    });
+}
+
+module.exports = { createSimulator };
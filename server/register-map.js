@@ -0,0 +1,199 @@
+/**
+ * Register Map
+ * Loads the declarative Modbus register map and converts between raw Modbus
+ * tables and the UI's module statuses and trend metrics.
+ *
+ * Each module owns one block per table; an item's address is
+ *   blocks[table].start + moduleIndex * blocks[table].stride + item.offset
+ *
+ * Status items on register tables hold a status code (see statusCodes).
+ * Status items on bit tables (coil, discrete) raise `severity` when set,
+ * or when clear if `activeLow` is true.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { MAX_READ_QUANTITY } = require('./modbus-client');
+
+const BIT_TABLES = ['coil', 'discrete'];
+const REGISTER_TABLES = ['holding', 'input'];
+const STATUS_VALUES = ['OK', 'DEGRADED', 'WARNING', 'CRITICAL'];
+const METRIC_TYPES = ['uint16', 'int16'];
+
+/**
+ * Module ID for a zero-based module index (M001, M002, ...)
+ */
+function getModuleId(moduleIndex) {
+    return `M${String(moduleIndex + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Read and validate a register map file
+ * @param {string} filePath - Path to the JSON register map
+ * @returns {Object} Validated register map
+ */
+function loadRegisterMap(filePath) {
+    const map = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    validateRegisterMap(map);
+    return map;
+}
+
+/**
+ * Throw a descriptive error when the register map is inconsistent
+ */
+function validateRegisterMap(map) {
+    const errors = [];
+
+    if (!Number.isInteger(map.moduleCount) || map.moduleCount < 1) {
+        errors.push('moduleCount must be a positive integer');
+    }
+
+    const items = [
+        ...Object.entries(map.statuses || {}).map(([name, item]) => ({ kind: 'status', name, item })),
+        ...Object.entries(map.metrics || {}).map(([name, item]) => ({ kind: 'metric', name, item }))
+    ];
+
+    items.forEach(({ kind, name, item }) => {
+        const block = map.blocks && map.blocks[item.table];
+        if (!block) {
+            errors.push(`${kind} "${name}": no block defined for table "${item.table}"`);
+            return;
+        }
+        if (!Number.isInteger(item.offset) || item.offset < 0 || item.offset >= block.stride) {
+            errors.push(`${kind} "${name}": offset ${item.offset} outside block stride ${block.stride}`);
+        }
+        if (kind === 'status' && BIT_TABLES.includes(item.table) && !STATUS_VALUES.includes(item.severity)) {
+            errors.push(`status "${name}": bit-table items need a severity of ${STATUS_VALUES.join(', ')}`);
+        }
+        if (kind === 'metric') {
+            if (!REGISTER_TABLES.includes(item.table)) {
+                errors.push(`metric "${name}": metrics must be read from holding or input registers`);
+            }
+            if (item.type && !METRIC_TYPES.includes(item.type)) {
+                errors.push(`metric "${name}": unsupported type "${item.type}"`);
+            }
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid register map:\n  ${errors.join('\n  ')}`);
+    }
+}
+
+/**
+ * Absolute address of an item for a module
+ */
+function getAddress(map, item, moduleIndex) {
+    const block = map.blocks[item.table];
+    return block.start + moduleIndex * block.stride + item.offset;
+}
+
+/**
+ * Plan the read requests that cover every mapped table for all modules
+ * Requests are split to respect the per-function quantity limits.
+ * @returns {Array<Object>} [{ table, address, quantity }]
+ */
+function planReads(map) {
+    const tables = new Set([
+        ...Object.values(map.statuses || {}).map(item => item.table),
+        ...Object.values(map.metrics || {}).map(item => item.table)
+    ]);
+    const reads = [];
+
+    tables.forEach(table => {
+        const block = map.blocks[table];
+        const end = block.start + map.moduleCount * block.stride;
+        const maxQuantity = MAX_READ_QUANTITY[table];
+
+        for (let address = block.start; address < end; address += maxQuantity) {
+            reads.push({ table, address, quantity: Math.min(maxQuantity, end - address) });
+        }
+    });
+
+    return reads;
+}
+
+/**
+ * Convert raw table values into module statuses and metrics
+ * @param {Object} map - Register map
+ * @param {Object} tables - { coil: Map(address -> value), holding: Map(...), ... }
+ * @returns {Object} { moduleData: { M001: { status: value } }, metrics: { M001: { voltage: 11.02 } } }
+ */
+function decodeTables(map, tables) {
+    const moduleData = {};
+    const metrics = {};
+
+    for (let moduleIndex = 0; moduleIndex < map.moduleCount; moduleIndex++) {
+        const moduleId = getModuleId(moduleIndex);
+        const statuses = {};
+        const values = {};
+
+        Object.entries(map.statuses || {}).forEach(([statusType, item]) => {
+            const raw = tables[item.table].get(getAddress(map, item, moduleIndex));
+            statuses[statusType] = decodeStatus(map, item, raw);
+        });
+
+        Object.entries(map.metrics || {}).forEach(([metric, item]) => {
+            const raw = tables[item.table].get(getAddress(map, item, moduleIndex));
+            values[metric] = decodeMetric(item, raw);
+        });
+
+        moduleData[moduleId] = statuses;
+        metrics[moduleId] = values;
+    }
+
+    return { moduleData, metrics };
+}
+
+/**
+ * Decode one status item; unknown codes are reported as CRITICAL so they are never hidden
+ */
+function decodeStatus(map, item, raw) {
+    if (BIT_TABLES.includes(item.table)) {
+        const active = item.activeLow ? !raw : Boolean(raw);
+        return active ? item.severity : 'OK';
+    }
+    return map.statusCodes[String(raw)] || 'CRITICAL';
+}
+
+/**
+ * Decode one metric register with its type and scale
+ */
+function decodeMetric(item, raw) {
+    if (raw === undefined) return null;
+    const value = item.type === 'int16' && raw > 0x7FFF ? raw - 0x10000 : raw;
+    const scaled = value * (item.scale || 1);
+    return Math.round(scaled * 1000) / 1000;
+}
+
+/**
+ * Encode a status value as the raw table value (used by the simulator)
+ */
+function encodeStatus(map, item, status) {
+    if (BIT_TABLES.includes(item.table)) {
+        const active = status !== 'OK';
+        return item.activeLow ? !active : active;
+    }
+    const entry = Object.entries(map.statusCodes).find(([, value]) => value === status);
+    return entry ? Number(entry[0]) : 0;
+}
+
+/**
+ * Encode an engineering value as a raw register (used by the simulator)
+ */
+function encodeMetric(item, value) {
+    const raw = Math.round(value / (item.scale || 1));
+    return raw < 0 ? raw + 0x10000 : raw & 0xFFFF;
+}
+
+module.exports = {
+    getModuleId,
+    loadRegisterMap,
+    validateRegisterMap,
+    getAddress,
+    planReads,
+    decodeTables,
+    encodeStatus,
+    encodeMetric
+};
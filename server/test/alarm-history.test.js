@@ -0,0 +1,211 @@
+/**
+ * Gateway alarm history tests
+ * Run with: node --test server/test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createAlarmHistory } = require('../alarm-history');
+const { getAlarmState } = require('../../alarm-records');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = Date.parse('2026-03-02T08:00:00Z');
+
+/**
+ * Run the test body with a historian, closing it afterwards
+ */
+function withHistory(options, run) {
+    const history = createAlarmHistory(options);
+    try {
+        return run(history);
+    } finally {
+        history.close();
+    }
+}
+
+function transition(time, moduleId, statusType, severity, state) {
+    return { timestamp: new Date(time).toISOString(), moduleId, statusType, severity, state };
+}
+
+function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'statcom-alarm-history-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function storedRecord(id, activatedAt, clearedAt) {
+    const [moduleId, type] = id.split(':');
+    return {
+        id: `${id}:${activatedAt}`, moduleId, type, severity: 'WARNING', activatedAt, clearedAt,
+        acknowledgedAt: null, acknowledgedBy: null, shelvedUntil: null, actions: []
+    };
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+test('record and sync give one record per alarm with a stable ID', () => {
+    withHistory({}, history => {
+        history.record(transition(T0, 'M007', 'Overtemp', 'WARNING', 'raised'));
+        history.record(transition(T0 + 1000, 'M007', 'Overtemp', 'CRITICAL', 'raised'));
+
+        // A snapshot showing the same alarm does not open a second one
+        history.sync({ M007: { 'Overtemp': 'CRITICAL' }, M012: { 'Fan Fail': 'WARNING' } }, new Date(T0 + 2000).toISOString());
+
+        const alarms = history.query();
+        assert.deepStrictEqual(alarms.map(alarm => alarm.id).sort(), [
+            `M007:Overtemp:${T0}`,
+            `M012:Fan Fail:${T0 + 2000}`
+        ]);
+        assert.strictEqual(alarms.find(alarm => alarm.moduleId === 'M007').severity, 'CRITICAL');
+    });
+});
+
+test('sync clears alarms missing from the snapshot and a later raise opens a new record', () => {
+    withHistory({}, history => {
+        history.record(transition(T0, 'M007', 'Overtemp', 'WARNING', 'raised'));
+        history.sync({ M007: { 'Overtemp': 'OK' } }, new Date(T0 + 5000).toISOString());
+        history.record(transition(T0 + 9000, 'M007', 'Overtemp', 'WARNING', 'raised'));
+
+        const alarms = history.query().sort((a, b) => a.activatedAt - b.activatedAt);
+        assert.deepStrictEqual(alarms.map(alarm => [alarm.id, alarm.clearedAt]), [
+            [`M007:Overtemp:${T0}`, T0 + 5000],
+            [`M007:Overtemp:${T0 + 9000}`, null]
+        ]);
+    });
+});
+
+test('records are saved on close and reloaded with their open alarms', t => {
+    const filePath = path.join(createTempDir(t), 'history.json');
+
+    withHistory({ filePath }, history => {
+        history.record(transition(T0, 'M007', 'Overtemp', 'WARNING', 'raised'));
+    });
+    assert.ok(fs.existsSync(filePath));
+
+    withHistory({ filePath }, history => {
+        // The reloaded open alarm is the one the clear applies to
+        history.record(transition(T0 + 5000, 'M007', 'Overtemp', 'WARNING', 'cleared'));
+        assert.deepStrictEqual(history.query().map(alarm => [alarm.id, alarm.clearedAt]), [
+            [`M007:Overtemp:${T0}`, T0 + 5000]
+        ]);
+    });
+});
+
+// ============================================================================
+// RETENTION
+// ============================================================================
+
+test('retention deletes only cleared records older than the window', t => {
+    const filePath = path.join(createTempDir(t), 'history.json');
+    const now = Date.now();
+    fs.writeFileSync(filePath, JSON.stringify({
+        alarms: [
+            storedRecord('M001:Overtemp', now - 20 * DAY_MS, now - 11 * DAY_MS),
+            storedRecord('M002:Overtemp', now - 20 * DAY_MS, now - 9 * DAY_MS),
+            storedRecord('M003:Overtemp', now - 20 * DAY_MS, null)
+        ]
+    }));
+
+    withHistory({ filePath, retentionDays: 10 }, history => {
+        assert.deepStrictEqual(history.query().map(alarm => alarm.moduleId).sort(), ['M002', 'M003']);
+        assert.strictEqual(history.prune(), 0);
+    });
+});
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+test('query filters by state, time range, module and severity', () => {
+    withHistory({}, history => {
+        history.record(transition(T0, 'M001', 'Overtemp', 'WARNING', 'raised'));
+        history.record(transition(T0 + 1000, 'M002', 'Fan Fail', 'CRITICAL', 'raised'));
+        history.record(transition(T0 + 2000, 'M003', 'Vdc Fault', 'WARNING', 'raised'));
+        history.record(transition(T0 + 60000, 'M001', 'Overtemp', 'WARNING', 'cleared'));
+        history.applyAction([`M001:Overtemp:${T0}`], { action: 'acknowledge', at: T0 + 61000, by: 'op', comment: '' });
+
+        const ids = filter => history.query(filter).map(alarm => alarm.moduleId).sort();
+
+        assert.deepStrictEqual(ids({ state: 'active' }), ['M002', 'M003'], 'acknowledged and cleared leaves the summary');
+        assert.deepStrictEqual(ids({ state: 'cleared' }), ['M001']);
+        assert.deepStrictEqual(ids({ state: 'all' }), ['M001', 'M002', 'M003']);
+
+        // Active alarms match on activation time, cleared ones on clear time
+        assert.deepStrictEqual(ids({ state: 'active', from: T0 + 1500 }), ['M003']);
+        assert.deepStrictEqual(ids({ state: 'cleared', from: T0 + 30000, to: T0 + 90000 }), ['M001']);
+        assert.deepStrictEqual(ids({ state: 'cleared', to: T0 + 30000 }), []);
+
+        assert.deepStrictEqual(ids({ moduleId: 'M002' }), ['M002']);
+        assert.deepStrictEqual(ids({ severity: 'WARNING' }), ['M001', 'M003']);
+        assert.deepStrictEqual(ids({ state: 'active', severity: 'WARNING' }), ['M003']);
+    });
+});
+
+// ============================================================================
+// OPERATOR ACTIONS
+// ============================================================================
+
+test('operator actions move an alarm through UNACK, ACKED, SHELVED and RTN_UNACK', () => {
+    withHistory({}, history => {
+        const id = `M007:Overtemp:${T0}`;
+        history.record(transition(T0, 'M007', 'Overtemp', 'WARNING', 'raised'));
+        const alarm = () => history.query().find(record => record.id === id);
+        const now = T0 + 10000;
+
+        assert.strictEqual(getAlarmState(alarm(), now), 'UNACK');
+
+        history.applyAction([id], { action: 'acknowledge', at: T0 + 1000, by: 'op', comment: 'seen' });
+        assert.strictEqual(getAlarmState(alarm(), now), 'ACKED');
+        assert.strictEqual(alarm().acknowledgedBy, 'op');
+
+        history.applyAction([id], { action: 'shelve', at: T0 + 2000, by: 'op', comment: '', until: T0 + 3600000 });
+        assert.strictEqual(getAlarmState(alarm(), now), 'SHELVED');
+        assert.strictEqual(alarm().shelvedUntil, T0 + 3600000);
+
+        history.applyAction([id], { action: 'unshelve', at: T0 + 3000, by: 'op', comment: '' });
+        assert.strictEqual(alarm().shelvedUntil, null);
+        assert.strictEqual(getAlarmState(alarm(), now), 'ACKED');
+
+        assert.deepStrictEqual(alarm().actions.map(entry => entry.action), ['acknowledge', 'shelve', 'unshelve']);
+    });
+});
+
+test('an alarm that returns to normal unacknowledged is RTN_UNACK until acknowledged', () => {
+    withHistory({}, history => {
+        const id = `M007:Overtemp:${T0}`;
+        history.record(transition(T0, 'M007', 'Overtemp', 'WARNING', 'raised'));
+        history.record(transition(T0 + 5000, 'M007', 'Overtemp', 'WARNING', 'cleared'));
+        const alarm = () => history.query().find(record => record.id === id);
+
+        assert.strictEqual(getAlarmState(alarm(), T0 + 6000), 'RTN_UNACK');
+        assert.deepStrictEqual(history.query({ state: 'active' }).map(record => record.id), [id]);
+
+        // A cleared alarm cannot be shelved
+        assert.deepStrictEqual(history.applyAction([id], { action: 'shelve', at: T0 + 6000, until: T0 + 60000 }), []);
+
+        history.applyAction([id], { action: 'acknowledge', at: T0 + 7000, by: 'op', comment: '' });
+        assert.strictEqual(getAlarmState(alarm(), T0 + 8000), 'NORMAL');
+        assert.deepStrictEqual(history.query({ state: 'active' }), []);
+    });
+});
+
+test('repeated and inapplicable actions are skipped', () => {
+    withHistory({}, history => {
+        const id = `M007:Overtemp:${T0}`;
+        history.record(transition(T0, 'M007', 'Overtemp', 'WARNING', 'raised'));
+
+        const acknowledge = { action: 'acknowledge', at: T0 + 1000, by: 'op', comment: '' };
+        assert.strictEqual(history.applyAction([id, 'M001:Overtemp:0'], acknowledge).length, 1);
+        assert.deepStrictEqual(history.applyAction([id], acknowledge), []);
+        assert.deepStrictEqual(history.applyAction([id], { ...acknowledge, at: T0 + 2000 }), []);
+        assert.deepStrictEqual(history.applyAction([id], { action: 'unshelve', at: T0 + 3000 }), []);
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Device file source tests
+ * The SFTP source runs a fake statcom-sftp tool that prints canned output, so
+ * no controller or SSH library is needed.
+ * Run with: node --test server/test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    createSftpFileSource,
+    createStubFileSource,
+    normalizeRemotePath,
+    parseToolError,
+    parseListing
+} = require('../device-files');
+
+/**
+ * Write an executable stand-in for the SFTP tool
+ * @param {string} body - Node.js code run with the tool's arguments in process.argv
+ */
+function createFakeTool(t, body) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'statcom-sftp-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const toolPath = path.join(dir, 'statcom-sftp');
+    fs.writeFileSync(toolPath, `#!${process.execPath}\n${body}\n`, { mode: 0o755 });
+    return toolPath;
+}
+
+function createSource(toolPath) {
+    return createSftpFileSource({ host: '127.0.0.1', username: 'admin', password: 'secret', toolPath });
+}
+
+// ============================================================================
+// PATHS
+// ============================================================================
+
+test('accepts absolute paths and normalizes them', () => {
+    assert.strictEqual(normalizeRemotePath('/'), '/');
+    assert.strictEqual(normalizeRemotePath(undefined), '/');
+    assert.strictEqual(normalizeRemotePath('/logs/'), '/logs');
+    assert.strictEqual(normalizeRemotePath('//logs/./event.log'), '/logs/event.log');
+    assert.strictEqual(normalizeRemotePath('/logs/...'), '/logs/...');
+});
+
+test('rejects relative paths, parent segments and NUL bytes with a 400', () => {
+    [
+        '..',
+        '/..',
+        '/logs/..',
+        '/logs/../../etc/shadow',
+        'logs/event.log',
+        './logs',
+        '/logs/event.log\0.txt'
+    ].forEach(remotePath => {
+        assert.throws(() => normalizeRemotePath(remotePath), error => {
+            assert.strictEqual(error.code, 'usage', JSON.stringify(remotePath));
+            assert.strictEqual(error.statusCode, 400, JSON.stringify(remotePath));
+            return true;
+        });
+    });
+});
+
+// ============================================================================
+// TOOL OUTPUT
+// ============================================================================
+
+test('maps tool error codes to HTTP statuses', () => {
+    const cases = {
+        usage: 400,
+        permission: 403,
+        not_found: 404,
+        too_large: 413,
+        connect: 502,
+        handshake: 502,
+        auth: 502,
+        sftp: 502,
+        read: 502,
+        timeout: 504,
+        something_new: 500
+    };
+
+    Object.entries(cases).forEach(([code, statusCode]) => {
+        const error = parseToolError(`ERROR ${code} Controller said no\n`);
+        assert.strictEqual(error.code, code);
+        assert.strictEqual(error.statusCode, statusCode, code);
+        assert.strictEqual(error.message, 'Controller said no');
+    });
+});
+
+test('uses the last ERROR line and ignores other output', () => {
+    const error = parseToolError('Connecting...\nERROR connect first try\nretrying\nERROR auth Authentication failed\n');
+    assert.strictEqual(error.code, 'auth');
+    assert.strictEqual(error.message, 'Authentication failed');
+
+    assert.strictEqual(parseToolError('Segmentation fault\n'), null);
+    assert.strictEqual(parseToolError(''), null);
+});
+
+test('parses listings, keeping tabs in file names', () => {
+    const entries = parseListing('/logs', [
+        'd\t0\t1767225600\tarchive',
+        'f\t2048\t1767229200\tevent.log',
+        'f\t12\t0\tnotes\twith\ttabs.txt',
+        ''
+    ].join('\n'));
+
+    assert.deepStrictEqual(entries, [
+        { name: 'archive', path: '/logs/archive', type: 'directory', size: 0, modified: '2026-01-01T00:00:00.000Z' },
+        { name: 'event.log', path: '/logs/event.log', type: 'file', size: 2048, modified: '2026-01-01T01:00:00.000Z' },
+        { name: 'notes\twith\ttabs.txt', path: '/logs/notes\twith\ttabs.txt', type: 'file', size: 12, modified: null }
+    ]);
+});
+
+// ============================================================================
+// SFTP SOURCE
+// ============================================================================
+
+test('lists and reads through the SFTP tool', async t => {
+    const toolPath = createFakeTool(t, [
+        'const [command, remotePath] = process.argv.slice(2);',
+        'if (process.env.STATCOM_SSH_PASSWORD !== "secret") process.exit(3);',
+        'if (command === "list") process.stdout.write("f\\t5\\t1767225600\\tevent.log\\n");',
+        'else process.stdout.write(Buffer.from([0, 1, 2, remotePath.length]));'
+    ].join('\n'));
+    const source = createSource(toolPath);
+
+    const entries = await source.list('/logs/');
+    assert.deepStrictEqual(entries.map(entry => entry.path), ['/logs/event.log']);
+
+    const content = await source.read('/logs/event.log');
+    assert.ok(content.equals(Buffer.from([0, 1, 2, '/logs/event.log'.length])));
+});
+
+test('reports tool errors with their status and never runs the tool for a bad path', async t => {
+    const markerPath = path.join(os.tmpdir(), `statcom-sftp-ran-${process.pid}`);
+    t.after(() => fs.rmSync(markerPath, { force: true }));
+    const toolPath = createFakeTool(t, [
+        `require('fs').writeFileSync(${JSON.stringify(markerPath)}, '');`,
+        'process.stderr.write("ERROR permission Permission denied: /config/statcom.cfg\\n");',
+        'process.exit(1);'
+    ].join('\n'));
+    const source = createSource(toolPath);
+
+    await assert.rejects(source.read('/config/statcom.cfg'), { code: 'permission', statusCode: 403, message: 'Permission denied: /config/statcom.cfg' });
+    fs.rmSync(markerPath);
+
+    assert.throws(() => source.read('/logs/../../etc/shadow'), { statusCode: 400 });
+    assert.ok(!fs.existsSync(markerPath));
+});
+
+test('reports a missing tool as an SFTP error', async () => {
+    const source = createSource(path.join(os.tmpdir(), 'statcom-sftp-does-not-exist'));
+    await assert.rejects(source.list('/'), { code: 'sftp', statusCode: 502, message: /SFTP tool not found/ });
+});
+
+// ============================================================================
+// STUB SOURCE
+// ============================================================================
+
+test('the stub source serves its demonstration files', async () => {
+    const source = createStubFileSource();
+
+    const root = await source.list('/');
+    assert.deepStrictEqual(root.map(entry => [entry.path, entry.type]).sort(), [['/config', 'directory'], ['/logs', 'directory']]);
+
+    const logs = await source.list('/logs');
+    assert.deepStrictEqual(logs.map(entry => entry.name).sort(), ['event.log', 'fault.log']);
+    assert.ok(logs.every(entry => entry.type === 'file' && entry.size > 0));
+
+    const config = await source.read('/config/statcom.cfg');
+    assert.match(config.toString(), /^\[system\]\nname = STATCOM-001\n/);
+});
+
+test('the stub source answers missing and invalid paths with the tool\'s statuses', async () => {
+    const source = createStubFileSource();
+    await assert.rejects(source.list('/nothing'), { code: 'not_found', statusCode: 404 });
+    await assert.rejects(source.read('/logs/missing.log'), { code: 'not_found', statusCode: 404 });
+    assert.throws(() => source.read('/logs/../config/statcom.cfg'), { code: 'usage', statusCode: 400 });
+});
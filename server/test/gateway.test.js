@@ -0,0 +1,115 @@
+/**
+ * Gateway API tests
+ * The stub gateway is what the UI's session client connects to; these check
+ * the /api/session responses the client relies on and request body checks.
+ * Run with: node --test server/test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createGateway } = require('../gateway');
+
+const PASSWORD = 'test-password';
+
+/**
+ * Start a stub gateway on a free port and run the test body against it
+ */
+async function withGateway(run) {
+    const server = createGateway({ password: PASSWORD });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        await run(baseUrl);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+function postJson(url, body) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+}
+
+function withToken(token, options = {}) {
+    return { ...options, headers: { 'Authorization': `Bearer ${token}` } };
+}
+
+test('login returns 201 with a session token', async () => {
+    await withGateway(async baseUrl => {
+        const response = await postJson(`${baseUrl}/api/session`, { password: PASSWORD });
+        assert.strictEqual(response.status, 201);
+
+        const body = await response.json();
+        assert.match(body.token, /^[0-9a-f]{48}$/);
+        assert.ok(Date.parse(body.expiresAt) > Date.now());
+        assert.strictEqual(body.device.name, 'STATCOM-001');
+
+        const check = await fetch(`${baseUrl}/api/session`, withToken(body.token));
+        assert.strictEqual(check.status, 200);
+    });
+});
+
+test('login with a wrong password returns 401', async () => {
+    await withGateway(async baseUrl => {
+        const response = await postJson(`${baseUrl}/api/session`, { password: 'wrong' });
+        assert.strictEqual(response.status, 401);
+        assert.deepStrictEqual(await response.json(), { error: 'Invalid password' });
+    });
+});
+
+test('login without a password returns 400', async () => {
+    await withGateway(async baseUrl => {
+        const response = await postJson(`${baseUrl}/api/session`, {});
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(await response.json(), { error: 'Password is required' });
+    });
+});
+
+test('an invalid token returns 401', async () => {
+    await withGateway(async baseUrl => {
+        const response = await fetch(`${baseUrl}/api/session`, withToken('not-a-session'));
+        assert.strictEqual(response.status, 401);
+
+        const unauthenticated = await fetch(`${baseUrl}/api/modules`);
+        assert.strictEqual(unauthenticated.status, 401);
+    });
+});
+
+test('DELETE ends the session and the token is rejected afterwards', async () => {
+    await withGateway(async baseUrl => {
+        const { token } = await (await postJson(`${baseUrl}/api/session`, { password: PASSWORD })).json();
+
+        const response = await fetch(`${baseUrl}/api/session`, withToken(token, { method: 'DELETE' }));
+        assert.strictEqual(response.status, 204);
+
+        const check = await fetch(`${baseUrl}/api/session`, withToken(token));
+        assert.strictEqual(check.status, 401);
+    });
+});
+
+test('a request body that is not a JSON object returns 400', async () => {
+    await withGateway(async baseUrl => {
+        const { token } = await (await postJson(`${baseUrl}/api/session`, { password: PASSWORD })).json();
+
+        for (const body of ['null', '[]', '"statcom"', '42']) {
+            const login = await postJson(`${baseUrl}/api/session`, body);
+            assert.strictEqual(login.status, 400, `login with ${body}`);
+            assert.deepStrictEqual(await login.json(), { error: 'Request body must be a JSON object' });
+
+            const action = await fetch(`${baseUrl}/api/alarms/actions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: body
+            });
+            assert.strictEqual(action.status, 400, `alarm action with ${body}`);
+        }
+    });
+});
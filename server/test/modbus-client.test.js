@@ -0,0 +1,153 @@
+/**
+ * Modbus/TCP client tests
+ * Valid reads go through the simulator; malformed responses come from a raw
+ * TCP server that answers every request with a fixed ADU.
+ * Run with: node --test server/test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const path = require('path');
+
+const { createModbusClient } = require('../modbus-client');
+const { createSimulator } = require('../modbus-simulator');
+const registerMap = require('../register-map');
+
+const map = registerMap.loadRegisterMap(path.join(__dirname, '..', 'register-map.json'));
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function closeServer(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+/**
+ * Start a server that answers each request with buildReply(transactionId)
+ */
+function createRawServer(buildReply) {
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('data', chunk => socket.write(buildReply(chunk.readUInt16BE(0))));
+    });
+    server.destroySockets = () => sockets.forEach(socket => socket.destroy());
+    return server;
+}
+
+/**
+ * Build a response ADU around a PDU, with an optional MBAP length override
+ */
+function buildAdu(transactionId, pdu, length = pdu.length + 1) {
+    const adu = Buffer.alloc(7 + pdu.length);
+    adu.writeUInt16BE(transactionId, 0);
+    adu.writeUInt16BE(0, 2);
+    adu.writeUInt16BE(length, 4);
+    adu.writeUInt8(1, 6);
+    pdu.copy(adu, 7);
+    return adu;
+}
+
+async function withRawServer(buildReply, run) {
+    const server = createRawServer(buildReply);
+    const port = await listen(server);
+    const client = createModbusClient({ host: '127.0.0.1', port, unitId: 1, timeoutMs: 1000 });
+    try {
+        await client.connect();
+        await run(client);
+    } finally {
+        client.close();
+        server.destroySockets();
+        await closeServer(server);
+    }
+}
+
+test('reads registers and coils from the simulator', async () => {
+    const server = createSimulator(map);
+    const port = await listen(server);
+    const client = createModbusClient({ host: '127.0.0.1', port, unitId: map.unitId, timeoutMs: 1000 });
+
+    try {
+        await client.connect();
+
+        // Every status starts OK: status code 0 in the holding registers,
+        // and only the active-low Gating OK coil set
+        assert.deepStrictEqual(await client.read('holding', map.blocks.holding.start, 8), [0, 0, 0, 0, 0, 0, 0, 0]);
+        assert.deepStrictEqual(await client.read('coil', map.blocks.coil.start, 4), [true, false, false, false]);
+
+        const metrics = await client.read('input', map.blocks.input.start, 4);
+        assert.strictEqual(metrics.length, 4);
+        metrics.forEach(value => assert.ok(Number.isInteger(value) && value >= 0 && value <= 0xFFFF));
+    } finally {
+        client.close();
+        await closeServer(server);
+    }
+});
+
+test('rejects Modbus exceptions from the simulator with their code', async () => {
+    const server = createSimulator(map);
+    const port = await listen(server);
+    const client = createModbusClient({ host: '127.0.0.1', port, unitId: map.unitId, timeoutMs: 1000 });
+
+    try {
+        await client.connect();
+        await assert.rejects(client.read('holding', 60000, 2), { exceptionCode: 2 });
+    } finally {
+        client.close();
+        await closeServer(server);
+    }
+});
+
+test('rejects a response shorter than a function code and byte count', async () => {
+    await withRawServer(id => buildAdu(id, Buffer.from([0x03]), 2), async client => {
+        await assert.rejects(client.read('holding', 0, 2), /Malformed response/);
+    });
+});
+
+test('rejects a response with an MBAP length below the unit id', async () => {
+    await withRawServer(id => buildAdu(id, Buffer.from([0x03]), 0), async client => {
+        await assert.rejects(client.read('holding', 0, 2), /Malformed response/);
+    });
+});
+
+test('rejects a register response whose byte count does not match the quantity', async () => {
+    await withRawServer(id => buildAdu(id, Buffer.from([0x03, 2, 0, 1])), async client => {
+        await assert.rejects(client.read('holding', 0, 2), /expected 4 data bytes/);
+    });
+});
+
+test('rejects a coil response whose byte count does not match the quantity', async () => {
+    await withRawServer(id => buildAdu(id, Buffer.from([0x01, 1, 0xFF])), async client => {
+        await assert.rejects(client.read('coil', 0, 10), /expected 2 data bytes/);
+    });
+});
+
+test('rejects a response that carries fewer data bytes than its byte count', async () => {
+    await withRawServer(id => buildAdu(id, Buffer.from([0x03, 4, 0, 1])), async client => {
+        await assert.rejects(client.read('holding', 0, 2), /Malformed response/);
+    });
+});
+
+test('rejects a response for a different function code', async () => {
+    await withRawServer(id => buildAdu(id, Buffer.from([0x04, 4, 0, 1, 0, 2])), async client => {
+        await assert.rejects(client.read('holding', 0, 2), /function code 4/);
+    });
+});
+
+test('keeps serving reads after a malformed response', async () => {
+    let replies = 0;
+    const buildReply = id => (replies++ === 0
+        ? buildAdu(id, Buffer.from([0x03, 2, 0, 1]))
+        : buildAdu(id, Buffer.from([0x03, 4, 0, 1, 0, 2])));
+
+    await withRawServer(buildReply, async client => {
+        await assert.rejects(client.read('holding', 0, 2), /Malformed response/);
+        assert.ok(client.isConnected());
+        assert.deepStrictEqual(await client.read('holding', 0, 2), [1, 2]);
+    });
+});
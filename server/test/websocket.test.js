@@ -0,0 +1,183 @@
+/**
+ * WebSocket framing tests
+ * Frames are encoded and decoded directly; connection behaviour is checked on
+ * an in-memory socket that records what the server writes.
+ * Run with: node --test server/test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const { acceptUpgrade, encodeFrame, decodeFrame, OPCODES, MAX_FRAME_BYTES, MAX_MESSAGE_BYTES } = require('../websocket');
+
+/**
+ * Encode a client-to-server frame, which RFC 6455 requires to be masked
+ */
+function encodeClientFrame(opcode, payload, fin = true) {
+    const mask = crypto.randomBytes(4);
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = 0x80 | length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = (fin ? 0x80 : 0) | opcode;
+
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) {
+        masked[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Socket stand-in that keeps the frames written after the handshake
+ */
+function createFakeSocket() {
+    const socket = new EventEmitter();
+    socket.frames = [];
+    socket.ended = false;
+    socket.write = data => {
+        if (Buffer.isBuffer(data)) socket.frames.push(decodeFrame(data));
+    };
+    socket.end = () => {
+        socket.ended = true;
+    };
+    return socket;
+}
+
+function openConnection() {
+    const socket = createFakeSocket();
+    const connection = acceptUpgrade({
+        headers: { 'upgrade': 'websocket', 'sec-websocket-key': crypto.randomBytes(16).toString('base64') }
+    }, socket);
+    const messages = [];
+    connection.onMessage = text => messages.push(text);
+    return { socket, connection, messages };
+}
+
+function getCloseCode(frame) {
+    assert.strictEqual(frame.opcode, OPCODES.CLOSE);
+    return frame.payload.readUInt16BE(0);
+}
+
+// ============================================================================
+// FRAMING
+// ============================================================================
+
+test('round-trips payloads across the 7, 16 and 64-bit length encodings', () => {
+    [0, 125, 126, 65535, 65536, 200000].forEach(length => {
+        const payload = crypto.randomBytes(length);
+        const frame = encodeFrame(OPCODES.TEXT, payload);
+        const decoded = decodeFrame(frame);
+
+        assert.strictEqual(decoded.fin, true);
+        assert.strictEqual(decoded.opcode, OPCODES.TEXT);
+        assert.strictEqual(decoded.length, frame.length, `${length} bytes`);
+        assert.ok(decoded.payload.equals(payload), `${length} bytes`);
+    });
+});
+
+test('unmasks client frames', () => {
+    [5, 300, 70000].forEach(length => {
+        const payload = crypto.randomBytes(length);
+        const frame = encodeClientFrame(OPCODES.TEXT, payload, false);
+        const decoded = decodeFrame(frame);
+
+        assert.strictEqual(decoded.fin, false);
+        assert.strictEqual(decoded.length, frame.length);
+        assert.ok(decoded.payload.equals(payload), `${length} bytes`);
+    });
+});
+
+test('waits for the rest of a partial frame', () => {
+    const frame = encodeClientFrame(OPCODES.TEXT, Buffer.alloc(300, 0x61));
+    [1, 3, 7, frame.length - 1].forEach(bytes => {
+        assert.strictEqual(decodeFrame(frame.subarray(0, bytes)), null, `${bytes} bytes`);
+    });
+});
+
+test('rejects a frame longer than the limit from its header alone', () => {
+    const header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(MAX_FRAME_BYTES + 1), 2);
+    assert.throws(() => decodeFrame(header), /exceeds limit/);
+});
+
+// ============================================================================
+// CONNECTION
+// ============================================================================
+
+test('assembles fragmented text messages', () => {
+    const { socket, messages } = openConnection();
+    socket.emit('data', Buffer.concat([
+        encodeClientFrame(OPCODES.TEXT, Buffer.from('{"type":'), false),
+        encodeClientFrame(OPCODES.CONTINUATION, Buffer.from('"ping"'), false)
+    ]));
+    assert.deepStrictEqual(messages, []);
+
+    socket.emit('data', encodeClientFrame(OPCODES.CONTINUATION, Buffer.from('}')));
+    assert.deepStrictEqual(messages, ['{"type":"ping"}']);
+});
+
+test('answers a ping with a pong carrying the same payload', () => {
+    const { socket } = openConnection();
+    socket.emit('data', encodeClientFrame(OPCODES.PING, Buffer.from('are you there')));
+
+    assert.strictEqual(socket.frames.length, 1);
+    assert.strictEqual(socket.frames[0].opcode, OPCODES.PONG);
+    assert.strictEqual(socket.frames[0].payload.toString(), 'are you there');
+});
+
+test('answers a close frame and closes the connection', () => {
+    const { socket, connection } = openConnection();
+    let closed = false;
+    connection.onClose = () => {
+        closed = true;
+    };
+
+    socket.emit('data', encodeClientFrame(OPCODES.CLOSE, Buffer.from([0x03, 0xE8])));
+    assert.strictEqual(getCloseCode(socket.frames[0]), 1000);
+    assert.ok(closed);
+    assert.ok(socket.ended);
+    assert.ok(!connection.isOpen());
+});
+
+test('closes with 1009 when one frame is too big', () => {
+    const { socket, connection } = openConnection();
+    socket.emit('data', encodeClientFrame(OPCODES.TEXT, Buffer.alloc(MAX_FRAME_BYTES + 1)).subarray(0, 14));
+
+    assert.strictEqual(getCloseCode(socket.frames[0]), 1009);
+    assert.ok(!connection.isOpen());
+});
+
+test('closes with 1009 when the fragments of one message add up to too much', () => {
+    const { socket, connection, messages } = openConnection();
+    const fragment = Buffer.alloc(64 * 1024, 0x61);
+    const count = Math.floor(MAX_MESSAGE_BYTES / fragment.length);
+
+    socket.emit('data', encodeClientFrame(OPCODES.TEXT, fragment, false));
+    for (let i = 1; i < count; i++) {
+        socket.emit('data', encodeClientFrame(OPCODES.CONTINUATION, fragment, false));
+    }
+    assert.ok(connection.isOpen(), 'exactly the limit is allowed');
+
+    socket.emit('data', encodeClientFrame(OPCODES.CONTINUATION, Buffer.from('b')));
+    assert.strictEqual(getCloseCode(socket.frames[0]), 1009);
+    assert.ok(!connection.isOpen());
+    assert.deepStrictEqual(messages, []);
+});
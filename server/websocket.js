@@ -0,0 +1,215 @@
+/**
+ * Minimal WebSocket Server (RFC 6455)
+ * Text messages, ping/pong and close only - enough for the live-update channel.
+ * Uses Node.js built-in modules only.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_FRAME_BYTES = 1024 * 1024;
+const MAX_MESSAGE_BYTES = 1024 * 1024; // All fragments of one message together
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Complete the opening handshake for an HTTP upgrade request
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {net.Socket} socket - Underlying socket
+ * @returns {Object|null} Connection object, or null when the request is not a valid WebSocket upgrade
+ */
+function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const upgrade = (req.headers['upgrade'] || '').toLowerCase();
+
+    if (upgrade !== 'websocket' || !key) {
+        rejectUpgrade(socket, 400, 'Bad Request');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return createConnection(socket);
+}
+
+/**
+ * Refuse an upgrade request with a plain HTTP response
+ */
+function rejectUpgrade(socket, statusCode, reason) {
+    socket.end(`HTTP/1.1 ${statusCode} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * Encode a server-to-client frame (never masked)
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN + opcode
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode one frame from the start of a buffer
+ * @returns {Object|null} { opcode, fin, payload, length } or null when more bytes are needed
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (payloadLength > MAX_FRAME_BYTES) {
+        throw new Error(`Frame of ${payloadLength} bytes exceeds limit`);
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + payloadLength) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+
+    return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+/**
+ * Wrap an upgraded socket in a small connection API
+ * @returns {Object} { send(text), close(code, reason), onMessage, onClose, isOpen() }
+ */
+function createConnection(socket) {
+    let pending = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+    let open = true;
+
+    const connection = {
+        onMessage: null,
+        onClose: null,
+
+        send(text) {
+            if (!open) return;
+            socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+        },
+
+        close(code = 1000, reason = '') {
+            if (!open) return;
+            const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+            payload.writeUInt16BE(code, 0);
+            payload.write(reason, 2);
+            socket.write(encodeFrame(OPCODES.CLOSE, payload));
+            finish();
+            socket.end();
+        },
+
+        isOpen() {
+            return open;
+        }
+    };
+
+    function finish() {
+        if (!open) return;
+        open = false;
+        if (typeof connection.onClose === 'function') {
+            connection.onClose();
+        }
+    }
+
+    function handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION:
+                fragmentBytes += frame.payload.length;
+                if (fragmentBytes > MAX_MESSAGE_BYTES) {
+                    throw new Error(`Message of more than ${MAX_MESSAGE_BYTES} bytes exceeds limit`);
+                }
+                fragments.push(frame.payload);
+                if (frame.fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    fragmentBytes = 0;
+                    if (typeof connection.onMessage === 'function') {
+                        connection.onMessage(text);
+                    }
+                }
+                break;
+            case OPCODES.PING:
+                socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+                break;
+            case OPCODES.CLOSE:
+                connection.close(1000);
+                break;
+            default:
+                // PONG and BINARY frames are ignored
+                break;
+        }
+    }
+
+    socket.on('data', chunk => {
+        pending = Buffer.concat([pending, chunk]);
+        try {
+            let frame;
+            while (open && (frame = decodeFrame(pending))) {
+                pending = pending.subarray(frame.length);
+                handleFrame(frame);
+            }
+        } catch (error) {
+            console.error('WebSocket protocol error:', error.message);
+            connection.close(1009, 'Message too big');
+        }
+    });
+    socket.on('close', finish);
+    socket.on('error', finish);
+
+    return connection;
+}
+
+module.exports = { acceptUpgrade, rejectUpgrade, encodeFrame, decodeFrame, OPCODES, MAX_FRAME_BYTES, MAX_MESSAGE_BYTES };
@@ -0,0 +1,110 @@
+// sftp_cli.cpp - Command-line wrapper around SSHClient for the local gateway
+//
+// Usage:
+//   statcom-sftp list <remote-dir>    One line per entry: <d|f>\t<size>\t<mtime>\t<name>
+//   statcom-sftp get <remote-file>    Raw file contents
+//
+// Connection settings come from the environment so the password never
+// appears in the process list:
+//   STATCOM_SSH_HOST, STATCOM_SSH_PORT (22), STATCOM_SSH_USER, STATCOM_SSH_PASSWORD
+//
+// Results go to stdout and progress messages go to stderr. On failure stderr
+// carries a line "ERROR <code> <message>" and the exit status is 1 (64 for
+// usage errors); the gateway turns that line into an HTTP error.
+//
+// Build:
+//   g++ -std=c++17 -O2 -o build/statcom-sftp src/sftp_cli.cpp src/ssh_client.cpp -lssh2
+#include "ssh_client.h"
+#include <cstdio>
+#include <cstdlib>
+#include <iostream>
+#include <string>
+#include <vector>
+
+namespace {
+
+const int EXIT_FAILED = 1;
+const int EXIT_USAGE = 64;
+
+const char* errorCodeName(SSHError code) {
+    switch (code) {
+        case SSHError::Connect:    return "connect";
+        case SSHError::Handshake:  return "handshake";
+        case SSHError::Auth:       return "auth";
+        case SSHError::Sftp:       return "sftp";
+        case SSHError::NotFound:   return "not_found";
+        case SSHError::Permission: return "permission";
+        case SSHError::Read:       return "read";
+        default:                   return "unknown";
+    }
+}
+
+int fail(const std::string& code, const std::string& message, int status = EXIT_FAILED) {
+    std::cerr << "ERROR " << code << " " << message << "\n";
+    return status;
+}
+
+std::string getEnv(const char* name, const std::string& fallback = "") {
+    const char* value = std::getenv(name);
+    return value ? value : fallback;
+}
+
+}  // namespace
+
+int main(int argc, char** argv) {
+    if (argc != 3) {
+        return fail("usage", "statcom-sftp list|get <remote-path>", EXIT_USAGE);
+    }
+
+    const std::string command = argv[1];
+    const std::string remotePath = argv[2];
+    if (command != "list" && command != "get") {
+        return fail("usage", "Unknown command: " + command, EXIT_USAGE);
+    }
+
+    const std::string host = getEnv("STATCOM_SSH_HOST");
+    if (host.empty()) {
+        return fail("usage", "STATCOM_SSH_HOST is not set", EXIT_USAGE);
+    }
+
+    // SSHClient reports progress on stdout; keep stdout for the result only
+    std::streambuf* resultBuffer = std::cout.rdbuf(std::cerr.rdbuf());
+    std::ostream result(resultBuffer);
+
+    SSHClient client(host,
+                     std::atoi(getEnv("STATCOM_SSH_PORT", "22").c_str()),
+                     getEnv("STATCOM_SSH_USER", "admin"),
+                     getEnv("STATCOM_SSH_PASSWORD"));
+
+    if (!client.connect()) {
+        return fail(errorCodeName(client.getLastErrorCode()), client.getLastError());
+    }
+
+    int status = 0;
+
+    if (command == "list") {
+        std::vector<RemoteFileInfo> entries;
+        if (client.listDirectory(remotePath, entries)) {
+            for (const RemoteFileInfo& entry : entries) {
+                result << (entry.isDirectory ? 'd' : 'f') << '\t'
+                       << entry.size << '\t'
+                       << entry.modified << '\t'
+                       << entry.name << '\n';
+            }
+        } else {
+            status = fail(errorCodeName(client.getLastErrorCode()), client.getLastError());
+        }
+    } else {
+        std::string content = client.downloadFile(remotePath);
+        if (client.getLastErrorCode() == SSHError::None) {
+            result.write(content.data(), content.size());
+        } else {
+            status = fail(errorCodeName(client.getLastErrorCode()), client.getLastError());
+        }
+    }
+
+    result.flush();
+    client.disconnect();
+    std::cout.rdbuf(resultBuffer);
+    return status;
+}
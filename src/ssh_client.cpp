@@ -1,13 +1,35 @@
 // ssh_client.cpp - Implementation
 #include "ssh_client.h"
 #include <libssh2.h>  // SSH library
+#include <libssh2_sftp.h>  // SFTP subsystem
 #include <iostream>
 #include <cstring>
+#include <cerrno>
 #include <sys/socket.h>
 #include <netinet/in.h>
 #include <arpa/inet.h>
 #include <unistd.h>
 
+SSHClient::SSHClient(const std::string& host,
+                     int port,
+                     const std::string& username,
+                     const std::string& password)
+    : host_(host),
+      port_(port),
+      username_(username),
+      password_(password),
+      sshSession_(nullptr),
+      sftpSession_(nullptr),
+      sock_(-1),
+      connected_(false),
+      lastErrorCode_(SSHError::None) {}
+
+SSHClient::~SSHClient() {
+    if (sshSession_ || sock_ >= 0) {
+        disconnect();
+    }
+}
+
 bool SSHClient::connect() {
     // STEP 1: Initialize SSH library
     libssh2_init(0);
@@ -15,29 +37,31 @@ bool SSHClient::connect() {
     // STEP 2: Create a new SSH session
     sshSession_ = libssh2_session_init();
     if (!sshSession_) {
-        std::cerr << "Failed to create SSH session\n";
+        setError(SSHError::Connect, "Failed to create SSH session");
         return false;
     }
 
     // STEP 3: Open network connection (socket)
-    int sock = socket(AF_INET, SOCK_STREAM, 0);  // Create socket
+    sock_ = socket(AF_INET, SOCK_STREAM, 0);  // Create socket
 
     struct sockaddr_in sin;
+    std::memset(&sin, 0, sizeof(sin));
     sin.sin_family = AF_INET;
     sin.sin_port = htons(port_);  // Convert port to network byte order
     sin.sin_addr.s_addr = inet_addr(host_.c_str());  // Convert IP
 
-    // Connect socket to VxWorks
-    if (connect(sock, (struct sockaddr*)(&sin), sizeof(sin)) != 0) {
-        std::cerr << "Failed to connect to " << host_ << ":" << port_ << "\n";
+    // Connect socket to VxWorks (::connect, not this method)
+    if (::connect(sock_, (struct sockaddr*)(&sin), sizeof(sin)) != 0) {
+        setError(SSHError::Connect, "Failed to connect to " + host_ + ":" + std::to_string(port_) +
+                                    ": " + std::strerror(errno));
         return false;
     }
 
     std::cout << "Connected to " << host_ << ":" << port_ << "\n";
 
     // STEP 4: Start SSH handshake
-    if (libssh2_session_handshake(sshSession_, sock) != 0) {
-        std::cerr << "SSH handshake failed\n";
+    if (libssh2_session_handshake(sshSession_, sock_) != 0) {
+        setError(SSHError::Handshake, "SSH handshake failed");
         return false;
     }
 
@@ -47,33 +71,51 @@ bool SSHClient::connect() {
     if (libssh2_userauth_password(sshSession_,
                                    username_.c_str(),
                                    password_.c_str()) != 0) {
-        std::cerr << "Authentication failed\n";
+        setError(SSHError::Auth, "Authentication failed for user " + username_);
         return false;
     }
 
     std::cout << "Authenticated as " << username_ << "\n";
 
+    connected_ = true;
+    return true;
+}
+
+bool SSHClient::openSftp() {
+    if (sftpSession_) {
+        return true;
+    }
+    if (!connected_) {
+        setError(SSHError::Connect, "Not connected");
+        return false;
+    }
+
+    sftpSession_ = libssh2_sftp_init(sshSession_);
+    if (!sftpSession_) {
+        setError(SSHError::Sftp, "Failed to init SFTP");
+        return false;
+    }
     return true;
 }
 
 std::string SSHClient::downloadFile(const std::string& remotePath) {
+    lastErrorCode_ = SSHError::None;
+    lastError_.clear();
+
     // STEP 1: Open SFTP session (file transfer over SSH)
-    LIBSSH2_SFTP* sftpSession = libssh2_sftp_init(sshSession_);
-    if (!sftpSession) {
-        std::cerr << "Failed to init SFTP\n";
+    if (!openSftp()) {
         return "";
     }
 
     // STEP 2: Open remote file for reading
     LIBSSH2_SFTP_HANDLE* sftpHandle =
-        libssh2_sftp_open(sftpSession,
+        libssh2_sftp_open(sftpSession_,
                           remotePath.c_str(),
                           LIBSSH2_FXF_READ,  // Read mode
                           0);
 
     if (!sftpHandle) {
-        std::cerr << "Failed to open file: " << remotePath << "\n";
-        libssh2_sftp_shutdown(sftpSession);
+        setError(sftpErrorCode(), "Failed to open file: " + remotePath);
         return "";
     }
 
@@ -83,10 +125,11 @@ std::string SSHClient::downloadFile(const std::string& remotePath) {
 
     while (true) {
         // Read up to 1024 bytes at a time
-        int bytesRead = libssh2_sftp_read(sftpHandle, buffer, sizeof(buffer));
+        ssize_t bytesRead = libssh2_sftp_read(sftpHandle, buffer, sizeof(buffer));
 
         if (bytesRead < 0) {
-            std::cerr << "Error reading file\n";
+            setError(SSHError::Read, "Error reading file: " + remotePath);
+            content.clear();
             break;
         }
 
@@ -99,16 +142,67 @@ std::string SSHClient::downloadFile(const std::string& remotePath) {
         content.append(buffer, bytesRead);
     }
 
-    std::cout << "✅ Downloaded " << content.size() << " bytes from "
-              << remotePath << "\n";
+    if (lastErrorCode_ == SSHError::None) {
+        std::cout << "✅ Downloaded " << content.size() << " bytes from "
+                  << remotePath << "\n";
+    }
 
-    // STEP 4: Close file and SFTP session
+    // STEP 4: Close file (the SFTP session stays open for further requests)
     libssh2_sftp_close(sftpHandle);
-    libssh2_sftp_shutdown(sftpSession);
 
     return content;
 }
 
+bool SSHClient::listDirectory(const std::string& remotePath,
+                              std::vector<RemoteFileInfo>& entries) {
+    lastErrorCode_ = SSHError::None;
+    lastError_.clear();
+    entries.clear();
+
+    if (!openSftp()) {
+        return false;
+    }
+
+    LIBSSH2_SFTP_HANDLE* dirHandle = libssh2_sftp_opendir(sftpSession_, remotePath.c_str());
+    if (!dirHandle) {
+        setError(sftpErrorCode(), "Failed to open directory: " + remotePath);
+        return false;
+    }
+
+    char name[512];
+    LIBSSH2_SFTP_ATTRIBUTES attrs;
+
+    while (true) {
+        int length = libssh2_sftp_readdir(dirHandle, name, sizeof(name), &attrs);
+
+        if (length < 0) {
+            setError(SSHError::Read, "Error reading directory: " + remotePath);
+            break;
+        }
+
+        if (length == 0) {
+            // End of directory
+            break;
+        }
+
+        std::string entryName(name, length);
+        if (entryName == "." || entryName == "..") {
+            continue;
+        }
+
+        RemoteFileInfo info;
+        info.name = entryName;
+        info.size = (attrs.flags & LIBSSH2_SFTP_ATTR_SIZE) ? attrs.filesize : 0;
+        info.modified = (attrs.flags & LIBSSH2_SFTP_ATTR_ACMODTIME) ? attrs.mtime : 0;
+        info.isDirectory = (attrs.flags & LIBSSH2_SFTP_ATTR_PERMISSIONS) &&
+                           LIBSSH2_SFTP_S_ISDIR(attrs.permissions);
+        entries.push_back(info);
+    }
+
+    libssh2_sftp_closedir(dirHandle);
+    return lastErrorCode_ == SSHError::None;
+}
+
 void SSHClient::disconnect() {
     std::cout << "[ssh_client.cpp] disconnect() called\n";
 
@@ -138,3 +232,26 @@ bool SSHClient::isConnected() const {
 std::string SSHClient::getLastError() const {
     return lastError_;
 }
+
+SSHError SSHClient::getLastErrorCode() const {
+    return lastErrorCode_;
+}
+
+void SSHClient::setError(SSHError code, const std::string& message) {
+    lastErrorCode_ = code;
+    lastError_ = message;
+    std::cerr << message << "\n";
+}
+
+// Map the SFTP status of the last failed request to an error category
+SSHError SSHClient::sftpErrorCode() const {
+    switch (libssh2_sftp_last_error(sftpSession_)) {
+        case LIBSSH2_FX_NO_SUCH_FILE:
+        case LIBSSH2_FX_NO_SUCH_PATH:
+            return SSHError::NotFound;
+        case LIBSSH2_FX_PERMISSION_DENIED:
+            return SSHError::Permission;
+        default:
+            return SSHError::Sftp;
+    }
+}
@@ -1,6 +1,31 @@
 // ssh_client.h - Header file (declarations)
 #pragma once
 #include <string>
+#include <vector>
+
+// Opaque libssh2 handles (defined in libssh2.h / libssh2_sftp.h)
+struct _LIBSSH2_SESSION;
+struct _LIBSSH2_SFTP;
+
+// Error categories reported by getLastErrorCode()
+enum class SSHError {
+    None,
+    Connect,    // TCP connection failed
+    Handshake,  // SSH handshake failed
+    Auth,       // Username/password rejected
+    Sftp,       // SFTP subsystem unavailable
+    NotFound,   // Remote path does not exist
+    Permission, // Remote path not readable
+    Read        // Transfer failed part-way
+};
+
+// One entry of a remote directory listing
+struct RemoteFileInfo {
+    std::string name;
+    unsigned long long size;
+    long long modified;     // Unix time, seconds
+    bool isDirectory;
+};
 
 class SSHClient {
 public:
@@ -10,19 +35,38 @@ public:
               const std::string& username,
               const std::string& password);
 
+    ~SSHClient();
+
     // Connect to VxWorks
     bool connect();
 
-    // Download a file
+    // Download a file (returns "" and sets the last error on failure)
     std::string downloadFile(const std::string& remotePath);
 
+    // List a directory (returns false and sets the last error on failure)
+    bool listDirectory(const std::string& remotePath,
+                       std::vector<RemoteFileInfo>& entries);
+
     // Disconnect
     void disconnect();
 
+    bool isConnected() const;
+    std::string getLastError() const;
+    SSHError getLastErrorCode() const;
+
 private:
+    bool openSftp();
+    void setError(SSHError code, const std::string& message);
+    SSHError sftpErrorCode() const;
+
     std::string host_;      // 192.168.1.100
     int port_;              // 22
     std::string username_;  // admin
     std::string password_;  // your_password
-    void* sshSession_;      // Internal SSH connection
-};
\ No newline at end of file
+    _LIBSSH2_SESSION* sshSession_;  // Internal SSH connection
+    _LIBSSH2_SFTP* sftpSession_;    // SFTP channel, opened on first use
+    int sock_;
+    bool connected_;
+    std::string lastError_;
+    SSHError lastErrorCode_;
+};
@@ -0,0 +1,132 @@
+/**
+ * Alarm record tests: states, action log replay and merging gateway records
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    getAlarmId,
+    getAlarmState,
+    isInSummary,
+    canApplyAction,
+    replayActions,
+    mergeRecords,
+    findLateDuplicates
+} = require('../alarm-records');
+
+const T0 = Date.parse('2026-03-02T08:00:00Z');
+
+function createRecord(changes = {}) {
+    return {
+        id: getAlarmId('M007', 'Overtemp', T0),
+        moduleId: 'M007',
+        type: 'Overtemp',
+        severity: 'WARNING',
+        activatedAt: T0,
+        clearedAt: null,
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        shelvedUntil: null,
+        actions: [],
+        ...changes
+    };
+}
+
+// ============================================================================
+// STATES
+// ============================================================================
+
+test('IDs are stable for Date and epoch-ms activation times', () => {
+    assert.strictEqual(getAlarmId('M007', 'Overtemp', T0), `M007:Overtemp:${T0}`);
+    assert.strictEqual(getAlarmId('M007', 'Overtemp', new Date(T0)), `M007:Overtemp:${T0}`);
+});
+
+test('states follow ISA-18.2 for records and for alarms with Date timestamps', () => {
+    const now = T0 + 60000;
+    const cases = [
+        [{}, 'UNACK'],
+        [{ acknowledgedAt: T0 + 1000 }, 'ACKED'],
+        [{ shelvedUntil: now + 1000 }, 'SHELVED'],
+        [{ shelvedUntil: now - 1000 }, 'UNACK'],
+        [{ clearedAt: T0 + 5000 }, 'RTN_UNACK'],
+        [{ clearedAt: T0 + 5000, acknowledgedAt: T0 + 6000 }, 'NORMAL'],
+        [{ clearedAt: T0 + 5000, shelvedUntil: T0 + 10000 }, 'NORMAL']
+    ];
+
+    cases.forEach(([changes, state]) => {
+        const record = createRecord(changes);
+        const alarm = Object.fromEntries(Object.entries(record).map(([key, value]) =>
+            [key, typeof value === 'number' ? new Date(value) : value]));
+
+        assert.strictEqual(getAlarmState(record, now), state, JSON.stringify(changes));
+        assert.strictEqual(getAlarmState(alarm, now), state, `${JSON.stringify(changes)} with Dates`);
+        assert.strictEqual(isInSummary(record, now), state !== 'NORMAL');
+    });
+});
+
+test('actions apply only to alarms in the matching state', () => {
+    const at = T0 + 1000;
+    assert.ok(canApplyAction(createRecord(), 'acknowledge', at));
+    assert.ok(!canApplyAction(createRecord({ acknowledgedAt: T0 }), 'acknowledge', at));
+    assert.ok(canApplyAction(createRecord(), 'shelve', at));
+    assert.ok(!canApplyAction(createRecord({ clearedAt: T0 }), 'shelve', at));
+    assert.ok(canApplyAction(createRecord({ shelvedUntil: at + 1 }), 'unshelve', at));
+    assert.ok(!canApplyAction(createRecord({ shelvedUntil: at }), 'unshelve', at));
+    assert.ok(!canApplyAction(createRecord(), 'delete', at));
+});
+
+// ============================================================================
+// ACTION LOG
+// ============================================================================
+
+test('the action log sets the first acknowledgement and the latest shelving', () => {
+    const record = replayActions(createRecord({
+        actions: [
+            { action: 'unshelve', at: T0 + 4000, by: 'b' },
+            { action: 'acknowledge', at: T0 + 3000, by: 'b' },
+            { action: 'shelve', at: T0 + 2000, by: 'a', until: T0 + 60000 },
+            { action: 'acknowledge', at: T0 + 1000, by: 'a' }
+        ]
+    }));
+
+    assert.deepStrictEqual(record.actions.map(entry => entry.at), [T0 + 1000, T0 + 2000, T0 + 3000, T0 + 4000]);
+    assert.strictEqual(record.acknowledgedAt, T0 + 1000);
+    assert.strictEqual(record.acknowledgedBy, 'a');
+    assert.strictEqual(record.shelvedUntil, null);
+});
+
+// ============================================================================
+// MERGING GATEWAY RECORDS
+// ============================================================================
+
+test('merging keeps clear times and combines the action logs', () => {
+    const shelve = { action: 'shelve', at: T0 + 1000, by: 'local', until: T0 + 60000 };
+    const acknowledge = { action: 'acknowledge', at: T0 + 2000, by: 'remote' };
+    const local = createRecord({ clearedAt: T0 + 30000, message: 'Overtemp threshold exceeded', actions: [shelve] });
+    const remote = createRecord({ severity: 'CRITICAL', actions: [shelve, acknowledge] });
+
+    const merged = mergeRecords(local, remote);
+    assert.strictEqual(merged.severity, 'CRITICAL');
+    assert.strictEqual(merged.clearedAt, T0 + 30000);
+    assert.strictEqual(merged.message, 'Overtemp threshold exceeded');
+    assert.deepStrictEqual(merged.actions.map(entry => entry.action), ['shelve', 'acknowledge']);
+    assert.strictEqual(merged.acknowledgedBy, 'remote');
+    assert.strictEqual(merged.shelvedUntil, T0 + 60000);
+
+    assert.strictEqual(mergeRecords(undefined, remote), remote);
+});
+
+test('a local alarm the gateway recorded earlier is a late duplicate', () => {
+    const late = createRecord({ id: getAlarmId('M007', 'Overtemp', T0 + 5000), activatedAt: T0 + 5000 });
+    const other = createRecord({ id: getAlarmId('M008', 'Overtemp', T0 + 5000), moduleId: 'M008', activatedAt: T0 + 5000 });
+    const remote = createRecord();
+
+    assert.deepStrictEqual(findLateDuplicates([late, other, remote], [remote]), [late]);
+
+    // A gateway alarm that cleared before the local one started is a different occurrence
+    assert.deepStrictEqual(findLateDuplicates([late], [createRecord({ clearedAt: T0 + 4000 })]), []);
+});
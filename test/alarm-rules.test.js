@@ -0,0 +1,262 @@
+/**
+ * Alarm rules engine tests
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateRules, createEngine, evaluateGroupRule, getGroupName } = require('../alarm-rules');
+
+const METRICS = ['voltage', 'current', 'temperature', 'powerFactor'];
+const UNITS = { voltage: 'kV', current: 'A', temperature: '°C', powerFactor: '' };
+
+/**
+ * Topology of 24 modules M001..M024 on a grid of 8 columns
+ */
+const topology = {
+    getModule: id => {
+        const index = Number(id.slice(1)) - 1;
+        return index >= 0 && index < 24 ? { id, index, cabinetName: `Cabinet ${Math.floor(index / 4) + 1}` } : null;
+    },
+    getGridColumns: () => 8
+};
+
+function engineFor(rules, options = {}) {
+    return createEngine(rules, { units: UNITS, topology, ...options });
+}
+
+function temperatureInput(now, temperature, moduleId = 'M001') {
+    return { now, modules: { [moduleId]: { statuses: {}, metrics: { temperature }, metricsAt: now } } };
+}
+
+function overtempInput(now, moduleIds) {
+    const modules = {};
+    for (let i = 1; i <= 24; i++) {
+        const id = `M${String(i).padStart(3, '0')}`;
+        modules[id] = { statuses: { Overtemp: moduleIds.includes(id) ? 'WARNING' : 'OK' } };
+    }
+    return { now, modules };
+}
+
+const hot = {
+    id: 'hot', kind: 'threshold', metric: 'temperature', operator: '>', value: 60,
+    severity: 'WARNING', message: '{moduleId} at {value} {unit}'
+};
+
+const rowOvertemp = {
+    id: 'row-overtemp', kind: 'group', statusTypes: ['Overtemp'], groupBy: 'row', minCount: 3,
+    severity: 'CRITICAL', message: '{count} modules in {group} report Overtemp'
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+test('accepts valid rules', () => {
+    assert.deepStrictEqual(validateRules([hot, rowOvertemp], METRICS), []);
+});
+
+test('reports each invalid field', () => {
+    const errors = validateRules([
+        { ...hot, metric: 'pressure', deadband: -1 },
+        { ...rowOvertemp, id: 'hot', minCount: 0 }
+    ], METRICS);
+    assert.deepStrictEqual(errors, [
+        'Rule "hot": deadband must be a number of 0 or more',
+        'Rule "hot": metric must be one of voltage, current, temperature, powerFactor',
+        'Rule "hot": id is used more than once',
+        'Rule "hot": minCount must be a whole number of 1 or more'
+    ]);
+});
+
+test('rejects module lists that are not module IDs', () => {
+    assert.deepStrictEqual(validateRules([{ ...hot, modules: ['M001', 'M002'] }], METRICS), []);
+    [['M001', 2], 'M001', [null], [{ id: 'M001' }]].forEach(modules => {
+        assert.deepStrictEqual(validateRules([{ ...hot, modules }], METRICS), [
+            'Rule "hot": modules must be a list of module IDs'
+        ], JSON.stringify(modules));
+    });
+});
+
+test('rejects a rate-of-change deadband that is not less than perMinute', () => {
+    const rise = { id: 'rise', kind: 'rateOfChange', metric: 'temperature', direction: 'rise', perMinute: 5, severity: 'WARNING' };
+    assert.deepStrictEqual(validateRules([{ ...rise, deadband: 4.9 }], METRICS), []);
+    [5, 8].forEach(deadband => {
+        assert.deepStrictEqual(validateRules([{ ...rise, deadband }], METRICS), [
+            'Rule "rise": deadband must be less than perMinute'
+        ], `deadband ${deadband}`);
+    });
+
+    // Threshold deadbands are not limited by the rule's value
+    assert.deepStrictEqual(validateRules([{ ...hot, deadband: 100 }], METRICS), []);
+});
+
+// ============================================================================
+// THRESHOLD
+// ============================================================================
+
+test('threshold rule raises above the limit and clears below it', () => {
+    const engine = engineFor([hot]);
+    assert.deepStrictEqual(engine.evaluate(temperatureInput(0, 60)), []);
+
+    const [condition] = engine.evaluate(temperatureInput(1000, 61.5));
+    assert.strictEqual(condition.ruleId, 'hot');
+    assert.strictEqual(condition.moduleId, 'M001');
+    assert.strictEqual(condition.type, 'hot');
+    assert.strictEqual(condition.severity, 'WARNING');
+    assert.strictEqual(condition.message, 'M001 at 61.5 °C');
+
+    assert.deepStrictEqual(engine.evaluate(temperatureInput(2000, 59)), []);
+});
+
+test('threshold deadband holds an active alarm until the value passes the limit by the deadband', () => {
+    const engine = engineFor([{ ...hot, deadband: 2 }]);
+    assert.strictEqual(engine.evaluate(temperatureInput(0, 59)).length, 0, 'the deadband does not lower the raise limit');
+    assert.strictEqual(engine.evaluate(temperatureInput(1000, 61)).length, 1);
+    assert.strictEqual(engine.evaluate(temperatureInput(2000, 58.5)).length, 1, 'still within the deadband');
+    assert.strictEqual(engine.evaluate(temperatureInput(3000, 57.5)).length, 0);
+});
+
+// ============================================================================
+// RATE OF CHANGE
+// ============================================================================
+
+test('rate-of-change rule compares the change per minute across its window', () => {
+    const engine = engineFor([{
+        id: 'temperature-rise', kind: 'rateOfChange', metric: 'temperature', direction: 'rise',
+        perMinute: 5, windowSec: 60, severity: 'WARNING', message: 'Rising {value} {unit}/min'
+    }]);
+
+    assert.deepStrictEqual(engine.evaluate(temperatureInput(0, 40)), [], 'one sample gives no rate');
+    assert.deepStrictEqual(engine.evaluate(temperatureInput(30000, 42)), [], '4 per minute');
+
+    const [condition] = engine.evaluate(temperatureInput(60000, 46));
+    assert.strictEqual(condition.value, 6);
+    assert.strictEqual(condition.message, 'Rising 6 °C/min');
+
+    // The window slides past the fast rise
+    assert.deepStrictEqual(engine.evaluate(temperatureInput(120000, 46)), []);
+});
+
+test('rate-of-change direction ignores changes the other way', () => {
+    const rule = { id: 'drop', kind: 'rateOfChange', metric: 'temperature', direction: 'rise', perMinute: 5, severity: 'WARNING' };
+    const rise = engineFor([rule]);
+    const both = engineFor([{ ...rule, direction: 'both' }]);
+    [rise, both].forEach(engine => engine.evaluate(temperatureInput(0, 50)));
+
+    assert.deepStrictEqual(rise.evaluate(temperatureInput(30000, 40)), []);
+    assert.strictEqual(both.evaluate(temperatureInput(30000, 40))[0].value, -20);
+});
+
+test('rate-of-change deadband lowers the rate an active alarm needs to stay raised', () => {
+    const engine = engineFor([{
+        id: 'temperature-rise', kind: 'rateOfChange', metric: 'temperature', direction: 'rise',
+        perMinute: 5, windowSec: 60, deadband: 1, severity: 'WARNING'
+    }]);
+
+    engine.evaluate(temperatureInput(0, 40));
+    assert.strictEqual(engine.evaluate(temperatureInput(60000, 46)).length, 1, '6 per minute raises');
+    assert.strictEqual(engine.evaluate(temperatureInput(120000, 50.5)).length, 1, '4.5 per minute is within the deadband');
+    assert.strictEqual(engine.evaluate(temperatureInput(180000, 54)).length, 0, '3.5 per minute clears');
+});
+
+// ============================================================================
+// DELAYS
+// ============================================================================
+
+test('on-delay raises only once the condition has held for the delay', () => {
+    const engine = engineFor([{ ...hot, onDelaySec: 10 }]);
+    assert.deepStrictEqual(engine.evaluate(temperatureInput(0, 65)), []);
+    assert.ok(engine.hasPending());
+    assert.deepStrictEqual(engine.evaluate(temperatureInput(9000, 65)), []);
+    assert.strictEqual(engine.evaluate(temperatureInput(10000, 65)).length, 1);
+    assert.ok(!engine.hasPending());
+});
+
+test('on-delay restarts when the condition goes away before it expires', () => {
+    const engine = engineFor([{ ...hot, onDelaySec: 10 }]);
+    engine.evaluate(temperatureInput(0, 65));
+    engine.evaluate(temperatureInput(5000, 55));
+    assert.deepStrictEqual(engine.evaluate(temperatureInput(10000, 65)), []);
+    assert.strictEqual(engine.evaluate(temperatureInput(20000, 65)).length, 1);
+});
+
+test('off-delay keeps the alarm until the condition has been gone for the delay', () => {
+    const engine = engineFor([{ ...hot, offDelaySec: 10 }]);
+    assert.strictEqual(engine.evaluate(temperatureInput(0, 65)).length, 1);
+    assert.strictEqual(engine.evaluate(temperatureInput(1000, 55)).length, 1);
+    assert.ok(engine.hasPending());
+
+    // Returning during the off-delay cancels it
+    engine.evaluate(temperatureInput(5000, 65));
+    assert.strictEqual(engine.evaluate(temperatureInput(12000, 55)).length, 1);
+    assert.strictEqual(engine.evaluate(temperatureInput(21000, 55)).length, 1);
+    assert.deepStrictEqual(engine.evaluate(temperatureInput(22000, 55)), []);
+});
+
+test('ignoreDelays reports conditions on the first evaluation', () => {
+    const engine = engineFor([{ ...hot, onDelaySec: 10 }], { ignoreDelays: true });
+    assert.strictEqual(engine.evaluate(temperatureInput(0, 65)).length, 1);
+});
+
+// ============================================================================
+// GROUPS
+// ============================================================================
+
+test('group rule raises when 3 or more modules in a row report Overtemp', () => {
+    const engine = engineFor([rowOvertemp]);
+
+    // M001..M008 are row 1, M009..M016 row 2
+    assert.deepStrictEqual(engine.evaluate(overtempInput(0, ['M001', 'M002', 'M009'])), []);
+
+    const conditions = engine.evaluate(overtempInput(1000, ['M001', 'M002', 'M008', 'M009']));
+    assert.deepStrictEqual(conditions, [{
+        ruleId: 'row-overtemp',
+        moduleId: 'Row 1',
+        type: 'row-overtemp',
+        severity: 'CRITICAL',
+        message: '3 modules in Row 1 report Overtemp',
+        value: 3
+    }]);
+
+    assert.deepStrictEqual(engine.evaluate(overtempInput(2000, ['M001', 'M008'])), []);
+});
+
+test('group rule honours levels and modules', () => {
+    const rule = { ...rowOvertemp, levels: ['CRITICAL'] };
+    const input = overtempInput(0, ['M001', 'M002', 'M003']);
+    assert.deepStrictEqual(evaluateGroupRule(rule, input.modules, topology), []);
+
+    input.modules.M003.statuses.Overtemp = 'CRITICAL';
+    input.modules.M002.statuses.Overtemp = 'CRITICAL';
+    input.modules.M001.statuses.Overtemp = 'CRITICAL';
+    assert.strictEqual(evaluateGroupRule(rule, input.modules, topology).length, 1);
+    assert.deepStrictEqual(evaluateGroupRule({ ...rule, modules: ['M001', 'M002'] }, input.modules, topology), []);
+});
+
+test('group names follow the grid and the topology', () => {
+    const module = topology.getModule('M010');
+    assert.strictEqual(getGroupName(module, 'row', 8), 'Row 2');
+    assert.strictEqual(getGroupName(module, 'column', 8), 'Column 2');
+    assert.strictEqual(getGroupName(module, 'cabinet', 8), 'Cabinet 3');
+    assert.strictEqual(getGroupName(module, 'phase', 8), 'All modules');
+    assert.strictEqual(getGroupName(null, 'row', 8), 'All modules');
+});
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+test('overlapping rules report the most severe condition once', () => {
+    const engine = engineFor([
+        { id: 'status', kind: 'status', statusTypes: ['*'], severity: 'status', messages: { Overtemp: 'Overtemp threshold exceeded' } },
+        { id: 'overtemp-critical', kind: 'status', statusTypes: ['Overtemp'], severity: 'CRITICAL', message: '{moduleId} {statusType}' }
+    ]);
+    const conditions = engine.evaluate({ now: 0, modules: { M004: { statuses: { Overtemp: 'WARNING', 'Fan Fail': 'OK' } } } });
+    assert.deepStrictEqual(conditions.map(condition => [condition.ruleId, condition.type, condition.severity, condition.message]), [
+        ['overtemp-critical', 'Overtemp', 'CRITICAL', 'M004 Overtemp']
+    ]);
+});